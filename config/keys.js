@@ -78,12 +78,16 @@ module.exports = {
   //  🌉 BRIDGE APIS (no keys needed for quotes)
   // ─────────────────────────────────────────────────────────
   BRIDGES: {
-    WORMHOLE_RPC:      "https://api.wormholescan.io",
+    WORMHOLE_RPC:      env.WORMHOLE_API      || "https://api.wormholescan.io",
     LAYERZERO_API_KEY: env.LAYERZERO_API_KEY || "YOUR_KEY_HERE",
+    LAYERZERO_SCAN_API: env.LAYERZERO_SCAN_API || "https://scan.layerzero-api.com/v1",
     AXELAR_RPC:        "https://axelarapi.axelar.dev",
+    AXELARSCAN_API:    env.AXELARSCAN_API    || "https://api.axelarscan.io",
     HYPERLANE_RPC:     "https://explorer.hyperlane.xyz/api",
-    ACROSS_API:        "https://across.to/api",
-    CELER_API:         "https://cbridge-prod2.celer.app",
+    ACROSS_API:        env.ACROSS_API        || "https://across.to/api",
+    CELER_API:         env.CELER_API         || "https://cbridge-prod2.celer.app",
+    // The *_API overrides exist so delivery tracking can be pointed at
+    // local stand-ins (e.g. http://localhost:4010) during testing
   },
 
   // ─────────────────────────────────────────────────────────
@@ -109,36 +113,46 @@ module.exports = {
   },
 
   // ─────────────────────────────────────────────────────────
-  //  🪙 TOKEN ADDRESSES
+  //  🪙 TOKEN REGISTRY — read through src/chains/tokenRegistry.js
   // ─────────────────────────────────────────────────────────
   TOKENS: {
     CELO: {
-      USDC: "0xcebA9300f2b948710d2653dD7B07f33A8B32118C",
-      USDT: "0x617f3112bf5397D0467D315cC709EF968D9ba546",
-      USDm: "0x765DE816845861e75A25fCA122bb6898B8B1282a",
-      CELO: "0x471EcE3750Da237f93B8E339c536989b8978a438",
+      USDC:    { address: "0xcebA9300f2b948710d2653dD7B07f33A8B32118C", decimals: 6,  bridgeSymbols: { axelar: "axlUSDC" } },
+      axlUSDC: { address: "0xEB466342C4d449BC9f53A865D5Cb90586f405215", decimals: 6,  canonical: "USDC" },
+      USDT:    { address: "0x617f3112bf5397D0467D315cC709EF968D9ba546", decimals: 6,  bridgeSymbols: { axelar: "axlUSDT" } },
+      USDm:    { address: "0x765DE816845861e75A25fCA122bb6898B8B1282a", decimals: 18, otherNames: ["cUSD"] },
+      CELO:    { address: "0x471EcE3750Da237f93B8E339c536989b8978a438", decimals: 18 },
     },
     BASE: {
-      USDC: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
-      USDT: "0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2",
+      USDC:    { address: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913", decimals: 6,  bridgeSymbols: { axelar: "axlUSDC" } },
+      USDbC:   { address: "0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA", decimals: 6,  canonical: "USDC" },
+      USDT:    { address: "0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2", decimals: 6,  bridgeSymbols: { axelar: "axlUSDT" } },
     },
     ETHEREUM: {
-      USDC: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
-      USDT: "0xdAC17F958D2ee523a2206206994597C13D831ec7",
+      USDC:    { address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", decimals: 6,  bridgeSymbols: { axelar: "axlUSDC" } },
+      USDT:    { address: "0xdAC17F958D2ee523a2206206994597C13D831ec7", decimals: 6,  bridgeSymbols: { axelar: "axlUSDT" } },
     },
     POLYGON: {
-      USDC: "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174",
-      USDT: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F",
+      USDC:    { address: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359", decimals: 6,  bridgeSymbols: { axelar: "axlUSDC" } },
+      "USDC.e": { address: "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174", decimals: 6, canonical: "USDC" },
+      USDT:    { address: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F", decimals: 6,  bridgeSymbols: { axelar: "axlUSDT" } },
     },
     ARBITRUM: {
-      USDC: "0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8",
-      USDT: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9",
+      USDC:    { address: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831", decimals: 6,  bridgeSymbols: { axelar: "axlUSDC" } },
+      "USDC.e": { address: "0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8", decimals: 6, canonical: "USDC" },
+      USDT:    { address: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9", decimals: 6,  bridgeSymbols: { axelar: "axlUSDT" } },
     },
     SOLANA: {
-      USDC: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v",
-      USDT: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB",
+      USDC:    { address: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", decimals: 6 },
+      USDT:    { address: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB", decimals: 6 },
     },
   },
+  // Per chain, symbol → token. USDm and CELO have 18 decimals, the
+  // stablecoins 6; EVM decimals are checked on-chain at startup.
+  //   bridgeSymbols — what a bridge's API calls the token, when not its symbol
+  //   otherNames    — other names users type for it (cUSD is USDm's old name)
+  //   canonical     — set on bridged copies (USDC.e, axlUSDC...): the token
+  //                   they stand in for; deliveries in either are recognised
 
   // ─────────────────────────────────────────────────────────
   //  🔗 WALLET CONNECT
@@ -155,6 +169,14 @@ module.exports = {
     WHATSAPP_PHONE_ID:     env.WHATSAPP_PHONE_ID     || "YOUR_KEY_HERE",
     WHATSAPP_VERIFY_TOKEN: env.WHATSAPP_VERIFY_TOKEN || "crossflow_webhook_secret_2024",
     WHATSAPP_WEBHOOK_URL:  env.WHATSAPP_WEBHOOK_URL  || "YOUR_PUBLIC_HTTPS_URL/webhooks/whatsapp",
+    WHATSAPP_APP_SECRET:   env.WHATSAPP_APP_SECRET   || "YOUR_KEY_HERE",
+    // Meta Dashboard → App settings → Basic → App secret. Every webhook
+    // POST must carry Meta's signature made with it, or it is refused
+    TELEGRAM_WEBHOOK_SECRET: env.TELEGRAM_WEBHOOK_SECRET || "",
+    // Sent to Telegram with the webhook and checked on every update;
+    // empty = derived from TELEGRAM_BOT_TOKEN
+    // Bot sessions are named after the chat id / phone number, so only
+    // updates that prove they came from Telegram or Meta are accepted
   },
 
   // ─────────────────────────────────────────────────────────
@@ -167,6 +189,206 @@ module.exports = {
     THIRDWEB_SECRET_KEY: env.THIRDWEB_SECRET_KEY || "YOUR_KEY_HERE",
   },
 
+  // ─────────────────────────────────────────────────────────
+  //  🗄️ STORAGE — sessions and other agent state
+  // ─────────────────────────────────────────────────────────
+  STORAGE: {
+    BACKEND:   env.STORAGE_BACKEND || "memory",
+    // "memory" = lost on every restart/redeploy (fine for local dev)
+    // "file"   = JSON files in DATA_DIR (attach a Render persistent disk)
+    // "redis"  = any Redis-compatible server (Redis, Valkey, Upstash)
+    DATA_DIR:  env.DATA_DIR  || "./data",
+    REDIS_URL: env.REDIS_URL || "redis://localhost:6379",
+    SESSION_TTL_MINUTES: parseInt(env.SESSION_TTL_MINUTES) || 1440,
+    // Idle sessions (and their pending confirmations) expire after this
+  },
+
+  // ─────────────────────────────────────────────────────────
+  //  ⏰ SCHEDULER — recurring transfers
+  // ─────────────────────────────────────────────────────────
+  SCHEDULER: {
+    DEFAULT_MAX_FEE_USD: parseFloat(env.SCHEDULER_MAX_FEE_USD) || 2,
+    // A run is skipped (not retried) when the best route costs more
+    // than the schedule's cap — this is the cap when the user sets none
+    POLL_SECONDS: parseInt(env.SCHEDULER_POLL_SECONDS) || 60,
+  },
+
+  // ─────────────────────────────────────────────────────────
+  //  🔀 SPLIT ROUTING — large transfers across several bridges
+  // ─────────────────────────────────────────────────────────
+  SPLIT_ROUTING: {
+    MIN_AMOUNT_USD:      parseFloat(env.SPLIT_MIN_AMOUNT_USD) || 10000,
+    // Smaller transfers are never split (every leg pays its own base fee)
+    MAX_LEGS:            parseInt(env.SPLIT_MAX_LEGS) || 3,
+    MAX_LIQUIDITY_SHARE: parseFloat(env.SPLIT_MAX_LIQUIDITY_SHARE) || 0.5,
+    // Never route more than this share of a bridge's liquidity through it
+    // (0.5 = the same 2× headroom the validator asks of a single route)
+  },
+
+  // ─────────────────────────────────────────────────────────
+  //  🧪 DRY RUN — transaction simulation
+  // ─────────────────────────────────────────────────────────
+  DRY_RUN: {
+    PREFLIGHT: env.PREFLIGHT_SIMULATION !== "false",
+    // Simulate every transfer against the source chain right before it
+    // is sent, and stop it if any step would revert
+    // Set PREFLIGHT_SIMULATION=false to skip (e.g. on an RPC without eth_simulateV1 or estimateGas)
+  },
+
+  // ─────────────────────────────────────────────────────────
+  //  👛 DEPOSIT WALLETS — one derived wallet per user
+  // ─────────────────────────────────────────────────────────
+  DEPOSIT_WALLETS: {
+    MNEMONIC: env.DEPOSIT_MNEMONIC || "YOUR_MNEMONIC_HERE",
+    // Seed phrase every user's deposit wallet is derived from
+    // ⚠️ Generate a fresh one just for this — whoever holds it controls every user's funds
+    // Set as Render env var: DEPOSIT_MNEMONIC
+    // Needs STORAGE.BACKEND file or redis — which user has which wallet
+    // must survive restarts, so deposit wallets refuse to run on memory.
+    DERIVATION_PATH:   env.DEPOSIT_DERIVATION_PATH || "m/44'/60'/0'/0",
+    // User n gets <path>/n (the standard Ethereum path, so any wallet can import the seed)
+    GAS_RESERVE_UNITS: parseInt(env.DEPOSIT_GAS_RESERVE_UNITS) || 1500000,
+    // Before a transfer, a deposit wallet holding less native token than
+    // this much gas is topped up to twice that, from the agent wallet
+    SWEEP_IDLE_HOURS:  parseFloat(env.DEPOSIT_SWEEP_IDLE_HOURS) || 24,
+    // Unused top-ups go back to the agent wallet once the user has had
+    // nothing in flight for this long
+    SWEEP_POLL_MINUTES: parseInt(env.DEPOSIT_SWEEP_POLL_MINUTES) || 60,
+  },
+
+  // ─────────────────────────────────────────────────────────
+  //  ⛽ STUCK TRANSACTIONS — automatic gas bumping
+  // ─────────────────────────────────────────────────────────
+  STUCK_TRANSACTIONS: {
+    PENDING_SECONDS: {
+      CELO:     parseInt(env.STUCK_TX_SECONDS_CELO) || 60,
+      ETHEREUM: parseInt(env.STUCK_TX_SECONDS_ETHEREUM) || 180,
+      DEFAULT:  parseInt(env.STUCK_TX_SECONDS) || 120,
+    },
+    // A transaction still pending this long after it was (re-)sent is
+    // re-sent on the same nonce with higher EIP-1559 fees
+    BUMP_PERCENT: parseInt(env.STUCK_TX_BUMP_PERCENT) || 25,
+    // Each replacement pays at least this much more (nodes require 10%+)
+    MAX_GAS_COST: {
+      CELO:     parseFloat(env.STUCK_TX_MAX_GAS_CELO) || 2,
+      ETHEREUM: parseFloat(env.STUCK_TX_MAX_GAS_ETHEREUM) || 0.05,
+      DEFAULT:  parseFloat(env.STUCK_TX_MAX_GAS) || 0.02,
+    },
+    // Most one transaction may ever cost in gas (gas limit × max fee), in
+    // the chain's native token — bumping stops there and the user is told
+    POLL_SECONDS: parseInt(env.STUCK_TX_POLL_SECONDS) || 15,
+  },
+
+  // ─────────────────────────────────────────────────────────
+  //  🔏 TOKEN APPROVALS — bridge allowances
+  // ─────────────────────────────────────────────────────────
+  APPROVALS: {
+    USE_PERMIT: env.APPROVALS_USE_PERMIT !== "false",
+    // Tokens with EIP-2612 permit (e.g. USDC) are approved by signature;
+    // the agent wallet submits it, so the deposit wallet pays no gas
+    PERMIT_DEADLINE_MINUTES: parseInt(env.APPROVALS_PERMIT_DEADLINE_MINUTES) || 30,
+    REVOKE_LEFTOVER: env.APPROVALS_REVOKE_LEFTOVER !== "false",
+    // After a bridge transfer, any allowance it didn't use up (e.g. an
+    // old unlimited approval) is set back to 0
+  },
+
+  // ─────────────────────────────────────────────────────────
+  //  ⏱️ QUOTES — expiry and re-quoting before execution
+  // ─────────────────────────────────────────────────────────
+  QUOTES: {
+    TTL_SECONDS: parseInt(env.QUOTE_TTL_SECONDS) || 120,
+    // A bridge quote older than this is fetched again when the user confirms
+    FEE_TOLERANCE_PERCENT: parseFloat(env.QUOTE_FEE_TOLERANCE_PERCENT) || 10,
+    FEE_TOLERANCE_USD:     parseFloat(env.QUOTE_FEE_TOLERANCE_USD) || 0.05,
+    ETA_TOLERANCE_PERCENT: parseFloat(env.QUOTE_ETA_TOLERANCE_PERCENT) || 25,
+    // If the fresh fee or ETA moved more than this from what was shown,
+    // the user is asked again instead of sending
+    CONFIRMATION_EXPIRY_MINUTES: parseInt(env.CONFIRMATION_EXPIRY_MINUTES) || 15,
+    // A preview nobody confirmed is cancelled after this long and the user
+    // is told on their linked channels
+    EXPIRY_POLL_SECONDS: parseInt(env.CONFIRMATION_EXPIRY_POLL_SECONDS) || 60,
+  },
+
+  // ─────────────────────────────────────────────────────────
+  //  🛡️ SLIPPAGE — minimum received on bridges and swaps
+  // ─────────────────────────────────────────────────────────
+  SLIPPAGE: {
+    DEFAULT_PERCENT: parseFloat(env.SLIPPAGE_DEFAULT_PERCENT) || 0.5,
+    MAX_PERCENT:     parseFloat(env.SLIPPAGE_MAX_PERCENT) || 3,
+  },
+  // Used when neither the request ("max 0.3% slippage") nor the user's
+  // own setting ("set my slippage to 0.5%") gives one. Requests above
+  // MAX_PERCENT are refused.
+
+  // ─────────────────────────────────────────────────────────
+  //  🚦 SPENDING POLICY — limits every transfer must pass
+  // ─────────────────────────────────────────────────────────
+  POLICY: {
+    DAILY_LIMIT_USD:   parseFloat(env.POLICY_DAILY_LIMIT_USD)   || null,
+    WEEKLY_LIMIT_USD:  parseFloat(env.POLICY_WEEKLY_LIMIT_USD)  || null,
+    MONTHLY_LIMIT_USD: parseFloat(env.POLICY_MONTHLY_LIMIT_USD) || null,
+    // Rolling 24h / 7d / 30d totals per user, from the transfer ledger
+    MAX_TX_USD: parseFloat(env.POLICY_MAX_TX_USD) || null,
+    ALLOWED_CHAINS: env.POLICY_ALLOWED_CHAINS || "",
+    ALLOWED_TOKENS: env.POLICY_ALLOWED_TOKENS || "",
+    // Comma-separated, e.g. "base,polygon" / "USDC,USDT" — empty allows all
+    NEW_RECIPIENT_COOLING_HOURS: parseFloat(env.POLICY_NEW_RECIPIENT_COOLING_HOURS) || 0,
+    NEW_RECIPIENT_MAX_USD:       parseFloat(env.POLICY_NEW_RECIPIENT_MAX_USD) || 0,
+    // An address first saved or paid less than COOLING_HOURS ago can only
+    // be sent up to NEW_RECIPIENT_MAX_USD per transfer (0 blocks it)
+    USERS: env.POLICY_USERS || "",
+    // JSON of per-user overrides by session id, e.g. {"tg_123":{"dailyLimitUSD":2000}}
+    // — these replace the global values above for that user
+  },
+  // Empty values (null) are not enforced. Users can add their own limits
+  // in chat ("set my daily limit to $500") but only ever tighten these.
+
+  // ─────────────────────────────────────────────────────────
+  //  🚫 SCREENING — denylists and sanctions lists
+  // ─────────────────────────────────────────────────────────
+  SCREENING: {
+    LIST_FILES: env.SCREENING_LIST_FILES || "",
+    // Comma-separated paths, e.g. "data/lists/ofac_sdn_eth.txt,data/lists/denylist.csv".
+    // .txt/.csv: one address per line, optionally "address,label"; # starts a comment.
+    // .json: an array of addresses or of { address, label }.
+    REFRESH_MINUTES: parseInt(env.SCREENING_REFRESH_MINUTES) || 60,
+    // Lists are re-read this often, so replacing a file is enough to update it
+    FAIL_CLOSED: env.SCREENING_FAIL_CLOSED === "true",
+    // true = block every transfer while a configured list has never been
+    // read; false = screen against the lists that did load (and log it)
+  },
+
+  // ─────────────────────────────────────────────────────────
+  //  🎭 ADDRESS RISK — look-alike and first-time recipients
+  // ─────────────────────────────────────────────────────────
+  ADDRESS_RISK: {
+    LOOKALIKE_START: parseInt(env.ADDRESS_RISK_LOOKALIKE_START) || 3,
+    LOOKALIKE_END:   parseInt(env.ADDRESS_RISK_LOOKALIKE_END)   || 4,
+    // A new recipient sharing this many leading / trailing characters
+    // (after 0x) with a past recipient or contact is flagged as a look-alike
+    TYPED_CONFIRM_USD: parseFloat(env.ADDRESS_RISK_TYPED_CONFIRM_USD || 1000),
+    // First-time transfers worth this much or more are confirmed by typing
+    // the address's last 4 characters instead of YES — 0 turns it off
+  },
+
+  // ─────────────────────────────────────────────────────────
+  //  🪪 NAME RESOLUTION — ENS, .celo names, phone numbers
+  // ─────────────────────────────────────────────────────────
+  NAME_RESOLUTION: {
+    ENS_BACKEND:   env.ENS_RESOLVER   || "ens",
+    CELO_BACKEND:  env.CELO_RESOLVER  || "celo-names",
+    PHONE_BACKEND: env.PHONE_RESOLVER || "socialconnect",
+    // Per kind: a live backend, "local" (LOCAL_NAMES below) or "off"
+    CELO_NAMES_REGISTRY: env.CELO_NAMES_REGISTRY || "",
+    // ENS-compatible registry contract on Celo that .celo names live in
+    PHONE_LOOKUP_URL:     env.PHONE_LOOKUP_URL     || "",
+    PHONE_LOOKUP_API_KEY: env.PHONE_LOOKUP_API_KEY || "",
+    // SocialConnect issuer endpoint: GET ?phoneNumber=+... → { address }
+    LOCAL_NAMES:   env.RESOLVER_LOCAL_NAMES || "",
+    // JSON stand-in table, e.g. {"alice.eth":"0x...","+15551234567":"0x..."}
+    CACHE_SECONDS: parseInt(env.RESOLVER_CACHE_SECONDS) || 300,
+  },
+
   // ─────────────────────────────────────────────────────────
   //  ⚙️ SERVER
   // ─────────────────────────────────────────────────────────
@@ -177,5 +399,13 @@ module.exports = {
     PUBLIC_URL:  env.PUBLIC_URL  || "https://osherai.onrender.com",
     // Render gives you a URL like: https://crossflow-agent.onrender.com
     // Set PUBLIC_URL to that value after your first deploy
+    SESSION_SECRET: env.SESSION_SECRET || "",
+    // Signs the session tokens web users get from POST /api/session — a
+    // web session (and its deposit wallet) is only reachable with one.
+    // Any long random string; empty = a new one on every restart.
+    // Set as Render env var: SESSION_SECRET
+    OPERATOR_TOKEN: env.OPERATOR_TOKEN || "",
+    // Bearer token for operator routes (GET /api/screening/hits, /api/signers);
+    // empty = those routes are closed
   },
 };
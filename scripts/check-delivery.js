@@ -0,0 +1,235 @@
+/**
+ * check-delivery.js
+ * ─────────────────────────────────────────────────────────────────
+ * Runs the delivery tracker against local stand-ins — no network, no
+ * keys:
+ *
+ *   - Axelarscan → an HTTP stand-in that knows one source tx hash
+ *   - Celo and Base RPC → JSON-RPC stand-ins serving a fixed chain of
+ *     blocks and USDC Transfer logs
+ *
+ * and checks that a delivery is picked up from the bridge API, then
+ * from the destination chain — ignoring a Transfer mined before the
+ * source confirmed, one for more than was sent and one for less than
+ * the amount less the fee.
+ *
+ *   node scripts/check-delivery.js      (or: npm run check:delivery)
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const http   = require("http");
+const assert = require("assert");
+
+const RECIPIENT = "0x1111111111111111111111111111111111111111";
+const SENDER    = "0x2222222222222222222222222222222222222222";
+const BASE_USDC = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+const GENESIS_TIME = 1_700_000_000;
+
+// Celo mines every 5s, Base every 2s: the source tx (Celo block 60, t+300)
+// confirms between Base blocks 149 and 150
+const CHAINS = {
+  celo: { chainId: 42220, blockTime: 5, latest: 100, logs: [] },
+  base: { chainId: 8453,  blockTime: 2, latest: 200, logs: [] },
+};
+const SOURCE_BLOCK = 60;
+
+const AXELAR_TX  = txHash(1);
+const WATCHED_TX = txHash(2);
+const MISSED_TX  = txHash(3);
+
+// USDC (6 decimals) to RECIPIENT on Base
+const DELIVERIES = [
+  { block: 100, value: 99_700_000n,    tx: txHash(10) }, // before the source confirmed
+  { block: 160, value: 1_000_000_000n, tx: txHash(11) }, // more than was sent
+  { block: 165, value: 50_000_000n,    tx: txHash(12) }, // well under amount − fee
+  { block: 170, value: 99_700_000n,    tx: txHash(13) }, // the delivery
+];
+
+async function main() {
+  const server = await startStandIns();
+  const url    = `http://127.0.0.1:${server.address().port}`;
+
+  // Set before config/keys.js is loaded
+  process.env.STORAGE_BACKEND = "memory";
+  process.env.AXELARSCAN_API  = `${url}/axelarscan`;
+  process.env.RPC_CELO        = `${url}/rpc/celo`;
+  process.env.RPC_BASE        = `${url}/rpc/base`;
+
+  const { checkDeliveryStatus } = require("../src/bridges/deliveryTracker");
+  const { getTransfer }         = require("../src/store/transferLedger");
+
+  try {
+    // ── Bridge API ────────────────────────────────────────────────
+    const viaApi = await checkDeliveryStatus(await confirmedTransfer(AXELAR_TX));
+    assert.strictEqual(viaApi.state, "delivered");
+    assert.strictEqual(viaApi.source, "bridge_api");
+    assert.strictEqual(viaApi.destTxHash, txHash(99));
+    console.log("✅ Axelarscan stand-in: delivered");
+
+    // ── Destination chain fallback ────────────────────────────────
+    CHAINS.base.logs = DELIVERIES.map(transferLog);
+    const watched    = await confirmedTransfer(WATCHED_TX);
+    const viaChain   = await checkDeliveryStatus(watched);
+    assert.strictEqual(viaChain.state, "delivered");
+    assert.strictEqual(viaChain.source, "destination_chain");
+    assert.strictEqual(viaChain.destTxHash, txHash(13));
+    assert.strictEqual((await getTransfer(watched.id)).delivery.destScannedBlock, CHAINS.base.latest);
+    console.log("✅ Base stand-in: matched the delivery, not the earlier, larger or smaller transfers");
+
+    // Without the real delivery, none of the others may match
+    CHAINS.base.logs = DELIVERIES.slice(0, 3).map(transferLog);
+    const missed     = await checkDeliveryStatus(await confirmedTransfer(MISSED_TX));
+    assert.strictEqual(missed.state, "in_flight");
+    console.log("✅ Base stand-in: still in flight without a matching transfer");
+
+    console.log("\nDelivery tracker checks passed.");
+  } finally {
+    server.close();
+  }
+}
+
+// A 100 USDC Celo → Base transfer via Axelar ($0.30 fee), confirmed in SOURCE_BLOCK
+async function confirmedTransfer(sourceTxHash) {
+  const { createTransfer, recordStep } = require("../src/store/transferLedger");
+  const transfer = await createTransfer({
+    sessionId:   "check_delivery",
+    intent:      { token: "USDC", amount: 100, fromChain: "celo", toChain: "base", toAddress: RECIPIENT },
+    bridgeQuote: { bridge: "Axelar", executionMethod: "axelar_gmp", feeUSD: 0.3, estimatedMinutes: 5 },
+  });
+  await recordStep(transfer.id, "submitted", { txHash: sourceTxHash });
+  return recordStep(transfer.id, "source_confirmed", { txHash: sourceTxHash });
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  STAND-INS
+// ─────────────────────────────────────────────────────────────────
+
+function startStandIns() {
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const json = body ? JSON.parse(body) : null;
+
+    const rpc = req.url.match(/^\/rpc\/(\w+)$/);
+    if (rpc && CHAINS[rpc[1]]) {
+      const calls = [].concat(json).map(call => ({ jsonrpc: "2.0", id: call.id, ...answerRpc(CHAINS[rpc[1]], call) }));
+      return send(res, 200, Array.isArray(json) ? calls : calls[0]);
+    }
+
+    if (req.url === "/axelarscan/token/searchTransfers") {
+      return json.txHash === AXELAR_TX
+        ? send(res, 200, { data: [{ status: "executed", command: { transactionHash: txHash(99) } }] })
+        : send(res, 404, { error: "not found" });
+    }
+
+    send(res, 404, { error: "not found" });
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+function answerRpc(chain, { method, params }) {
+  switch (method) {
+    case "eth_chainId":     return { result: hex(chain.chainId) };
+    case "eth_blockNumber": return { result: hex(chain.latest) };
+
+    case "eth_getBlockByNumber": {
+      const number = params[0] === "latest" ? chain.latest : Number(params[0]);
+      return { result: number > chain.latest ? null : block(chain, number) };
+    }
+
+    case "eth_getTransactionReceipt":
+      return { result: chain === CHAINS.celo ? receipt(params[0]) : null };
+
+    case "eth_getLogs": {
+      const { address, topics = [], fromBlock, toBlock } = params[0];
+      const logs = chain.logs.filter(log =>
+        (!address || [].concat(address).some(a => a.toLowerCase() === log.address.toLowerCase())) &&
+        topics.every((topic, i) => topic === null || [].concat(topic).includes(log.topics[i])) &&
+        Number(log.blockNumber) >= Number(fromBlock) && Number(log.blockNumber) <= Number(toBlock));
+      return { result: logs };
+    }
+
+    default:
+      return { error: { code: -32601, message: `${method} is not served by this stand-in` } };
+  }
+}
+
+function block(chain, number) {
+  return {
+    number:        hex(number),
+    hash:          blockHash(number),
+    parentHash:    blockHash(Math.max(0, number - 1)),
+    timestamp:     hex(GENESIS_TIME + number * chain.blockTime),
+    nonce:         "0x0000000000000000",
+    difficulty:    "0x0",
+    gasLimit:      hex(30_000_000),
+    gasUsed:       "0x0",
+    miner:         SENDER,
+    extraData:     "0x",
+    baseFeePerGas: "0x1",
+    transactions:  [],
+  };
+}
+
+function receipt(hash) {
+  return {
+    transactionHash:   hash,
+    transactionIndex:  "0x0",
+    blockHash:         blockHash(SOURCE_BLOCK),
+    blockNumber:       hex(SOURCE_BLOCK),
+    from:              SENDER,
+    to:                SENDER,
+    contractAddress:   null,
+    cumulativeGasUsed: hex(21_000),
+    gasUsed:           hex(21_000),
+    effectiveGasPrice: "0x1",
+    logsBloom:         `0x${"0".repeat(512)}`,
+    logs:              [],
+    status:            "0x1",
+    type:              "0x2",
+  };
+}
+
+function transferLog({ block: number, value, tx }) {
+  return {
+    address:          BASE_USDC,
+    topics:           [TRANSFER_TOPIC, pad(SENDER), pad(RECIPIENT)],
+    data:             `0x${value.toString(16).padStart(64, "0")}`,
+    blockNumber:      hex(number),
+    blockHash:        blockHash(number),
+    transactionHash:  tx,
+    transactionIndex: "0x0",
+    logIndex:         "0x0",
+    removed:          false,
+  };
+}
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function hex(n) {
+  return `0x${n.toString(16)}`;
+}
+
+function pad(address) {
+  return `0x${address.slice(2).toLowerCase().padStart(64, "0")}`;
+}
+
+function txHash(n) {
+  return `0x${n.toString(16).padStart(64, "a")}`;
+}
+
+function blockHash(n) {
+  return `0x${n.toString(16).padStart(64, "b")}`;
+}
+
+main().catch(err => {
+  console.error("❌", err.message);
+  process.exit(1);
+});
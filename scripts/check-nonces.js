@@ -0,0 +1,74 @@
+/**
+ * check-nonces.js
+ * ─────────────────────────────────────────────────────────────────
+ * Fires a burst of concurrent transfers at a local Anvil/Hardhat node
+ * through signerService and checks every one was mined on its own,
+ * consecutive nonce — including when several "users" share the wallet
+ * and one send fails before it is broadcast.
+ *
+ *   anvil                               (or: npx hardhat node)
+ *   node scripts/check-nonces.js        (or: npm run check:nonces)
+ *
+ * LOCAL_RPC_URL      - default http://127.0.0.1:8545
+ * CHECK_PRIVATE_KEY  - funded key; defaults to the first Anvil/Hardhat
+ *                      dev account
+ * CHECK_TRANSFERS    - how many to send at once (default 12)
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const assert     = require("assert");
+const { ethers } = require("ethers");
+const { getSigner, listQueues } = require("../src/chains/signerService");
+
+const RPC_URL     = process.env.LOCAL_RPC_URL     || "http://127.0.0.1:8545";
+const PRIVATE_KEY = process.env.CHECK_PRIVATE_KEY || "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const TRANSFERS   = parseInt(process.env.CHECK_TRANSFERS || "12");
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const network  = await provider.getNetwork().catch(() => null);
+  if (!network) throw new Error(`No node at ${RPC_URL} — start anvil or npx hardhat node first`);
+
+  const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+  const start  = await provider.getTransactionCount(wallet.address, "pending");
+  console.log(`Chain ${network.chainId} · ${wallet.address} · next nonce ${start}`);
+
+  // Three "users" on the same wallet, as the agent wallet is shared
+  const signers = ["alice", "bob", "carol"].map(sessionId => getSigner("local", wallet, { sessionId }));
+
+  // One send in the middle can't be paid for: it fails before broadcast
+  // and must hand its nonce to the next transfer
+  const unaffordable = Math.floor(TRANSFERS / 2);
+  const sends = Array.from({ length: TRANSFERS }, (_, i) => signers[i % signers.length].sendTransaction({
+    to:    ethers.Wallet.createRandom().address,
+    value: i === unaffordable ? ethers.parseEther("1000000000") : 1n,
+  }));
+
+  const results  = await Promise.allSettled(sends);
+  const failed   = results.filter(r => r.status === "rejected");
+  const sent     = results.filter(r => r.status === "fulfilled").map(r => r.value);
+  assert.strictEqual(failed.length, 1, `expected only the unaffordable send to fail, got: ${failed.map(r => r.reason.shortMessage || r.reason.message).join("; ")}`);
+
+  const receipts = await Promise.all(sent.map(tx => tx.wait()));
+  assert.ok(receipts.every(r => r.status === 1), "every transfer should be mined successfully");
+
+  const nonces = sent.map(tx => tx.nonce).sort((a, b) => a - b);
+  assert.deepStrictEqual(nonces, Array.from({ length: sent.length }, (_, i) => start + i), `nonces are not consecutive: ${nonces.join(", ")}`);
+  assert.strictEqual(await provider.getTransactionCount(wallet.address, "latest"), start + sent.length);
+  console.log(`✅ ${sent.length} concurrent transfers mined on nonces ${nonces[0]}–${nonces[nonces.length - 1]}, no gaps or repeats`);
+
+  const lane = listQueues().find(q => q.chain === "local");
+  assert.strictEqual(lane.depth, 0);
+  assert.strictEqual(lane.sent, sent.length);
+  assert.strictEqual(lane.failed, 1);
+  console.log(`✅ One lane for all three users: ${lane.sent} sent, ${lane.failed} failed before broadcast, queue empty`);
+
+  console.log("\nNonce checks passed.");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error("❌", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,94 @@
+/**
+ * check-resolvers.js
+ * ─────────────────────────────────────────────────────────────────
+ * Runs name resolution against local stand-ins — no network, no keys:
+ *
+ *   - ENS and .celo names → the "local" backend (RESOLVER_LOCAL_NAMES)
+ *   - phone numbers       → the socialconnect backend, pointed at an
+ *                           HTTP stand-in for the issuer's lookup
+ *
+ * and checks each kind resolves, unknown names are refused, and a
+ * "send ... to alice.eth" request parses to the resolved address with
+ * the name shown next to it in the preview.
+ *
+ *   node scripts/check-resolvers.js      (or: npm run check:resolvers)
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const http   = require("http");
+const assert = require("assert");
+
+const NAMES = {
+  "alice.eth": "0x1111111111111111111111111111111111111111",
+  "bob.celo":  "0x2222222222222222222222222222222222222222",
+};
+const PHONES = {
+  "+447700900123": "0x3333333333333333333333333333333333333333",
+};
+
+async function main() {
+  const server = await startPhoneLookup();
+
+  // Set before config/keys.js is loaded; no OpenRouter key → local parser
+  process.env.OPENROUTER_API_KEY   = "";
+  process.env.ENS_RESOLVER         = "local";
+  process.env.CELO_RESOLVER        = "local";
+  process.env.PHONE_RESOLVER       = "socialconnect";
+  process.env.RESOLVER_LOCAL_NAMES = JSON.stringify(NAMES);
+  process.env.PHONE_LOOKUP_URL     = `http://127.0.0.1:${server.address().port}/lookup`;
+
+  const { resolveName }                             = require("../src/chains/nameResolver");
+  const { parseIntent, generateTransactionPreview } = require("../src/agent/intentParser");
+
+  try {
+    // ── Each kind of name ─────────────────────────────────────────
+    const ens = await resolveName("Alice.eth");
+    assert.deepStrictEqual(ens, { name: "alice.eth", kind: "ens", address: NAMES["alice.eth"], backend: "local" });
+
+    const celo = await resolveName("bob.celo");
+    assert.strictEqual(celo.address, NAMES["bob.celo"]);
+    assert.strictEqual(celo.kind, "celo");
+
+    const phone = await resolveName("+44 7700 900123");
+    assert.deepStrictEqual(phone, { name: "+447700900123", kind: "phone", address: PHONES["+447700900123"], backend: "socialconnect" });
+    console.log("✅ ENS, .celo and phone number resolved through the stand-ins");
+
+    // ── Unknown names ─────────────────────────────────────────────
+    await assert.rejects(resolveName("nobody.eth"), { code: "NAME_NOT_FOUND" });
+    await assert.rejects(resolveName("+15550000000"), { code: "NAME_NOT_FOUND" });
+    await assert.rejects(resolveName("alice"), { code: "NOT_A_NAME" });
+    console.log("✅ Unknown names and numbers are refused");
+
+    // ── Through the intent parser and preview ─────────────────────
+    const intent = await parseIntent("send 5 USDC to alice.eth on base");
+    assert.strictEqual(intent.toAddress, NAMES["alice.eth"]);
+    assert.strictEqual(intent.recipientName, "alice.eth");
+
+    const preview = await generateTransactionPreview(intent, { bridge: "Axelar", feeUSD: 0.3, estimatedMinutes: 5 });
+    assert.ok(preview.includes(`alice.eth (${NAMES["alice.eth"]})`), `preview should show the name and address: ${preview}`);
+
+    const unresolved = await parseIntent("send 5 USDC to nobody.eth on base");
+    assert.strictEqual(unresolved.type, "unresolved_name");
+    console.log("✅ \"send 5 USDC to alice.eth\" previews as alice.eth with its resolved address");
+
+    console.log("\nResolver checks passed.");
+  } finally {
+    server.close();
+  }
+}
+
+// Stand-in SocialConnect issuer: GET /lookup?phoneNumber=+... → { address }
+function startPhoneLookup() {
+  const server = http.createServer((req, res) => {
+    const url     = new URL(req.url, "http://localhost");
+    const address = url.pathname === "/lookup" && PHONES[url.searchParams.get("phoneNumber")];
+    res.writeHead(address ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(address ? { address } : { error: "not found" }));
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+main().catch(err => {
+  console.error("❌", err.message);
+  process.exit(1);
+});
@@ -10,13 +10,29 @@ const http       = require("http");
 const { Server } = require("socket.io");
 
 const config                  = require("./config/keys");
-const { handleUserMessage }   = require("./src/agent/orchestrator");
+const { handleUserMessage, handleBatchRequest, runScheduledTransfer,
+        reconcileTransfers, handleDeliveryProgress, handleStuckTransaction,
+        recordUserTransaction, startConfirmationExpiry, startReconciliation } = require("./src/agent/orchestrator");
 const { startAlertPolling, getAlertsForSession, cancelAlert,
         getCurrentBridgeFees, getTokenPrice, getGasPrices } = require("./src/trading/alertEngine");
-const { handleTelegramUpdate, registerWebhook: registerTelegramWebhook } = require("./src/bots/telegramBot");
-const { handleWhatsAppWebhook, verifyWebhook: verifyWhatsAppWebhook }    = require("./src/bots/whatsappBot");
+const { handleTelegramUpdate, verifyWebhookRequest: verifyTelegramRequest,
+        registerWebhook: registerTelegramWebhook } = require("./src/bots/telegramBot");
+const { handleWhatsAppWebhook, verifyWebhook: verifyWhatsAppWebhook,
+        verifySignature: verifyWhatsAppSignature } = require("./src/bots/whatsappBot");
 const { createPaymentRequest, verifyPayment, hasRecentPayment }          = require("./src/payments/x402Payment");
 const { notifyAlertTriggered } = require("./src/bots/notifier");
+const { listTransfers, getTransfer } = require("./src/store/transferLedger");
+const { startDeliveryTracking } = require("./src/bridges/deliveryTracker");
+const { startScheduler, listSchedules, pauseSchedule, resumeSchedule, cancelSchedule } = require("./src/trading/scheduler");
+const { startGasSweeper } = require("./src/chains/depositWallets");
+const { listQueues }      = require("./src/chains/signerService");
+const { startStuckTxWatcher } = require("./src/chains/stuckTxWatcher");
+const { verifyTokenDecimals } = require("./src/chains/tokenRegistry");
+const { listContacts, updateContact, deleteContact } = require("./src/store/addressBook");
+const { getEffectivePolicy, getSpending, updateUserPolicy, policyProblem } = require("./src/utils/spendingPolicy");
+const { getUserSettings } = require("./src/store/userSettings");
+const { screenParties, listScreeningHits, getScreeningStatus, startScreeningRefresh } = require("./src/utils/screening");
+const { issueWebSession, sessionFromToken, requireSession, requireOperator } = require("./src/utils/apiAuth");
 
 const app    = express();
 const server = http.createServer(app);
@@ -25,21 +41,40 @@ const io     = new Server(server, {
 });
 
 app.use(cors({ origin: config.SERVER.CORS_ORIGIN }));
-app.use(express.json());
+// The raw body is kept for webhook signature checks
+app.use(express.json({ verify: (req, _, buf) => { req.rawBody = buf; } }));
 app.use(express.static(path.join(__dirname, "frontend")));
 
+// ── Sessions ──────────────────────────────────────────────────────
+
+// POST /api/session — a new web session: { sessionId, sessionToken }. Session
+// routes below take the token as "Authorization: Bearer <sessionToken>"
+app.post("/api/session", (_, res) => res.json(issueWebSession()));
+
 // ── Agent API ─────────────────────────────────────────────────────
 
-app.post("/api/message", async (req, res) => {
-  const { sessionId, message, walletInfo } = req.body;
-  if (!sessionId || !message) return res.status(400).json({ error: "sessionId and message are required" });
+// { dryRun: true } previews and simulates; a YES then simulates instead of sending
+app.post("/api/message", requireSession, async (req, res) => {
+  const { message, walletInfo, dryRun } = req.body;
+  if (!message) return res.status(400).json({ error: "message is required" });
   try {
-    res.json(await handleUserMessage(sessionId, message, walletInfo || {}));
+    res.json(await handleUserMessage(req.sessionId, message, walletInfo || {}, { dryRun: dryRun === true }));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Batch / payroll: { csv } or { rows: [{ toAddress, amount, token, toChain, label }] }
+app.post("/api/batch", requireSession, async (req, res) => {
+  const { csv, rows, walletInfo } = req.body;
+  if (!csv && !Array.isArray(rows)) return res.status(400).json({ error: "csv or rows are required" });
+  try {
+    res.json(await handleBatchRequest(req.sessionId, { csv, rows }, walletInfo || {}));
+  } catch (err) {
+    res.status(err.code === "INVALID_BATCH" ? 400 : 500).json({ error: err.message });
+  }
+});
+
 app.get("/api/fees", async (req, res) => {
   const { fromChain = "celo", toChain, token = "USDC", amount = 100 } = req.query;
   if (!toChain) return res.status(400).json({ error: "toChain is required" });
@@ -64,18 +99,136 @@ app.get("/api/network", (_, res) => {
   });
 });
 
-app.get("/api/alerts/:sessionId",    (req, res) => res.json({ alerts: getAlertsForSession(req.params.sessionId) }));
-app.delete("/api/alerts/:alertId",   (req, res) => res.json({ success: cancelAlert(req.params.alertId) }));
+app.get("/api/alerts", requireSession, (req, res) => res.json({ alerts: getAlertsForSession(req.sessionId) }));
+app.delete("/api/alerts/:alertId", requireSession, (req, res) => {
+  const own = getAlertsForSession(req.sessionId).some(a => a.alertId === req.params.alertId);
+  res.json({ success: own && cancelAlert(req.params.alertId) });
+});
+
+// ── Transfer Ledger ───────────────────────────────────────────────
+
+// GET /api/transfers?batchId=&status=submitted,failed&limit=20 — the session's transfers
+app.get("/api/transfers", requireSession, async (req, res) => {
+  const { batchId, status, limit } = req.query;
+  try {
+    res.json({ transfers: await listTransfers({ sessionId: req.sessionId, batchId, status: status?.split(","), limit: parseInt(limit) || undefined }) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/transfers/:transferId — one of the session's transfers with its step history
+app.get("/api/transfers/:transferId", requireSession, async (req, res) => {
+  try {
+    const transfer = await getTransfer(req.params.transferId);
+    transfer?.sessionId === req.sessionId ? res.json(transfer) : res.status(404).json({ error: "Transfer not found" });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/transfers/:id/transactions  { index, txHash }
+// Non-custodial transfers: the user's wallet reports each transaction it sent
+app.post("/api/transfers/:transferId/transactions", requireSession, async (req, res) => {
+  const { index, txHash } = req.body;
+  if (!Number.isInteger(index) || !txHash) return res.status(400).json({ error: "index and txHash are required" });
+  try { res.json({ transfer: await recordUserTransaction({ sessionId: req.sessionId, transferId: req.params.transferId, index, txHash }) }); }
+  catch (e) {
+    const status = { TRANSFER_NOT_FOUND: 404, INVALID_TRANSACTION: 400 }[e.code] || 500;
+    res.status(status).json({ error: e.message });
+  }
+});
+
+// GET /api/signers — transaction queue depth and next nonce per wallet and chain. Operator only
+app.get("/api/signers", requireOperator, (_, res) => res.json({ queues: listQueues() }));
+
+// ── Scheduled Transfers ───────────────────────────────────────────
+
+// GET /api/schedules — the session's recurring transfers, oldest first
+app.get("/api/schedules", requireSession, async (req, res) => {
+  try { res.json({ schedules: await listSchedules({ sessionId: req.sessionId }) }); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/schedules/:id/pause | /resume
+const scheduleActions = { pause: pauseSchedule, resume: resumeSchedule };
+app.post("/api/schedules/:scheduleId/:action(pause|resume)", requireSession, async (req, res) => {
+  try { res.json({ schedule: await scheduleActions[req.params.action](req.params.scheduleId, req.sessionId) }); }
+  catch (e) { res.status(e.code === "SCHEDULE_NOT_FOUND" ? 404 : 500).json({ error: e.message }); }
+});
+
+// DELETE /api/schedules/:id
+app.delete("/api/schedules/:scheduleId", requireSession, async (req, res) => {
+  try { res.json({ success: Boolean(await cancelSchedule(req.params.scheduleId, req.sessionId)) }); }
+  catch (e) { res.status(e.code === "SCHEDULE_NOT_FOUND" ? 404 : 500).json({ error: e.message }); }
+});
+
+// ── Address Book ──────────────────────────────────────────────────
+
+const contactErrorStatus = (e) => ({ CONTACT_NOT_FOUND: 404, INVALID_CONTACT: 400 })[e.code] || 500;
+
+// GET /api/contacts — the session's saved contacts, by name
+app.get("/api/contacts", requireSession, async (req, res) => {
+  try { res.json({ contacts: await listContacts(req.sessionId) }); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// PATCH /api/contacts/:id  { name?, address?, chain? }
+app.patch("/api/contacts/:contactId", requireSession, async (req, res) => {
+  const { name, address, chain } = req.body;
+  try { res.json({ contact: await updateContact(req.params.contactId, req.sessionId, { name, address, chain }) }); }
+  catch (e) { res.status(contactErrorStatus(e)).json({ error: e.message }); }
+});
+
+// DELETE /api/contacts/:id
+app.delete("/api/contacts/:contactId", requireSession, async (req, res) => {
+  try { res.json({ success: Boolean(await deleteContact(req.params.contactId, req.sessionId)) }); }
+  catch (e) { res.status(contactErrorStatus(e)).json({ error: e.message }); }
+});
+
+// ── Spending Policy ───────────────────────────────────────────────
+
+// GET /api/policy — the user's own limits, the ones in force, and what's been spent
+app.get("/api/policy", requireSession, async (req, res) => {
+  const { sessionId } = req;
+  try {
+    const { policy: own } = await getUserSettings(sessionId);
+    const { policy, sources } = await getEffectivePolicy(sessionId);
+    res.json({ own, effective: policy, sources, spent: await getSpending(sessionId) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// PATCH /api/policy  { dailyLimitUSD?, maxTxUSD?, allowedChains?, ... } — null removes a rule
+app.patch("/api/policy", requireSession, async (req, res) => {
+  const changes = req.body;
+  const problem = policyProblem(changes);
+  if (problem) return res.status(400).json({ error: problem });
+  try { res.json({ own: await updateUserPolicy(req.sessionId, changes), effective: (await getEffectivePolicy(req.sessionId)).policy }); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ── Screening ─────────────────────────────────────────────────────
+
+// GET /api/screening — loaded denylists (size, last good read, read errors)
+app.get("/api/screening", (_, res) => res.json(getScreeningStatus()));
+
+// GET /api/screening/hits?sessionId=&limit= — blocked addresses (all, or one session's), newest first. Operator only
+app.get("/api/screening/hits", requireOperator, async (req, res) => {
+  const { sessionId, limit } = req.query;
+  try { res.json({ hits: await listScreeningHits({ sessionId, limit: limit ? parseInt(limit) : undefined }) }); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
 
 // ── x402 Payment Routes ───────────────────────────────────────────
 
 // POST /api/payment/request — generate fee request before transfer
-app.post("/api/payment/request", (req, res) => {
-  const { sessionId, userAddress, token = "USDC" } = req.body;
-  if (!sessionId || !userAddress) return res.status(400).json({ error: "sessionId and userAddress required" });
-  if (hasRecentPayment(sessionId)) return res.json({ alreadyPaid: true, message: "Recent payment found. Proceeding." });
-  const pr = createPaymentRequest(sessionId, userAddress, token);
-  res.json({ ...pr, message: `Send ${pr.amount} ${token} to ${pr.payTo} on Celo to proceed.` });
+app.post("/api/payment/request", requireSession, async (req, res) => {
+  const { userAddress, token = "USDC" } = req.body;
+  const { sessionId } = req;
+  if (!userAddress) return res.status(400).json({ error: "userAddress required" });
+  try {
+    const screening = await screenParties({ sessionId, fromAddress: userAddress, context: "x402", details: { token } });
+    if (screening.blocked) return res.status(403).json({ error: screening.reasons.join(" ") });
+    if (hasRecentPayment(sessionId)) return res.json({ alreadyPaid: true, message: "Recent payment found. Proceeding." });
+    const pr = createPaymentRequest(sessionId, userAddress, token);
+    res.json({ ...pr, message: `Send ${pr.amount} ${token} to ${pr.payTo} on Celo to proceed.` });
+  } catch (e) { res.status(e.code === "UNKNOWN_TOKEN" ? 400 : 500).json({ error: e.message }); }
 });
 
 // POST /api/payment/verify — confirm payment on-chain
@@ -92,6 +245,7 @@ app.post("/api/payment/verify", async (req, res) => {
 
 // POST /webhooks/telegram — receives bot updates from Telegram
 app.post("/webhooks/telegram", (req, res) => {
+  if (!verifyTelegramRequest(req.get("x-telegram-bot-api-secret-token"))) return res.sendStatus(403);
   res.sendStatus(200); // Always ACK immediately
   setImmediate(() => handleTelegramUpdate(req.body));
 });
@@ -106,14 +260,19 @@ app.get("/webhooks/whatsapp", (req, res) => {
 
 // POST /webhooks/whatsapp — receives incoming WhatsApp messages
 app.post("/webhooks/whatsapp", (req, res) => {
+  if (!verifyWhatsAppSignature(req.rawBody, req.get("x-hub-signature-256"))) return res.sendStatus(403);
   res.sendStatus(200); // Always ACK immediately
   setImmediate(() => handleWhatsAppWebhook(req.body));
 });
 
 // ── WebSocket ─────────────────────────────────────────────────────
 
+// join_session takes the session token, not the id
 io.on("connection", (socket) => {
-  socket.on("join_session", (sid) => socket.join(sid));
+  socket.on("join_session", (token) => {
+    const sessionId = sessionFromToken(token);
+    if (sessionId) socket.join(sessionId);
+  });
 });
 
 // Alert polling → push via WebSocket + bots
@@ -126,6 +285,41 @@ startAlertPolling(async (alertId, alert) => {
   }
 });
 
+// Delivery tracking → push progress via WebSocket + bots
+startDeliveryTracking(async (transfer, progress) => {
+  io.to(transfer.sessionId).emit("transfer_progress", { transferId: transfer.id, status: transfer.status, progress });
+  await handleDeliveryProgress(transfer, progress);
+});
+
+// Recurring transfers → execute when due, push the result via WebSocket
+startScheduler(async (schedule) => {
+  const run = await runScheduledTransfer(schedule);
+  io.to(schedule.sessionId).emit("schedule_run", { scheduleId: schedule.id, run });
+  return run;
+});
+
+// Stuck transactions → re-send with a higher fee, push the new hash via WebSocket + bots
+startStuckTxWatcher(async (event) => {
+  if (event.sessionId) io.to(event.sessionId).emit("stuck_transaction", event);
+  await handleStuckTransaction(event);
+});
+
+// Unconfirmed previews → cancel after a while, push the notice via WebSocket + bots
+startConfirmationExpiry(async (sessionId) => {
+  io.to(sessionId).emit("confirmation_expired", {
+    message: "⌛ That transfer request expired before it was confirmed, so nothing was sent. Send it again for a fresh quote.",
+  });
+});
+
+// Deposit wallets → return unused gas top-ups to the agent wallet
+startGasSweeper();
+
+// Transfers still in the mempool after a restart → settle once mined or dropped
+startReconciliation();
+
+// Denylists → re-read the operator's list files
+startScreeningRefresh();
+
 // ── Start ─────────────────────────────────────────────────────────
 
 const PORT = config.SERVER.PORT || 3000;
@@ -134,8 +328,16 @@ server.listen(PORT, async () => {
 ╔══════════════════════════════════════════════════════════╗
 ║  ⚡ CrossFlow Agent  →  http://localhost:${PORT}             ║
 ╠══════════════════════════════════════════════════════════╣
-║  REST API         POST /api/message                      ║
+║  Sessions         POST /api/session                      ║
+║  REST API         POST /api/message | /api/batch         ║
 ║                   GET  /api/fees | /api/gas | /api/price ║
+║  Transfers        GET  /api/transfers[/:transferId]      ║
+║                   POST /api/transfers/:id/transactions   ║
+║  Signer queues    GET  /api/signers                      ║
+║  Schedules        GET  /api/schedules                    ║
+║                   POST /api/schedules/:id/pause|resume   ║
+║  Contacts         GET  /api/contacts                     ║
+║                   PATCH|DELETE /api/contacts/:id         ║
 ║  x402 Payments    POST /api/payment/request              ║
 ║                   POST /api/payment/verify               ║
 ║  Telegram Bot     POST /webhooks/telegram                ║
@@ -143,6 +345,12 @@ server.listen(PORT, async () => {
 ║                   POST /webhooks/whatsapp  (messages)    ║
 ╚══════════════════════════════════════════════════════════╝`);
 
+  // Check token decimals on-chain before any amount is converted
+  await verifyTokenDecimals().catch(err => console.warn("[Server] Token decimals check failed:", err.message));
+
+  // Resume or fail transfers interrupted by the last shutdown
+  await reconcileTransfers().catch(err => console.warn("[Server] Transfer reconciliation failed:", err.message));
+
   const publicUrl = config.SERVER?.PUBLIC_URL;
   if (publicUrl && !publicUrl.includes("YOUR_PUBLIC")) {
     await registerTelegramWebhook(publicUrl).catch(console.warn);
@@ -0,0 +1,259 @@
+/**
+ * batchProcessor.js
+ * ─────────────────────────────────────────────────────────────────
+ * Batch / payroll transfers: many recipients, one confirmation.
+ *
+ * Input comes from:
+ *   - a CSV uploaded in the web UI or POSTed to /api/batch
+ *   - a JSON array of rows POSTed to /api/batch
+ *   - a chat message listing several addresses (see intentParser)
+ *
+ * Every row goes through the same checks as a single transfer
+ * (detectChainFromAddress → getBestBridgeRoute → validateTransfer).
+ * Rows that fail are reported and skipped; they never block the rest.
+ * Spending limits count the rows above each one as already spent.
+ * A large first transfer to a new address gets a confirmCode, and the
+ * batch is confirmed by typing every such code instead of YES.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { detectChainFromAddress } = require("../chains/chainDetector");
+const { getBestBridgeRoute }     = require("../bridges/bridgeRouter");
+const { validateTransfer }       = require("../utils/validator");
+const { usdValue }               = require("../utils/spendingPolicy");
+const { confirmCode }            = require("../utils/addressRisk");
+
+// Upper bound on rows per batch — each row costs several quote API calls
+const MAX_BATCH_ROWS = 50;
+
+// Same hard stop as a single transfer: fee above 25% of the amount
+const MAX_FEE_RATIO = 0.25;
+
+const TOKEN_NAMES = { usdt: "USDT", usdc: "USDC", usdm: "USDm", cusd: "cUSD", celo: "CELO", eth: "ETH" };
+
+// CSV header aliases → row field
+const CSV_COLUMNS = {
+  address: "toAddress", toaddress: "toAddress", wallet: "toAddress", recipient: "toAddress",
+  amount:  "amount",
+  token:   "token",     currency: "token",
+  chain:   "toChain",   tochain: "toChain",   network: "toChain",
+  name:    "label",     label: "label",       memo: "label",
+};
+const DEFAULT_COLUMN_ORDER = ["toAddress", "amount", "token", "toChain", "label"];
+
+/**
+ * Parse a payroll CSV. A header row is optional; without one the
+ * columns are read as: address, amount, token, chain, name.
+ *
+ * @param {string} csv
+ * @returns {Object[]} Raw rows { toAddress, amount, token, toChain, label }
+ */
+function parseBatchCsv(csv) {
+  const lines = String(csv || "")
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l && !l.startsWith("#"));
+
+  if (lines.length === 0) throw batchError("The CSV is empty.");
+
+  const firstCells = splitCsvLine(lines[0]).map(c => c.toLowerCase().replace(/[^a-z]/g, ""));
+  const hasHeader  = firstCells.some(c => CSV_COLUMNS[c] === "toAddress");
+  const columns    = hasHeader ? firstCells.map(c => CSV_COLUMNS[c] || null) : DEFAULT_COLUMN_ORDER;
+  const dataLines  = hasHeader ? lines.slice(1) : lines;
+
+  return dataLines.map(line => {
+    const cells = splitCsvLine(line);
+    const row   = {};
+    columns.forEach((field, i) => { if (field && cells[i] !== undefined) row[field] = cells[i]; });
+    return row;
+  });
+}
+
+/**
+ * Quote and validate every row of a batch.
+ *
+ * @param {Object[]} rawRows
+ * @param {Object}   [options]
+ * @param {string}   [options.sessionId]    - Whose spending policy applies
+ * @param {string}   [options.fromChain]    - Defaults to "celo"
+ * @param {string}   [options.priority]     - Bridge priority for every row
+ * @param {string}   [options.defaultToken] - Token for rows that don't name one
+ * @param {number}   [options.slippagePercent] - Max slippage for every row
+ * @returns {Promise<{ batchId: string, rows: Object[], totals: Object }>}
+ */
+async function planBatch(rawRows, { sessionId = null, fromChain = "celo", priority = "cheapest", defaultToken = "USDC", slippagePercent = null } = {}) {
+  if (!Array.isArray(rawRows) || rawRows.length === 0) throw batchError("The batch has no rows.");
+  if (rawRows.length > MAX_BATCH_ROWS) {
+    throw batchError(`A batch can have at most ${MAX_BATCH_ROWS} rows (got ${rawRows.length}). Split it into smaller files.`);
+  }
+
+  const rows = [];
+  let plannedUSD = 0;
+  for (const [i, raw] of rawRows.entries()) {
+    const row = await planRow(normalizeRow(raw, i, defaultToken), { sessionId, fromChain, priority, slippagePercent, pendingUSD: plannedUSD });
+    if (row.status === "ready") plannedUSD += (await usdValue(row.token, row.amount)) ?? row.amount;
+    rows.push(row);
+  }
+
+  return {
+    batchId: `batch_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    rows,
+    totals:  summarize(rows),
+  };
+}
+
+async function planRow(row, { sessionId, fromChain, priority, slippagePercent, pendingUSD }) {
+  const errors = [];
+  if (!row.toAddress) errors.push("Missing recipient address.");
+  if (!(row.amount > 0)) errors.push("Missing or invalid amount.");
+  if (errors.length > 0) return { ...row, status: "invalid", errors };
+
+  try {
+    const chainInfo = detectChainFromAddress(row.toAddress, row.toChain || "");
+    const toChain   = chainInfo.chain;
+
+    if (toChain === "unknown") return { ...row, status: "invalid", errors: ["Could not tell which chain this address is on — add a chain column."] };
+    if (chainInfo.unsupported) return { ...row, toChain, status: "invalid", errors: [chainInfo.note] };
+
+    const { best: bridgeQuote, warnings: bridgeWarnings } =
+      await getBestBridgeRoute({ fromChain, toChain, token: row.token, amount: row.amount, priority });
+
+    const intent = {
+      type:       "transfer",
+      fromChain,
+      toAddress:  row.toAddress,
+      token:      row.token,
+      amount:     row.amount,
+      toChain,
+      priority,
+      slippagePercent,
+      rawMessage: row.toChain || "",
+    };
+
+    if (!bridgeQuote) {
+      return { ...row, toChain, status: "invalid", errors: [bridgeWarnings.join(" ") || `No bridge route for ${row.token} to ${toChain}.`] };
+    }
+
+    const validation = await validateTransfer(intent, bridgeQuote, { sessionId, pendingUSD });
+    if (!validation.valid) return { ...row, toChain, status: "invalid", errors: validation.errors };
+
+    if (bridgeQuote.feeUSD / row.amount > MAX_FEE_RATIO) {
+      return { ...row, toChain, status: "invalid", errors: [`Fee $${bridgeQuote.feeUSD.toFixed(2)} is more than 25% of the amount.`] };
+    }
+
+    return {
+      ...row,
+      toChain,
+      status:   "ready",
+      intent,
+      bridgeQuote,
+      warnings: [...bridgeWarnings, ...validation.warnings],
+      errors:   [],
+      confirmCode: validation.recipientRisk?.typedConfirmation ? confirmCode(row.toAddress) : null,
+    };
+  } catch (err) {
+    console.warn(`[Batch] Row ${row.index + 1} could not be quoted:`, err.message);
+    return { ...row, status: "invalid", errors: [`Could not quote this row: ${err.message}`] };
+  }
+}
+
+/**
+ * Plain-text consolidated preview for chat channels.
+ */
+function formatBatchPreview(batch) {
+  const { rows, totals } = batch;
+
+  const lines = rows.map(r => {
+    const who = r.label ? `${r.label} (${shortAddress(r.toAddress)})` : shortAddress(r.toAddress);
+    return r.status === "ready"
+      ? `${r.confirmCode ? "🔐" : "✅"} ${r.index + 1}. ${r.amount} ${r.token} → ${who} on ${r.toChain} via ${r.bridgeQuote.bridge} · fee $${r.bridgeQuote.feeUSD.toFixed(2)}`
+      : `❌ ${r.index + 1}. ${r.amount || "?"} ${r.token} → ${who} — ${r.errors.join(" ")}`;
+  });
+
+  const amounts = Object.entries(totals.amountByToken).map(([t, a]) => `${round(a)} ${t}`).join(" + ");
+
+  let message = `📋 **Batch of ${totals.count} transfer${totals.count === 1 ? "" : "s"}** — ${totals.ready} ready` +
+    (totals.invalid ? `, ${totals.invalid} need attention` : "") +
+    `\n\n${lines.join("\n")}`;
+
+  if (totals.ready === 0) {
+    message += "\n\nNone of the rows can be sent as-is. Fix the rows marked ❌ and try again.";
+  } else {
+    message += `\n\nTotal: ${amounts} · fees $${totals.feeUSD.toFixed(2)} · slowest arrival ~${totals.maxMinutes} min`;
+    message += totals.typed > 0
+      ? `\n\n🔐 Rows marked 🔐 are large first transfers to new addresses, so YES isn't enough: type the last 4 characters of each of those addresses, separated by spaces, to send the ${totals.ready} ready transfer${totals.ready === 1 ? "" : "s"} — or NO to cancel.`
+      : `\n\nReply YES to send the ${totals.ready} ready transfer${totals.ready === 1 ? "" : "s"} or NO to cancel.`;
+    if (totals.invalid) message += " Rows marked ❌ will be skipped.";
+  }
+  return message;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+function normalizeRow(raw, index, defaultToken) {
+  const token = String(raw.token || "").trim().toLowerCase();
+  const chain = String(raw.toChain || "").trim().toLowerCase();
+  return {
+    index,
+    toAddress: String(raw.toAddress || "").trim() || null,
+    amount:    parseFloat(String(raw.amount ?? "").replace(/[$,\s]/g, "")) || null,
+    token:     TOKEN_NAMES[token] || raw.token || defaultToken,
+    toChain:   chain || null,
+    label:     raw.label ? String(raw.label).trim() : null,
+  };
+}
+
+function summarize(rows) {
+  const ready = rows.filter(r => r.status === "ready");
+  const amountByToken = {};
+  for (const r of ready) amountByToken[r.token] = (amountByToken[r.token] || 0) + r.amount;
+
+  return {
+    count:      rows.length,
+    ready:      ready.length,
+    invalid:    rows.length - ready.length,
+    typed:      ready.filter(r => r.confirmCode).length,
+    amountByToken,
+    feeUSD:     ready.reduce((sum, r) => sum + r.bridgeQuote.feeUSD, 0),
+    maxMinutes: ready.reduce((max, r) => Math.max(max, r.bridgeQuote.estimatedMinutes || 0), 0),
+  };
+}
+
+// Minimal CSV: commas, optional double quotes, "" as an escaped quote
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { cells.push(cell.trim()); cell = ""; }
+    else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function shortAddress(address) {
+  return address ? `${address.slice(0, 8)}...` : "(no address)";
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function batchError(message) {
+  const err = new Error(message);
+  err.code  = "INVALID_BATCH";
+  return err;
+}
+
+module.exports = {
+  parseBatchCsv,
+  planBatch,
+  formatBatchPreview,
+  MAX_BATCH_ROWS,
+};
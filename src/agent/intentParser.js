@@ -15,6 +15,9 @@
 
 const OpenAI = require("openai");
 const config = require("../../config/keys");
+const { matchContact } = require("../store/addressBook");
+const { resolveNamesInMessage } = require("../chains/nameResolver");
+const { parseSlippage, stripSlippage } = require("../utils/slippage");
 
 // ── OpenRouter client (OpenAI-compatible) ──────────────────────────
 // Uses the same OpenAI SDK — just a different baseURL and key
@@ -55,7 +58,9 @@ TYPE 1 — Transfer:
   "token": "USDT",
   "amount": 100,
   "toChain": "base",
-  "priority": "cheapest"
+  "receiveToken": null,
+  "priority": "cheapest",
+  "slippagePercent": null
 }
 
 TYPE 2 — Alert:
@@ -78,7 +83,8 @@ TYPE 3 — Swap + Transfer:
   "toChain": "solana",
   "amount": 500,
   "toAddress": "...",
-  "priority": "cheapest"
+  "priority": "cheapest",
+  "slippagePercent": null
 }
 
 TYPE 4 — Query:
@@ -91,6 +97,83 @@ TYPE 4 — Query:
 Examples of balance queries: "show my balance", "my balance", "what do I have", "how much USDT do I have"
 For balance queries always use queryType: "balance_check" and chain: "celo"
 
+TYPE 6 — Batch transfer (several recipients in one message):
+{
+  "type": "batch_transfer",
+  "fromChain": "celo",
+  "priority": "cheapest",
+  "slippagePercent": null,
+  "recipients": [
+    { "toAddress": "0x...", "amount": 50, "token": "USDC", "toChain": "base", "label": null },
+    { "toAddress": "7xB2...", "amount": 120, "token": "USDT", "toChain": "solana", "label": "Ana" }
+  ]
+}
+Use TYPE 6 whenever the message contains two or more destination addresses.
+"50 USDC each to A, B and C" means one row per address with amount 50.
+
+TYPE 7 — Recurring (scheduled) transfer:
+{
+  "type": "schedule_transfer",
+  "cron": "0 9 * * 5",
+  "description": "every Friday at 09:00 UTC",
+  "maxFeeUSD": null,
+  "transfer": { "fromChain": "celo", "toAddress": "0x...", "token": "USDC", "amount": 50, "toChain": "base", "priority": "cheapest" }
+}
+Use TYPE 7 when the user wants a transfer to repeat ("every Friday", "daily",
+"on the 1st of every month"). cron is a standard 5-field expression in UTC;
+use 09:00 UTC when no time is given. maxFeeUSD is set only if the user caps the
+fee ("max fee $1", "only if fees are under $0.50"). toAddress may be null if the
+user says "my wallet" without an address.
+
+TYPE 8 — Manage scheduled transfers:
+{
+  "type": "schedule_manage",
+  "action": "list" | "pause" | "resume" | "cancel",
+  "scheduleRef": "2"
+}
+scheduleRef is the number the user sees in their list (or a sched_... id); null for "list".
+
+TYPE 9 — Address book (saved contacts):
+{
+  "type": "contact_manage",
+  "action": "list" | "save" | "update" | "delete",
+  "contactRef": "Mum",
+  "name": "Mum",
+  "address": "0x...",
+  "chain": "base"
+}
+"save 0xA1B2... on Base as Mum" → action "save" with name, address and chain.
+"rename Mum to Mom" → action "update", contactRef "Mum", name "Mom".
+"change Mum to 0xC3D4... on Polygon" → action "update" with address and/or chain.
+"forget Mum" / "delete contact Mum" → action "delete". "my contacts" → action "list".
+Fields that weren't given are null.
+
+TYPE 10 — Slippage setting (the user's default for every transfer):
+{
+  "type": "slippage_setting",
+  "action": "set" | "reset" | "show",
+  "slippagePercent": 0.3
+}
+"set my slippage to 0.3%" → action "set". "reset my slippage" → "reset".
+"what's my slippage?" → "show". slippagePercent is null unless action is "set".
+
+TYPE 11 — Spending policy (the user's own limits on their transfers):
+{
+  "type": "policy_setting",
+  "action": "set" | "reset" | "show",
+  "changes": { "dailyLimitUSD": 500 }
+}
+changes may hold dailyLimitUSD, weeklyLimitUSD, monthlyLimitUSD, maxTxUSD,
+allowedChains (e.g. ["base", "polygon"]), allowedTokens (e.g. ["USDC"]),
+newRecipientCoolingHours and newRecipientMaxUSD; null removes that rule.
+"set my daily limit to $500" → { "dailyLimitUSD": 500 }.
+"limit each transfer to $1000" → { "maxTxUSD": 1000 }.
+"only allow sends to Base and Polygon" → { "allowedChains": ["base", "polygon"] }.
+"new recipients get at most $100 for the first 24 hours" →
+{ "newRecipientCoolingHours": 24, "newRecipientMaxUSD": 100 }.
+"remove my weekly limit" → { "weeklyLimitUSD": null }.
+"reset my limits" → action "reset", changes {}. "show my limits" → "show", changes {}.
+
 TYPE 5 — Needs clarification (ONLY if both address AND amount are truly missing):
 {
   "type": "clarification_needed",
@@ -107,17 +190,50 @@ Rules:
 - EVM addresses: 0x + 40 hex chars
 - Infer toChain from address format or user's words
 - If address + amount + token are present → TYPE 1, never ask for clarification
+- receiveToken: set it only when the recipient should get a DIFFERENT token than
+  the one sent ("send 100 USDm to 0x... on Base as USDT" → token "USDm",
+  receiveToken "USDT"). Otherwise null. Use TYPE 1 for these, not TYPE 3.
 - Only use TYPE 5 if BOTH address AND amount are completely missing
+- slippagePercent: set it only when the request itself caps slippage
+  ("max 0.3% slippage" → 0.3), never read that number as the amount
+- When the user names one of their saved contacts, use that contact's
+  address as toAddress
+- If a draft transfer is waiting for details and the message only adds or
+  changes some of them ("on Base", "make it USDT", "50", just an address),
+  return TYPE 5 with only the details from THIS message in partialIntent
+  (e.g. { "toChain": "base" }) — they are merged into the draft for you
 `;
 
 const PREVIEW_SYSTEM_PROMPT = `
 You are a friendly assistant for a crypto transfer app.
 Write a warm, clear 2-3 sentence summary of what is about to happen.
 Include: amount, token, destination chain, bridge, estimated fee, and time.
+If the intent has a "swapFirst" step, describe both legs in order: the swap
+(from token, to token, DEX, expected output) and then the bridge transfer.
+If it has a "swapAfter" step, add the conversion on the destination chain and
+quote the final amount the recipient receives in swapAfter.toToken.
+If the route has "splits", explain that the amount is split across those
+bridges (amount and bridge for each) and sent in parallel.
+If the intent has a "contactName", call the recipient by that name and
+still show the start of the address.
+If the intent has a "recipientName" (an ENS name, .celo name or phone number),
+show that name together with the full toAddress it resolved to.
 End with: "Reply YES to confirm or NO to cancel."
 Sound like a helpful human, not a robot. Keep it simple — no jargon.
 `;
 
+const AMEND_SYSTEM_PROMPT = `
+The user is looking at a transfer preview and may want to change it before
+confirming. Given the pending transfer and their message, respond with valid
+JSON only, holding just the fields they want changed:
+{ "amount": 80, "token": "USDT", "toChain": "arbitrum", "toAddress": "0x...",
+  "preferredBridge": "Celer", "priority": "cheapest" | "fastest" | "safest",
+  "slippagePercent": 0.3 }
+"make it 80 instead" → { "amount": 80 }. "max 0.3% slippage" → { "slippagePercent": 0.3 }. "use Celer" → { "preferredBridge": "Celer" }.
+"send to Arbitrum instead" → { "toChain": "arbitrum" }. "fastest route" → { "priority": "fastest" }.
+Return {} if the message changes nothing (e.g. "yes", "no", "ok", a question).
+`;
+
 const ERROR_SYSTEM_PROMPT = `
 You are a helpful crypto assistant explaining why a transaction couldn't complete.
 Be warm and clear. Avoid technical jargon — explain it simply.
@@ -129,16 +245,45 @@ Always end with 1-2 concrete next steps the user can take.
 /**
  * Parse a natural language message into a structured intent.
  * Tries OpenRouter API first, falls back to local regex parser.
+ * Saved contacts named in the message are resolved to their address
+ * and chain either way. ENS names, .celo names and phone numbers are
+ * looked up first and replaced by their address; one that can't be
+ * resolved gives { type: "unresolved_name" }.
+ *
+ * A reply to a clarification question ("on Base", "make it USDT", an
+ * address) is merged into the session's draft intent, and becomes a
+ * transfer once the address and amount are both known.
  *
  * @param {string} userMessage
  * @param {Object} sessionContext
+ * @param {Object[]} [sessionContext.contacts]    - The user's address book
+ * @param {Object}   [sessionContext.draftIntent] - Partial transfer still missing details
  * @returns {Promise<Object>}
  */
 async function parseIntent(userMessage, sessionContext = {}) {
+  const contacts = sessionContext.contacts || [];
+
+  // "send 5 USDC to alice.eth" — parse with alice.eth's address in its place
+  const names = await resolveNamesInMessage(userMessage, { exclude: contacts.map(c => c.name) });
+  if (names.failed.length > 0) {
+    const { name, error, code } = names.failed[0];
+    return { type: "unresolved_name", name, reason: error, code };
+  }
+  const intent = await parseResolvedIntent(names.message, sessionContext, contacts);
+  return fillDraft(attachNames(intent, names.resolved), sessionContext.draftIntent);
+}
+
+// OpenRouter first, then the local parser; contacts resolved either way
+async function parseResolvedIntent(userMessage, sessionContext, contacts) {
   if (ai) {
     try {
-      const contextStr = sessionContext.connectedWallet
+      const walletStr  = sessionContext.connectedWallet
         ? `\nUser's connected wallet: ${sessionContext.connectedWallet}` : "";
+      const contactStr = contacts.length > 0
+        ? `\nUser's saved contacts: ${contacts.map(c => `${c.name} = ${c.address} (${c.chain})`).join("; ")}` : "";
+      const draftStr   = sessionContext.draftIntent
+        ? `\nDraft transfer waiting for details: ${JSON.stringify(sessionContext.draftIntent)}` : "";
+      const contextStr = walletStr + contactStr + draftStr;
 
       const response = await ai.chat.completions.create({
         model:      MODEL,
@@ -156,7 +301,7 @@ async function parseIntent(userMessage, sessionContext = {}) {
       const cleaned = rawText.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
       const intent  = JSON.parse(cleaned);
       console.log("[IntentParser] OpenRouter parsed:", JSON.stringify(intent));
-      return intent;
+      return resolveContacts(intent, contacts, userMessage);
 
     } catch (error) {
       console.warn("[IntentParser] OpenRouter call failed, using local parser:", error.message);
@@ -165,16 +310,56 @@ async function parseIntent(userMessage, sessionContext = {}) {
     console.warn("[IntentParser] No OPENROUTER_API_KEY set — using local parser. Add key to config/keys.js");
   }
 
-  return localParseIntent(userMessage);
+  return localParseIntent(userMessage, { contacts });
 }
 
 /**
  * Local regex fallback — no API needed.
  * Handles basic transfer commands reliably for testing.
  */
-function localParseIntent(message) {
+function localParseIntent(message, { scheduled = false, contacts = [] } = {}) {
   const msg = message.toLowerCase().trim();
 
+  // Managing existing schedules ("my schedules", "pause 2")
+  const scheduleCommand = countAddresses(message) === 0 && parseScheduleCommand(msg);
+  if (scheduleCommand) return scheduleCommand;
+
+  // Address book ("save 0x... on Base as Mum", "forget Mum")
+  const contactCommand = parseContactCommand(message);
+  if (contactCommand) return contactCommand;
+
+  // "set my slippage to 0.3%", "what's my slippage?"
+  const slippageCommand = parseSlippageCommand(msg);
+  if (slippageCommand) return slippageCommand;
+
+  // "set my daily limit to $500", "only allow sends to Base", "show my limits"
+  const policyCommand = countAddresses(message) === 0 && parsePolicyCommand(msg);
+  if (policyCommand) return policyCommand;
+
+  // "...with max 0.3% slippage" — read apart so 0.3 isn't taken for the amount
+  const slippagePercent = parseSlippage(message);
+  if (slippagePercent !== null) {
+    return withSlippage(localParseIntent(stripSlippage(message), { scheduled, contacts }), slippagePercent);
+  }
+
+  // "send 20 USDC to Mum" — parse with Mum's address in place of her name
+  if (contacts.length > 0) {
+    const intent = localParseIntent(insertContactAddresses(message, contacts), { scheduled });
+    return resolveContacts(intent, contacts, message);
+  }
+
+  // Recurring transfer — the rest of the message is parsed as the transfer
+  const schedule = !scheduled && parseScheduleText(message);
+  if (schedule) {
+    return {
+      type:        "schedule_transfer",
+      cron:        schedule.cron,
+      description: schedule.description,
+      maxFeeUSD:   schedule.maxFeeUSD,
+      transfer:    localParseIntent(schedule.rest, { scheduled: true }),
+    };
+  }
+
   // Alert intent
   if (msg.includes("alert") || msg.includes("notify") || msg.includes("when fees")) {
     const threshold  = parseFloat(msg.match(/\$?([\d.]+)/)?.[1] || "1");
@@ -214,10 +399,20 @@ function localParseIntent(message) {
     };
   }
 
+  // Several addresses → batch transfer
+  if (countAddresses(message) > 1) return parseBatchMessage(message);
+
   // Transfer intent — extract core fields
-  const amountMatch = msg.match(/(\d+(?:\.\d+)?)\s*(usdt|usdc|usdm|celo|eth)?/);
+  // Digits or chain names inside an address ("7xB2...op9q...") don't count
+  const plainText   = message.replace(EVM_ADDRESS_RE, " ").replace(SOLANA_ADDRESS_RE, " ").toLowerCase();
+  const amountMatch = plainText.match(/(\d+(?:\.\d+)?)\s*(usdt|usdc|usdm|celo|eth)?/);
   const amount      = amountMatch ? parseFloat(amountMatch[1]) : null;
-  const token       = extractToken(msg) || "USDC";
+
+  // "...as USDT" / "...in USDT" / "convert to USDT" → deliver a different token
+  const receiveMatch = msg.match(/\b(?:as|in|into|convert(?:ed)? to|receive)\s+(usdt|usdc|usdm|celo|eth)\b/);
+  const receiveToken = receiveMatch ? extractToken(` ${receiveMatch[1]}`) : null;
+  const namedToken   = extractToken(receiveMatch ? msg.replace(receiveMatch[0], "") : msg);
+  const token        = namedToken || "USDC";
 
   const evmAddress    = message.match(/0x[a-fA-F0-9]{40}/)?.[0]    || null;
   const solanaAddress = message.match(/[1-9A-HJ-NP-Za-km-z]{32,44}/)?.[0] || null;
@@ -233,9 +428,10 @@ function localParseIntent(message) {
   };
   let toChain = null;
   for (const [kw, chain] of Object.entries(chainMap)) {
-    if (msg.includes(kw)) { toChain = chain; break; }
+    if (plainText.includes(kw)) { toChain = chain; break; }
   }
   if (!toChain && solanaAddress && !evmAddress) toChain = "solana";
+  const namedChain = toChain;
   if (!toChain && evmAddress)                   toChain = "ethereum";
 
   // Priority
@@ -245,18 +441,400 @@ function localParseIntent(message) {
 
   if (toAddress && amount) {
     return { type: "transfer", fromChain: "celo", fromAddress: null,
-             toAddress, token, amount, toChain, priority };
+             toAddress, token, amount, toChain, priority,
+             receiveToken: receiveToken !== token ? receiveToken : null };
+  }
+  // Only what the message said — a draft's details aren't overwritten by defaults
+  const partialIntent = Object.fromEntries(Object.entries({ amount, token: namedToken, toAddress, toChain: namedChain, receiveToken })
+    .filter(([, value]) => value));
+  return { type: "clarification_needed", missingFields: missingTransferFields(partialIntent), partialIntent };
+}
+
+/**
+ * Merge a clarification reply into the draft it answers. Returns a
+ * transfer once the draft has an address and an amount, otherwise a
+ * clarification_needed intent carrying the merged draft. Anything that
+ * isn't a clarification is a new request and is returned unchanged.
+ */
+function fillDraft(intent, draft) {
+  if (!draft || intent?.type !== "clarification_needed") return intent;
+
+  const reply = Object.fromEntries(Object.entries(intent.partialIntent || {}).filter(([, value]) => value));
+  const base  = { ...draft };
+  if (reply.toAddress) {
+    // A new recipient replaces the old one's name too
+    delete base.contactName;
+    delete base.recipientName;
+  }
+  const merged  = { ...base, ...reply };
+  const missing = missingTransferFields(merged);
+  if (missing.length > 0) return { type: "clarification_needed", missingFields: missing, partialIntent: merged };
+
+  console.log("[IntentParser] Draft complete:", JSON.stringify(merged));
+  return {
+    type:         "transfer",
+    fromChain:    "celo",
+    fromAddress:  null,
+    token:        "USDC",
+    toChain:      null,
+    priority:     "cheapest",
+    receiveToken: null,
+    ...merged,
+  };
+}
+
+function missingTransferFields(partial) {
+  return ["toAddress", "amount"].filter(field => !partial[field]);
+}
+
+const EVM_ADDRESS_RE    = /0x[a-fA-F0-9]{40}/g;
+const SOLANA_ADDRESS_RE = /[1-9A-HJ-NP-Za-km-z]{32,44}/g;
+
+function countAddresses(message) {
+  const evm    = message.match(EVM_ADDRESS_RE) || [];
+  const solana = message.replace(EVM_ADDRESS_RE, " ").match(SOLANA_ADDRESS_RE) || [];
+  return evm.length + solana.length;
+}
+
+/**
+ * Split a multi-recipient message ("50 USDC to 0xA.. on base, 20 USDT
+ * to 0xB..") into one row per address. Each line / comma / semicolon
+ * chunk is parsed like a single transfer; "each" shares the first
+ * amount and token with rows that don't name their own, and a single
+ * chain named anywhere applies to rows without one.
+ */
+function parseBatchMessage(message) {
+  const msg         = message.toLowerCase();
+  const sharedMatch = msg.match(/(\d+(?:\.\d+)?)\s*(usdt|usdc|usdm|celo|eth)?\b[^\n]*\beach\b/);
+  const shared      = sharedMatch ? { amount: parseFloat(sharedMatch[1]), token: extractToken(msg) } : {};
+  const priority    = msg.includes("fast") ? "fastest" : msg.includes("safe") ? "safest" : "cheapest";
+  // One chain named for the whole message applies to every row
+  const chains      = [...new Set(msg.match(/\b(base|ethereum|polygon|arbitrum|solana|optimism)\b/g) || [])];
+  const sharedChain = chains.length === 1 ? chains[0] : null;
+
+  const recipients = message
+    .split(/\n|;|,|\band\b/)
+    .filter(chunk => countAddresses(chunk) === 1)
+    .map(chunk => {
+      const lower     = chunk.toLowerCase();
+      const toAddress = chunk.match(EVM_ADDRESS_RE)?.[0] || chunk.match(SOLANA_ADDRESS_RE)?.[0];
+      const amount    = parseFloat(lower.replace(toAddress.toLowerCase(), " ").match(/(\d+(?:\.\d+)?)/)?.[1]) || shared.amount || null;
+      const toChain   = lower.match(/\b(base|ethereum|polygon|arbitrum|solana|optimism)\b/)?.[1] || sharedChain;
+      return { toAddress, amount, token: extractToken(lower) || shared.token || "USDC", toChain, label: null };
+    });
+
+  return { type: "batch_transfer", fromChain: "celo", priority, recipients };
+}
+
+// ── Schedules ─────────────────────────────────────────────────────
+
+const WEEKDAYS    = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const WEEKDAY_RE  = /(sun|mon|tues|wednes|thurs|fri|satur)days?\b/gi;
+const MAX_FEE_RE  = /\b(?:max(?:imum)?\s+fee|fee\s+cap|(?:only\s+)?if\s+(?:the\s+)?fees?\s+(?:is\s+|are\s+)?(?:under|below|less\s+than)|fees?\s+(?:under|below))\s*(?:of\s+)?\$?(\d+(?:\.\d+)?)\s*(?:usd)?/i;
+
+/**
+ * Recognise a recurring schedule in a message and turn it into a
+ * 5-field UTC cron expression. Handles "every day/weekday/Friday",
+ * "daily", "weekly", "every month on the 15th", "hourly", an optional
+ * "at 9am" / "at 17:30" (09:00 UTC if none) and a literal "cron: ...".
+ * A "max fee $1" phrase becomes the schedule's fee cap.
+ *
+ * @param {string} message
+ * @returns {{ cron, description, maxFeeUSD, rest } | null}
+ *   rest is the message with the schedule wording removed
+ */
+function parseScheduleText(message) {
+  let rest = message;
+  const take = (re) => {
+    const m = rest.match(re);
+    if (m) rest = rest.replace(m[0], " ");
+    return m;
+  };
+
+  const fee       = take(MAX_FEE_RE);
+  const maxFeeUSD = fee ? parseFloat(fee[1]) : null;
+  const done      = (cron, description) => ({ cron, description, maxFeeUSD, rest: rest.replace(/\s+/g, " ").trim() });
+
+  const explicit = take(/\bcron[:\s]+["'`]?((?:[\d*,/-]+\s+){4}[\d*,/-]+)["'`]?/i);
+  if (explicit) return done(explicit[1], `cron "${explicit[1]}" (UTC)`);
+
+  let hour = 9, minute = 0;
+  const time = rest.match(/\bat\s+(noon|midnight|(\d{1,2})(?::(\d{2}))?\s*(am|pm)?)\b/i);
+  if (time) {
+    const word = time[1].toLowerCase();
+    if (word === "noon")          hour = 12;
+    else if (word === "midnight") hour = 0;
+    else {
+      const meridiem = time[4]?.toLowerCase();
+      hour   = meridiem ? parseInt(time[2]) % 12 + (meridiem === "pm" ? 12 : 0) : parseInt(time[2]);
+      minute = parseInt(time[3] || "0");
+    }
+  }
+  const at  = `at ${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")} UTC`;
+  const hit = (re) => {
+    const m = take(re);
+    if (m && time) rest = rest.replace(time[0], " ");
+    return m;
+  };
+
+  if (hit(/\b(?:every\s+hour|hourly)\b/i)) {
+    return done(`${minute} * * * *`, `every hour at :${String(minute).padStart(2, "0")}`);
+  }
+  if (hit(/\b(?:every\s+weekday|(?:on\s+)?weekdays)\b/i)) {
+    return done(`${minute} ${hour} * * 1-5`, `every weekday ${at}`);
+  }
+  if (hit(/\b(?:every\s+day|each\s+day|daily)\b/i)) {
+    return done(`${minute} ${hour} * * *`, `every day ${at}`);
+  }
+
+  const days = rest.match(/\b(every|each|on)\s+((?:(?:sun|mon|tues|wednes|thurs|fri|satur)days?\b(?:\s*(?:,|and|&)\s*)?)+)/i);
+  const weekly = /\b(?:weekly|every\s+week)\b/i;
+  if (days && (days[1].toLowerCase() !== "on" || /days\b/i.test(days[2]) || weekly.test(rest))) {
+    hit(new RegExp(days[0]));
+    take(weekly);
+    const numbers = [...new Set(days[2].match(WEEKDAY_RE).map(d => WEEKDAYS.findIndex(w => w.startsWith(d.toLowerCase().replace(/s$/, "")))))]
+      .sort((a, b) => a - b);
+    const names   = numbers.map(n => WEEKDAYS[n][0].toUpperCase() + WEEKDAYS[n].slice(1));
+    return done(`${minute} ${hour} * * ${numbers.join(",")}`, `every ${names.join(" and ")} ${at}`);
+  }
+  if (hit(weekly)) {
+    return done(`${minute} ${hour} * * 1`, `every Monday ${at}`);
+  }
+
+  const monthly = hit(/\b(?:on\s+)?the\s+(\d{1,2})(?:st|nd|rd|th)?\s+of\s+(?:every|each)\s+month\b/i) ||
+                  hit(/\b(?:every\s+month|each\s+month|monthly)(?:\s+on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?)?\b/i);
+  if (monthly) {
+    const day = parseInt(monthly[1] || "1");
+    return done(`${minute} ${hour} ${day} * *`, `on the ${ordinal(day)} of every month ${at}`);
+  }
+
+  return null;
+}
+
+/**
+ * "my schedules", "pause 2", "resume schedule 1", "cancel schedule 3"
+ */
+function parseScheduleCommand(msg) {
+  if (/^(?:list|show|view)?\s*(?:all\s+)?(?:my\s+)?(?:scheduled\s+transfers|schedules|recurring\s+transfers)\??$/.test(msg)) {
+    return { type: "schedule_manage", action: "list", scheduleRef: null };
+  }
+  const m = msg.match(/^(pause|resume|unpause|cancel|delete|stop|remove)\s+(?:my\s+|the\s+)?(?:scheduled\s+transfer|schedule)?\s*(?:#|no\.?\s*)?(\d+|sched_[a-z0-9_]+)$/);
+  if (!m) return null;
+
+  const action = { unpause: "resume", delete: "cancel", stop: "cancel", remove: "cancel" }[m[1]] || m[1];
+  return { type: "schedule_manage", action, scheduleRef: m[2] };
+}
+
+// ── Slippage ─────────────────────────────────────────────────────
+
+/**
+ * "set my slippage to 0.3%", "reset my slippage", "what's my slippage?"
+ */
+function parseSlippageCommand(msg) {
+  const text = msg.trim().replace(/[.!?]+$/, "");
+  const set  = text.match(/^(?:set|change|make|update)\s+(?:my\s+)?(?:default\s+)?(?:max(?:imum)?\s+)?slippage\s+(?:to\s+|at\s+)?(\d+(?:\.\d+)?)\s*%?$/);
+  if (set) return { type: "slippage_setting", action: "set", slippagePercent: parseFloat(set[1]) };
+  if (/^(?:reset|clear)\s+(?:my\s+)?(?:default\s+)?(?:max(?:imum)?\s+)?slippage$/.test(text)) {
+    return { type: "slippage_setting", action: "reset", slippagePercent: null };
+  }
+  if (/^(?:what(?:'s|\s+is)\s+|show\s+)?my\s+(?:default\s+)?(?:max(?:imum)?\s+)?slippage(?:\s+setting)?$/.test(text)) {
+    return { type: "slippage_setting", action: "show", slippagePercent: null };
+  }
+  return null;
+}
+
+// Put a request's slippage cap on whichever transfer it parsed to
+function withSlippage(intent, slippagePercent) {
+  switch (intent.type) {
+    case "schedule_transfer":
+      return { ...intent, transfer: withSlippage(intent.transfer, slippagePercent) };
+    case "clarification_needed":
+      return { ...intent, partialIntent: { ...intent.partialIntent, slippagePercent } };
+    case "transfer":
+    case "swap_and_transfer":
+    case "batch_transfer":
+      return { ...intent, slippagePercent };
+    default:
+      return intent;
+  }
+}
+
+// ── Spending policy ──────────────────────────────────────────────
+
+const POLICY_CHAIN_RE = /\b(base|ethereum|polygon|arbitrum|solana|optimism|celo|bnb|tron)\b/g;
+const POLICY_TOKEN_RE = /\b(usdt|usdc|usdm|celo)\b/g;
+const POLICY_PERIODS  = { daily: "dailyLimitUSD", day: "dailyLimitUSD", weekly: "weeklyLimitUSD", week: "weeklyLimitUSD",
+                          monthly: "monthlyLimitUSD", month: "monthlyLimitUSD" };
+const PER_TRANSFER    = "(?:per[- ]?(?:transfer|transaction|tx)|each[- ](?:transfer|transaction))";
+const POLICY_TOKENS   = { usdt: "USDT", usdc: "USDC", usdm: "USDm", celo: "CELO" };
+
+/**
+ * "set my daily limit to $500", "limit each transfer to $1000",
+ * "only allow sends to Base and Polygon", "new recipients get at most
+ * $100 for 24 hours", "remove my weekly limit", "show my limits"
+ */
+function parsePolicyCommand(msg) {
+  const text    = msg.trim().replace(/[.!?]+$/, "").replace(/(\d),(?=\d{3}\b)/g, "$1");
+  const command = (action, changes = {}) => ({ type: "policy_setting", action, changes });
+  const amount  = "\\$?\\s*(\\d+(?:\\.\\d+)?)\\s*(?:usd|dollars)?";
+  let m;
+
+  if (/^(?:show|list|what(?:'s|\s+is|\s+are)|check)?\s*(?:me\s+)?my\s+(?:spending\s+)?(?:limits?|policy|policies)$/.test(text)) {
+    return command("show");
+  }
+  if (/^(?:reset|clear|remove)\s+(?:all\s+)?(?:of\s+)?my\s+(?:spending\s+)?(?:limits|policy)$/.test(text)) {
+    return command("reset");
+  }
+
+  if ((m = text.match(new RegExp(`^(?:(?:set|change|make|update)\\s+)?(?:my\\s+)?(daily|weekly|monthly)\\s+(?:spending\\s+)?limit\\s+(?:to\\s+|at\\s+|of\\s+|is\\s+)?${amount}$`)))) {
+    return command("set", { [POLICY_PERIODS[m[1]]]: parseFloat(m[2]) });
+  }
+  if ((m = text.match(new RegExp(`^limit\\s+(?:me|my\\s+spending)\\s+to\\s+${amount}\\s+(?:a|per|each)\\s+(day|week|month)$`)))) {
+    return command("set", { [POLICY_PERIODS[m[2]]]: parseFloat(m[1]) });
+  }
+  if ((m = text.match(new RegExp(`^(?:(?:set|change|make|update)\\s+)?(?:my\\s+)?(?:${PER_TRANSFER}\\s+limit|max(?:imum)?\\s+${PER_TRANSFER}|limit\\s+${PER_TRANSFER})\\s+(?:to\\s+|at\\s+|of\\s+|is\\s+)?${amount}$`)))) {
+    return command("set", { maxTxUSD: parseFloat(m[1]) });
   }
-  if (amount && !toAddress) {
-    return { type: "clarification_needed", missingFields: ["toAddress"],
-             partialIntent: { amount, token, toChain } };
+  if ((m = text.match(new RegExp(`^(?:remove|clear|delete|drop)\\s+my\\s+(daily|weekly|monthly|${PER_TRANSFER})\\s+limit$`)))) {
+    return command("set", { [POLICY_PERIODS[m[1]] || "maxTxUSD"]: null });
   }
-  if (toAddress && !amount) {
-    return { type: "clarification_needed", missingFields: ["amount"],
-             partialIntent: { toAddress, token, toChain } };
+
+  // "only allow sends to Base and Polygon", "only allow USDC"
+  if ((m = text.match(/^only\s+(?:allow|let\s+me\s+send|send)\s+(.+)$/))) {
+    const chains = m[1].match(POLICY_CHAIN_RE) || [];
+    const tokens = (m[1].replace(POLICY_CHAIN_RE, " ").match(POLICY_TOKEN_RE) || []).map(t => POLICY_TOKENS[t]);
+    if (chains.length + tokens.length === 0) return null;
+    return command("set", {
+      ...(chains.length > 0 && { allowedChains: [...new Set(chains)] }),
+      ...(tokens.length > 0 && { allowedTokens: [...new Set(tokens)] }),
+    });
+  }
+  if ((m = text.match(/^allow\s+(?:all|any)\s+(chains?|tokens?)(?:\s+again)?$/))) {
+    return command("set", { [m[1].startsWith("chain") ? "allowedChains" : "allowedTokens"]: null });
+  }
+
+  // "new recipients get at most $100 for the first 24 hours", "no cooling period"
+  if (/^(?:remove|turn\s+off|no|clear)\s+(?:the\s+|my\s+)?(?:new[- ]recipient\s+)?cooling(?:\s+period)?$/.test(text)) {
+    return command("set", { newRecipientCoolingHours: null, newRecipientMaxUSD: null });
+  }
+  if (/\bnew\s+recipients?\b|\bcooling\s+period\b/.test(text) && /^(?:set|add|make|new|limit|block|use)\b/.test(text)) {
+    const period = text.match(/(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|d|days?)\b/);
+    if (!period) return null;
+    const hours  = parseFloat(period[1]) * (period[2].startsWith("d") ? 24 : 1);
+    const cap    = text.match(/\$\s*(\d+(?:\.\d+)?)|(\d+(?:\.\d+)?)\s*(?:usd|dollars)\b/);
+    return command("set", { newRecipientCoolingHours: hours, newRecipientMaxUSD: cap ? parseFloat(cap[1] ?? cap[2]) : 0 });
+  }
+
+  return null;
+}
+
+// ── Address book ─────────────────────────────────────────────────
+
+const CONTACT_CHAIN_RE = "(base|ethereum|polygon|arbitrum|solana|optimism|celo)";
+const CONTACT_ADDR_RE  = "(0x[a-fA-F0-9]{40}|[1-9A-HJ-NP-Za-km-z]{32,44})";
+
+/**
+ * "my contacts", "save 0xA1B2... on Base as Mum", "rename Mum to Mom",
+ * "change Mum to 0xC3D4... on Polygon", "update Mum to Arbitrum",
+ * "forget Mum" / "delete contact 2"
+ */
+function parseContactCommand(message) {
+  const text    = message.trim().replace(/[.!?]+$/, "");
+  const command = (action, fields) => ({
+    type: "contact_manage", action, contactRef: null, name: null, address: null, chain: null, ...fields,
+  });
+  let m;
+
+  if (/^(?:list|show|view)?\s*(?:all\s+)?(?:my\s+)?(?:contacts|address\s*book|saved\s+addresses)$/i.test(text)) {
+    return command("list");
   }
-  return { type: "clarification_needed", missingFields: ["amount", "toAddress"],
-           partialIntent: {} };
+
+  m = text.match(new RegExp(`^(?:save|add|remember)\\s+(?:contact\\s+)?${CONTACT_ADDR_RE}(?:\\s+on\\s+${CONTACT_CHAIN_RE})?\\s+as\\s+(.+?)(?:\\s+on\\s+${CONTACT_CHAIN_RE})?$`, "i"));
+  if (m) return command("save", { address: m[1], name: m[3], chain: (m[2] || m[4])?.toLowerCase() || null });
+
+  m = text.match(/^rename\s+(?:contact\s+)?(.+?)\s+to\s+(.+)$/i);
+  if (m) return command("update", { contactRef: m[1], name: m[2] });
+
+  m = text.match(new RegExp(`^(?:change|update|edit)\\s+(?:contact\\s+)?(.+?)(?:'s)?(?:\\s+(?:address|chain))?\\s+to\\s+(?:${CONTACT_ADDR_RE}\\s*)?(?:(?:on\\s+)?${CONTACT_CHAIN_RE})?$`, "i"));
+  if (m && (m[2] || m[3])) return command("update", { contactRef: m[1], address: m[2] || null, chain: m[3]?.toLowerCase() || null });
+
+  m = text.match(/^(?:forget|(?:delete|remove)\s+contact)\s+(.+)$/i) ||
+      text.match(/^(?:delete|remove)\s+(.+?)\s+from\s+(?:my\s+)?(?:contacts|address\s*book)$/i);
+  if (m) return command("delete", { contactRef: m[1] });
+
+  return null;
+}
+
+/**
+ * Replace each contact name in a message with the contact's address,
+ * longest names first so "Mum Work" wins over "Mum".
+ */
+function insertContactAddresses(message, contacts) {
+  return [...contacts]
+    .sort((a, b) => b.name.length - a.name.length)
+    .reduce((text, c) => text.replace(contactNameRe(c.name), (_, before) => `${before}${c.address}`), message);
+}
+
+/**
+ * Point every recipient that is a saved contact (by name or address)
+ * at the contact's address and chain. A chain named in the message
+ * still wins over the saved one.
+ */
+function resolveContacts(intent, contacts, message) {
+  if (!intent || contacts.length === 0) return intent;
+
+  const withoutNames = contacts.reduce((text, c) => text.replace(contactNameRe(c.name), " "), message);
+  const namedChain   = withoutNames.toLowerCase().match(/\b(base|ethereum|polygon|arbitrum|solana|optimism)\b/)?.[1] || null;
+
+  return mapRecipients(intent, (target, isRow) => {
+    const contact = target?.toAddress && matchContact(contacts, target.toAddress);
+    if (!contact) return target;
+    const toChain = (isRow ? namedChain && target.toChain : namedChain) || contact.chain;
+    const label   = isRow ? { label: target.label || contact.name } : {};
+    return { ...target, toAddress: contact.address, toChain, contactName: contact.name, ...label };
+  });
+}
+
+/**
+ * Tag every recipient whose address came from a resolved name with
+ * that name, so the preview can show both.
+ */
+function attachNames(intent, resolved) {
+  if (!intent || resolved.length === 0) return intent;
+
+  return mapRecipients(intent, (target, isRow) => {
+    const found = target?.toAddress && resolved.find(r => r.address.toLowerCase() === target.toAddress.toLowerCase());
+    if (!found) return target;
+    const label = isRow ? { label: target.label || found.name } : {};
+    return { ...target, toAddress: found.address, recipientName: found.name, ...label };
+  });
+}
+
+// Apply fn(target, isBatchRow) to each recipient of an intent
+function mapRecipients(intent, fn) {
+  switch (intent.type) {
+    case "transfer":
+    case "swap_and_transfer":
+      return fn(intent, false);
+    case "schedule_transfer":
+      return intent.transfer ? { ...intent, transfer: mapRecipients(intent.transfer, fn) } : intent;
+    case "clarification_needed":
+      return { ...intent, partialIntent: fn(intent.partialIntent, false) };
+    case "batch_transfer":
+      return { ...intent, recipients: (intent.recipients || []).map(row => fn(row, true)) };
+    default:
+      return intent;
+  }
+}
+
+function contactNameRe(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, "giu");
+}
+
+function ordinal(n) {
+  const suffix = n % 10 === 1 && n !== 11 ? "st" : n % 10 === 2 && n !== 12 ? "nd" : n % 10 === 3 && n !== 13 ? "rd" : "th";
+  return `${n}${suffix}`;
 }
 
 function extractToken(msg) {
@@ -268,6 +846,65 @@ function extractToken(msg) {
   return null;
 }
 
+// ── Amending a pending transfer ────────────────────────────────────
+
+/**
+ * Read the changes a user asks for while a transfer preview waits for
+ * confirmation ("make it 80 instead", "use Celer", "fastest route").
+ * Tries OpenRouter first, falls back to local regexes.
+ *
+ * @param {string} userMessage
+ * @param {Object} pendingIntent - The intent being previewed
+ * @returns {Promise<Object>} Only the changed fields — {} when nothing changes:
+ *   { amount?, token?, toChain?, toAddress?, preferredBridge?, priority?, slippagePercent? }
+ */
+async function parseAmendment(userMessage, pendingIntent) {
+  // "set my daily limit to $500" changes a setting, not this transfer's amount
+  const msg = userMessage.toLowerCase().trim();
+  if (parsePolicyCommand(msg) || parseSlippageCommand(msg)) return {};
+
+  if (ai) {
+    try {
+      const response = await ai.chat.completions.create({
+        model:      MODEL,
+        max_tokens: 256,
+        messages: [
+          { role: "system", content: AMEND_SYSTEM_PROMPT },
+          { role: "user",   content: `Pending transfer: ${JSON.stringify(pendingIntent)}\n\nUser says: "${userMessage}"` },
+        ],
+      });
+      const rawText = response.choices[0].message.content.trim();
+      const changes = JSON.parse(rawText.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim());
+      console.log("[IntentParser] OpenRouter parsed amendment:", JSON.stringify(changes));
+      return pickAmendment(changes);
+    } catch (error) {
+      console.warn("[IntentParser] OpenRouter amendment parse failed, using local parser:", error.message);
+    }
+  }
+  return localParseAmendment(userMessage);
+}
+
+function localParseAmendment(message) {
+  const plainText = stripSlippage(message).replace(EVM_ADDRESS_RE, " ").replace(SOLANA_ADDRESS_RE, " ").toLowerCase();
+  const priority  = plainText.match(/\b(fast|quick|cheap|safe)(?:est|er)?\b/)?.[1];
+
+  return pickAmendment({
+    amount:          parseFloat(plainText.match(/\d+(?:\.\d+)?/)?.[0]) || null,
+    token:           extractToken(` ${plainText.replace(/\b(?:ethereum|on\s+celo)\b/g, " ")}`),
+    toChain:         plainText.match(/\b(base|ethereum|polygon|arbitrum|solana|optimism)\b/)?.[1],
+    toAddress:       message.match(/0x[a-fA-F0-9]{40}/)?.[0] || message.match(/[1-9A-HJ-NP-Za-km-z]{32,44}/)?.[0],
+    preferredBridge: plainText.match(/\b(across|wormhole|axelar|celer|layerzero|stargate)\b/)?.[1],
+    priority:        priority && { fast: "fastest", quick: "fastest", cheap: "cheapest", safe: "safest" }[priority],
+    slippagePercent: parseSlippage(message),
+  });
+}
+
+// Drop fields that weren't given or aren't amendable
+function pickAmendment(changes) {
+  const allowed = ["amount", "token", "toChain", "toAddress", "preferredBridge", "priority", "slippagePercent"];
+  return Object.fromEntries(Object.entries(changes || {}).filter(([key, value]) => allowed.includes(key) && value));
+}
+
 // ── Transaction preview ────────────────────────────────────────────
 
 async function generateTransactionPreview(intent, bridgeQuote) {
@@ -291,10 +928,27 @@ async function generateTransactionPreview(intent, bridgeQuote) {
   // Local fallback preview
   const chain  = intent.toChain || "destination chain";
   const addr   = intent.toAddress ? intent.toAddress.slice(0, 8) + "..." : "destination";
+  const dest   = intent.recipientName ? `${intent.recipientName} (${intent.toAddress}) on ${chain}`
+    : intent.contactName ? `${intent.contactName}'s ${chain} wallet (${addr})` : `your ${chain} wallet (${addr})`;
   const fee    = bridgeQuote?.feeUSD ? `$${bridgeQuote.feeUSD.toFixed(2)}` : "a small fee";
   const time   = bridgeQuote?.estimatedMinutes ? `~${bridgeQuote.estimatedMinutes} minutes` : "a few minutes";
   const bridge = bridgeQuote?.bridge || "the best available bridge";
-  return `I'm about to send ${intent.amount} ${intent.token} from Celo to your ${chain} wallet (${addr}) via ${bridge}. The estimated fee is ${fee} and it should arrive in ${time}. Reply YES to confirm or NO to cancel.`;
+  if (intent.swapFirst || intent.swapAfter) {
+    const { swapFirst, swapAfter } = intent;
+    const steps = [];
+    if (swapFirst) steps.push(`swap ${swapFirst.inputAmount} ${swapFirst.fromToken} for about ${intent.amount} ${intent.token} on Celo via ${swapFirst.dex}`);
+    steps.push(`bridge ${swapFirst ? "whatever the swap returns" : `${intent.amount} ${intent.token}`} to ${chain} via ${bridge} (fee ${fee}, ${time})`);
+    if (swapAfter) steps.push(`convert it to ${swapAfter.toToken} on ${chain} via ${swapAfter.dex} and pay it out to ${addr}`);
+    const final = swapAfter
+      ? ` Your recipient should receive about ${swapAfter.outputAmount.toFixed(2)} ${swapAfter.toToken}.`
+      : ` It goes to ${dest}.`;
+    return `This happens in ${steps.length} steps: ${steps.map((s, i) => `(${i + 1}) ${s}`).join(", ")}.${final} Reply YES to confirm or NO to cancel.`;
+  }
+  if (bridgeQuote?.splits) {
+    const parts = bridgeQuote.splits.map(s => `${s.amount} via ${s.bridge}`).join(" and ");
+    return `I'm about to send ${intent.amount} ${intent.token} from Celo to ${dest}, split across ${bridgeQuote.splits.length} bridges sent in parallel: ${parts}. The total estimated fee is ${fee} and it should all arrive in ${time}. Reply YES to confirm or NO to cancel.`;
+  }
+  return `I'm about to send ${intent.amount} ${intent.token} from Celo to ${dest} via ${bridge}. The estimated fee is ${fee} and it should arrive in ${time}. Reply YES to confirm or NO to cancel.`;
 }
 
 // ── Error explainer ───────────────────────────────────────────────
@@ -325,4 +979,4 @@ async function explainError(errorType, context) {
   return fallbacks[errorType] || fallbacks.default;
 }
 
-module.exports = { parseIntent, generateTransactionPreview, explainError };
+module.exports = { parseIntent, parseAmendment, parseScheduleText, generateTransactionPreview, explainError };
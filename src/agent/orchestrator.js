@@ -12,84 +12,333 @@
  *     → getBestBridgeRoute()
  *     → generateTransactionPreview()  ← User confirms here
  *     → executeTransfer()
+ *         → executeSwap()             ← swap_and_transfer only
+ *         → bridge exactly what the swap returned
+ *     → delivery tracker sees the funds arrive
+ *         → destination swap            ← "...as USDT" transfers only
  *     → receipt()
+ *
+ * Recurring transfers: the scheduler loop calls runScheduledTransfer(),
+ * which re-quotes and then runs the same executeTransfer().
+ *
+ * Dry runs ("simulate ...", or { dryRun: true } on /api/message) stop
+ * at the preview and simulate the transactions instead of sending them.
+ * executeTransfer() runs the same simulation as a pre-flight check.
+ *
+ * Custodial transfers spend only from the requesting user's own deposit
+ * wallet (chains/depositWallets.js), topped up with gas beforehand.
+ * Bridges approve only what their allowance lacks (bridges/approvals.js);
+ * "show my approvals" / "revoke all bridge approvals" audit and clear them.
+ *
+ * Saved contacts ("send 20 USDC to Mum") are resolved to an address
+ * and chain by parseIntent(); "my contacts" lists and edits them.
+ *
+ * Every bridge and swap leg uses one slippage percentage: the request's
+ * ("max 0.3% slippage"), else the user's ("set my slippage to 0.5%"),
+ * else SLIPPAGE.DEFAULT_PERCENT. Previews show the minimum received.
+ *
+ * Spending policies (daily/weekly/monthly limits, per-transfer caps,
+ * chain and token allowlists, new-recipient cooling) are checked by
+ * validateTransfer() for the preview and again in executeTransfer(),
+ * since other transfers may have used up a limit in between. Recipients
+ * are screened against the operator's denylists at the same two points
+ * (utils/screening.js), and a user's own signing wallet before it signs.
+ *
+ * Previews flag recipients that look like a past recipient or contact
+ * but aren't (address poisoning), and first-time recipients. A large
+ * first transfer is confirmed by typing the address's last 4 characters
+ * instead of YES (utils/addressRisk.js).
+ *
+ * Non-custodial mode (walletInfo.custody === "self"): on YES the user's
+ * connected wallet gets the unsigned transactions instead, signs them,
+ * and reports each hash back through recordUserTransaction().
+ *
+ * Quotes expire after QUOTES.TTL_SECONDS: a YES after that re-quotes
+ * first and asks again if the fee or ETA got worse. A preview nobody
+ * confirms lapses after QUOTES.CONFIRMATION_EXPIRY_MINUTES (see
+ * startConfirmationExpiry).
  * ─────────────────────────────────────────────────────────────────
  */
 
 const { ethers }                   = require("ethers");
 const config                       = require("../../config/keys");
-const { parseIntent, generateTransactionPreview, explainError } = require("./intentParser");
+const { parseIntent, parseAmendment, generateTransactionPreview, explainError } = require("./intentParser");
 const { detectChainFromAddress }   = require("../chains/chainDetector");
 const { getBestBridgeRoute }       = require("../bridges/bridgeRouter");
 const { validateTransfer, simulateTransaction } = require("../utils/validator");
 const { checkPriceAlert }          = require("../trading/alertEngine");
-const { getSwapRoute }             = require("../trading/swapRouter");
-
-// Session state (in production, use Redis or a database)
-const activeSessions = new Map();
+const { getSwapRoute, get1inchSwapQuote, executeSwap } = require("../trading/swapRouter");
+const { loadSession, saveSession, listSessions } = require("../store/sessionStore");
+const { parseBatchCsv, planBatch, formatBatchPreview } = require("./batchProcessor");
+const { createTransfer, recordStep, recordLeg, recordSignedTransaction, recordReplacement, getTransfer, listTransfers,
+        listUnfinishedTransfers, UNFINISHED_STATUSES } = require("../store/transferLedger");
+const { createSchedule, listSchedules, findSchedule, pauseSchedule, resumeSchedule, cancelSchedule,
+        nextRunTime, formatScheduleLine, formatRunTime } = require("../trading/scheduler");
+const { notifyTransferConfirmed, notifyTransferFailed, notifyTransferDelayed, notifyScheduledRunSkipped,
+        notifyTransactionReplaced, notifyTransactionStuck, notifyConfirmationExpired } = require("../bots/notifier");
+const { simulateTransfer, formatDryRunReport } = require("../bridges/simulator");
+const { buildTransferTransactions } = require("../bridges/txBuilder");
+const { getDepositAccount, getDepositWallet, topUpGas } = require("../chains/depositWallets");
+const { ensureAllowance, revokeLeftover, auditApprovals, revokeApprovals } = require("../bridges/approvals");
+const { getToken, getTokenAddress, toUnits, fromUnits } = require("../chains/tokenRegistry");
+const { saveContact, listContacts, findContact, updateContact, deleteContact, formatContactLine } = require("../store/addressBook");
+const { getUserSettings, updateUserSettings } = require("../store/userSettings");
+const { slippageProblem, slippageFor, minReceived } = require("../utils/slippage");
+const { checkSpendingPolicy, getEffectivePolicy, getSpending, updateUserPolicy,
+        policyProblem, formatPolicy, POLICY_FIELDS } = require("../utils/spendingPolicy");
+const { screenParties }  = require("../utils/screening");
+const { confirmCode, matchesConfirmCodes } = require("../utils/addressRisk");
 
 /**
  * Main entry point — handles a user message and returns an agent response.
  *
+ * The session is loaded from the session store, mutated while the
+ * message is handled, then saved back. Saves are optimistic: if a
+ * second delivery of the same webhook touched the session first,
+ * this one loses and the user is asked to resend.
+ *
  * @param {string} sessionId   - Unique session identifier
  * @param {string} userMessage - User's natural language input
  * @param {Object} [walletInfo] - Connected wallet info from frontend
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Simulate instead of executing
+ * @returns {Promise<{ message: string, state: string, data?: Object }>}
+ */
+async function handleUserMessage(sessionId, userMessage, walletInfo = {}, { dryRun = false } = {}) {
+  return withSession(sessionId, walletInfo, (session) => {
+    console.log(`[Orchestrator] Session ${sessionId} | State: ${session.state} | Message: "${userMessage}"${dryRun ? " | dry run" : ""}`);
+    return routeMessage(session, userMessage, walletInfo, { dryRun });
+  });
+}
+
+/**
+ * Batch / payroll entry point for POST /api/batch and CSV uploads.
+ * Produces the same consolidated preview as a multi-recipient chat
+ * message; the user then confirms with YES as usual.
+ *
+ * @param {string} sessionId
+ * @param {Object} input
+ * @param {string} [input.csv]   - Raw CSV text
+ * @param {Object[]} [input.rows] - Already-structured rows
+ * @param {Object} [walletInfo]
  * @returns {Promise<{ message: string, state: string, data?: Object }>}
  */
-async function handleUserMessage(sessionId, userMessage, walletInfo = {}) {
+async function handleBatchRequest(sessionId, { csv, rows }, walletInfo = {}) {
+  const recipients = csv ? parseBatchCsv(csv) : rows;
+
+  return withSession(sessionId, walletInfo, (session) => {
+    console.log(`[Orchestrator] Session ${sessionId} | State: ${session.state} | Batch of ${recipients?.length || 0} rows`);
+    if (session.state === "executing") {
+      return {
+        message: "I'm still executing your previous transfer. Send the batch again once it's done.",
+        state:   "executing",
+      };
+    }
+    session.history.push({ role: "user", content: `Uploaded a batch of ${recipients?.length || 0} transfers` });
+    return processBatch(session, { recipients });
+  });
+}
+
+/**
+ * Loads a session, runs `handler` against it, then saves it back.
+ * Saves are optimistic: if a second delivery of the same webhook
+ * touched the session first, this one loses and the user is asked
+ * to resend.
+ */
+async function withSession(sessionId, walletInfo, handler) {
   // Get or create session
-  let session = activeSessions.get(sessionId) || createSession(sessionId, walletInfo);
-  activeSessions.set(sessionId, session);
+  const session = await loadSession(sessionId, walletInfo);
+
+  let response;
+  try {
+    response = await handler(session);
+  } catch (error) {
+    console.error("[Orchestrator] Error:", error);
+    session.state = "idle";
+    response = {
+      message: "Something went wrong on my end. Please try again.",
+      state:   "error",
+      error:   error.message,
+    };
+  }
 
-  console.log(`[Orchestrator] Session ${sessionId} | State: ${session.state} | Message: "${userMessage}"`);
+  // A new preview waits QUOTES.CONFIRMATION_EXPIRY_MINUTES for a reply
+  const pending = session.pendingTransaction;
+  if (session.state === "awaiting_confirmation" && pending && !pending.expiresAt) {
+    pending.expiresAt = Date.now() + config.QUOTES.CONFIRMATION_EXPIRY_MINUTES * 60 * 1000;
+  }
 
   try {
-    // ── Handle confirmation/cancellation of pending transactions ──
-    if (session.state === "awaiting_confirmation") {
-      return await handleConfirmation(session, userMessage);
+    await saveSession(session);
+  } catch (error) {
+    if (error.code !== "SESSION_CONFLICT") throw error;
+    console.warn(`[Orchestrator] ${error.message} — dropping this turn`);
+    return {
+      message: "I received two messages at the same time and handled the other one first. Please send that again.",
+      state:   "error",
+      error:   error.message,
+    };
+  }
+
+  return response;
+}
+
+// "simulate", "dry run: send 5 USDC to 0x..." — group 1 is the request, if any
+const SIMULATE_COMMAND = /^(?:simulate|dry[\s-]?run)\b[\s:,-]*([\s\S]*)$/i;
+
+// "show my approvals", "revoke all bridge approvals" — group 1 is set for revoke
+const APPROVALS_COMMAND = /^(?:show|list|check|audit|(revoke))\s+(?:all\s+)?(?:my\s+)?(?:bridge\s+)?(?:token\s+)?(?:approvals|allowances)\b/i;
+
+// Replies to a transaction preview, matched as whole words
+const YES_WORDS   = ["yes", "y", "yep", "yeah", "yup", "confirm", "confirmed", "ok", "okay", "sure", "proceed", "execute", "go"];
+const NO_WORDS    = ["no", "n", "nope", "nah", "cancel", "stop", "abort", "nevermind"];
+const PLAIN_REPLY = /^(?:yes|y|yep|yeah|yup|ok|okay|sure|confirm|go(?:\s+ahead)?|proceed|execute|no|n|nope|nah|cancel|stop|abort|never\s*mind)(?:\s+please)?[\s.!]*$/;
+
+// "2", "route 2", "#2", "option 2" — group 1; "use Axelar", "go with Celer" — group 2
+const ROUTE_CHOICE = /^(?:(?:route|option|#)\s*)?(\d{1,2})$|^(?:use|pick|choose|take|switch\s+to|go\s+with)\s+(?:route\s+)?([a-z][a-z/ ]*?)(?:\s+(?:route|bridge))?(?:\s+instead)?[\s.!]*$/;
+
+// Intents that move funds now, and so take a slippage percentage
+const SLIPPAGE_INTENTS = ["transfer", "swap_and_transfer", "batch_transfer"];
+
+// "cancel", "never mind", "forget it" — while a draft transfer waits for details
+const DRAFT_CANCEL = /^(?:no|cancel|stop|abort|never\s*mind|forget\s+(?:it|that))\b[\s.!]*$/i;
+
+/**
+ * Routes one message through the session's state machine.
+ */
+async function routeMessage(session, userMessage, walletInfo, { dryRun = false } = {}) {
+  // ── "simulate" on its own dry-runs the pending transaction; ───
+  // ── "simulate <request>" previews and dry-runs a new one ──────
+  const command = userMessage.trim().match(SIMULATE_COMMAND);
+  if (command && !command[1].trim()) return await simulatePending(session, walletInfo);
+  if (command) {
+    userMessage = command[1].trim();
+    dryRun      = true;
+  }
+
+  // ── Allowance audit / revoke works in any state ───────────────
+  const approvalsCommand = !command && userMessage.trim().match(APPROVALS_COMMAND);
+  if (approvalsCommand) return await handleApprovalsCommand(session, walletInfo, { revoke: Boolean(approvalsCommand[1]) });
+
+  // ── A preview left too long lapses; a new request goes ahead ──
+  if (session.state === "awaiting_confirmation" && pendingExpired(session)) {
+    expirePending(session);
+    if (!command && PLAIN_REPLY.test(userMessage.trim().toLowerCase())) {
+      session.history.push({ role: "user", content: userMessage });
+      return {
+        message: "⌛ That transfer request expired before it was confirmed, so nothing was sent. Send it again and I'll get a fresh quote.",
+        state:   "idle",
+      };
     }
+  }
 
-    // ── Parse new intent ──────────────────────────────────────────
-    const intent = await parseIntent(userMessage, {
-      connectedWallet: walletInfo.address || session.walletAddress,
-      history: session.history.slice(-3), // Last 3 turns for context
-    });
+  // ── Handle confirmation/cancellation of pending transactions ──
+  if (session.state === "awaiting_confirmation" && !command) {
+    return await handleConfirmation(session, userMessage, { dryRun, walletInfo });
+  }
+  if (session.state === "awaiting_signature" && !command) {
+    return await handleSignatureWait(session, userMessage);
+  }
 
+  // ── "never mind" drops a transfer still waiting for details ───
+  if (session.draftIntent && DRAFT_CANCEL.test(userMessage.trim())) {
+    session.draftIntent = null;
     session.history.push({ role: "user", content: userMessage });
+    return { message: "No problem — I've dropped that transfer. Nothing was sent.", state: "idle" };
+  }
 
-    // ── Route by intent type ──────────────────────────────────────
-    switch (intent.type) {
+  // ── Parse new intent (a reply fills in the draft, if any) ─────
+  const intent = await parseIntent(userMessage, {
+    connectedWallet: walletInfo.address || session.walletAddress,
+    history: session.history.slice(-3), // Last 3 turns for context
+    contacts: await listContacts(session.sessionId),
+    draftIntent: session.draftIntent,
+  });
 
-      case "transfer":
-        return await processTransfer(session, intent);
+  session.history.push({ role: "user", content: userMessage });
+  updateDraft(session, intent);
 
-      case "swap_and_transfer":
-        return await processSwapAndTransfer(session, intent);
+  const response = await routeIntent(session, intent);
+  return dryRun && response.state === "awaiting_confirmation"
+    ? await attachDryRun(session, response, walletInfo)
+    : response;
+}
 
-      case "alert":
-        return await registerAlert(session, intent);
+/**
+ * Keep a clarification's partial transfer as the session's draft so
+ * the next reply can fill in the rest. Questions and address-book
+ * commands leave the draft alone; any other request replaces it.
+ */
+function updateDraft(session, intent) {
+  if (intent.type === "clarification_needed") {
+    const partial = intent.partialIntent || {};
+    session.draftIntent = Object.keys(partial).length > 0 ? partial : session.draftIntent;
+  } else if (!["query", "contact_manage", "slippage_setting", "policy_setting", "unresolved_name"].includes(intent.type)) {
+    session.draftIntent = null;
+  }
+}
 
-      case "query":
-        return await handleQuery(session, intent);
+/**
+ * Dispatches a parsed intent to its handler.
+ */
+async function routeIntent(session, intent) {
+  // "max 0.3% slippage" on the request wins, then the user's own setting
+  if (SLIPPAGE_INTENTS.includes(intent.type)) {
+    const problem = slippageProblem(intent.slippagePercent);
+    if (problem) return { message: `⚠️ ${problem}`, state: "idle" };
+    const settings = await getUserSettings(session.sessionId);
+    intent = { ...intent, slippagePercent: intent.slippagePercent ?? settings.slippagePercent ?? config.SLIPPAGE.DEFAULT_PERCENT };
+  }
 
-      case "clarification_needed":
-        return handleClarification(session, intent);
+  switch (intent.type) {
 
-      default:
-        return {
-          message: "Hey! I'm your cross-chain transfer assistant. Try saying something like:\n\n• \"Send 100 USDT to 0xA1B2...\"\ \n• \"Move 50 USDC to my Solana wallet 7xB2...\"\n• \"Alert me when fees to Base drop below $0.50\"\n\nWhat would you like to do?",
-          state:   "idle",
-        };
-    }
+    case "transfer":
+      if (intent.receiveToken && intent.receiveToken !== intent.token) {
+        return await processConversionTransfer(session, intent);
+      }
+      return await processTransfer(session, intent);
 
-  } catch (error) {
-    console.error("[Orchestrator] Error:", error);
-    session.state = "idle";
-    return {
-      message: "Something went wrong on my end. Please try again.",
-      state:   "error",
-      error:   error.message,
-    };
+    case "swap_and_transfer":
+      return await processSwapAndTransfer(session, intent);
+
+    case "batch_transfer":
+      return await processBatch(session, intent);
+
+    case "schedule_transfer":
+      return await processScheduleRequest(session, intent);
+
+    case "schedule_manage":
+      return await handleScheduleCommand(session, intent);
+
+    case "contact_manage":
+      return await handleContactCommand(session, intent);
+
+    case "slippage_setting":
+      return await handleSlippageSetting(session, intent);
+
+    case "policy_setting":
+      return await handlePolicySetting(session, intent);
+
+    case "alert":
+      return await registerAlert(session, intent);
+
+    case "query":
+      return await handleQuery(session, intent);
+
+    case "clarification_needed":
+      return handleClarification(session, intent);
+
+    case "unresolved_name":
+      return {
+        message: `⚠️ I couldn't find an address for ${intent.name}: ${intent.reason}. Check the spelling, or paste the wallet address instead.`,
+        state:   "idle",
+      };
+
+    default:
+      return {
+        message: "Hey! I'm your cross-chain transfer assistant. Try saying something like:\n\n• \"Send 100 USDT to 0xA1B2...\"\ \n• \"Move 50 USDC to my Solana wallet 7xB2...\"\n• \"Alert me when fees to Base drop below $0.50\"\n\nWhat would you like to do?",
+        state:   "idle",
+      };
   }
 }
 
@@ -99,8 +348,10 @@ async function handleUserMessage(sessionId, userMessage, walletInfo = {}) {
 async function processTransfer(session, intent) {
   const { toAddress, token, amount, fromChain = "celo", priority } = intent;
 
-  // Step 1: Detect destination chain
-  const chainInfo = detectChainFromAddress(toAddress, session.history.map(h => h.content).join(" "));
+  // Step 1: Detect destination chain — a saved contact or an edited
+  // preview already knows it
+  const chainHint = intent.contactName || intent.amended ? intent.toChain : session.history.map(h => h.content).join(" ");
+  const chainInfo = detectChainFromAddress(toAddress, chainHint);
   const toChain   = chainInfo.chain;
 
   if (toChain === "unknown") {
@@ -110,290 +361,2310 @@ async function processTransfer(session, intent) {
     };
   }
 
-  if (chainInfo.unsupported) {
+  if (chainInfo.unsupported) {
+    return {
+      message: `⚠️ ${chainInfo.note}`,
+      state: "idle",
+    };
+  }
+
+  // Step 2: Get bridge routes
+  const route = await getBestBridgeRoute({ fromChain, toChain, token, amount, priority });
+  const allQuotes = route.all;
+  let { best: bridgeQuote, warnings: bridgeWarnings } = route;
+
+  // Step 2a: "use Celer" — the user's bridge replaces the ranked best
+  if (intent.preferredBridge && bridgeQuote) {
+    bridgeQuote = allQuotes.find(q => q.bridge.toLowerCase().includes(intent.preferredBridge.toLowerCase()));
+    if (!bridgeQuote) {
+      return {
+        message: `${intent.preferredBridge} has no route for ${token} from Celo to ${toChain} right now. Available: ${allQuotes.map(q => q.bridge).join(", ")}.`,
+        state:   "idle",
+        data:    { bridgeWarnings },
+      };
+    }
+  }
+
+  // Step 2b: A large transfer no single bridge can carry goes out split
+  // across several (plain transfers only — swaps feed a single bridge)
+  if (route.split && !intent.preferredBridge && !intent.swapFirst && !intent.receiveToken) {
+    bridgeQuote    = route.split;
+    bridgeWarnings = [`🔀 ${route.split.note}`];
+  }
+
+  // Step 2c: Check if any executable bridge was found
+  if (!bridgeQuote) {
+    // Check if it's a Solana route with Wormhole not yet installed
+    const isSolana = toChain === "solana";
+    if (isSolana) {
+      return {
+        message: "I can find routes from Celo to Solana, but the Wormhole bridge SDK needs to be installed on the server. Run: pnpm add @wormhole-foundation/sdk @wormhole-foundation/sdk-evm @wormhole-foundation/sdk-solana — then redeploy. For now, I can transfer " + token + " to any EVM chain (Base, Ethereum, Polygon, Arbitrum) using Axelar or Celer. Want to try one of those instead?",
+        state: "idle",
+        data:  { bridgeWarnings },
+      };
+    }
+    return {
+      message: "I couldn't find a working bridge route for " + token + " from Celo to " + toChain + " right now. " + (bridgeWarnings.join(" ") || "This route may not be supported yet.") + " I can currently bridge to: Base, Ethereum, Polygon, and Arbitrum. Would you like to try one of those?",
+      state: "idle",
+      data:  { bridgeWarnings },
+    };
+  }
+
+  // Step 3: Validate
+  const validation = await validateTransfer({ ...intent, toChain }, bridgeQuote, { sessionId: session.sessionId });
+
+  if (validation.screeningBlocks.length > 0) {
+    return { message: formatScreeningBlock(validation.screeningBlocks), state: "idle", data: { validation } };
+  }
+  if (validation.policyViolations.length > 0) {
+    return { message: formatPolicyBlock(validation.policyViolations), state: "idle", data: { validation } };
+  }
+  if (!validation.valid) {
+    const errorMsg = await explainError("validation_failed", {
+      errors: validation.errors,
+      token,
+      toChain,
+      toAddress,
+    });
+    return {
+      message: errorMsg,
+      state:   "idle",
+      data:    { validation },
+    };
+  }
+
+  // Step 3b: Warn hard-stop if fee is more than 25% of transfer amount
+  const feeRatio = bridgeQuote.feeUSD / amount;
+  if (feeRatio > 0.25) {
+    const feePercent = (feeRatio * 100).toFixed(0);
+    return {
+      message: `⚠️ I found a route via ${bridgeQuote.bridge}, but the fee is $${bridgeQuote.feeUSD.toFixed(2)} — that's ${feePercent}% of your $${amount} transfer.
+
+This is too high to proceed automatically. You have two options:
+
+1. **Send a larger amount** — fees are fixed, so a bigger transfer makes them worthwhile. For example, sending $${Math.ceil(bridgeQuote.feeUSD / 0.01)} would bring the fee below 1%.
+2. **Wait and try later** — bridge fees drop during low network congestion.
+
+Would you like to adjust the amount and try again?`,
+      state: "idle",
+      data:  { bridgeQuote, feeRatio },
+    };
+  }
+
+  // Step 3c: Quote the conversion on the destination chain, if any.
+  // The bridge delivers (amount − fee) to the user's deposit wallet
+  // there, which then swaps and pays the recipient.
+  let swapAfter = null;
+  if (intent.receiveToken) {
+    swapAfter = await get1inchSwapQuote({
+      fromToken:       token,
+      toToken:         intent.receiveToken,
+      amount:          amount - bridgeQuote.feeUSD,
+      chain:           toChain,
+      slippagePercent: slippageFor(intent),
+    });
+    if (!swapAfter) {
+      return {
+        message: `I can bridge ${token} to ${toChain}, but I couldn't find a way to convert it to ${intent.receiveToken} there. Want me to send it as ${token} instead?`,
+        state:   "idle",
+        data:    { bridgeQuote },
+      };
+    }
+  }
+
+  // Step 4: Generate preview for user confirmation
+  const preview = await generateTransactionPreview(
+    { ...intent, toChain, swapAfter, detectedChain: chainInfo },
+    bridgeQuote
+  );
+
+  // Append the guaranteed minimum, then warnings if any
+  let fullMessage = preview + await formatMinReceived({ ...intent, toChain, swapAfter }, bridgeQuote);
+  if (bridgeWarnings.length > 0 || validation.warnings.length > 0) {
+    const allWarnings = [...bridgeWarnings, ...validation.warnings];
+    fullMessage += `\n\n${allWarnings.join("\n")}`;
+  }
+  if (validation.suggestions.length > 0) {
+    fullMessage += `\n\n💡 ${validation.suggestions.join("\n💡 ")}`;
+  }
+  fullMessage += formatRouteOptions(allQuotes, bridgeQuote);
+
+  const code = typedCode(intent, validation);
+  if (code) fullMessage += `\n\n${TYPED_CONFIRM_PROMPT}`;
+
+  // Save pending transaction to session
+  const plan = buildExecutionPlan({ ...intent, toChain, swapAfter }, bridgeQuote);
+  session.pendingTransaction = {
+    intent:      { ...intent, toChain, swapAfter },
+    bridgeQuote,
+    plan,
+    chainInfo,
+    validation,
+    allQuotes,
+    confirmCode: code,
+  };
+  session.state = "awaiting_confirmation";
+  session.history.push({ role: "assistant", content: fullMessage });
+
+  return {
+    message: fullMessage,
+    state:   "awaiting_confirmation",
+    data:    await previewData(session.pendingTransaction),
+  };
+}
+
+/**
+ * Response data for a transfer awaiting confirmation. Each alternative
+ * route carries the `option` number that picks it ("2", "route 2").
+ */
+async function previewData(pending) {
+  const { intent, bridgeQuote, chainInfo, allQuotes = [], plan, validation } = pending;
+  return {
+    chainDetected:  intent.toChain,
+    chainNote:      chainInfo?.note,
+    minReceived:    await minReceived(intent, bridgeQuote),
+    contactName:    intent.contactName || null,
+    recipientName:  intent.recipientName || null,
+    toAddress:      intent.toAddress,
+    bestBridge:     bridgeQuote,
+    alternativeRoutes: allQuotes
+      .map((quote, i) => ({ ...quote, option: i + 1 }))
+      .filter(quote => quote.bridge !== bridgeQuote.bridge),
+    plan,
+    validation,
+    typedConfirmation: Boolean(pending.confirmCode),
+  };
+}
+
+// The code a large first transfer is confirmed with, or null if YES will do
+function typedCode(intent, validation) {
+  return validation.recipientRisk?.typedConfirmation ? confirmCode(intent.toAddress) : null;
+}
+
+const TYPED_CONFIRM_PROMPT = "🔐 This is a large first transfer to a new address, so YES isn't enough: type the last 4 characters of the recipient address to send it, or NO to cancel.";
+const TYPED_BATCH_PROMPT   = "🔐 Rows marked 🔐 are large first transfers to new addresses, so YES isn't enough: type the last 4 characters of each of those addresses, separated by spaces, to send the batch, or NO to cancel.";
+
+// What the user types instead of YES: the pending transfer's code, or
+// one per batch row that needs one. Empty when YES will do.
+function confirmCodesFor(pending) {
+  const codes = pending.batch
+    ? pending.batch.rows.filter(r => r.status === "ready" && r.confirmCode).map(r => r.confirmCode)
+    : [pending.confirmCode].filter(Boolean);
+  return [...new Set(codes)];
+}
+
+// "🛡️ You will receive at least 99.20 USDC (max slippage 0.5%)."
+async function formatMinReceived(intent, bridgeQuote) {
+  const { amount, token, percent, feeUSD } = await minReceived(intent, bridgeQuote);
+  if (amount === null) {
+    return `\n\n🛡️ I can't give a guaranteed minimum: the $${feeUSD.toFixed(2)} bridge fee can't be converted without a ${intent.token} price.`;
+  }
+  const shown = (Math.floor(amount * 100) / 100).toFixed(2);
+  const fee   = feeUSD === null ? "" : ` less the $${feeUSD.toFixed(2)} bridge fee`;
+  return `\n\n🛡️ You will receive at least ${shown} ${token}${fee} (${percent === null ? "after fees" : `max slippage ${percent}%`}).`;
+}
+
+// "Other routes — reply with a number to switch: 2. Celer — $0.50, ~4 min"
+function formatRouteOptions(allQuotes, bridgeQuote) {
+  const others = allQuotes
+    .map((quote, i) => ({ quote, option: i + 1 }))
+    .filter(({ quote }) => quote.bridge !== bridgeQuote.bridge);
+  if (others.length === 0) return "";
+  const lines = others.map(({ quote, option }) => `${option}. ${quote.bridge} — $${quote.feeUSD.toFixed(2)}, ~${quote.estimatedMinutes} min`);
+  return `\n\n🔀 Other routes — reply with a number to switch:\n${lines.join("\n")}`;
+}
+
+/**
+ * Ordered legs the agent will execute for a pending transaction.
+ * Shown in the preview and copied into the ledger entry, where each
+ * leg then tracks its own status.
+ *
+ * @returns {Object[]} [{ id, type, status, ... }]
+ */
+function buildExecutionPlan(intent, bridgeQuote) {
+  const { swapFirst, swapAfter, fromChain = "celo" } = intent;
+  const legs = [];
+
+  if (swapFirst) {
+    legs.push({
+      id:             "swap",
+      type:           "swap",
+      chain:          fromChain,
+      dex:            swapFirst.dex,
+      fromToken:      swapFirst.fromToken,
+      toToken:        swapFirst.toToken,
+      inputAmount:    swapFirst.inputAmount,
+      expectedOutput: swapFirst.outputAmount,
+      status:         "pending",
+    });
+  }
+
+  if (bridgeQuote.splits) {
+    // One leg per bridge; each carries its own quote so it can be
+    // executed and tracked on its own
+    bridgeQuote.splits.forEach((split, i) => legs.push({
+      id:               `bridge_${i + 1}`,
+      type:             "bridge",
+      bridge:           split.bridge,
+      executionMethod:  split.executionMethod,
+      fromChain,
+      toChain:          intent.toChain,
+      token:            intent.token,
+      amount:           split.amount,
+      toAddress:        intent.toAddress,
+      feeUSD:           split.feeUSD,
+      estimatedMinutes: split.estimatedMinutes,
+      rawQuote:         split.rawQuote,
+      status:           "pending",
+    }));
+  } else {
+    legs.push({
+      id:        "bridge",
+      type:      "bridge",
+      bridge:    bridgeQuote.bridge,
+      fromChain,
+      toChain:   intent.toChain,
+      token:     intent.token,
+      amount:    intent.amount,
+      toAddress: intent.toAddress,
+      status:    "pending",
+    });
+  }
+
+  if (swapAfter) {
+    legs.push({
+      id:             "destination_swap",
+      type:           "swap",
+      chain:          intent.toChain,
+      dex:            swapAfter.dex,
+      fromToken:      swapAfter.fromToken,
+      toToken:        swapAfter.toToken,
+      inputAmount:    swapAfter.inputAmount,
+      expectedOutput: swapAfter.outputAmount,
+      recipient:      intent.toAddress,
+      status:         "pending",
+    });
+  }
+
+  return legs;
+}
+
+/**
+ * Handles YES/NO confirmation from user. In a dry run YES simulates the
+ * pending transaction and leaves it pending; in non-custodial mode it
+ * hands the unsigned transactions to the user's wallet. A transfer with
+ * confirm codes (see confirmCodesFor) is confirmed by typing them
+ * instead of YES.
+ */
+async function handleConfirmation(session, userMessage, { dryRun = false, walletInfo = {} } = {}) {
+  const msg   = userMessage.trim().toLowerCase();
+  const words = msg.split(/[^a-z]+/).filter(Boolean);
+  const codes = confirmCodesFor(session.pendingTransaction);
+  const typed = codes.length > 0 && matchesConfirmCodes(userMessage, codes);
+  // "7e1d 0b0b" that doesn't match is a wrong code, not an edit
+  const triedCode = codes.length > 0 && userMessage.split(/[\s,;]+/).filter(Boolean)
+    .every(word => word.replace(/^["'`.…]+|["'`.!]+$/g, "").length === 4);
+
+  if (!typed && !triedCode) {
+    // "2", "route 2", "use Axelar" — switch to one of the routes already quoted
+    const routeIndex = findRouteChoice(msg, session.pendingTransaction);
+    if (routeIndex !== null) return await selectRoute(session, userMessage, routeIndex);
+
+    // "make it 80 instead", "use Celer" — anything but a plain yes/no may edit the transfer
+    if (!PLAIN_REPLY.test(msg)) {
+      const changes = await parseAmendment(userMessage, session.pendingTransaction.intent || {});
+      if (Object.keys(changes).length > 0) return await amendPending(session, userMessage, changes);
+    }
+  }
+
+  const saidYes = words.some(w => YES_WORDS.includes(w));
+  const isYes   = typed || (saidYes && (codes.length === 0 || dryRun));
+  const isNo    = !typed && (words.some(w => NO_WORDS.includes(w)) || /never\s*mind/.test(msg));
+
+  if (isYes && dryRun) return await simulatePending(session, walletInfo);
+
+  if (isYes) {
+    // A quote past its TTL is fetched again; if it got worse, ask again
+    const requoted = await refreshExpiredQuote(session);
+    if (requoted) return requoted;
+
+    // Claim the pending transaction before touching the chain. If a
+    // duplicate webhook delivery already claimed it, this save fails.
+    session.state = "executing";
+    try {
+      await saveSession(session);
+    } catch (error) {
+      if (error.code !== "SESSION_CONFLICT") throw error;
+      return {
+        message: "This transaction is already being processed. I'll let you know once it's submitted.",
+        state:   "executing",
+      };
+    }
+    const pending = session.pendingTransaction;
+    if (pending.schedule) return await confirmSchedule(session);
+
+    const signer = selfCustodySigner(walletInfo);
+    if (signer) return await prepareUserSignedTransfer(session, signer);
+
+    return pending.batch
+      ? await executeBatch(session)
+      : await executeTransfer(session);
+  }
+
+  if (isNo) {
+    session.state = "idle";
+    session.pendingTransaction = null;
+    return {
+      message: "Transaction cancelled. No funds were moved. Let me know if you'd like to try something different.",
+      state:   "idle",
+    };
+  }
+
+  if (codes.length > 0) {
+    const batch = Boolean(session.pendingTransaction.batch);
+    return {
+      message: saidYes
+        ? (batch ? TYPED_BATCH_PROMPT : TYPED_CONFIRM_PROMPT)
+        : `That doesn't match. Type the last 4 characters of ${batch ? "each address marked 🔐, separated by spaces, to send the batch" : "the recipient address to send it"}, or NO to cancel.`,
+      state:   "awaiting_confirmation",
+    };
+  }
+
+  return {
+    message: "Please reply YES to confirm the transaction or NO to cancel it.",
+    state:   "awaiting_confirmation",
+  };
+}
+
+/**
+ * Index into pendingTransaction.allQuotes of the route the user picked,
+ * or null when the message isn't a route choice (or names a bridge that
+ * wasn't quoted — that is re-quoted as an amendment instead).
+ */
+function findRouteChoice(msg, pending) {
+  const quotes = pending?.allQuotes || [];
+  const match  = msg.trim().match(ROUTE_CHOICE);
+  if (!match || quotes.length < 2) return null;
+
+  if (match[1]) {
+    const index = parseInt(match[1]) - 1;
+    return index >= 0 && index < quotes.length ? index : null;
+  }
+  const name  = match[2].trim();
+  const index = quotes.findIndex(q => q.bridge.toLowerCase().includes(name) || name.includes(q.bridge.toLowerCase().split(/[\s/]/)[0]));
+  return index >= 0 ? index : null;
+}
+
+/**
+ * Switch the pending transfer to another quoted route. The quote is
+ * validated for this transfer first; the current route stays if it fails.
+ */
+async function selectRoute(session, userMessage, index) {
+  const pending = session.pendingTransaction;
+  const quote   = pending.allQuotes[index];
+
+  if (quote.bridge === pending.bridgeQuote.bridge) {
+    return { message: `That's the route already selected (${quote.bridge}). Reply YES to confirm or NO to cancel.`, state: "awaiting_confirmation", data: await previewData(pending) };
+  }
+
+  // A conversion's quote depends on what the bridge delivers — quote it afresh
+  if (pending.intent.swapAfter) {
+    return await amendPending(session, userMessage, { preferredBridge: quote.bridge });
+  }
+
+  session.history.push({ role: "user", content: userMessage });
+  const validation = await validateTransfer(pending.intent, quote, { sessionId: session.sessionId });
+  if (!validation.valid) {
+    return {
+      message: `${quote.bridge} can't take this transfer: ${validation.errors.join(", ")}. It's still set to go via ${pending.bridgeQuote.bridge} — reply YES to confirm, pick another route, or NO to cancel.`,
+      state:   "awaiting_confirmation",
+      data:    await previewData(pending),
+    };
+  }
+
+  const intent = { ...pending.intent, preferredBridge: quote.bridge };
+  const code   = typedCode(intent, validation);
+  session.pendingTransaction = { ...pending, intent, bridgeQuote: quote, plan: buildExecutionPlan(intent, quote), validation, confirmCode: code };
+  console.log(`[Orchestrator] ${session.sessionId} switched route to ${quote.bridge}`);
+
+  const preview   = await generateTransactionPreview({ ...intent, detectedChain: pending.chainInfo }, quote);
+  const warnings  = validation.warnings.length > 0 ? `\n\n${validation.warnings.join("\n")}` : "";
+  const typedNote = code ? `\n\n${TYPED_CONFIRM_PROMPT}` : "";
+  const message   = `🔀 Switched to ${quote.bridge}.\n\n${preview}${await formatMinReceived(intent, quote)}${warnings}${formatRouteOptions(pending.allQuotes, quote)}${typedNote}`;
+  session.history.push({ role: "assistant", content: message });
+
+  return { message, state: "awaiting_confirmation", data: await previewData(session.pendingTransaction) };
+}
+
+/**
+ * Apply the user's changes to the transfer awaiting confirmation and
+ * quote, validate and preview it again. If the changed transfer can't
+ * go ahead, the original stays pending.
+ */
+async function amendPending(session, userMessage, changes) {
+  const pending = session.pendingTransaction;
+  session.history.push({ role: "user", content: userMessage });
+
+  if (pending.batch || pending.schedule) {
+    return {
+      message: `I can't edit a ${pending.batch ? "batch" : "recurring transfer"} here. Reply NO and send the corrected request instead, or YES to go ahead as shown.`,
+      state:   "awaiting_confirmation",
+    };
+  }
+
+  console.log(`[Orchestrator] Amending pending transfer for ${session.sessionId}:`, JSON.stringify(changes));
+  return await reviewPending(session, changes, { header: "✏️ Updated the transfer." });
+}
+
+/**
+ * Quote, validate and preview the pending transfer again with `changes`
+ * applied, under `header`. If it can't go ahead the original stays
+ * pending — unless keepOriginal is false (its quote has gone stale),
+ * in which case nothing is left pending.
+ */
+async function reviewPending(session, changes, { header, keepOriginal = true }) {
+  const pending = session.pendingTransaction;
+  const intent  = { ...previewedIntent(pending.intent), ...changes, amended: true };
+  if (changes.toAddress) {
+    delete intent.contactName;
+    delete intent.recipientName;
+  }
+  if (changes.priority && !changes.preferredBridge) delete intent.preferredBridge;
+
+  session.pendingTransaction = null;
+  session.state = "idle";
+  const response = await routeIntent(session, intent);
+  if (response.state === "awaiting_confirmation" || !keepOriginal) {
+    return { ...response, message: `${header}\n\n${response.message}` };
+  }
+
+  session.pendingTransaction = pending;
+  session.state = "awaiting_confirmation";
+  return {
+    ...response,
+    message: `${response.message}\n\nYour original transfer is still waiting — reply YES to send it as shown before, or NO to cancel.`,
+    state:   "awaiting_confirmation",
+  };
+}
+
+// The transfer as the user asked for it, before any swap legs were planned
+function previewedIntent(intent) {
+  const { swapFirst, swapAfter, detectedChain, ...rest } = intent;
+  return {
+    ...rest,
+    type:         "transfer",
+    token:        swapFirst ? swapFirst.fromToken   : rest.token,
+    amount:       swapFirst ? swapFirst.inputAmount : rest.amount,
+    receiveToken: swapAfter ? swapAfter.toToken : swapFirst ? rest.token : rest.receiveToken || null,
+  };
+}
+
+/**
+ * Re-quote a confirmed transfer whose quote is past its TTL. Returns
+ * null to go ahead — with the fresh quote swapped in if the fee and ETA
+ * are within QUOTES tolerances — or a new preview to confirm instead.
+ * Recurring transfers are skipped: every run is quoted afresh anyway.
+ */
+async function refreshExpiredQuote(session) {
+  const pending = session.pendingTransaction;
+  if (pending.schedule) return null;
+  if (pending.batch) return await refreshBatchQuotes(session);
+
+  const { intent, bridgeQuote: shown } = pending;
+  if (!quoteExpired(shown)) return null;
+
+  const route = await getBestBridgeRoute({
+    fromChain: intent.fromChain || "celo",
+    toChain:   intent.toChain,
+    token:     intent.token,
+    amount:    intent.amount,
+    priority:  intent.priority,
+  });
+  const fresh = shown.splits ? route.split : route.all.find(q => q.bridge === shown.bridge);
+  console.log(`[Orchestrator] Quote for ${session.sessionId} expired — re-quoted ${shown.bridge}: ` +
+    (fresh ? `$${shown.feeUSD.toFixed(2)} → $${fresh.feeUSD.toFixed(2)}` : "no longer offered"));
+
+  if (!fresh) {
+    return await reviewPending(session, { preferredBridge: null }, {
+      header:       `⏱️ ${shown.bridge} no longer quotes this transfer, so here's the best route now. Nothing was sent.`,
+      keepOriginal: false,
+    });
+  }
+
+  const moved = quoteMoved(shown, fresh);
+  if (moved) {
+    return await reviewPending(session, shown.splits ? {} : { preferredBridge: shown.bridge }, {
+      header:       `⏱️ The quote changed since you saw it — ${moved}. Nothing was sent.`,
+      keepOriginal: false,
+    });
+  }
+
+  session.pendingTransaction = { ...pending, bridgeQuote: fresh, allQuotes: route.all, plan: buildExecutionPlan(intent, fresh) };
+  return null;
+}
+
+// A batch is planned again as a whole; any change to which rows can go counts as moved
+async function refreshBatchQuotes(session) {
+  const pending = session.pendingTransaction;
+  const shown   = pending.batch;
+  const ready   = shown.rows.filter(r => r.status === "ready");
+  if (!pending.recipients || !ready.some(r => quoteExpired(r.bridgeQuote))) return null;
+
+  const batch  = await planBatch(pending.recipients, {
+    sessionId: session.sessionId, fromChain: pending.fromChain, priority: pending.priority, slippagePercent: pending.slippagePercent,
+  });
+  const before = ready.map(r => r.index).join();
+  const after  = batch.rows.filter(r => r.status === "ready").map(r => r.index).join();
+  const codes  = (b) => confirmCodesFor({ batch: b }).join();
+  const moved  = before !== after
+    ? "not the same transfers can go now"
+    : codes(shown) !== codes(batch)
+    ? "not the same rows need a typed code now"
+    : quoteMoved(
+      { feeUSD: shown.totals.feeUSD, estimatedMinutes: shown.totals.maxMinutes },
+      { feeUSD: batch.totals.feeUSD, estimatedMinutes: batch.totals.maxMinutes });
+
+  session.pendingTransaction = { ...pending, batch };
+  if (!moved) return null;
+
+  const message = `⏱️ The quotes changed since you saw them — ${moved}. Nothing was sent.\n\n${formatBatchPreview(batch)}`;
+  session.history.push({ role: "assistant", content: message });
+  if (batch.totals.ready === 0) {
+    session.state = "idle";
+    session.pendingTransaction = null;
+    return { message, state: "idle", data: { batch } };
+  }
+  return { message, state: "awaiting_confirmation", data: { batch } };
+}
+
+function quoteExpired(quote) {
+  return Boolean(quote?.expiresAt) && quote.expiresAt <= Date.now();
+}
+
+// How a fresh quote got worse than the one shown beyond the QUOTES
+// tolerances, e.g. "fee $0.30 → $0.45", or null if it's close enough.
+// A cheaper or faster quote always goes ahead.
+function quoteMoved(shown, fresh) {
+  const { FEE_TOLERANCE_PERCENT, FEE_TOLERANCE_USD, ETA_TOLERANCE_PERCENT } = config.QUOTES;
+  const moved = [];
+
+  const feeSlack = Math.max(FEE_TOLERANCE_USD, shown.feeUSD * FEE_TOLERANCE_PERCENT / 100);
+  if (fresh.feeUSD - shown.feeUSD > feeSlack) {
+    moved.push(`fee $${shown.feeUSD.toFixed(2)} → $${fresh.feeUSD.toFixed(2)}`);
+  }
+  const etaSlack = Math.max(1, shown.estimatedMinutes * ETA_TOLERANCE_PERCENT / 100);
+  if (fresh.estimatedMinutes - shown.estimatedMinutes > etaSlack) {
+    moved.push(`time ~${shown.estimatedMinutes} → ~${fresh.estimatedMinutes} min`);
+  }
+  return moved.length > 0 ? moved.join(", ") : null;
+}
+
+function pendingExpired(session) {
+  const expiresAt = session.pendingTransaction?.expiresAt;
+  return Boolean(expiresAt) && expiresAt <= Date.now();
+}
+
+function expirePending(session) {
+  session.state = "idle";
+  session.pendingTransaction = null;
+  session.history.push({ role: "assistant", content: "The transfer request expired before it was confirmed. Nothing was sent." });
+}
+
+/**
+ * Cancel every preview left unconfirmed past its expiry and tell the
+ * user on their linked channels. A session the user is replying to
+ * right now is left to that reply.
+ *
+ * @param {Function} [onExpired] - Called with (sessionId, pendingTransaction)
+ * @returns {Promise<string[]>} The expired session ids
+ */
+async function expireConfirmations(onExpired) {
+  const now = Date.now();
+  const due = (await listSessions())
+    .filter(s => s.state === "awaiting_confirmation" && s.pendingTransaction?.expiresAt <= now);
+
+  const expired = [];
+  for (const { sessionId } of due) {
+    const session = await loadSession(sessionId);
+    if (session.state !== "awaiting_confirmation" || !pendingExpired(session)) continue;
+
+    const pending = session.pendingTransaction;
+    expirePending(session);
+    try {
+      await saveSession(session);
+    } catch (error) {
+      if (error.code !== "SESSION_CONFLICT") throw error;
+      continue;
+    }
+    console.log(`[Orchestrator] Confirmation for ${sessionId} expired unconfirmed`);
+
+    await notifyConfirmationExpired(sessionId, pending);
+    if (onExpired) await onExpired(sessionId, pending);
+    expired.push(sessionId);
+  }
+  return expired;
+}
+
+/**
+ * Start the loop that expires unconfirmed previews.
+ *
+ * @param {Function} [onExpired] - See expireConfirmations()
+ */
+function startConfirmationExpiry(onExpired) {
+  const intervalMs = config.QUOTES.EXPIRY_POLL_SECONDS * 1000;
+  console.log(`[Orchestrator] Starting confirmation expiry (every ${intervalMs / 1000}s)...`);
+
+  setInterval(() => {
+    expireConfirmations(onExpired).catch(err => console.error("[Orchestrator] Confirmation expiry failed:", err.message));
+  }, intervalMs);
+}
+
+/**
+ * Dry-runs the transaction awaiting confirmation. Nothing is signed and
+ * the transaction stays pending.
+ */
+async function simulatePending(session, walletInfo = {}) {
+  const pending = session.state === "awaiting_confirmation" ? session.pendingTransaction : null;
+  if (!pending) {
+    return {
+      message: "There's no pending transfer to simulate. Try \"simulate send 100 USDC to 0xA1B2...\" to preview and dry-run a new one.",
+      state:   session.state,
+    };
+  }
+
+  const unsupported = dryRunUnsupported(pending);
+  if (unsupported) {
+    return { message: `${unsupported} Reply YES to send it or NO to cancel.`, state: "awaiting_confirmation" };
+  }
+
+  const report = await simulatePendingTransfer(session, selfCustodySigner(walletInfo));
+  return {
+    message: `${formatDryRunReport(report)}\n\nReply YES to send it for real or NO to cancel.`,
+    state:   "awaiting_confirmation",
+    data:    { dryRun: report },
+  };
+}
+
+/**
+ * "show my approvals" lists the allowances bridges still hold on the
+ * user's deposit wallet; "revoke all bridge approvals" sets them to 0.
+ * Leaves the session state as it was.
+ */
+async function handleApprovalsCommand(session, walletInfo = {}, { revoke = false } = {}) {
+  if (selfCustodySigner(walletInfo)) {
+    return {
+      message: "Approvals from your connected wallet are signed by you, so they're managed in your wallet — I only track the ones your deposit wallet gave.",
+      state:   session.state,
+    };
+  }
+
+  try {
+    const { address } = await getDepositAccount(session.sessionId);
+    if (!revoke) {
+      const open = await auditApprovals(address);
+      if (open.length === 0) {
+        return { message: "✅ No bridge can spend tokens from your deposit wallet — there are no open approvals.", state: session.state, data: { approvals: [] } };
+      }
+      return {
+        message: `🔏 Open bridge approvals on your deposit wallet (${address}):\n` +
+          open.map(a => `• ${a.bridge || a.spender} may spend ${a.allowance} ${a.token || a.tokenAddress} on ${a.chain}`).join("\n") +
+          `\n\nSay "revoke all bridge approvals" to set them back to 0.`,
+        state: session.state,
+        data:  { approvals: open },
+      };
+    }
+
+    const results = await revokeApprovals(address, async (chain) => {
+      await topUpGas(session.sessionId, chain);
+      return getDepositWallet(session.sessionId, chain);
+    });
+    if (results.length === 0) {
+      return { message: "✅ Nothing to revoke — no bridge has an open approval on your deposit wallet.", state: session.state, data: { revoked: [] } };
+    }
+    return {
+      message: `🔏 Bridge approvals revoked:\n` +
+        results.map(r => r.txHash
+          ? `• ${r.bridge || r.spender} (${r.token || r.tokenAddress} on ${r.chain}): revoked — ${getExplorerLink(r.chain, r.txHash)}`
+          : `• ${r.bridge || r.spender} (${r.token || r.tokenAddress} on ${r.chain}): failed — ${r.error}`).join("\n"),
+      state: session.state,
+      data:  { revoked: results },
+    };
+  } catch (error) {
+    console.error("[Orchestrator] Approvals command failed:", error.message);
+    return { message: `I couldn't check your approvals: ${error.message}`, state: session.state };
+  }
+}
+
+/**
+ * Appends a simulation to a fresh preview (dry-run requests).
+ */
+async function attachDryRun(session, response, walletInfo = {}) {
+  const unsupported = dryRunUnsupported(session.pendingTransaction);
+  if (unsupported) return { ...response, message: `${response.message}\n\n🧪 ${unsupported}` };
+
+  const report = await simulatePendingTransfer(session, selfCustodySigner(walletInfo));
+  return {
+    ...response,
+    message: `${response.message}\n\n${formatDryRunReport(report)}`,
+    data:    { ...response.data, dryRun: report },
+  };
+}
+
+function dryRunUnsupported(pending) {
+  if (pending.batch)    return "Dry runs cover single transfers only — batches aren't simulated yet.";
+  if (pending.schedule) return "Scheduled transfers are simulated as part of each run, not in advance.";
+  if (pending.intent.swapFirst) return "Dry runs don't cover swap-and-transfer yet: the bridge amount is only known once the swap is mined.";
+  return null;
+}
+
+/**
+ * Simulates a session's pending transaction the way it would be sent:
+ * from the user's deposit wallet, or from `signer` for a non-custodial
+ * transfer. Failures come back as a report.
+ */
+async function simulatePendingTransfer(session, signer = null) {
+  const { intent, bridgeQuote } = session.pendingTransaction;
+  const fromChain = intent.fromChain || "celo";
+  try {
+    const fromAddress = signer || (await getDepositAccount(session.sessionId)).address;
+    // A destination conversion bridges to the deposit wallet first
+    const simIntent = intent.swapAfter ? { ...intent, toAddress: fromAddress } : intent;
+    return await simulateTransfer({ intent: simIntent, bridgeQuote, fromAddress });
+  } catch (error) {
+    console.error("[Orchestrator] Simulation error:", error.message);
+    return {
+      ok: false, chain: fromChain, fromAddress: null, token: intent.token,
+      legs: [], gas: null, movements: [], balances: null, errors: [`Could not simulate: ${error.message}`], notes: [],
+    };
+  }
+}
+
+/**
+ * Quotes and validates every row of a batch, then asks for one
+ * confirmation covering all the rows that passed.
+ */
+async function processBatch(session, intent) {
+  let batch;
+  try {
+    batch = await planBatch(intent.recipients, {
+      sessionId:       session.sessionId,
+      fromChain:       intent.fromChain || "celo",
+      priority:        intent.priority,
+      slippagePercent: intent.slippagePercent,
+    });
+  } catch (error) {
+    if (error.code !== "INVALID_BATCH") throw error;
+    return { message: `⚠️ ${error.message}`, state: "idle" };
+  }
+
+  const message = formatBatchPreview(batch);
+  session.history.push({ role: "assistant", content: message });
+
+  if (batch.totals.ready === 0) {
+    return { message, state: "idle", data: { batch } };
+  }
+
+  // The rows are kept so an expired batch can be quoted again on YES
+  session.pendingTransaction = {
+    batch,
+    recipients:      intent.recipients,
+    fromChain:       intent.fromChain || "celo",
+    priority:        intent.priority,
+    slippagePercent: intent.slippagePercent,
+  };
+  session.state = "awaiting_confirmation";
+  return { message, state: "awaiting_confirmation", data: { batch } };
+}
+
+/**
+ * Executes every ready row of a confirmed batch, one after another from
+ * the user's deposit wallet. A failed row is reported and the rest carry on.
+ */
+async function executeBatch(session) {
+  const { batch } = session.pendingTransaction;
+  const ready     = batch.rows.filter(r => r.status === "ready");
+  const results   = [];
+
+  console.log(`[Orchestrator] Executing ${batch.batchId}: ${ready.length} transfer(s)...`);
+  for (const row of ready) {
+    session.pendingTransaction = { intent: row.intent, bridgeQuote: row.bridgeQuote, batchId: batch.batchId };
+    const response = await executeTransfer(session);
+    results.push({
+      index:      row.index,
+      toAddress:  row.toAddress,
+      ok:         response.state !== "error",
+      transferId: response.data?.receipt?.transferId || null,
+      txHash:     response.data?.receipt?.txHash || null,
+      error:      response.data?.error || null,
+    });
+  }
+
+  session.state = "idle";
+  session.pendingTransaction = null;
+
+  const sent  = results.filter(r => r.ok).length;
+  const lines = results.map(r => r.ok
+    ? `✅ ${r.index + 1}. ${r.toAddress.slice(0, 8)}... — ${r.txHash}`
+    : `❌ ${r.index + 1}. ${r.toAddress.slice(0, 8)}... — ${r.error}`);
+  const message = `${sent === results.length ? "✅" : "⚠️"} Batch finished: ${sent} of ${results.length} transfers submitted.\n\n${lines.join("\n")}` +
+    (sent > 0 ? "\n\nI'll let you know as each one arrives." : "");
+  session.history.push({ role: "assistant", content: `Batch ${batch.batchId}: ${sent}/${results.length} submitted` });
+
+  return {
+    message,
+    state: sent > 0 ? "idle" : "error",
+    data:  { batchId: batch.batchId, results },
+  };
+}
+
+/**
+ * Executes the confirmed transaction.
+ * ─────────────────────────────────────────────────────────────────
+ * 🔑 KEY INJECTION POINTS IN THIS FUNCTION:
+ *   - config.DEPOSIT_WALLETS    → The user's wallet signs transactions
+ *   - config.AGENT_PRIVATE_KEY  → Tops that wallet up with gas
+ *   - config.RPC[chain]         → Used to connect to blockchain
+ * ─────────────────────────────────────────────────────────────────
+ */
+async function executeTransfer(session) {
+  const { intent, bridgeQuote } = session.pendingTransaction;
+  const { token, toAddress, fromChain = "celo", toChain } = intent;
+  const plan = session.pendingTransaction.plan || buildExecutionPlan(intent, bridgeQuote);
+
+  // Screening and spending policy again — lists refresh and transfers
+  // since the preview count too
+  const screening = await screenParties({
+    sessionId: session.sessionId, toAddress, context: "execute", details: { token, amount: intent.amount, fromChain, toChain },
+  });
+  if (screening.blocked) return refuseTransfer(session, formatScreeningBlock(screening.reasons), screening.reasons);
+  const policy = await checkSpendingPolicy(intent, { sessionId: session.sessionId });
+  if (policy.violations.length > 0) return refuseTransfer(session, formatPolicyBlock(policy.violations), policy.violations);
+
+  // Pre-flight: simulate every transaction first and stop before
+  // anything is signed if one would revert or the wallet is short
+  let report = null;
+  if (config.DRY_RUN.PREFLIGHT && !intent.swapFirst) {
+    report = await simulatePendingTransfer(session);
+    if (!report.ok && !coversToken(report)) return preflightFailed(session, report);
+  }
+
+  // Gas for the deposit wallet, including any bridge fee the
+  // simulation found is paid in native token
+  let topUp;
+  try {
+    topUp = await topUpGas(session.sessionId, fromChain, {
+      extraWei: report?.balances ? ethers.parseEther(report.balances.native.need) : 0n,
+    });
+  } catch (error) {
+    console.error("[Orchestrator] Gas top-up failed:", error.message);
+    session.state = "idle";
+    session.pendingTransaction = null;
+    return { message: `❌ Transfer failed — nothing was sent. ${error.message}`, state: "error", data: { error: error.message } };
+  }
+  if (report && !report.ok) {
+    if (topUp) report = await simulatePendingTransfer(session);
+    if (!report.ok) return preflightFailed(session, report);
+  }
+
+  const transfer = await createTransfer({
+    sessionId: session.sessionId, intent, bridgeQuote, legs: plan, batchId: session.pendingTransaction.batchId,
+  });
+  if (bridgeQuote.splits) return await executeSplitTransfer(session, transfer);
+
+  // For swap_and_transfer flows the bridge leg moves exactly what the
+  // swap delivered, so its amount is only known once the swap is mined.
+  let bridgeIntent = intent;
+  let swapResult   = null;
+  let wallet       = null; // the catch below rolls the swap back with it
+
+  try {
+    // ── 🔑 WALLET SETUP ──────────────────────────────────────────
+    // The requesting user's deposit wallet — never another user's funds
+    wallet = await getDepositWallet(session.sessionId, fromChain);
+    // ──────────────────────────────────────────────────────────────
+
+    const tokenAddress = getTokenAddress(fromChain, token);
+    if (!tokenAddress) throw new Error(`Token ${token} address not configured for ${fromChain}`);
+
+    // Step 0: Swap leg (swap_and_transfer only)
+    let amountUnits;
+    if (intent.swapFirst) {
+      swapResult   = await runSwapLeg(transfer.id, intent.swapFirst, fromChain, wallet);
+      amountUnits  = swapResult.amountOutUnits;
+      bridgeIntent = { ...intent, amount: swapResult.amountOut };
+    } else {
+      amountUnits  = toUnits(intent.amount, fromChain, token);
+    }
+    // A destination conversion needs the funds in the deposit wallet first
+    if (intent.swapAfter) bridgeIntent = { ...bridgeIntent, toAddress: wallet.address };
+
+    const amount = bridgeIntent.amount;
+    await recordLeg(transfer.id, "bridge", { status: "executing", amount, toAddress: bridgeIntent.toAddress });
+
+    // Steps 1 + 2: the bridge approves the token only if its allowance
+    // falls short (by permit where the token has it), then sends
+    console.log(`[Orchestrator] Bridging ${amount} ${token} via ${bridgeQuote.bridge}...`);
+    const transferTxHash = await runBridgeLeg({
+      wallet, intent: bridgeIntent, bridgeQuote, amountUnits, tokenAddress,
+      onApproved:  ({ method, txHash }) => recordStep(transfer.id, "approved", { txHash, note: APPROVAL_NOTES[method] }),
+      onSubmitted: (txHash) => recordStep(transfer.id, "submitted", { txHash }),
+    });
+    await recordStep(transfer.id, "source_confirmed", { txHash: transferTxHash });
+    await recordLeg(transfer.id, "bridge", { status: "completed", txHash: transferTxHash });
+
+    // Step 3: Build receipt
+    const receipt      = buildReceipt(transfer.id, { ...bridgeIntent, toAddress }, bridgeQuote, transferTxHash);
+    const explorerLink = receipt.explorerLink;
+    if (swapResult) receipt.swap = { ...swapResult, amountOutUnits: swapResult.amountOutUnits.toString() };
+
+    session.state = "idle";
+    session.pendingTransaction = null;
+    session.history.push({ role: "assistant", content: `Transfer submitted: ${transferTxHash}` });
+
+    const swapLine = swapResult
+      ? `🔄 Swapped ${intent.swapFirst.inputAmount} ${intent.swapFirst.fromToken} → ${amount} ${token} via ${intent.swapFirst.dex}\n`
+      : "";
+
+    const convertLine = intent.swapAfter
+      ? `🔄 On arrival I'll convert it to ~${intent.swapAfter.outputAmount.toFixed(2)} ${intent.swapAfter.toToken} via ${intent.swapAfter.dex}\n`
+      : "";
+
+    return {
+      message: `✅ Transfer submitted successfully!\n\n${swapLine}📦 **${amount} ${token}** → ${toChain} (${toAddress.slice(0,8)}...)\n🌉 Bridge: ${bridgeQuote.bridge}\n💸 Fee: $${bridgeQuote.feeUSD.toFixed(2)}\n⏱️ Estimated arrival: ${bridgeQuote.estimatedMinutes} minutes\n🔗 Track: ${explorerLink}\n${convertLine}\nI'll let you know as soon as the funds arrive on ${toChain}.`,
+      state:   "idle",
+      data:    { receipt },
+    };
+
+  } catch (error) {
+    session.state = "idle";
+    console.error("[Orchestrator] Transfer execution error:", error.message);
+    await recordStep(transfer.id, "failed", { error: error.message })
+      .catch(err => console.error("[Orchestrator] Could not record failure:", err.message));
+
+    // The swap went through but the bridge did not — try to undo the
+    // swap so the user is left holding what they started with.
+    if (swapResult) {
+      await recordLeg(transfer.id, "bridge", { status: "failed", error: error.message })
+        .catch(err => console.error("[Orchestrator] Could not record failure:", err.message));
+      const outcome = await rollbackSwapLeg(transfer.id, intent.swapFirst, swapResult, fromChain, wallet);
+      await notifyTransferFailed(session.sessionId, `${error.message} ${outcome}`, bridgeIntent);
+      return {
+        message: `❌ The swap worked, but the bridge transfer failed: ${error.message}\n\n${outcome}`,
+        state:   "error",
+        data:    { error: error.message, swap: { ...swapResult, amountOutUnits: swapResult.amountOutUnits.toString() } },
+      };
+    }
+
+    // Map common errors to plain-English reasons
+    let reason = error.message || "Unknown error";
+    let suggestion = "Please try again in a moment.";
+
+    if (reason.toLowerCase().includes("insufficient") || reason.toLowerCase().includes("exceeds balance")) {
+      reason = "Your deposit wallet doesn't have enough " + intent.token + " to cover this transfer.";
+      suggestion = "Check your balance (say 'show my balance') — it also shows the address to top it up.";
+    } else if (reason.toLowerCase().includes("allowance") || reason.toLowerCase().includes("approve")) {
+      reason = "The bridge wasn't approved to spend your " + intent.token + ".";
+      suggestion = "This usually resolves itself on retry. Try sending again.";
+    } else if (reason.toLowerCase().includes("gas") || reason.toLowerCase().includes("fee")) {
+      reason = "There wasn't enough CELO in your deposit wallet to pay the network gas fee.";
+      suggestion = "Gas is topped up automatically, so this is usually a short-lived price spike. Try again in a minute.";
+    } else if (reason.toLowerCase().includes("nonce")) {
+      reason = "A transaction ordering conflict occurred.";
+      suggestion = "Wait 30 seconds and try again.";
+    } else if (reason.toLowerCase().includes("revert") || reason.toLowerCase().includes("execution reverted")) {
+      reason = "The bridge contract rejected the transaction. This can happen if the bridge has low liquidity or the amount is below its minimum.";
+      suggestion = "Try a different amount, or ask me to use a different bridge.";
+    } else if (reason.toLowerCase().includes("network") || reason.toLowerCase().includes("timeout") || reason.toLowerCase().includes("rpc")) {
+      reason = "The connection to the blockchain timed out.";
+      suggestion = "The network may be congested. Try again in a minute.";
+    }
+
+    return {
+      message: "❌ Transfer failed: " + reason + " " + suggestion,
+      state:   "error",
+      data:    { error: error.message },
+    };
+  }
+}
+
+// Whether the pre-flight found enough of the token itself — gas is topped up separately
+function coversToken(report) {
+  if (!report.balances) return false;
+  const { have, need } = report.balances.token;
+  return toUnits(have, report.chain, report.token) >= toUnits(need, report.chain, report.token);
+}
+
+/**
+ * Ends a confirmed transfer that screening or the spending policy
+ * stopped at the last moment.
+ */
+function refuseTransfer(session, message, reasons) {
+  console.warn(`[Orchestrator] ${session.sessionId} transfer blocked: ${reasons.join(" ")}`);
+  session.state = "idle";
+  session.pendingTransaction = null;
+  return {
+    message: `❌ Not sent. ${message}`,
+    state:   "error",
+    data:    { error: reasons.join(" "), blockedBy: reasons },
+  };
+}
+
+// A denylist hit, for chat
+function formatScreeningBlock(reasons) {
+  return `🚫 ${reasons.join("\n🚫 ")}\n\nIf you think this is a mistake, contact support.`;
+}
+
+// The policy rules a transfer breaks, for chat
+function formatPolicyBlock(violations) {
+  return `🚦 This transfer breaks your spending policy:\n\n${violations.map(v => `• ${v}`).join("\n")}\n\nSay "show my limits" to see them all.`;
+}
+
+function preflightFailed(session, report) {
+  console.warn(`[Orchestrator] Pre-flight check failed: ${report.errors.join("; ")}`);
+  session.state = "idle";
+  session.pendingTransaction = null;
+  return {
+    message: `❌ Pre-flight check failed — nothing was sent.\n\n${formatDryRunReport(report)}`,
+    state:   "error",
+    data:    { error: report.errors.join("; "), dryRun: report },
+  };
+}
+
+/**
+ * Executes a transfer split across several bridges. The legs run in
+ * parallel (the signer service hands out their nonces); the ledger entry reaches
+ * source_confirmed once every leg has settled and at least one went
+ * through. Legs that failed leave their share in the deposit wallet.
+ */
+async function executeSplitTransfer(session, transfer) {
+  const { intent, bridgeQuote } = session.pendingTransaction;
+  const { token, toAddress, fromChain = "celo", toChain } = intent;
+  const bridgeLegs = transfer.legs.filter(l => l.type === "bridge");
+
+  session.state = "idle";
+  session.pendingTransaction = null;
+
+  let results;
+  try {
+    // ── 🔑 WALLET SETUP ──────────────────────────────────────────
+    const wallet = await getDepositWallet(session.sessionId, fromChain);
+    // ──────────────────────────────────────────────────────────────
+
+    const tokenAddress = getTokenAddress(fromChain, token);
+    if (!tokenAddress) throw new Error(`Token ${token} address not configured for ${fromChain}`);
+
+    console.log(`[Orchestrator] Sending ${intent.amount} ${token} as ${bridgeLegs.length} parallel legs: ${bridgeQuote.bridge}`);
+    results = await Promise.allSettled(bridgeLegs.map(leg =>
+      runSplitLeg(transfer.id, leg, { wallet, intent, tokenAddress, fromChain })));
+  } catch (error) {
+    console.error("[Orchestrator] Split transfer error:", error.message);
+    await recordStep(transfer.id, "failed", { error: error.message })
+      .catch(err => console.error("[Orchestrator] Could not record failure:", err.message));
+    return {
+      message: `❌ Transfer failed: ${error.message}. No funds were bridged.`,
+      state:   "error",
+      data:    { error: error.message },
+    };
+  }
+
+  const outcomes = bridgeLegs.map((leg, i) => ({
+    leg,
+    txHash: results[i].status === "fulfilled" ? results[i].value : null,
+    error:  results[i].status === "rejected" ? results[i].reason.message : null,
+  }));
+  const sent   = outcomes.filter(o => o.txHash);
+  const failed = outcomes.filter(o => !o.txHash);
+  const lines  = outcomes.map(o => o.txHash
+    ? `✅ ${o.leg.amount} ${token} via ${o.leg.bridge} — ${getExplorerLink(fromChain, o.txHash)}`
+    : `❌ ${o.leg.amount} ${token} via ${o.leg.bridge} — ${o.error}`);
+
+  if (sent.length === 0) {
+    const error = failed.map(o => `${o.leg.bridge}: ${o.error}`).join("; ");
+    await recordStep(transfer.id, "failed", { error })
+      .catch(err => console.error("[Orchestrator] Could not record failure:", err.message));
+    session.history.push({ role: "assistant", content: `Split transfer failed: ${error}` });
+    return {
+      message: `❌ Transfer failed — none of the ${bridgeLegs.length} bridge legs went through.\n\n${lines.join("\n")}\n\nNo funds were bridged.`,
+      state:   "error",
+      data:    { error },
+    };
+  }
+
+  await recordStep(transfer.id, "source_confirmed", {
+    txHash: sent[0].txHash,
+    note:   `${sent.length} of ${bridgeLegs.length} bridge legs confirmed`,
+  });
+
+  const receipt = buildReceipt(transfer.id, intent, bridgeQuote, sent[0].txHash);
+  receipt.legs  = outcomes.map(o => ({
+    bridge: o.leg.bridge, amount: o.leg.amount, txHash: o.txHash, error: o.error,
+    explorerLink: o.txHash ? getExplorerLink(fromChain, o.txHash) : null,
+  }));
+  session.history.push({ role: "assistant", content: `Split transfer submitted: ${sent.map(o => o.txHash).join(", ")}` });
+
+  const sentAmount = sent.reduce((sum, o) => sum + o.leg.amount, 0);
+  const heading    = failed.length === 0
+    ? "✅ Transfer submitted successfully!"
+    : `⚠️ Only ${sent.length} of ${bridgeLegs.length} bridge legs went through — ${sentAmount} of ${intent.amount} ${token} is on its way. The rest is still in your deposit wallet on ${fromChain}.`;
+
+  return {
+    message: `${heading}\n\n📦 **${sentAmount} ${token}** → ${toChain} (${toAddress.slice(0,8)}...)\n🔀 Split:\n${lines.join("\n")}\n💸 Fee: $${sent.reduce((sum, o) => sum + o.leg.feeUSD, 0).toFixed(2)}\n⏱️ Estimated arrival: ${bridgeQuote.estimatedMinutes} minutes\n\nI'll let you know as soon as the funds arrive on ${toChain}.`,
+    state:   "idle",
+    data:    { receipt },
+  };
+}
+
+/**
+ * Approve + bridge for one leg of a split transfer.
+ *
+ * @returns {Promise<string>} Source chain transaction hash (mined)
+ */
+async function runSplitLeg(transferId, leg, { wallet, intent, tokenAddress, fromChain }) {
+  const legQuote = {
+    bridge:           leg.bridge,
+    executionMethod:  leg.executionMethod,
+    feeUSD:           leg.feeUSD,
+    estimatedMinutes: leg.estimatedMinutes,
+    rawQuote:         leg.rawQuote,
+  };
+  try {
+    await recordLeg(transferId, leg.id, { status: "executing" });
+    const amountUnits = toUnits(leg.amount, fromChain, intent.token);
+
+    const txHash = await runBridgeLeg({
+      wallet, intent: { ...intent, amount: leg.amount }, bridgeQuote: legQuote, amountUnits, tokenAddress,
+      onApproved:  ({ txHash: hash }) => hash && recordLeg(transferId, leg.id, { approveTxHash: hash }),
+      onSubmitted: (hash) => recordLeg(transferId, leg.id, { txHash: hash }),
+    });
+    await recordLeg(transferId, leg.id, { status: "completed", txHash });
+    return txHash;
+  } catch (err) {
+    console.error(`[Orchestrator] ${transferId} ${leg.id} (${leg.bridge}) failed:`, err.message);
+    await recordLeg(transferId, leg.id, { status: "failed", error: err.message })
+      .catch(e => console.error("[Orchestrator] Could not record failure:", e.message));
+    throw err;
+  }
+}
+
+// Ledger note for an "approved" step that didn't send approve()
+const APPROVAL_NOTES = {
+  existing: "Existing allowance already covered the transfer",
+  permit:   "Approved by EIP-2612 permit signature",
+};
+
+/**
+ * Sends the bridge transaction for the quote's execution method.
+ * Shared by executeTransfer() and crash recovery.
+ *
+ * Each bridge checks the allowance first and approves only if needed.
+ *
+ * @param {Function} params.onSubmitted  - Called with the tx hash as soon as it is broadcast
+ * @param {Function} [params.onApproved] - Called with { method, txHash } once the bridge may spend the token
+ * @returns {Promise<string>} Source chain transaction hash (mined)
+ */
+async function runBridgeLeg({ wallet, intent, bridgeQuote, amountUnits, tokenAddress, onSubmitted, onApproved }) {
+  const params = { wallet, intent, bridgeQuote, amountUnits, tokenAddress, onSubmitted, onApproved };
+  switch (bridgeQuote.executionMethod) {
+    case "across_relay":
+      return await executeAcrossTransfer(params);
+    case "wormhole_ntt":
+      return await executeWormholeTransfer(params);
+    case "axelar_gmp":
+      return await executeAxelarTransfer(params);
+    case "celer_cbridge":
+      return await executeCelerTransfer(params);
+    case "layerzero_stargate":
+      return await executeLayerZeroTransfer(params);
+    default:
+      throw new Error(`Execution method '${bridgeQuote.executionMethod}' not implemented`);
+  }
+}
+
+/**
+ * Executes the swap leg of a swap_and_transfer plan and records the
+ * amount actually received (read from the swap receipt).
+ *
+ * @returns {Promise<{ txHash: string, amountOut: number, amountOutUnits: bigint }>}
+ */
+async function runSwapLeg(transferId, swapRoute, chain, wallet) {
+  console.log(`[Orchestrator] Swapping ${swapRoute.inputAmount} ${swapRoute.fromToken} → ${swapRoute.toToken} via ${swapRoute.dex}...`);
+  await recordLeg(transferId, "swap", { status: "executing" });
+
+  try {
+    const result = await executeSwap(swapRoute, chain, { wallet });
+    await recordLeg(transferId, "swap", {
+      status:         "completed",
+      txHash:         result.txHash,
+      amountOut:      result.amountOut,
+      amountOutUnits: result.amountOutUnits.toString(),
+    });
+    return result;
+  } catch (err) {
+    await recordLeg(transferId, "swap", { status: "failed", error: err.message })
+      .catch(e => console.error("[Orchestrator] Could not record swap failure:", e.message));
+    throw err;
+  }
+}
+
+/**
+ * Swaps the output of a completed swap leg back into the original
+ * token after the bridge leg failed.
+ *
+ * @returns {Promise<string>} Plain-English outcome for the user
+ */
+async function rollbackSwapLeg(transferId, swapRoute, swapResult, chain, wallet) {
+  const { fromToken, toToken } = swapRoute;
+  try {
+    const reverseRoute = await getSwapRoute({
+      fromToken: toToken, toToken: fromToken, amount: swapResult.amountOut, chain, slippagePercent: slippageFor(swapRoute),
+    });
+    if (!reverseRoute) throw new Error(`no swap route for ${toToken} → ${fromToken}`);
+
+    const reversed = await executeSwap(reverseRoute, chain, { wallet });
+    await recordLeg(transferId, "swap", { status: "rolled_back", rollbackTxHash: reversed.txHash, rolledBackAmount: reversed.amountOut });
+    return `I swapped your funds back: you now have ${reversed.amountOut} ${fromToken} again (tx ${reversed.txHash}).`;
+  } catch (err) {
+    console.error(`[Orchestrator] Swap rollback failed for ${transferId}:`, err.message);
+    await recordLeg(transferId, "swap", { rollbackError: err.message })
+      .catch(e => console.error("[Orchestrator] Could not record rollback failure:", e.message));
+    return `I couldn't swap back automatically, so your ${swapResult.amountOut} ${toToken} is still in your deposit wallet on ${chain}. Nothing was bridged.`;
+  }
+}
+
+// ── Non-Custodial Transfers ─────────────────────────────────────
+
+// Unsigned transactions older than this are given up on at startup
+const SIGNATURE_WINDOW_MS = 30 * 60 * 1000;
+
+// How long a hash reported by the user's wallet is watched for a receipt
+// (a restart, or a slower one, is left to reconcileTransfers())
+const USER_TX_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * The connected wallet that signs, when the frontend asked for
+ * non-custodial execution ({ custody: "self" } in walletInfo).
+ */
+function selfCustodySigner(walletInfo = {}) {
+  return walletInfo.custody === "self" && walletInfo.address ? walletInfo.address : null;
+}
+
+/**
+ * Non-custodial counterpart of executeTransfer(): opens the ledger entry
+ * and returns the unsigned transactions (approve, gas payment, bridge
+ * call) for the user's wallet to sign in order. Nothing is sent from the
+ * deposit wallet.
+ */
+async function prepareUserSignedTransfer(session, signer) {
+  const pending = session.pendingTransaction;
+  const { intent, bridgeQuote } = pending;
+
+  const unsupported = selfCustodyUnsupported(pending);
+  if (unsupported) {
+    session.state = "idle";
+    session.pendingTransaction = null;
+    return { message: `❌ ${unsupported} Nothing was sent.`, state: "error", data: { error: unsupported } };
+  }
+
+  // The user's wallet is where the funds come from, so it is screened too
+  const screening = await screenParties({
+    sessionId:   session.sessionId,
+    toAddress:   intent.toAddress,
+    fromAddress: signer,
+    context:     "self_custody",
+    details:     { token: intent.token, amount: intent.amount, fromChain: intent.fromChain || "celo", toChain: intent.toChain },
+  });
+  if (screening.blocked) return refuseTransfer(session, formatScreeningBlock(screening.reasons), screening.reasons);
+  const policy = await checkSpendingPolicy(intent, { sessionId: session.sessionId });
+  if (policy.violations.length > 0) return refuseTransfer(session, formatPolicyBlock(policy.violations), policy.violations);
+
+  if (config.DRY_RUN.PREFLIGHT) {
+    const report = await simulatePendingTransfer(session, signer);
+    if (!report.ok) return preflightFailed(session, report);
+  }
+
+  let transactions;
+  try {
+    transactions = await buildTransferTransactions({ intent, bridgeQuote, fromAddress: signer });
+  } catch (error) {
+    console.error("[Orchestrator] Could not build unsigned transactions:", error.message);
+    session.state = "idle";
+    session.pendingTransaction = null;
+    return {
+      message: `❌ I couldn't prepare the transactions for your wallet: ${error.message}. Nothing was sent.`,
+      state:   "error",
+      data:    { error: error.message },
+    };
+  }
+
+  const transfer = await createTransfer({
+    sessionId: session.sessionId, intent, bridgeQuote, legs: pending.plan || buildExecutionPlan(intent, bridgeQuote),
+    signer, transactions,
+  });
+
+  session.state = "awaiting_signature";
+  session.pendingTransaction = { ...pending, transferId: transfer.id };
+  session.history.push({ role: "assistant", content: `Sent ${transactions.length} unsigned transaction(s) for ${transfer.id} to ${signer}` });
+
+  const plural = transactions.length === 1 ? "" : "s";
+  return {
+    message: `✍️ Please sign ${transactions.length} transaction${plural} in your wallet (${signer.slice(0, 8)}...), in this order:\n\n${transactions.map(tx => `${tx.index + 1}. ${tx.label}`).join("\n")}\n\nEach one needs the one before it mined first. I'll track the transfer once it's sent — say "cancel" to drop it before signing.`,
+    state:   "awaiting_signature",
+    data:    { transferId: transfer.id, signer, transactions },
+  };
+}
+
+function selfCustodyUnsupported(pending) {
+  if (pending.batch)            return "Batches can't be signed from your own wallet yet — send the transfers one at a time.";
+  if (pending.intent.swapFirst) return "Swap-and-transfer can't be signed from your own wallet yet: the bridge amount is only known once the swap is mined.";
+  if (pending.intent.swapAfter) return "Converting on arrival needs the funds to land in your deposit wallet first, so it can't be signed from your own wallet.";
+  return null;
+}
+
+/**
+ * Messages while the user's wallet has transactions to sign. "cancel"
+ * drops the transfer as long as no bridge transaction has been sent.
+ */
+async function handleSignatureWait(session, userMessage) {
+  const { transferId } = session.pendingTransaction;
+  if (!/^\s*(no|cancel|stop|abort|nevermind)\b/i.test(userMessage)) {
+    return {
+      message: `I'm waiting for your wallet to sign the transactions for this transfer. Say "cancel" to drop it.`,
+      state:   "awaiting_signature",
+    };
+  }
+
+  const transfer = await getTransfer(transferId);
+  if (transfer?.transactions.some(tx => tx.kind === "bridge" && tx.txHash)) {
+    return {
+      message: "A bridge transaction has already been sent from your wallet, so this transfer can't be cancelled. Sign the rest, or leave them — I'll keep tracking what was sent.",
+      state:   "awaiting_signature",
+    };
+  }
+
+  if (transfer && UNFINISHED_STATUSES.includes(transfer.status)) {
+    await recordStep(transferId, "failed", { error: "Cancelled before signing. No funds were bridged." });
+  }
+  session.state = "idle";
+  session.pendingTransaction = null;
+  const approved = transfer?.transactions.some(tx => tx.kind === "approve" && tx.txHash);
+  return {
+    message: `Transfer cancelled. Nothing was bridged.${approved ? " The token approval you signed is still in place — you can revoke it from your wallet." : ""}`,
+    state:   "idle",
+  };
+}
+
+/**
+ * Records a hash the user's wallet returned for one of a non-custodial
+ * transfer's transactions and moves the transfer through the same
+ * lifecycle as an agent-signed one: approved → submitted →
+ * source_confirmed once the receipt is in (watched in the background).
+ * Wired to POST /api/transfers/:transferId/transactions.
+ *
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {string} params.transferId
+ * @param {number} params.index  - Position in the transfer's `transactions`
+ * @param {string} params.txHash
+ * @returns {Promise<Object>} The updated ledger entry
+ */
+async function recordUserTransaction({ sessionId, transferId, index, txHash }) {
+  const transfer = await getTransfer(transferId);
+  if (!transfer || transfer.sessionId !== sessionId || !transfer.signer) {
+    throw transferError(`Transfer ${transferId} not found`, "TRANSFER_NOT_FOUND");
+  }
+  const tx = transfer.transactions[index];
+  if (!tx) throw transferError(`Transfer ${transferId} has no transaction #${index}`, "INVALID_TRANSACTION");
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash)) throw transferError("txHash must be a 0x-prefixed 32-byte hash", "INVALID_TRANSACTION");
+  if (!UNFINISHED_STATUSES.includes(transfer.status)) {
+    throw transferError(`Transfer ${transferId} is already ${transfer.status}`, "INVALID_TRANSACTION");
+  }
+
+  await recordSignedTransaction(transferId, index, txHash);
+  const split = transfer.bridgeQuote.executionMethod === "split";
+
+  if (tx.kind === "approve") {
+    if (split) await recordLeg(transferId, tx.legId, { approveTxHash: txHash });
+    else await recordStep(transferId, "approved", { txHash });
+  } else if (tx.kind === "bridge") {
+    await recordLeg(transferId, tx.legId, { status: "executing", txHash });
+    if (transfer.status !== "submitted") await recordStep(transferId, "submitted", { txHash });
+  }
+
+  // Once every bridge transaction is out the chat can move on
+  const updated = await getTransfer(transferId);
+  if (updated.transactions.every(t => t.kind !== "bridge" || t.txHash)) await releaseSignatureWait(updated);
+
+  watchUserTransaction(updated, index)
+    .catch(err => console.error(`[Orchestrator] Watching ${transferId} #${index} failed:`, err.message));
+  return updated;
+}
+
+/**
+ * Waits for a user-signed transaction to be mined and checks it is the
+ * one that was prepared (same sender, contract and calldata). A failed
+ * or mismatched transaction fails its leg; a mined bridge transaction
+ * confirms it.
+ */
+async function watchUserTransaction(transfer, index) {
+  const tx       = transfer.transactions[index];
+  const provider = new ethers.JsonRpcProvider(config.RPC[transfer.intent.fromChain.toUpperCase()]);
+  const receipt  = await provider.waitForTransaction(tx.txHash, 1, USER_TX_TIMEOUT_MS).catch(() => null);
+  if (!receipt) return; // Not mined yet — left "submitted" for reconciliation
+
+  const sent  = await provider.getTransaction(tx.txHash);
+  const error = !matchesPrepared(sent, tx, transfer.signer)
+    ? `The transaction sent for "${tx.label}" (${tx.txHash}) isn't the one that was prepared.`
+    : receipt.status !== 1 ? `"${tx.label}" reverted on-chain (${tx.txHash}).` : null;
+
+  const current = await getTransfer(transfer.id);
+  if (!UNFINISHED_STATUSES.includes(current.status)) return;
+  const split = current.bridgeQuote.executionMethod === "split";
+
+  if (error) {
+    console.warn(`[Orchestrator] ${transfer.id}: ${error}`);
+    await recordLeg(transfer.id, tx.legId, { status: "failed", error });
+    if (split) return settleUserSplitTransfer(transfer.id);
+    const failed = await recordStep(transfer.id, "failed", { txHash: tx.txHash, error });
+    await releaseSignatureWait(failed);
+    return notifyTransferFailed(failed.sessionId, error, failed.intent);
+  }
+
+  if (tx.kind !== "bridge") return;
+  await recordLeg(transfer.id, tx.legId, { status: "completed", txHash: tx.txHash });
+  if (split) return settleUserSplitTransfer(transfer.id);
+
+  const confirmed = await recordStep(transfer.id, "source_confirmed", { txHash: tx.txHash });
+  await notifyTransferConfirmed(confirmed.sessionId,
+    buildReceipt(confirmed.id, confirmed.intent, confirmed.bridgeQuote, tx.txHash));
+}
+
+/**
+ * A user-signed split transfer is confirmed once every leg has settled
+ * and at least one went through.
+ */
+async function settleUserSplitTransfer(transferId) {
+  const transfer   = await getTransfer(transferId);
+  const bridgeLegs = transfer.legs.filter(l => l.type === "bridge");
+  if (!bridgeLegs.every(l => ["completed", "failed"].includes(l.status))) return;
+
+  const sent = bridgeLegs.filter(l => l.status === "completed");
+  if (sent.length === 0) {
+    const failed = await recordStep(transferId, "failed", { error: bridgeLegs.map(l => `${l.bridge}: ${l.error}`).join("; ") });
+    await releaseSignatureWait(failed);
+    return notifyTransferFailed(failed.sessionId, failed.error, failed.intent);
+  }
+  const confirmed = await recordStep(transferId, "source_confirmed", {
+    txHash: sent[0].txHash,
+    note:   `${sent.length} of ${bridgeLegs.length} bridge legs confirmed`,
+  });
+  await notifyTransferConfirmed(confirmed.sessionId,
+    buildReceipt(confirmed.id, confirmed.intent, confirmed.bridgeQuote, sent[0].txHash));
+}
+
+function matchesPrepared(sent, tx, signer) {
+  const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+  return Boolean(sent) && same(sent.from, signer) && same(sent.to, tx.to) && same(sent.data, tx.data);
+}
+
+/**
+ * Moves the session off "awaiting_signature" once its transfer no
+ * longer needs the user's wallet.
+ */
+async function releaseSignatureWait(transfer) {
+  const session = await loadSession(transfer.sessionId);
+  if (session.state !== "awaiting_signature" || session.pendingTransaction?.transferId !== transfer.id) return;
+
+  session.state = "idle";
+  session.pendingTransaction = null;
+  session.history.push({ role: "assistant", content: `Transfer ${transfer.id} ${transfer.status} from the user's wallet` });
+  await saveSession(session).catch(err => console.warn("[Orchestrator] Session release failed:", err.message));
+}
+
+function transferError(message, code) {
+  const err = new Error(message);
+  err.code  = code;
+  return err;
+}
+
+// ── Crash Recovery ──────────────────────────────────────────────
+
+// An approved-but-not-bridged transfer is only resumed while its quote
+// is still reasonably fresh; older ones are marked failed instead.
+const RESUME_WINDOW_MS = 15 * 60 * 1000;
+
+// How often startReconciliation() re-checks what the startup pass left
+const RECONCILE_POLL_MS = 60_000;
+
+// Transfers the startup pass had to leave unfinished (still in the
+// mempool, or with the user's wallet) → the updatedAt it left them at
+const leftUnfinished = new Map();
+
+/**
+ * Reconciles ledger entries left unfinished by a crash or redeploy.
+ * Each one is either resumed, confirmed from chain data, or marked
+ * failed — and its session is released from the "executing" state.
+ * Called once at server startup; whatever it can't settle yet is
+ * checked again by startReconciliation().
+ *
+ * @returns {Promise<Object[]>} The reconciled ledger entries
+ */
+async function reconcileTransfers() {
+  await reconcileConversions();
+
+  const unfinished = await listUnfinishedTransfers();
+  if (unfinished.length === 0) return [];
+
+  console.log(`[Orchestrator] Reconciling ${unfinished.length} unfinished transfer(s)...`);
+  const results = [];
+  for (const transfer of unfinished) {
+    try {
+      const result = await reconcileTransfer(transfer);
+      if (UNFINISHED_STATUSES.includes(result.status)) leftUnfinished.set(result.id, result.updatedAt);
+      results.push(result);
+    } catch (err) {
+      console.error(`[Orchestrator] Could not reconcile ${transfer.id}:`, err.message);
+    }
+  }
+  return results;
+}
+
+/**
+ * Check the transfers reconcileTransfers() left unfinished again. One
+ * that something else has updated since (e.g. the user signed it) is
+ * no longer ours to settle and is dropped.
+ *
+ * @returns {Promise<Object[]>} The ones that settled this time
+ */
+async function reconcileLeftovers() {
+  const settled = [];
+  for (const [id, updatedAt] of leftUnfinished) {
+    try {
+      const transfer = await getTransfer(id);
+      if (!transfer || transfer.updatedAt !== updatedAt) {
+        leftUnfinished.delete(id);
+        continue;
+      }
+      const result = await reconcileTransfer(transfer);
+      if (UNFINISHED_STATUSES.includes(result.status)) {
+        leftUnfinished.set(id, result.updatedAt);
+      } else {
+        leftUnfinished.delete(id);
+        settled.push(result);
+      }
+    } catch (err) {
+      console.error(`[Orchestrator] Could not reconcile ${id}:`, err.message);
+    }
+  }
+  return settled;
+}
+
+/**
+ * Start the loop that keeps checking transfers the startup
+ * reconciliation couldn't settle yet.
+ */
+function startReconciliation() {
+  console.log(`[Orchestrator] Starting reconciliation of transfers left unfinished (every ${RECONCILE_POLL_MS / 1000}s)...`);
+
+  setInterval(() => {
+    if (leftUnfinished.size === 0) return;
+    reconcileLeftovers().catch(err => console.error("[Orchestrator] Reconciliation failed:", err.message));
+  }, RECONCILE_POLL_MS);
+}
+
+/**
+ * Delivered transfers whose destination conversion was pending or cut
+ * off by a restart. Pending ones are run now; one that was mid-swap is
+ * not retried (it may have gone through) and is flagged instead.
+ */
+async function reconcileConversions() {
+  const delivered = await listTransfers({ status: "delivered" });
+  for (const transfer of delivered) {
+    const leg = transfer.legs?.find(l => l.id === "destination_swap");
+    if (!leg || !["pending", "executing"].includes(leg.status)) continue;
+
+    try {
+      const updated = leg.status === "pending"
+        ? await runDestinationSwap(transfer)
+        : await recordLeg(transfer.id, leg.id, { status: "failed", error: "Interrupted mid-conversion by a restart" });
+      await notifyDelivered(updated);
+    } catch (err) {
+      console.error(`[Orchestrator] Could not reconcile conversion for ${transfer.id}:`, err.message);
+    }
+  }
+}
+
+async function reconcileTransfer(transfer) {
+  const { fromChain } = transfer.intent;
+  const provider = new ethers.JsonRpcProvider(config.RPC[fromChain.toUpperCase()]);
+
+  let result;
+  if (transfer.signer && !transfer.transactions.some(tx => tx.kind === "bridge" && tx.txHash)) {
+    // Still with the user's wallet — there is nothing to resume from here
+    if (Date.now() - new Date(transfer.updatedAt).getTime() < SIGNATURE_WINDOW_MS) return transfer;
+    result = await recordStep(transfer.id, "failed", { error: "The transactions were never signed in your wallet. No funds were bridged." });
+  } else if (transfer.bridgeQuote.executionMethod === "split") {
+    result = await reconcileSplitTransfer(transfer, provider);
+  } else if (transfer.status === "submitted") {
+    result = await reconcileSubmittedTransfer(transfer, provider);
+  } else if (transfer.status === "approved") {
+    result = await resumeApprovedTransfer(transfer, provider);
+  } else {
+    const swapLeg = transfer.legs?.find(l => l.id === "swap" && l.status === "completed");
+    result = await recordStep(transfer.id, "failed", {
+      error: swapLeg
+        ? `Interrupted after the swap, before bridging. Your ${swapLeg.amountOut} ${swapLeg.toToken} is in the wallet on ${fromChain}; nothing was bridged.`
+        : "Interrupted before the token approval was confirmed. No funds were bridged.",
+    });
+  }
+
+  if (!UNFINISHED_STATUSES.includes(result.status)) await releaseSession(result);
+  return result;
+}
+
+async function reconcileSubmittedTransfer(transfer, provider) {
+  const txHash  = transfer.sourceTxHash;
+  const receipt = await provider.getTransactionReceipt(txHash);
+
+  if (receipt) {
+    return receipt.status === 1
+      ? recordStep(transfer.id, "source_confirmed", { txHash, note: "Confirmed after restart" })
+      : recordStep(transfer.id, "failed", { txHash, error: "The bridge transaction reverted on-chain." });
+  }
+
+  // Still in the mempool — leave it as submitted for startReconciliation()
+  if (await provider.getTransaction(txHash)) return transfer;
+
+  return recordStep(transfer.id, "failed", { txHash, error: "The bridge transaction was dropped before being mined." });
+}
+
+/**
+ * Split transfers are not resumed: legs whose bridge transaction was
+ * broadcast are settled from its receipt, the rest are marked failed.
+ */
+async function reconcileSplitTransfer(transfer, provider) {
+  let updated = transfer;
+  for (const leg of transfer.legs.filter(l => l.type === "bridge")) {
+    if (["completed", "failed"].includes(leg.status)) continue;
+
+    const receipt = leg.txHash ? await provider.getTransactionReceipt(leg.txHash) : null;
+    if (receipt?.status === 1) {
+      updated = await recordLeg(transfer.id, leg.id, { status: "completed" });
+    } else if (leg.txHash && !receipt && await provider.getTransaction(leg.txHash)) {
+      return updated; // Still in the mempool — startReconciliation() checks again
+    } else {
+      updated = await recordLeg(transfer.id, leg.id, {
+        status: "failed",
+        error:  receipt ? "The bridge transaction reverted on-chain." : "Interrupted by a restart before the bridge transaction was mined.",
+      });
+    }
+  }
+
+  const bridgeLegs = updated.legs.filter(l => l.type === "bridge");
+  const sent       = bridgeLegs.filter(l => l.status === "completed");
+  if (sent.length === 0) {
+    return recordStep(transfer.id, "failed", { error: "Interrupted by a restart before any bridge leg went through. No funds were bridged." });
+  }
+  return recordStep(transfer.id, "source_confirmed", {
+    txHash: sent[0].txHash,
+    note:   `Confirmed after restart: ${sent.length} of ${bridgeLegs.length} bridge legs`,
+  });
+}
+
+async function resumeApprovedTransfer(transfer, provider) {
+  // No hash: the bridge's existing allowance already covered the transfer
+  const approval = transfer.approveTxHash && await provider.getTransactionReceipt(transfer.approveTxHash);
+  if (transfer.approveTxHash && (!approval || approval.status !== 1)) {
+    return recordStep(transfer.id, "failed", { error: "The token approval never confirmed. No funds were bridged." });
+  }
+
+  const age = Date.now() - new Date(transfer.updatedAt).getTime();
+  if (age > RESUME_WINDOW_MS) {
+    return recordStep(transfer.id, "failed", { error: "Interrupted after approval; the quote is too old to resume safely. No funds were bridged." });
+  }
+
+  const { bridgeQuote } = transfer;
+  const swapLeg = transfer.legs?.find(l => l.id === "swap");
+  const intent  = swapLeg ? { ...transfer.intent, amount: swapLeg.amountOut } : transfer.intent;
+  console.log(`[Orchestrator] Resuming ${transfer.id} from approval...`);
+  try {
+    const wallet       = await getDepositWallet(transfer.sessionId, intent.fromChain);
+    const tokenAddress = getTokenAddress(intent.fromChain, intent.token);
+    const amountUnits  = swapLeg
+      ? BigInt(swapLeg.amountOutUnits)
+      : toUnits(intent.amount, intent.fromChain, intent.token);
+    const txHash = await runBridgeLeg({
+      wallet, intent, bridgeQuote, amountUnits, tokenAddress,
+      onSubmitted: (hash) => recordStep(transfer.id, "submitted", { txHash: hash, note: "Resumed after restart" }),
+    });
+    return recordStep(transfer.id, "source_confirmed", { txHash });
+  } catch (err) {
+    return recordStep(transfer.id, "failed", { error: err.message });
+  }
+}
+
+/**
+ * Returns a reconciled transfer's session to idle and tells the user
+ * how it ended on their linked channels.
+ */
+async function releaseSession(transfer) {
+  const session = await loadSession(transfer.sessionId);
+  if (["executing", "awaiting_signature"].includes(session.state)) {
+    session.state = "idle";
+    session.pendingTransaction = null;
+    session.history.push({ role: "assistant", content: `Transfer ${transfer.id} ${transfer.status} after restart` });
+    await saveSession(session).catch(err => console.warn("[Orchestrator] Session release failed:", err.message));
+  }
+
+  if (transfer.status === "failed") {
+    await notifyTransferFailed(transfer.sessionId, transfer.error, transfer.intent);
+  } else {
+    await notifyTransferConfirmed(transfer.sessionId,
+      buildReceipt(transfer.id, transfer.intent, transfer.bridgeQuote, transfer.sourceTxHash));
+  }
+}
+
+// ── Stuck Transactions ──────────────────────────────────────────
+
+/**
+ * Keeps the ledger and the user up to date when the stuck transaction
+ * watcher re-sends one of their transactions, or gives up at the gas
+ * cap. Wired to the watcher's polling loop in server.js.
+ *
+ * @param {Object} event - { type: "replaced"|"capped", chain, sessionId, oldHash, newHash?, maxFeeGwei }
+ */
+async function handleStuckTransaction(event) {
+  if (event.type === "replaced") await recordReplacement(event.oldHash, event.newHash);
+  if (!event.sessionId) return; // the agent wallet's own transactions (gas top-ups)
+
+  if (event.type === "replaced") await notifyTransactionReplaced(event.sessionId, event);
+  else await notifyTransactionStuck(event.sessionId, event);
+}
+
+// ── Delivery Progress ───────────────────────────────────────────
+
+/**
+ * Tells the user how a bridged transfer is doing on the destination
+ * side. Wired to the delivery tracker's polling loop in server.js.
+ *
+ * @param {Object} transfer - Ledger entry after the latest check
+ * @param {Object} progress - { state, destTxHash?, detail?, delayed? }
+ */
+async function handleDeliveryProgress(transfer, progress) {
+  if (transfer.status === "delivered") {
+    const conversion = transfer.legs?.find(l => l.id === "destination_swap");
+    if (conversion?.status === "pending") transfer = await runDestinationSwap(transfer);
+    await notifyDelivered(transfer);
+  } else if (transfer.status === "failed") {
+    await notifyTransferFailed(transfer.sessionId, transfer.error, transfer.intent);
+  } else if (progress.delayed) {
+    await notifyTransferDelayed(transfer.sessionId, transfer);
+  }
+}
+
+/**
+ * Converts a delivered transfer into the token the recipient asked for,
+ * using whatever actually arrived in the user's deposit wallet. If the swap
+ * cannot be done, the bridged token is forwarded unconverted so the
+ * funds still reach the recipient.
+ *
+ * @param {Object} transfer - Delivered ledger entry with a pending destination_swap leg
+ * @returns {Promise<Object>} The updated ledger entry
+ */
+async function runDestinationSwap(transfer) {
+  const leg = transfer.legs.find(l => l.id === "destination_swap");
+  const { chain, fromToken, toToken, recipient } = leg;
+  await recordLeg(transfer.id, leg.id, { status: "executing" });
+
+  let wallet, token, amountUnits, amount;
+  try {
+    wallet             = await getDepositWallet(transfer.sessionId, chain);
+    const tokenAddress = getTokenAddress(chain, fromToken);
+    if (!tokenAddress) throw new Error(`${fromToken} is not registered on ${chain}`);
+    token              = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+    amountUnits        = await getDeliveredUnits(transfer, token, wallet.address, { chain, symbol: fromToken });
+    amount             = fromUnits(amountUnits, chain, fromToken);
+  } catch (err) {
+    return await recordLeg(transfer.id, leg.id, { status: "failed", error: `Could not read the delivered amount: ${err.message}` });
+  }
+
+  try {
+    const route = await get1inchSwapQuote({ fromToken, toToken, amount, chain, slippagePercent: slippageFor(transfer.intent) });
+    if (!route) throw new Error(`no ${fromToken} → ${toToken} route on ${chain}`);
+
+    console.log(`[Orchestrator] Converting ${amount} ${fromToken} → ${toToken} on ${chain} for ${transfer.id}...`);
+    await topUpGas(transfer.sessionId, chain);
+    const result = await executeSwap(route, chain, { recipient, wallet });
+    return await recordLeg(transfer.id, leg.id, {
+      status:         "completed",
+      inputAmount:    amount,
+      txHash:         result.txHash,
+      amountOut:      result.amountOut,
+      amountOutUnits: result.amountOutUnits.toString(),
+    });
+  } catch (err) {
+    console.error(`[Orchestrator] Destination swap failed for ${transfer.id}:`, err.message);
+    try {
+      const forwardTx = await token.transfer(recipient, amountUnits);
+      await forwardTx.wait();
+      return await recordLeg(transfer.id, leg.id, {
+        status: "failed", error: err.message, forwardTxHash: forwardTx.hash, forwardedAmount: amount,
+      });
+    } catch (forwardErr) {
+      return await recordLeg(transfer.id, leg.id, {
+        status: "failed", error: `${err.message}; forwarding failed: ${forwardErr.message}`,
+      });
+    }
+  }
+}
+
+/**
+ * How much of the bridged token arrived for this transfer. Exact when
+ * the delivery tracker matched the destination Transfer event,
+ * otherwise the quoted amount minus the bridge fee, capped at the
+ * wallet balance.
+ */
+async function getDeliveredUnits(transfer, token, walletAddress, { chain, symbol }) {
+  if (transfer.delivery?.amountUnits) return BigInt(transfer.delivery.amountUnits);
+
+  const bridged  = transfer.legs.find(l => l.id === "bridge").amount - (transfer.bridgeQuote.feeUSD || 0);
+  const estimate = toUnits(bridged, chain, symbol);
+  const balance  = await token.balanceOf(walletAddress);
+  return estimate < balance ? estimate : balance;
+}
+
+/**
+ * Delivery notification, including the outcome of a destination
+ * conversion when there was one.
+ */
+async function notifyDelivered(transfer) {
+  // A split whose legs didn't all go out delivers only what was sent
+  const sentLegs = transfer.legs?.filter(l => l.type === "bridge" && l.status === "completed") || [];
+  const intent   = transfer.bridgeQuote.executionMethod === "split"
+    ? { ...transfer.intent, amount: sentLegs.reduce((sum, l) => sum + l.amount, 0) }
+    : transfer.intent;
+
+  const receipt    = buildReceipt(transfer.id, intent, transfer.bridgeQuote, transfer.sourceTxHash, transfer.destTxHash);
+  const conversion = transfer.legs?.find(l => l.id === "destination_swap");
+
+  if (conversion?.status === "failed" && !conversion.forwardTxHash) {
+    await notifyTransferFailed(transfer.sessionId,
+      `The funds reached ${conversion.chain} but could not be converted to ${conversion.toToken} or forwarded (${conversion.error}). They are held in your deposit wallet on ${conversion.chain}.`,
+      transfer.intent);
+    return;
+  }
+  if (conversion) {
+    receipt.conversion = {
+      toToken:   conversion.status === "completed" ? conversion.toToken : conversion.fromToken,
+      amount:    conversion.status === "completed" ? conversion.amountOut : conversion.forwardedAmount,
+      converted: conversion.status === "completed",
+      txHash:    conversion.txHash || conversion.forwardTxHash,
+    };
+  }
+  await notifyTransferConfirmed(transfer.sessionId, receipt);
+}
+
+/**
+ * Handles swap + transfer (e.g., USDm → USDC on Celo → Bridge to Solana)
+ */
+async function processSwapAndTransfer(session, intent) {
+  const swapRoute = await getSwapRoute({
+    fromToken:       intent.fromToken,
+    toToken:         intent.toToken,
+    amount:          intent.amount,
+    chain:           intent.fromChain || "celo",
+    slippagePercent: slippageFor(intent),
+  });
+
+  if (!swapRoute) {
     return {
-      message: `⚠️ ${chainInfo.note}`,
+      message: `I couldn't find a swap route for ${intent.fromToken} → ${intent.toToken} on ${intent.fromChain || "Celo"}.`,
       state: "idle",
     };
   }
 
-  // Step 2: Get bridge routes
-  const { best: bridgeQuote, all: allQuotes, warnings: bridgeWarnings } =
-    await getBestBridgeRoute({ fromChain, toChain, token, amount, priority });
+  // Compose a new transfer intent with the swapped token
+  const transferIntent = {
+    type:            "transfer",
+    token:           intent.toToken,
+    amount:          swapRoute.outputAmount,
+    fromChain:       intent.fromChain,
+    toChain:         intent.toChain,
+    toAddress:       intent.toAddress,
+    priority:        intent.priority,
+    swapFirst:       swapRoute,
+    slippagePercent: intent.slippagePercent,
+  };
 
-  // Step 2b: Check if any executable bridge was found
-  if (!bridgeQuote) {
-    // Check if it's a Solana route with Wormhole not yet installed
-    const isSolana = toChain === "solana";
-    if (isSolana) {
+  return await processTransfer(session, transferIntent);
+}
+
+// Tokens the bridges can carry between chains. Anything else is swapped
+// into USDC (deepest bridge liquidity) on the source chain first.
+const BRIDGEABLE_TOKENS = ["USDC", "USDT"];
+
+/**
+ * Handles transfers where the recipient should receive a different
+ * token than the one sent (e.g. "send 100 USDm to this Base wallet as
+ * USDT"). Up to three legs: swap on Celo → bridge → swap on the
+ * destination chain.
+ */
+async function processConversionTransfer(session, intent) {
+  const fromChain = intent.fromChain || "celo";
+  const bridgeToken = BRIDGEABLE_TOKENS.includes(intent.token) ? intent.token : "USDC";
+
+  let swapFirst = null;
+  let amount    = intent.amount;
+  if (intent.token !== bridgeToken) {
+    swapFirst = await getSwapRoute({ fromToken: intent.token, toToken: bridgeToken, amount, chain: fromChain, slippagePercent: slippageFor(intent) });
+    if (!swapFirst) {
       return {
-        message: "I can find routes from Celo to Solana, but the Wormhole bridge SDK needs to be installed on the server. Run: pnpm add @wormhole-foundation/sdk @wormhole-foundation/sdk-evm @wormhole-foundation/sdk-solana — then redeploy. For now, I can transfer " + token + " to any EVM chain (Base, Ethereum, Polygon, Arbitrum) using Axelar or Celer. Want to try one of those instead?",
+        message: `I couldn't find a swap route for ${intent.token} → ${bridgeToken} on ${fromChain}.`,
         state: "idle",
-        data:  { bridgeWarnings },
       };
     }
-    return {
-      message: "I couldn't find a working bridge route for " + token + " from Celo to " + toChain + " right now. " + (bridgeWarnings.join(" ") || "This route may not be supported yet.") + " I can currently bridge to: Base, Ethereum, Polygon, and Arbitrum. Would you like to try one of those?",
-      state: "idle",
-      data:  { bridgeWarnings },
-    };
+    amount = swapFirst.outputAmount;
   }
 
-  // Step 3: Validate
-  const validation = await validateTransfer({ ...intent, toChain }, bridgeQuote);
+  return await processTransfer(session, {
+    ...intent,
+    fromChain,
+    token:        bridgeToken,
+    amount,
+    swapFirst,
+    receiveToken: intent.receiveToken !== bridgeToken ? intent.receiveToken : null,
+  });
+}
 
-  if (!validation.valid) {
-    const errorMsg = await explainError("validation_failed", {
-      errors: validation.errors,
-      token,
-      toChain,
-      toAddress,
-    });
+// ── Scheduled transfers ─────────────────────────────────────────
+
+/**
+ * Previews a recurring transfer: quotes today's route so the user
+ * sees what a run costs, then asks to confirm the schedule itself.
+ * Nothing is sent now — every run re-quotes (see runScheduledTransfer).
+ */
+async function processScheduleRequest(session, intent) {
+  const parsed     = intent.transfer || {};
+  const rawMessage = session.history[session.history.length - 1]?.content || "";
+
+  if (parsed.type === "batch_transfer") {
+    return { message: "A schedule can pay one recipient. Set up one schedule per address instead.", state: "idle" };
+  }
+
+  const transfer = parsed.type === "clarification_needed" ? { ...parsed.partialIntent } : { ...parsed };
+  const { amount, token = "USDC", fromChain = "celo", priority = "cheapest" } = transfer;
+
+  // "every Friday send 50 USDC to my Base wallet" — the connected wallet
+  if (!transfer.toAddress && session.walletAddress && /\bmy\b.*\bwallet\b/i.test(rawMessage)) {
+    transfer.toAddress = session.walletAddress;
+  }
+
+  if (!transfer.toAddress || !amount) {
     return {
-      message: errorMsg,
+      message: `I can set that up ${intent.description || "on a schedule"} — I just need the ${!amount ? "amount" : "destination address"} too. Send it all in one message, e.g. "Every Friday send 50 USDC to 0xA1B2... on Base".`,
       state:   "idle",
-      data:    { validation },
     };
   }
 
-  // Step 3b: Warn hard-stop if fee is more than 25% of transfer amount
-  const feeRatio = bridgeQuote.feeUSD / amount;
-  if (feeRatio > 0.25) {
-    const feePercent = (feeRatio * 100).toFixed(0);
-    return {
-      message: `⚠️ I found a route via ${bridgeQuote.bridge}, but the fee is $${bridgeQuote.feeUSD.toFixed(2)} — that's ${feePercent}% of your $${amount} transfer.
-
-This is too high to proceed automatically. You have two options:
+  try {
+    nextRunTime(intent.cron);
+  } catch (error) {
+    if (error.code !== "INVALID_SCHEDULE") throw error;
+    return { message: `⚠️ I couldn't understand that schedule: ${error.message}. Try "every Friday at 9am" or "on the 1st of every month".`, state: "idle" };
+  }
 
-1. **Send a larger amount** — fees are fixed, so a bigger transfer makes them worthwhile. For example, sending $${Math.ceil(bridgeQuote.feeUSD / 0.01)} would bring the fee below 1%.
-2. **Wait and try later** — bridge fees drop during low network congestion.
+  const chainHint = transfer.contactName ? transfer.toChain : `${transfer.toChain || ""} ${rawMessage}`;
+  const chainInfo = detectChainFromAddress(transfer.toAddress, chainHint);
+  const toChain   = chainInfo.chain;
+  if (toChain === "unknown") {
+    return { message: "Which chain should the scheduled transfer go to? Add it to the message, e.g. \"...on Base\".", state: "idle" };
+  }
+  if (chainInfo.unsupported) return { message: `⚠️ ${chainInfo.note}`, state: "idle" };
 
-Would you like to adjust the amount and try again?`,
-      state: "idle",
-      data:  { bridgeQuote, feeRatio },
+  const { best: bridgeQuote, warnings: bridgeWarnings } =
+    await getBestBridgeRoute({ fromChain, toChain, token, amount, priority });
+  if (!bridgeQuote) {
+    return {
+      message: `I couldn't find a bridge route for ${token} from Celo to ${toChain}, so I can't schedule it. ${bridgeWarnings.join(" ")}`.trim(),
+      state:   "idle",
+      data:    { bridgeWarnings },
     };
   }
 
-  // Step 4: Generate preview for user confirmation
-  const preview = await generateTransactionPreview(
-    { ...intent, toChain, detectedChain: chainInfo },
-    bridgeQuote
-  );
+  const problem = slippageProblem(transfer.slippagePercent);
+  if (problem) return { message: `⚠️ ${problem}`, state: "idle" };
 
-  // Append warnings if any
-  let fullMessage = preview;
-  if (bridgeWarnings.length > 0 || validation.warnings.length > 0) {
-    const allWarnings = [...bridgeWarnings, ...validation.warnings];
-    fullMessage += `\n\n${allWarnings.join("\n")}`;
+  // Without a cap of its own, each run uses the user's setting at the time
+  const scheduled  = { token, amount, fromChain, toChain, toAddress: transfer.toAddress, priority, slippagePercent: transfer.slippagePercent ?? null };
+  const validation = await validateTransfer({ type: "transfer", ...scheduled, rawMessage }, bridgeQuote, { sessionId: session.sessionId });
+  if (validation.screeningBlocks.length > 0) {
+    return { message: formatScreeningBlock(validation.screeningBlocks), state: "idle", data: { validation } };
   }
-  if (validation.suggestions.length > 0) {
-    fullMessage += `\n\n💡 ${validation.suggestions.join("\n💡 ")}`;
+  if (validation.policyViolations.length > 0) {
+    return { message: formatPolicyBlock(validation.policyViolations), state: "idle", data: { validation } };
+  }
+  if (!validation.valid) {
+    const errorMsg = await explainError("validation_failed", { errors: validation.errors, token, toChain, toAddress: transfer.toAddress });
+    return { message: errorMsg, state: "idle", data: { validation } };
   }
 
-  // Save pending transaction to session
-  session.pendingTransaction = {
-    intent:      { ...intent, toChain },
-    bridgeQuote,
-    chainInfo,
-    validation,
-    allQuotes,
-  };
+  const maxFeeUSD = intent.maxFeeUSD || config.SCHEDULER?.DEFAULT_MAX_FEE_USD || 2;
+  const firstRun  = nextRunTime(intent.cron);
+  const draft     = { transfer: scheduled, cron: intent.cron, description: intent.description, maxFeeUSD };
+
+  let message = `⏰ **Recurring transfer:** ${amount} ${token} → ${toChain} (${transfer.toAddress.slice(0, 8)}...) ${intent.description}.\n\n` +
+    `📅 First run: ${formatRunTime(firstRun.toISOString())}\n` +
+    `🌉 Today's best route: ${bridgeQuote.bridge} · fee $${bridgeQuote.feeUSD.toFixed(2)} · ~${bridgeQuote.estimatedMinutes} min\n` +
+    `💸 Fee cap: $${maxFeeUSD.toFixed(2)} — I re-quote before every run and skip it if the fee is higher.`;
+  if (bridgeQuote.feeUSD > maxFeeUSD) {
+    message += `\n\n⚠️ Today's fee is already above the cap, so runs will be skipped until fees drop.`;
+  }
+  if (validation.warnings.length > 0) message += `\n\n${validation.warnings.join("\n")}`;
+  const code = typedCode(scheduled, validation);
+  message += code ? `\n\n${TYPED_CONFIRM_PROMPT}` : `\n\nReply YES to create this schedule or NO to cancel.`;
+
+  session.pendingTransaction = { schedule: draft, confirmCode: code };
   session.state = "awaiting_confirmation";
-  session.history.push({ role: "assistant", content: fullMessage });
+  session.history.push({ role: "assistant", content: message });
 
   return {
-    message: fullMessage,
-    state:   "awaiting_confirmation",
-    data: {
-      chainDetected:  toChain,
-      chainNote:      chainInfo.note,
-      bestBridge:     bridgeQuote,
-      alternativeRoutes: allQuotes.slice(1),
-      validation,
-    },
+    message,
+    state: "awaiting_confirmation",
+    data:  { schedule: { ...draft, nextRunAt: firstRun.toISOString() }, bestBridge: bridgeQuote, typedConfirmation: Boolean(code) },
   };
 }
 
+async function confirmSchedule(session) {
+  const { schedule: draft } = session.pendingTransaction;
+  const schedule = await createSchedule({ sessionId: session.sessionId, ...draft });
+  const { transfer: t } = schedule;
+
+  session.state = "idle";
+  session.pendingTransaction = null;
+
+  const message = `✅ Scheduled! ${t.amount} ${t.token} → ${t.toChain} ${schedule.description}.\n\n` +
+    `Next run: ${formatRunTime(schedule.nextRunAt)}. Say "my schedules" to see, pause or cancel it.`;
+  session.history.push({ role: "assistant", content: message });
+
+  return { message, state: "idle", data: { schedule } };
+}
+
 /**
- * Handles YES/NO confirmation from user.
+ * "my schedules", "pause 2", "resume 2", "cancel schedule 2"
  */
-async function handleConfirmation(session, userMessage) {
-  const msg = userMessage.trim().toLowerCase();
-  const isYes = ["yes", "y", "confirm", "ok", "sure", "proceed", "execute", "go"].some(w => msg.includes(w));
-  const isNo  = ["no", "n", "cancel", "stop", "abort", "nevermind"].some(w => msg.includes(w));
+async function handleScheduleCommand(session, intent) {
+  const { sessionId } = session;
 
-  if (isYes) {
-    session.state = "executing";
-    return await executeTransfer(session);
-  }
-
-  if (isNo) {
-    session.state = "idle";
-    session.pendingTransaction = null;
+  if (intent.action === "list") {
+    const schedules = await listSchedules({ sessionId });
+    if (schedules.length === 0) {
+      return {
+        message: "You don't have any scheduled transfers. Try: \"Every Friday send 50 USDC to 0xA1B2... on Base\".",
+        state:   "idle",
+        data:    { schedules },
+      };
+    }
     return {
-      message: "Transaction cancelled. No funds were moved. Let me know if you'd like to try something different.",
+      message: `⏰ **Your scheduled transfers**\n\n${schedules.map(formatScheduleLine).join("\n")}\n\nSay "pause 1", "resume 1" or "cancel schedule 1".`,
       state:   "idle",
+      data:    { schedules },
     };
   }
 
-  return {
-    message: "Please reply YES to confirm the transaction or NO to cancel it.",
-    state:   "awaiting_confirmation",
-  };
+  const target = await findSchedule(sessionId, intent.scheduleRef);
+  if (!target) {
+    const ref = intent.scheduleRef ? ` ${intent.scheduleRef}` : "";
+    return { message: `I couldn't find schedule${ref}. Say "my schedules" to see the list.`, state: "idle" };
+  }
+
+  const { transfer: t } = target;
+  const label = `${t.amount} ${t.token} → ${t.toChain} ${target.description}`;
+
+  switch (intent.action) {
+    case "pause":
+      await pauseSchedule(target.id, sessionId);
+      return { message: `⏸️ Paused: ${label}. Say "resume" with the same number to restart it.`, state: "idle", data: { scheduleId: target.id } };
+    case "resume": {
+      const resumed = await resumeSchedule(target.id, sessionId);
+      return { message: `▶️ Resumed: ${label}. Next run: ${formatRunTime(resumed.nextRunAt)}.`, state: "idle", data: { scheduleId: target.id } };
+    }
+    case "cancel":
+      await cancelSchedule(target.id, sessionId);
+      return { message: `🗑️ Cancelled: ${label}. No further transfers will be sent.`, state: "idle", data: { scheduleId: target.id } };
+    default:
+      return { message: "You can list, pause, resume or cancel scheduled transfers.", state: "idle" };
+  }
 }
 
 /**
- * Executes the confirmed transaction.
- * ─────────────────────────────────────────────────────────────────
- * 🔑 KEY INJECTION POINTS IN THIS FUNCTION:
- *   - config.AGENT_PRIVATE_KEY  → Used to sign transactions
- *   - config.RPC[chain]         → Used to connect to blockchain
- * ─────────────────────────────────────────────────────────────────
+ * "my contacts", "save 0x... on Base as Mum", "rename Mum to Mom",
+ * "change Mum to 0x... on Polygon", "forget Mum"
  */
-async function executeTransfer(session) {
-  const { intent, bridgeQuote } = session.pendingTransaction;
-  const { token, amount, toAddress, fromChain = "celo", toChain } = intent;
+async function handleContactCommand(session, intent) {
+  const { sessionId } = session;
+
+  if (intent.action === "list") {
+    const contacts = await listContacts(sessionId);
+    if (contacts.length === 0) {
+      return {
+        message: "Your address book is empty. Save someone with: \"save 0xA1B2... on Base as Mum\" — then just say \"send 20 USDC to Mum\".",
+        state:   "idle",
+        data:    { contacts },
+      };
+    }
+    return {
+      message: `📇 **Your contacts**\n\n${contacts.map(formatContactLine).join("\n")}\n\nSay "send 20 USDC to ${contacts[0].name}", "rename ${contacts[0].name} to ...", or "forget ${contacts[0].name}".`,
+      state:   "idle",
+      data:    { contacts },
+    };
+  }
 
   try {
-    // ── 🔑 WALLET SETUP ──────────────────────────────────────────
-    // Uses AGENT_PRIVATE_KEY from config/keys.js
-    const rpcUrl  = config.RPC[fromChain.toUpperCase()];
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const wallet  = new ethers.Wallet(config.AGENT_PRIVATE_KEY, provider);
-    // ──────────────────────────────────────────────────────────────
+    if (intent.action === "save") {
+      const { contact, replaced } = await saveContact(sessionId, { name: intent.name, address: intent.address, chain: intent.chain });
+      return {
+        message: `📇 ${replaced ? "Updated" : "Saved"} ${contact.name}: ${contact.address} on ${contact.chain}. Now you can say "send 20 USDC to ${contact.name}".`,
+        state:   "idle",
+        data:    { contact },
+      };
+    }
 
-    // Step 1: Approve token spending (ERC-20 approval)
-    const tokenAddress = config.TOKENS[fromChain.toUpperCase()]?.[token];
-    if (!tokenAddress) throw new Error(`Token ${token} address not configured for ${fromChain}`);
+    const target = await findContact(sessionId, intent.contactRef);
+    if (!target) {
+      const ref = intent.contactRef ? ` called "${intent.contactRef}"` : "";
+      return { message: `I couldn't find a contact${ref}. Say "my contacts" to see the list.`, state: "idle" };
+    }
 
-    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
-    const amountUnits   = ethers.parseUnits(amount.toString(), 6); // USDC/USDT = 6 decimals
-
-    // Get bridge contract address to approve
-    const bridgeContractAddr = getBridgeContractAddress(bridgeQuote.executionMethod, fromChain);
-    if (!bridgeContractAddr) throw new Error(`Bridge contract address unknown for ${bridgeQuote.bridge}`);
-
-    console.log(`[Orchestrator] Approving ${amount} ${token} for ${bridgeQuote.bridge}...`);
-    const approveTx = await tokenContract.approve(bridgeContractAddr, amountUnits);
-    await approveTx.wait();
-    console.log(`[Orchestrator] Approval confirmed: ${approveTx.hash}`);
-
-    // Step 2: Execute bridge transfer
-    let transferTxHash;
-    switch (bridgeQuote.executionMethod) {
-      case "across_relay":
-        transferTxHash = await executeAcrossTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress });
-        break;
-      case "wormhole_ntt":
-        transferTxHash = await executeWormholeTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress });
-        break;
-      case "axelar_gmp":
-        transferTxHash = await executeAxelarTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress });
-        break;
-      case "celer_cbridge":
-        transferTxHash = await executeCelerTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress });
-        break;
-      case "layerzero_stargate":
-        transferTxHash = await executeLayerZeroTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress });
-        break;
+    switch (intent.action) {
+      case "update": {
+        const contact = await updateContact(target.id, sessionId, { name: intent.name, address: intent.address, chain: intent.chain });
+        return { message: `📇 Updated ${contact.name}: ${contact.address} on ${contact.chain}.`, state: "idle", data: { contact } };
+      }
+      case "delete":
+        await deleteContact(target.id, sessionId);
+        return { message: `🗑️ Removed ${target.name} from your contacts.`, state: "idle", data: { contactId: target.id } };
       default:
-        throw new Error(`Execution method '${bridgeQuote.executionMethod}' not implemented`);
+        return { message: "You can list, save, rename, change or forget contacts.", state: "idle" };
     }
+  } catch (error) {
+    if (error.code !== "INVALID_CONTACT") throw error;
+    return { message: `⚠️ ${error.message}`, state: "idle" };
+  }
+}
 
-    // Step 3: Build receipt
-    const explorerLink = getExplorerLink(fromChain, transferTxHash);
-    const receipt = {
-      success:      true,
-      txHash:       transferTxHash,
-      explorerLink,
-      bridge:       bridgeQuote.bridge,
-      amount,
-      token,
-      fromChain,
-      toChain,
-      toAddress,
-      feeUSD:       bridgeQuote.feeUSD,
-      estimatedArrival: `~${bridgeQuote.estimatedMinutes} minutes`,
-      timestamp:    new Date().toISOString(),
-    };
-
-    session.state = "idle";
-    session.pendingTransaction = null;
-    session.history.push({ role: "assistant", content: `Transfer submitted: ${transferTxHash}` });
+/**
+ * "set my slippage to 0.3%", "reset my slippage", "what's my slippage?"
+ * The setting applies to every later transfer that doesn't name its own.
+ */
+async function handleSlippageSetting(session, intent) {
+  const { DEFAULT_PERCENT } = config.SLIPPAGE;
 
+  if (intent.action === "set") {
+    const problem = slippageProblem(intent.slippagePercent) || (intent.slippagePercent == null && "Tell me a percentage, e.g. \"set my slippage to 0.3%\".");
+    if (problem) return { message: `⚠️ ${problem}`, state: "idle" };
+    await updateUserSettings(session.sessionId, { slippagePercent: intent.slippagePercent });
     return {
-      message: `✅ Transfer submitted successfully!\n\n📦 **${amount} ${token}** → ${toChain} (${toAddress.slice(0,8)}...)\n🌉 Bridge: ${bridgeQuote.bridge}\n💸 Fee: $${bridgeQuote.feeUSD.toFixed(2)}\n⏱️ Estimated arrival: ${bridgeQuote.estimatedMinutes} minutes\n🔗 Track: ${explorerLink}`,
+      message: `🛡️ Max slippage set to ${intent.slippagePercent}% for your transfers and swaps. A single request can still say e.g. "max 1% slippage".`,
       state:   "idle",
-      data:    { receipt },
+      data:    { slippagePercent: intent.slippagePercent },
     };
+  }
 
-  } catch (error) {
-    session.state = "idle";
-    console.error("[Orchestrator] Transfer execution error:", error.message);
-
-    // Map common errors to plain-English reasons
-    let reason = error.message || "Unknown error";
-    let suggestion = "Please try again in a moment.";
-
-    if (reason.toLowerCase().includes("insufficient") || reason.toLowerCase().includes("exceeds balance")) {
-      reason = "Your wallet doesn't have enough " + intent.token + " to cover this transfer plus the gas fee.";
-      suggestion = "Check your balance (say 'show my balance') and make sure you have extra CELO for gas fees too.";
-    } else if (reason.toLowerCase().includes("allowance") || reason.toLowerCase().includes("approve")) {
-      reason = "The bridge wasn't approved to spend your " + intent.token + ".";
-      suggestion = "This usually resolves itself on retry. Try sending again.";
-    } else if (reason.toLowerCase().includes("gas") || reason.toLowerCase().includes("fee")) {
-      reason = "There wasn't enough CELO in your wallet to pay the network gas fee.";
-      suggestion = "Add some CELO to your wallet to cover gas. Even 0.1 CELO is usually enough.";
-    } else if (reason.toLowerCase().includes("nonce")) {
-      reason = "A transaction ordering conflict occurred.";
-      suggestion = "Wait 30 seconds and try again.";
-    } else if (reason.toLowerCase().includes("revert") || reason.toLowerCase().includes("execution reverted")) {
-      reason = "The bridge contract rejected the transaction. This can happen if the bridge has low liquidity or the amount is below its minimum.";
-      suggestion = "Try a different amount, or ask me to use a different bridge.";
-    } else if (reason.toLowerCase().includes("network") || reason.toLowerCase().includes("timeout") || reason.toLowerCase().includes("rpc")) {
-      reason = "The connection to the blockchain timed out.";
-      suggestion = "The network may be congested. Try again in a minute.";
-    }
-
+  if (intent.action === "reset") {
+    await updateUserSettings(session.sessionId, { slippagePercent: null });
     return {
-      message: "❌ Transfer failed: " + reason + " " + suggestion,
-      state:   "error",
-      data:    { error: error.message },
+      message: `🛡️ Max slippage is back to the default, ${DEFAULT_PERCENT}%.`,
+      state:   "idle",
+      data:    { slippagePercent: DEFAULT_PERCENT },
     };
   }
+
+  const { slippagePercent } = await getUserSettings(session.sessionId);
+  return {
+    message: slippagePercent === null
+      ? `🛡️ Your max slippage is the default, ${DEFAULT_PERCENT}%. Change it with "set my slippage to 0.3%".`
+      : `🛡️ Your max slippage is ${slippagePercent}% (default ${DEFAULT_PERCENT}%). Say "reset my slippage" to go back to the default.`,
+    state:   "idle",
+    data:    { slippagePercent: slippagePercent ?? DEFAULT_PERCENT },
+  };
 }
 
 /**
- * Handles swap + transfer (e.g., USDm → USDC on Celo → Bridge to Solana)
+ * "set my daily limit to $500", "only allow sends to Base", "remove my
+ * weekly limit", "reset my limits", "show my limits". Users can only
+ * add to the operator's limits, never loosen them.
  */
-async function processSwapAndTransfer(session, intent) {
-  const swapRoute = await getSwapRoute({
-    fromToken: intent.fromToken,
-    toToken:   intent.toToken,
-    amount:    intent.amount,
-    chain:     intent.fromChain || "celo",
+async function handlePolicySetting(session, intent) {
+  const { sessionId } = session;
+
+  if (intent.action === "set" || intent.action === "reset") {
+    const changes = intent.action === "reset"
+      ? Object.fromEntries(POLICY_FIELDS.map(field => [field, null]))
+      : intent.changes || {};
+    const problem = policyProblem(changes) || (Object.keys(changes).length === 0 && "Tell me which limit to set, e.g. \"set my daily limit to $500\".");
+    if (problem) return { message: `⚠️ ${problem}`, state: "idle" };
+    await updateUserPolicy(sessionId, changes);
+  }
+
+  const { policy, sources } = await getEffectivePolicy(sessionId);
+  const lines   = formatPolicy(policy, sources, await getSpending(sessionId));
+  const heading = { set: "🚦 Spending policy updated.", reset: "🚦 Your own limits are cleared." }[intent.action] || "🚦 **Your spending policy**";
+  return {
+    message: lines.length > 0
+      ? `${heading}\n\n${lines.join("\n")}`
+      : `${heading}\n\nNo limits are set. Try "set my daily limit to $500", "limit each transfer to $1000" or "only allow sends to Base".`,
+    state:   "idle",
+    data:    { policy },
+  };
+}
+
+/**
+ * Executes one due run of a recurring transfer. Called by the
+ * scheduler loop (see startScheduler in server.js).
+ *
+ * The route is re-quoted now; the run is skipped — not retried — when
+ * there is no route, the best fee is above the schedule's cap, or
+ * validation fails.
+ *
+ * @param {Object} schedule
+ * @returns {Promise<Object>} Run result stored in the schedule's history
+ */
+async function runScheduledTransfer(schedule) {
+  const { sessionId, transfer: t, maxFeeUSD } = schedule;
+  const settings = await getUserSettings(sessionId);
+  const intent   = { type: "transfer", ...t, slippagePercent: t.slippagePercent ?? settings.slippagePercent ?? config.SLIPPAGE.DEFAULT_PERCENT };
+
+  const { best: bridgeQuote, warnings } = await getBestBridgeRoute({
+    fromChain: t.fromChain, toChain: t.toChain, token: t.token, amount: t.amount, priority: t.priority,
   });
 
-  if (!swapRoute) {
-    return {
-      message: `I couldn't find a swap route for ${intent.fromToken} → ${intent.toToken} on ${intent.fromChain || "Celo"}.`,
-      state: "idle",
-    };
+  let skipReason = null;
+  if (!bridgeQuote) {
+    skipReason = `No bridge route was available. ${warnings.join(" ")}`.trim();
+  } else if (bridgeQuote.feeUSD > maxFeeUSD) {
+    skipReason = `The best fee was $${bridgeQuote.feeUSD.toFixed(2)} (${bridgeQuote.bridge}), above your $${maxFeeUSD.toFixed(2)} cap.`;
+  } else {
+    const validation = await validateTransfer(intent, bridgeQuote, { sessionId });
+    if (!validation.valid) skipReason = validation.errors.join(" ");
   }
 
-  // Compose a new transfer intent with the swapped token
-  const transferIntent = {
-    type:       "transfer",
-    token:      intent.toToken,
-    amount:     intent.amount * (1 - swapRoute.priceImpact),
-    fromChain:  intent.fromChain,
-    toChain:    intent.toChain,
-    toAddress:  intent.toAddress,
-    priority:   intent.priority,
-    swapFirst:  swapRoute,
-  };
+  if (skipReason) {
+    console.log(`[Orchestrator] Schedule ${schedule.id} skipped: ${skipReason}`);
+    await notifyScheduledRunSkipped(sessionId, schedule, skipReason);
+    return { status: "skipped", reason: skipReason, feeUSD: bridgeQuote?.feeUSD ?? null };
+  }
 
-  return await processTransfer(session, transferIntent);
+  // Runs outside any chat turn, so it gets a throwaway session object
+  const response = await executeTransfer({ sessionId, pendingTransaction: { intent, bridgeQuote }, history: [] });
+  const receipt  = response.data?.receipt;
+
+  if (!receipt) {
+    const reason = response.data?.error || response.message;
+    await notifyTransferFailed(sessionId, reason, intent);
+    return { status: "failed", reason, feeUSD: bridgeQuote.feeUSD };
+  }
+
+  await notifyTransferConfirmed(sessionId, receipt);
+  return { status: "executed", transferId: receipt.transferId, txHash: receipt.txHash, bridge: bridgeQuote.bridge, feeUSD: bridgeQuote.feeUSD };
 }
 
 /**
@@ -417,27 +2688,29 @@ async function registerAlert(session, intent) {
 async function handleQuery(session, intent) {
 
   // ── Balance check ───────────────────────────────────────────────
+  // Reports the user's own deposit wallet — the funds their transfers spend
   if (intent.queryType === "balance_check") {
+    let address;
+    try {
+      address = (await getDepositAccount(session.sessionId)).address;
+    } catch (err) {
+      console.error("[Query] Deposit wallet unavailable:", err.message);
+      return {
+        message: "I can't look up your deposit wallet right now — " + err.message + ".",
+        state: "idle",
+      };
+    }
+
     try {
       const { ethers } = require("ethers");
       const rpcUrl    = config.RPC["CELO"];
       const provider  = new ethers.JsonRpcProvider(rpcUrl);
-      const address   = session.walletAddress || config.AGENT_WALLET_ADDRESS;
-
-      if (!address || address === "YOUR_WALLET_ADDRESS_HERE") {
-        return {
-          message: "I don't have a wallet address on file yet. Please connect your wallet first, or set AGENT_WALLET_ADDRESS in your config.",
-          state: "idle",
-        };
-      }
 
       const ERC20_ABI = [
         "function balanceOf(address) view returns (uint256)",
-        "function decimals() view returns (uint8)",
         "function symbol() view returns (string)",
       ];
 
-      const tokens = config.TOKENS.CELO;
       const balances = [];
 
       // Check native CELO balance
@@ -453,12 +2726,11 @@ async function handleQuery(session, intent) {
         : ["USDC", "USDT", "USDm"];
 
       for (const name of tokenNames) {
-        const addr = tokens[name];
-        if (!addr) continue;
+        const tokenInfo = getToken("celo", name);
+        if (!tokenInfo) continue;
         try {
-          const contract  = new ethers.Contract(addr, ERC20_ABI, provider);
-          const [raw, dec] = await Promise.all([contract.balanceOf(address), contract.decimals()]);
-          const amount    = parseFloat(ethers.formatUnits(raw, dec));
+          const contract  = new ethers.Contract(tokenInfo.address, ERC20_ABI, provider);
+          const amount    = fromUnits(await contract.balanceOf(address), "celo", tokenInfo.symbol);
           if (amount > 0.001) {
             balances.push({ symbol: name, amount: amount.toFixed(2) });
           }
@@ -466,19 +2738,20 @@ async function handleQuery(session, intent) {
       }
 
       const network = config.NETWORK === "testnet" ? "Celo Alfajores (testnet)" : "Celo";
-      const shortAddr = address.slice(0, 6) + "..." + address.slice(-4);
 
       if (balances.length === 0) {
         return {
-          message: "Your wallet (" + shortAddr + ") on " + network + " has no tokens yet. If you're on testnet, get free CELO from https://faucet.celo.org/alfajores",
+          message: "Your deposit wallet on " + network + " has no tokens yet. Send USDC or USDT to " + address + " to fund it — gas is covered for you.",
           state: "idle",
+          data:  { depositAddress: address },
         };
       }
 
       const balanceLines = balances.map(b => "• " + b.symbol + ": " + b.amount).join("\n");
       return {
-        message: "Here's your balance on " + network + " (" + shortAddr + "):\n\n" + balanceLines + "\n\nThese are the funds available in your agent wallet. Need to send any of them somewhere?",
+        message: "Here's your deposit wallet balance on " + network + ":\n\n" + balanceLines + "\n\nThese are the funds your transfers spend from. To add more, send them to " + address + ". Need to send any of them somewhere?",
         state: "idle",
+        data:  { depositAddress: address },
       };
 
     } catch (err) {
@@ -538,15 +2811,16 @@ function handleClarification(session, intent) {
 
   if (missing.includes("toAddress")) {
     const amount = partial.amount ? `${partial.amount} ${partial.token || "USDC"}` : "the funds";
+    const chain  = partial.toChain ? ` on ${partial.toChain}` : "";
     return {
-      message: `Got it — you want to send ${amount}. Where should I send it? Please give me the destination wallet address.`,
+      message: `Got it — you want to send ${amount}${chain}. Where should I send it? Please give me the destination wallet address (or say "cancel").`,
       state: "idle",
     };
   }
 
   if (missing.includes("amount")) {
     return {
-      message: `I can see the destination address. How much would you like to send, and which token? For example: \"Send 100 USDT\" or \"Send 50 USDC\"`,
+      message: `I can see the destination${partial.contactName || partial.recipientName ? ` (${partial.contactName || partial.recipientName})` : " address"}. How much would you like to send, and which token? For example: \"100 USDT\" or \"50 USDC\"`,
       state: "idle",
     };
   }
@@ -568,11 +2842,15 @@ function handleClarification(session, intent) {
 // Each bridge has its own SDK for execution.
 // 🔑 Install the relevant SDK and inject keys to activate.
 
-async function executeAcrossTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress }) {
+async function executeAcrossTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress, onSubmitted, onApproved }) {
   // 🔑 SDK: No extra SDK needed — uses SpokePool contract directly
   // Across SpokePool on Celo: check https://docs.across.to/reference/contract-addresses
   // Replace with actual address:
   const ACROSS_SPOKE_POOL_CELO = "ACROSS_SPOKE_POOL_ADDRESS_HERE";
+  await ensureAllowance({
+    wallet, chain: intent.fromChain || "celo", tokenAddress, spender: ACROSS_SPOKE_POOL_CELO, amountUnits,
+    token: intent.token, bridge: "Across", onApproved,
+  });
   const spokePoolAbi = require("../../contracts/abis/AcrossSpokePool.json");
   const spokePool = new ethers.Contract(ACROSS_SPOKE_POOL_CELO, spokePoolAbi, wallet);
   const tx = await spokePool.deposit(
@@ -585,53 +2863,61 @@ async function executeAcrossTransfer({ wallet, intent, bridgeQuote, amountUnits,
     "0x",
     ethers.MaxUint256
   );
+  await onSubmitted?.(tx.hash);
   const receipt = await tx.wait();
+  await revokeLeftover({ wallet, tokenAddress, spender: ACROSS_SPOKE_POOL_CELO });
   return receipt.hash;
 }
 
-async function executeWormholeTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress }) {
+async function executeWormholeTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress, onSubmitted, onApproved }) {
   const { executeWormholeTransfer: run } = require('../bridges/wormhole');
-  return await run({ wallet, intent, amountUnits, tokenAddress });
+  return await run({ wallet, intent, amountUnits, tokenAddress, onSubmitted, onApproved });
 }
 
-async function executeAxelarTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress }) {
+async function executeAxelarTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress, onSubmitted, onApproved }) {
   const { executeAxelarTransfer: run } = require('../bridges/axelar');
-  return await run({ wallet, intent, amountUnits, tokenAddress });
+  return await run({ wallet, intent, amountUnits, tokenAddress, onSubmitted, onApproved });
 }
 
-async function executeCelerTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress }) {
+async function executeCelerTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress, onSubmitted, onApproved }) {
   // 🔑 SDK: npm install @celer-network/cbridge-sdk
   // See: https://cbridge-docs.celer.network/developer/api-reference/contract-pool-based-transfer
   const { executeCelerTransfer: run } = require('../bridges/celer');
-  return await run({ wallet, intent, amountUnits, tokenAddress });
+  return await run({ wallet, intent, amountUnits, tokenAddress, onSubmitted, onApproved });
 }
 
-async function executeLayerZeroTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress }) {
+async function executeLayerZeroTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress, onSubmitted, onApproved }) {
   const { executeLayerZeroTransfer: run } = require("../bridges/layerzero");
-  return await run({ wallet, intent, bridgeQuote, amountUnits, tokenAddress });
+  return await run({ wallet, intent, bridgeQuote, amountUnits, tokenAddress, onSubmitted, onApproved });
 }
 
 // ── Utility Helpers ───────────────────────────────────────────
-function getBridgeContractAddress(executionMethod, chain) {
-  // 🔑 Fill in bridge contract addresses per chain
-  // These are the contracts that need ERC-20 approval
-  const BRIDGE_CONTRACTS = {
-    across_relay: {
-      celo:     "ACROSS_SPOKE_POOL_CELO_ADDRESS",   // Get from https://docs.across.to
-      base:     "ACROSS_SPOKE_POOL_BASE_ADDRESS",
-      ethereum: "ACROSS_SPOKE_POOL_ETH_ADDRESS",
-    },
-    axelar_gmp: {
-      celo:   '0xe432150cce91c13a887f7D836923d5597adD8E31',   // Get from https://docs.axelar.dev
-    },
-    celer_cbridge: {
-      celo:     "CELER_CBRIDGE_CELO_ADDRESS",       // Get from https://cbridge-docs.celer.network
-    },
-    // Wormhole and LayerZero contracts are handled by their SDKs
+
+/**
+ * Receipt shown to the user and passed to notifier templates.
+ * destTxHash is set once the delivery tracker sees the funds arrive.
+ */
+function buildReceipt(transferId, intent, bridgeQuote, txHash, destTxHash = null) {
+  const { token, amount, toAddress, fromChain = "celo", toChain } = intent;
+  return {
+    success:      true,
+    transferId,
+    txHash,
+    explorerLink: getExplorerLink(fromChain, txHash),
+    bridge:       bridgeQuote.bridge,
+    amount,
+    token,
+    fromChain,
+    toChain,
+    toAddress,
+    feeUSD:       bridgeQuote.feeUSD,
+    estimatedArrival: `~${bridgeQuote.estimatedMinutes} minutes`,
+    delivered:    Boolean(destTxHash),
+    destTxHash,
+    destExplorerLink: destTxHash ? getExplorerLink(toChain, destTxHash) : null,
+    timestamp:    new Date().toISOString(),
   };
-  return BRIDGE_CONTRACTS[executionMethod]?.[chain] || null;
 }
-
 function getExplorerLink(chain, txHash) {
   const explorers = {
     celo:     `https://celoscan.io/tx/${txHash}`,
@@ -644,22 +2930,10 @@ function getExplorerLink(chain, txHash) {
   return explorers[chain] || `https://blockscan.com/tx/${txHash}`;
 }
 
-function createSession(sessionId, walletInfo) {
-  return {
-    sessionId,
-    state:              "idle",
-    walletAddress:      walletInfo.address || null,
-    connectedChain:     walletInfo.chainId || 42220, // Default to Celo
-    history:            [],
-    pendingTransaction: null,
-    alerts:             [],
-    createdAt:          new Date().toISOString(),
-  };
-}
-
 // Minimal ERC-20 ABI for approve + balanceOf
 const ERC20_ABI = [
   "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
   "function balanceOf(address owner) view returns (uint256)",
   "function decimals() view returns (uint8)",
   "function allowance(address owner, address spender) view returns (uint256)",
@@ -667,5 +2941,13 @@ const ERC20_ABI = [
 
 module.exports = {
   handleUserMessage,
-  activeSessions,
+  handleBatchRequest,
+  runScheduledTransfer,
+  reconcileTransfers,
+  handleDeliveryProgress,
+  handleStuckTransaction,
+  recordUserTransaction,
+  expireConfirmations,
+  startConfirmationExpiry,
+  startReconciliation,
 };
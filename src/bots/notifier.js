@@ -90,6 +90,56 @@ async function notifyTransferFailed(sessionId, error, intent) {
   await notify(sessionId, "error", msg, { type: "transfer_failed", error, intent });
 }
 
+async function notifyTransferDelayed(sessionId, transfer) {
+  const { intent, bridgeQuote } = transfer;
+  const msg = `⏳ *Transfer Taking Longer Than Usual*\n\n` +
+    `Amount: ${intent.amount} ${intent.token} → ${intent.toChain}\n` +
+    `Bridge: ${bridgeQuote.bridge} (usually ~${bridgeQuote.estimatedMinutes} min)\n` +
+    `Status: ${transfer.delivery?.detail || "in flight"}\n\n` +
+    `_Your funds have left Celo and are still on their way. I'll message you when they arrive._`;
+  await notify(sessionId, "transfer", msg, { type: "transfer_delayed", transferId: transfer.id });
+}
+
+async function notifyScheduledRunSkipped(sessionId, schedule, reason) {
+  const { transfer: t } = schedule;
+  const msg = `⏭️ *Scheduled Transfer Skipped*\n\n` +
+    `Amount: ${t.amount} ${t.token} → ${t.toChain}\n` +
+    `Schedule: ${schedule.description}\n` +
+    `Reason: ${reason}\n\n` +
+    `_Nothing was sent. I'll try again at the next scheduled time._`;
+  await notify(sessionId, "transfer", msg, { type: "schedule_skipped", scheduleId: schedule.id, reason });
+}
+
+async function notifyConfirmationExpired(sessionId, pending) {
+  const { intent, batch, schedule } = pending;
+  const t    = schedule ? schedule.transfer : intent;
+  const what = batch
+    ? `Batch of ${batch.totals.count} transfers`
+    : `${t.amount} ${t.token} → ${t.toChain}${schedule ? ` (${schedule.description})` : ""}`;
+  const msg = `⌛ *Transfer Request Expired*\n\n` +
+    `Request: ${what}\n` +
+    `It wasn't confirmed in time, so I cancelled it.\n\n` +
+    `_Nothing was sent. Send the request again to get a fresh quote._`;
+  await notify(sessionId, "transfer", msg, { type: "confirmation_expired" });
+}
+
+async function notifyTransactionReplaced(sessionId, event) {
+  const msg = `⛽ *Gas Bumped*\n\n` +
+    `A transaction on ${event.chain} was stuck during a gas spike, so I re-sent it with a higher fee (max ${event.maxFeeGwei} gwei).\n` +
+    `Old tx: ${event.oldHash.slice(0, 12)}...\n` +
+    `New tx: ${event.newHash}\n\n` +
+    `_Nothing else changes — only one of the two can go through._`;
+  await notify(sessionId, "transfer", msg, { type: "transaction_replaced", ...event });
+}
+
+async function notifyTransactionStuck(sessionId, event) {
+  const msg = `⏳ *Transaction Stuck*\n\n` +
+    `A transaction on ${event.chain} (${event.oldHash.slice(0, 12)}...) is still pending at ${event.maxFeeGwei} gwei, ` +
+    `the most gas I'm allowed to pay for it.\n\n` +
+    `_It will go through once network fees come down. I'll message you when your transfer moves on._`;
+  await notify(sessionId, "error", msg, { type: "transaction_stuck", ...event });
+}
+
 async function notifyAlertTriggered(sessionId, alert, currentValue) {
   const msg = `🔔 *Alert Triggered!*\n\n` +
     `Condition: ${alert.condition}\n` +
@@ -253,14 +303,18 @@ async function sendWhatsApp(toNumber, message, data = {}) {
 // ── Formatting Helpers ────────────────────────────────────────────
 
 function formatTransferReceipt(receipt) {
-  return `✅ *Transfer Confirmed!*\n\n` +
+  return (receipt.delivered ? `📬 *Transfer Delivered!*\n\n` : `✅ *Transfer Confirmed!*\n\n`) +
     `💰 Amount: *${receipt.amount} ${receipt.token}*\n` +
     `📤 From: ${receipt.fromChain}\n` +
     `📥 To: ${receipt.toChain} (${receipt.toAddress?.slice(0, 8)}...)\n` +
     `🌉 Bridge: ${receipt.bridge}\n` +
     `💸 Fee paid: $${receipt.feeUSD?.toFixed(2)}\n` +
     `⏱ ETA: ~${receipt.estimatedArrival}\n` +
-    `🔗 [View on Explorer](${receipt.explorerLink})\n\n` +
+    (receipt.conversion ? (receipt.conversion.converted
+      ? `🔄 Converted: *${receipt.conversion.amount} ${receipt.conversion.toToken}* paid to recipient\n`
+      : `⚠️ Conversion failed — sent *${receipt.conversion.amount} ${receipt.conversion.toToken}* unconverted\n`) : "") +
+    `🔗 [View on Explorer](${receipt.explorerLink})\n` +
+    (receipt.destExplorerLink ? `📥 [View delivery](${receipt.destExplorerLink})\n` : "") + `\n` +
     `_Transaction: ${receipt.txHash?.slice(0, 12)}..._`;
 }
 
@@ -269,6 +323,11 @@ module.exports = {
   notify,
   notifyTransferConfirmed,
   notifyTransferFailed,
+  notifyTransferDelayed,
+  notifyScheduledRunSkipped,
+  notifyConfirmationExpired,
+  notifyTransactionReplaced,
+  notifyTransactionStuck,
   notifyAlertTriggered,
   notifyPriceAlert,
   notifyFeeAlert,
@@ -8,27 +8,47 @@
  * Setup:
  *   1. Message @BotFather → /newbot → get token
  *   2. Set TELEGRAM_BOT_TOKEN in config/keys.js
- *   3. Run the server — webhook registers automatically
+ *   3. Run the server — webhook registers automatically, with a secret
+ *      token every update must carry (verifyWebhookRequest)
  *
  * Commands:
  *   /start   — Welcome + connect wallet
  *   /send    — Initiate a transfer
  *   /fees    — Check current bridge fees
  *   /alerts  — View / manage alerts
+ *   /schedules — Recurring transfers (pause / resume / cancel buttons)
+ *   /contacts — Saved addresses (delete buttons; rename / change in chat)
+ *   /simulate — Dry-run the pending transfer
+ *   /approvals — Bridge allowances on the deposit wallet (/revoke clears them)
  *   /help    — Command list
  * ─────────────────────────────────────────────────────────────────
  */
 
+const crypto              = require("crypto");
 const config              = require("../../config/keys");
 const { handleUserMessage } = require("../agent/orchestrator");
 const { registerUser }    = require("./notifier");
 
-// Telegram chat ID → session ID mapping
+// Chats already registered with the notifier by this process
 const telegramSessions = new Map();
 
 // ── Webhook Handler ───────────────────────────────────────────────
 // Called by server.js when POST /webhooks/telegram is received
 
+/**
+ * Whether a webhook request came from Telegram: it carries the secret
+ * token registerWebhook() gave Telegram.
+ *
+ * @param {string} [secretHeader] - X-Telegram-Bot-Api-Secret-Token
+ * @returns {boolean}
+ */
+function verifyWebhookRequest(secretHeader) {
+  const secret = webhookSecret();
+  if (!secret || typeof secretHeader !== "string") return false;
+  const given = Buffer.from(secretHeader);
+  return given.length === Buffer.byteLength(secret) && crypto.timingSafeEqual(given, Buffer.from(secret));
+}
+
 /**
  * Process an incoming Telegram update (message or callback_query).
  *
@@ -50,8 +70,8 @@ async function handleTelegramUpdate(update) {
     const text   = msg.text?.trim() || "";
     const from   = msg.from;
 
-    // Get or create session for this chat
-    const sessionId = getOrCreateSession(chatId, from);
+    // This chat's session
+    const sessionId = sessionIdFor(chatId);
 
     // Handle commands
     if (text.startsWith("/")) {
@@ -120,10 +140,32 @@ async function handleCommand(chatId, text, sessionId, from) {
       await sendAlertSummary(chatId, sessionId);
       break;
 
+    case "/schedules":
+      await sendScheduleSummary(chatId, sessionId);
+      break;
+
+    case "/contacts":
+      await sendContactSummary(chatId, sessionId);
+      break;
+
+    case "/pause":
+    case "/resume":
+    case "/simulate":
+      await routeToAgent(chatId, sessionId, `${command.slice(1)} ${args}`.trim());
+      break;
+
     case "/cancel":
       await routeToAgent(chatId, sessionId, "no");
       break;
 
+    case "/approvals":
+      await routeToAgent(chatId, sessionId, "show my approvals");
+      break;
+
+    case "/revoke":
+      await routeToAgent(chatId, sessionId, "revoke all bridge approvals");
+      break;
+
     case "/help":
       await sendTelegramMessage(chatId,
         `⚡ *CrossFlow Commands*\n\n` +
@@ -131,11 +173,24 @@ async function handleCommand(chatId, text, sessionId, from) {
         `/send    — Start a transfer\n` +
         `/fees    — Live bridge fee comparison\n` +
         `/alerts  — View your active alerts\n` +
+        `/schedules — Your recurring transfers\n` +
+        `/pause 1 · /resume 1 — Pause or resume a schedule\n` +
+        `/contacts — Your saved addresses\n` +
+        `/simulate — Dry-run the pending transfer (nothing is sent)\n` +
+        `/approvals — Bridge allowances on your deposit wallet\n` +
+        `/revoke  — Revoke all bridge approvals\n` +
         `/cancel  — Cancel pending transaction\n` +
         `/help    — This help message\n\n` +
         `*Or just type naturally:*\n` +
         `_"Send 100 USDT to wallet xyz..."_\n` +
         `_"Alert me when fees drop below $0.50"_\n` +
+        `_"Every Friday send 50 USDC to 0xA1B2... on Base"_\n` +
+        `_"Save 0xA1B2... on Base as Mum"_ · _"Send 20 USDC to Mum"_\n` +
+        `_"Rename Mum to Mom"_ · _"Change Mum to 0xC3D4... on Polygon"_ · _"Forget Mum"_\n` +
+        `_"Make it 80 instead"_ · _"Use Celer"_ · _"Fastest route"_ — edit a preview before confirming\n` +
+        `_"2"_ or the 🔀 buttons — switch to another quoted route\n` +
+        `_"Send 500 USDC to Mum with max 0.3% slippage"_ · _"Set my slippage to 0.5%"_\n` +
+        `_"Set my daily limit to $500"_ · _"Only allow sends to Base"_ · _"Show my limits"_\n` +
         `_"What are the fees to Ethereum?"_`
       );
       break;
@@ -152,7 +207,7 @@ async function handleCallbackQuery(query) {
   const chatId    = query.message.chat.id.toString();
   const data      = query.data;
   const messageId = query.message.message_id;
-  const sessionId = getOrCreateSession(chatId, query.from);
+  const sessionId = sessionIdFor(chatId);
 
   // Answer the callback to remove loading state
   await answerCallbackQuery(query.id);
@@ -186,6 +241,43 @@ async function handleCallbackQuery(query) {
     return;
   }
 
+  // Route picker: route_<option number>
+  const routeChoice = data.match(/^route_(\d+)$/);
+  if (routeChoice) {
+    await editTelegramMessage(chatId, messageId, "🔀 *Switching route...*");
+    await routeToAgent(chatId, sessionId, `route ${routeChoice[1]}`);
+    return;
+  }
+
+  // Scheduled transfer buttons: schedule_<pause|resume|cancel>_<scheduleId>
+  const scheduleAction = data.match(/^schedule_(pause|resume|cancel)_(sched_\w+)$/);
+  if (scheduleAction) {
+    const { pauseSchedule, resumeSchedule, cancelSchedule } = require("../trading/scheduler");
+    const [, action, scheduleId] = scheduleAction;
+    const run  = { pause: pauseSchedule, resume: resumeSchedule, cancel: cancelSchedule }[action];
+    const done = { pause: "⏸️ Schedule paused.", resume: "▶️ Schedule resumed.", cancel: "🗑️ Schedule cancelled." }[action];
+    try {
+      await run(scheduleId, sessionId);
+      await editTelegramMessage(chatId, messageId, `${done} Send /schedules to see the list.`);
+    } catch (err) {
+      await sendTelegramMessage(chatId, `❌ ${err.message}`);
+    }
+    return;
+  }
+
+  // Contact delete button: contact_delete_<contactId>
+  const contactDelete = data.match(/^contact_delete_(contact_\w+)$/);
+  if (contactDelete) {
+    const { deleteContact } = require("../store/addressBook");
+    try {
+      const contact = await deleteContact(contactDelete[1], sessionId);
+      await editTelegramMessage(chatId, messageId, `🗑️ Removed ${contact.name} from your contacts. Send /contacts to see the list.`);
+    } catch (err) {
+      await sendTelegramMessage(chatId, `❌ ${err.message}`);
+    }
+    return;
+  }
+
   // Execute alert
   if (data.startsWith("execute_alert_")) {
     await sendTelegramMessage(chatId, "⚡ Executing transfer now...");
@@ -215,11 +307,21 @@ async function routeToAgent(chatId, sessionId, text) {
   if (response.state === "awaiting_confirmation" && response.data?.bestBridge) {
     const bridge = response.data.bestBridge;
     const nonce  = `tx_${sessionId}_${Date.now()}`;
+    // One button per alternative route, two to a row
+    const routes = (response.data.alternativeRoutes || []).slice(0, 4).map(r => (
+      { text: `🔀 ${r.bridge} ($${r.feeUSD?.toFixed(2)}, ~${r.estimatedMinutes}m)`, callback_data: `route_${r.option}` }
+    ));
+    const routeRows = [];
+    for (let i = 0; i < routes.length; i += 2) routeRows.push(routes.slice(i, i + 2));
+    // A large first transfer is confirmed by typing the address's last 4 characters, not a button
+    const confirm = response.data.typedConfirmation
+      ? []
+      : [{ text: `✅ Confirm ($${bridge.feeUSD?.toFixed(2)} fee)`, callback_data: `confirm_${nonce}` }];
     replyMarkup = {
       inline_keyboard: [[
-        { text: `✅ Confirm ($${bridge.feeUSD?.toFixed(2)} fee)`, callback_data: `confirm_${nonce}` },
-        { text: "❌ Cancel",                                       callback_data: `cancel_${nonce}`  },
-      ]],
+        ...confirm,
+        { text: "❌ Cancel", callback_data: `cancel_${nonce}` },
+      ], ...routeRows],
     };
   }
 
@@ -287,6 +389,57 @@ async function sendAlertSummary(chatId, sessionId) {
   await sendTelegramMessage(chatId, msg);
 }
 
+async function sendScheduleSummary(chatId, sessionId) {
+  const { listSchedules, formatScheduleLine } = require("../trading/scheduler");
+  const schedules = await listSchedules({ sessionId });
+
+  if (schedules.length === 0) {
+    await sendTelegramMessage(chatId,
+      `⏰ *Your Scheduled Transfers*\n\nNo scheduled transfers.\n\n` +
+      `_Set one by saying: "Every Friday send 50 USDC to 0xA1B2... on Base"_`
+    );
+    return;
+  }
+
+  // One row of buttons per schedule
+  const buttons = schedules.map((s, i) => [
+    s.status === "active"
+      ? { text: `⏸️ Pause ${i + 1}`,  callback_data: `schedule_pause_${s.id}`  }
+      : { text: `▶️ Resume ${i + 1}`, callback_data: `schedule_resume_${s.id}` },
+    { text: `🗑️ Cancel ${i + 1}`, callback_data: `schedule_cancel_${s.id}` },
+  ]);
+
+  await sendTelegramMessage(chatId,
+    `⏰ *Your Scheduled Transfers* (${schedules.length})\n\n` +
+    // Cron descriptions may contain "*", which Markdown would swallow
+    schedules.map((s, i) => formatScheduleLine(s, i).replace(/([*_`[])/g, "\\$1")).join("\n"),
+    { reply_markup: { inline_keyboard: buttons } }
+  );
+}
+
+async function sendContactSummary(chatId, sessionId) {
+  const { listContacts, formatContactLine } = require("../store/addressBook");
+  const contacts = await listContacts(sessionId);
+
+  if (contacts.length === 0) {
+    await sendTelegramMessage(chatId,
+      `📇 *Your Contacts*\n\nNo saved contacts.\n\n` +
+      `_Save one by saying: "Save 0xA1B2... on Base as Mum"_`
+    );
+    return;
+  }
+
+  // One delete button per contact
+  const buttons = contacts.map((c, i) => [{ text: `🗑️ Delete ${i + 1} (${c.name})`, callback_data: `contact_delete_${c.id}` }]);
+
+  await sendTelegramMessage(chatId,
+    `📇 *Your Contacts* (${contacts.length})\n\n` +
+    contacts.map((c, i) => formatContactLine(c, i).replace(/([*_`[])/g, "\\$1")).join("\n") +
+    `\n\n_Rename or change one in chat: "Rename Mum to Mom", "Change Mum to 0x... on Polygon"_`,
+    { reply_markup: { inline_keyboard: buttons } }
+  );
+}
+
 // ── Telegram API Wrappers ─────────────────────────────────────────
 
 async function sendTelegramMessage(chatId, text, extra = {}) {
@@ -365,7 +518,7 @@ async function registerWebhook(serverUrl) {
   const res = await fetch(`https://api.telegram.org/bot${token}/setWebhook`, {
     method:  "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ url: webhookUrl }),
+    body: JSON.stringify({ url: webhookUrl, secret_token: webhookSecret() }),
   });
 
   const data = await res.json();
@@ -376,17 +529,25 @@ async function registerWebhook(serverUrl) {
   }
 }
 
-function getOrCreateSession(chatId, from) {
-  if (!telegramSessions.has(chatId)) {
-    const sessionId = `tg_${chatId}_${Date.now()}`;
-    telegramSessions.set(chatId, sessionId);
-    console.log(`[TelegramBot] New session for ${from?.username || chatId}: ${sessionId}`);
-  }
-  return telegramSessions.get(chatId);
+// One session per chat, named after it — a restart or redeploy picks the
+// same session (history, pending confirmation) back up from the store.
+// Chat ids are guessable: only verified webhook updates reach these
+// sessions, and the HTTP API refuses tg_ ids.
+function sessionIdFor(chatId) {
+  return `tg_${chatId}`;
+}
+
+// Telegram allows A-Z, a-z, 0-9, _ and - (1-256 characters)
+function webhookSecret() {
+  const token = config.BOTS.TELEGRAM_BOT_TOKEN;
+  if (config.BOTS.TELEGRAM_WEBHOOK_SECRET) return config.BOTS.TELEGRAM_WEBHOOK_SECRET;
+  if (!token || token === "YOUR_KEY_HERE") return null;
+  return crypto.createHmac("sha256", token).update("crossflow-webhook").digest("hex");
 }
 
 module.exports = {
   handleTelegramUpdate,
+  verifyWebhookRequest,
   registerWebhook,
   sendTelegramMessage,
   telegramSessions,
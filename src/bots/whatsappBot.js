@@ -7,23 +7,25 @@
  * Setup:
  *   1. https://developers.facebook.com → New App → WhatsApp
  *   2. Add a phone number (can use test number to start)
- *   3. Copy: Phone Number ID, Permanent Access Token, Verify Token
- *   4. Fill all three into config/keys.js → BOTS section
+ *   3. Copy: Phone Number ID, Permanent Access Token, Verify Token,
+ *      and the App Secret (App settings → Basic)
+ *   4. Fill all four into config/keys.js → BOTS section
  *   5. Set webhook URL: https://your-domain.com/webhooks/whatsapp
  *
  * Supported message types:
  *   - Text messages (full AI agent)
  *   - Interactive buttons (confirm/cancel)
- *   - List messages (fee comparisons)
+ *   - List messages (fee comparisons, scheduled transfers)
  *   - Template messages (notifications)
  * ─────────────────────────────────────────────────────────────────
  */
 
+const crypto                = require("crypto");
 const config                = require("../../config/keys");
 const { handleUserMessage } = require("../agent/orchestrator");
 const { registerUser }      = require("./notifier");
 
-// WhatsApp number → session ID mapping
+// Numbers already registered with the notifier by this process
 const whatsappSessions = new Map();
 
 // ── Webhook Verification ──────────────────────────────────────────
@@ -50,6 +52,28 @@ function verifyWebhook(query) {
   return { valid: false };
 }
 
+/**
+ * Whether a webhook POST came from Meta: X-Hub-Signature-256 is an
+ * HMAC of the raw body under the app secret. Without the secret set,
+ * nothing is accepted.
+ *
+ * @param {Buffer} rawBody
+ * @param {string} [signatureHeader] - "sha256=<hex>"
+ * @returns {boolean}
+ */
+function verifySignature(rawBody, signatureHeader) {
+  const appSecret = config.BOTS.WHATSAPP_APP_SECRET;
+  if (!appSecret || appSecret === "YOUR_KEY_HERE") {
+    console.warn("[WhatsAppBot] WHATSAPP_APP_SECRET not set — webhook refused.");
+    return false;
+  }
+  if (!rawBody || typeof signatureHeader !== "string") return false;
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex")}`);
+  const given    = Buffer.from(signatureHeader);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
 // ── Incoming Message Handler ──────────────────────────────────────
 
 /**
@@ -92,8 +116,8 @@ async function processMessage(message, contact) {
   const msgType = message.type;
   const name    = contact?.profile?.name || "User";
 
-  // Get or create session
-  const sessionId = getOrCreateSession(from, name);
+  // This number's session
+  const sessionId = sessionIdFor(from);
 
   // Mark message as read
   await markMessageRead(message.id);
@@ -152,6 +176,25 @@ async function processMessage(message, contact) {
     return;
   }
 
+  if (lower === "schedules" || lower === "/schedules") {
+    await sendScheduleSummary(from, sessionId);
+    return;
+  }
+
+  // Alternative route picked from a transfer preview
+  const routeChoice = text.match(/^pick_route_(\d+)$/);
+  if (routeChoice) {
+    await routeToAgent(from, sessionId, `route ${routeChoice[1]}`);
+    return;
+  }
+
+  // Pause / resume picked from the schedules list
+  const scheduleAction = text.match(/^schedule_(pause|resume)_(sched_\w+)$/);
+  if (scheduleAction) {
+    await handleScheduleAction(from, sessionId, scheduleAction[1], scheduleAction[2]);
+    return;
+  }
+
   // Route to AI agent
   await routeToAgent(from, sessionId, text);
 }
@@ -195,10 +238,24 @@ async function routeToAgent(from, sessionId, text) {
     const bridge = response.data.bestBridge;
     const nonce  = `tx_${sessionId}_${Date.now()}`;
 
+    // A large first transfer is confirmed by typing the address's last 4 characters, not a button
     await sendInteractiveButtons(from, msg, [
-      { id: `confirm_${nonce}`, title: `✅ Confirm ($${bridge.feeUSD?.toFixed(2)})` },
-      { id: `cancel_${nonce}`,  title: "❌ Cancel" },
+      ...(response.data.typedConfirmation ? [] : [{ id: `confirm_${nonce}`, title: `✅ Confirm ($${bridge.feeUSD?.toFixed(2)})` }]),
+      { id: `cancel_${nonce}`, title: "❌ Cancel" },
     ]);
+
+    // Alternative routes as a list (max 10 rows) — picking one re-previews the transfer
+    const alternatives = response.data.alternativeRoutes || [];
+    if (alternatives.length > 0) {
+      await sendListMessage(from, "🔀 Other Routes", `Currently via ${bridge.bridge}. Pick another route to switch:`, [{
+        title: "Bridges",
+        rows:  alternatives.slice(0, 10).map(r => ({
+          id:          `pick_route_${r.option}`,
+          title:       `${r.option}. ${r.bridge}`.slice(0, 24),
+          description: `$${r.feeUSD?.toFixed(2)} fee, ~${r.estimatedMinutes} min, ${((r.successRate || 0) * 100).toFixed(0)}% success`,
+        })),
+      }]);
+    }
   } else {
     await sendWhatsAppText(from, msg);
   }
@@ -344,6 +401,7 @@ async function sendWelcomeMessage(to, name) {
       { id: "action_fees",    title: "📊 Check Fees",       description: "Live bridge fee comparison" },
       { id: "action_help",    title: "❓ Help",              description: "Commands & examples"        },
       { id: "action_alerts",  title: "🔔 My Alerts",         description: "View active alerts"         },
+      { id: "schedules",      title: "⏰ My Schedules",      description: "Recurring transfers"        },
     ],
   }];
 
@@ -362,10 +420,26 @@ async function sendHelpMessage(to) {
     `💸 *Transfers:*\n` +
     `• "Send 100 USDT to 0xA1B2..."\n` +
     `• "Move 250 USDC to Solana wallet 7xB2..."\n` +
-    `• "Bridge 500 USDm to Base cheapest way"\n\n` +
+    `• "Bridge 500 USDm to Base cheapest way"\n` +
+    `• "make it 80 instead" / "use Celer" / "send to Arbitrum instead" — edit a preview before confirming\n` +
+    `• "2" or "Other Routes" — switch to another quoted route\n` +
+    `• "simulate" — dry-run the pending transfer, nothing is sent\n` +
+    `• "show my approvals" / "revoke all bridge approvals"\n\n` +
     `🔔 *Alerts:*\n` +
     `• "Alert me when fees drop below $0.50"\n` +
     `• "Notify me if USDC price changes"\n\n` +
+    `⏰ *Recurring:*\n` +
+    `• "Every Friday send 50 USDC to 0xA1B2... on Base"\n` +
+    `• "schedules" — list, then "pause 1" / "resume 1" / "cancel schedule 1"\n\n` +
+    `📇 *Contacts:*\n` +
+    `• "Save 0xA1B2... on Base as Mum", then "Send 20 USDC to Mum"\n` +
+    `• "contacts" — list, then "rename Mum to Mom" / "change Mum to 0x... on Polygon" / "forget Mum"\n\n` +
+    `🛡️ *Slippage:*\n` +
+    `• "Send 500 USDC to Mum with max 0.3% slippage"\n` +
+    `• "Set my slippage to 0.5%" / "show my slippage" / "reset my slippage"\n\n` +
+    `🚦 *Spending limits:*\n` +
+    `• "Set my daily limit to $500" / "limit each transfer to $1000"\n` +
+    `• "Only allow sends to Base and Polygon" / "show my limits" / "reset my limits"\n\n` +
     `📊 *Info:*\n` +
     `• "What are fees to Base?"\n` +
     `• "fees" — live fee summary\n` +
@@ -439,24 +513,69 @@ async function sendAlertSummary(to, sessionId) {
   await sendWhatsAppText(to, msg);
 }
 
+async function sendScheduleSummary(to, sessionId) {
+  const { listSchedules, formatScheduleLine } = require("../trading/scheduler");
+  const schedules = await listSchedules({ sessionId });
+
+  if (schedules.length === 0) {
+    await sendWhatsAppText(to,
+      `⏰ *Your Scheduled Transfers*\n\nNo scheduled transfers.\n\n` +
+      `Set one by saying:\n_"Every Friday send 50 USDC to 0xA1B2... on Base"_`
+    );
+    return;
+  }
+
+  // List rows (max 10) toggle pause / resume; cancelling stays a typed command
+  const sections = [{
+    title: "Pause or resume",
+    rows: schedules.slice(0, 10).map((s, i) => ({
+      id:          `schedule_${s.status === "active" ? "pause" : "resume"}_${s.id}`,
+      title:       `${s.status === "active" ? "⏸️ Pause" : "▶️ Resume"} #${i + 1}`,
+      description: `${s.transfer.amount} ${s.transfer.token} → ${s.transfer.toChain}, ${s.description}`.slice(0, 72),
+    })),
+  }];
+
+  await sendListMessage(
+    to,
+    "⏰ Scheduled Transfers",
+    `${schedules.map(formatScheduleLine).join("\n")}\n\nReply "cancel schedule 1" to delete one.`,
+    sections
+  );
+}
+
+async function handleScheduleAction(to, sessionId, action, scheduleId) {
+  const { pauseSchedule, resumeSchedule, formatRunTime } = require("../trading/scheduler");
+  try {
+    if (action === "pause") {
+      await pauseSchedule(scheduleId, sessionId);
+      await sendWhatsAppText(to, "⏸️ Schedule paused. Send \"schedules\" to see the list.");
+    } else {
+      const schedule = await resumeSchedule(scheduleId, sessionId);
+      await sendWhatsAppText(to, `▶️ Schedule resumed. Next run: ${formatRunTime(schedule.nextRunAt)}.`);
+    }
+  } catch (err) {
+    await sendWhatsAppText(to, `❌ ${err.message}`);
+  }
+}
+
 function handleStatusUpdate(status) {
   const statusMap = { sent: "📤", delivered: "📬", read: "👁", failed: "❌" };
   const emoji = statusMap[status.status] || "•";
   console.log(`[WhatsAppBot] Message ${status.id} ${emoji} ${status.status}`);
 }
 
-function getOrCreateSession(from, name) {
-  if (!whatsappSessions.has(from)) {
-    const sessionId = `wa_${from}_${Date.now()}`;
-    whatsappSessions.set(from, sessionId);
-    console.log(`[WhatsAppBot] New session for ${name || from}: ${sessionId}`);
-  }
-  return whatsappSessions.get(from);
+// One session per phone number, named after it — a restart or redeploy
+// picks the same session (history, pending confirmation) back up from the store.
+// Numbers are guessable: only signed webhook posts reach these sessions,
+// and the HTTP API refuses wa_ ids.
+function sessionIdFor(from) {
+  return `wa_${from}`;
 }
 
 module.exports = {
   handleWhatsAppWebhook,
   verifyWebhook,
+  verifySignature,
   sendWhatsAppText,
   sendInteractiveButtons,
   whatsappSessions,
@@ -0,0 +1,241 @@
+/**
+ * approvals.js
+ * ─────────────────────────────────────────────────────────────────
+ * Token approvals for bridge transfers, shared by every bridge module
+ * and the DEX routers in swapRouter.
+ *
+ *   - ensureAllowance() reads the current allowance first and only
+ *     approves when it falls short — then for exactly the amount
+ *   - Tokens with EIP-2612 permit are approved by signature, submitted
+ *     by the agent wallet; anything else gets a plain approve()
+ *   - revokeLeftover() sets an allowance the transfer didn't use up
+ *     back to 0, so no bridge keeps a standing approval
+ *   - Every spender a deposit wallet approves is remembered in the
+ *     "approvals" store, so auditApprovals() / revokeApprovals() can
+ *     check and clear them later ("revoke all bridge approvals")
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { ethers }         = require("ethers");
+const config             = require("../../config/keys");
+const { createStore }    = require("../store/kvStore");
+const { getAgentSigner } = require("../chains/signerService");
+const { findTokenByAddress } = require("../chains/tokenRegistry");
+
+// owner (lowercased) → { owner, spenders: [{ chain, token, tokenAddress, spender, bridge, lastApprovedAt }] }
+const grants = createStore("approvals");
+
+const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+];
+
+const PERMIT_ABI = [
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function nonces(address owner) view returns (uint256)",
+  "function name() view returns (string)",
+  "function version() view returns (string)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner",    type: "address" },
+    { name: "spender",  type: "address" },
+    { name: "value",    type: "uint256" },
+    { name: "nonce",    type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// "chain:token" → EIP-712 domain, or null when the token has no usable permit
+const permitDomains = new Map();
+
+/**
+ * Make sure `spender` may pull `amountUnits` of the token from the
+ * wallet. Nothing is sent when the allowance already covers it.
+ *
+ * @param {Object}   params
+ * @param {Object}   params.wallet       - Signer that owns the tokens
+ * @param {string}   params.chain        - e.g. "celo"
+ * @param {string}   params.tokenAddress
+ * @param {string}   params.spender      - Bridge contract or DEX router
+ * @param {bigint}   params.amountUnits
+ * @param {string}   [params.token]      - Symbol, for the audit list
+ * @param {string}   [params.bridge]     - Bridge (or DEX) name, for the audit list
+ * @param {Function} [params.onApproved] - Called with the result once the allowance is in place
+ * @returns {Promise<{ method: "existing"|"permit"|"approve", txHash: string|null }>}
+ */
+async function ensureAllowance({ wallet, chain, tokenAddress, spender, amountUnits, token = null, bridge = null, onApproved }) {
+  const contract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+  const current  = await contract.allowance(wallet.address, spender);
+  await rememberSpender(wallet.address, { chain, token, tokenAddress, spender, bridge });
+
+  let result;
+  if (current >= BigInt(amountUnits)) {
+    console.log(`[Approvals] ${bridge || spender} already has enough ${token || tokenAddress} allowance — no approval sent`);
+    result = { method: "existing", txHash: null };
+  } else {
+    result = (config.APPROVALS?.USE_PERMIT && await permit(wallet, chain, tokenAddress, spender, amountUnits))
+      || await approveExact(contract, spender, amountUnits, current);
+    console.log(`[Approvals] ${token || tokenAddress} approved for ${bridge || spender} by ${result.method}: ${result.txHash}`);
+  }
+
+  await onApproved?.(result);
+  return result;
+}
+
+/**
+ * Set whatever allowance `spender` has left back to 0. Called after the
+ * bridge transaction is mined; never throws — the transfer already went
+ * through.
+ *
+ * @returns {Promise<string|null>} Revoke tx hash, or null when nothing was left
+ */
+async function revokeLeftover({ wallet, tokenAddress, spender }) {
+  if (!config.APPROVALS?.REVOKE_LEFTOVER) return null;
+  try {
+    const contract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+    if (await contract.allowance(wallet.address, spender) === 0n) return null;
+
+    const receipt = await (await contract.approve(spender, 0n)).wait();
+    console.log(`[Approvals] Revoked leftover allowance for ${spender}: ${receipt.hash}`);
+    return receipt.hash;
+  } catch (err) {
+    console.warn(`[Approvals] Could not revoke leftover allowance for ${spender}:`, err.shortMessage || err.message);
+    return null;
+  }
+}
+
+/**
+ * Live allowances still granted to bridges by `owner`, read from each
+ * chain. Only spenders this server approved are known.
+ *
+ * @param {string} owner - Wallet address
+ * @returns {Promise<Object[]>} [{ chain, token, tokenAddress, spender, bridge, allowance, allowanceUnits }]
+ */
+async function auditApprovals(owner) {
+  const entry = await grants.get(owner.toLowerCase());
+  if (!entry) return [];
+
+  const open = [];
+  for (const grant of entry.value.spenders) {
+    try {
+      const contract = new ethers.Contract(grant.tokenAddress, ERC20_ABI, getProvider(grant.chain));
+      const units    = await contract.allowance(owner, grant.spender);
+      if (units === 0n) continue;
+      const decimals = findTokenByAddress(grant.chain, grant.tokenAddress)?.decimals ?? await contract.decimals();
+      open.push({ ...grant, allowance: ethers.formatUnits(units, decimals), allowanceUnits: units.toString() });
+    } catch (err) {
+      console.warn(`[Approvals] Could not read ${grant.chain} allowance for ${grant.spender}:`, err.shortMessage || err.message);
+    }
+  }
+  return open;
+}
+
+/**
+ * Revoke every open bridge allowance found by auditApprovals().
+ *
+ * @param {string}   owner
+ * @param {Function} getWallet - async (chain) => signer for `owner` on that chain
+ * @returns {Promise<Object[]>} Audit entries with { txHash } or { error }
+ */
+async function revokeApprovals(owner, getWallet) {
+  const results = [];
+  for (const grant of await auditApprovals(owner)) {
+    try {
+      const wallet   = await getWallet(grant.chain);
+      const contract = new ethers.Contract(grant.tokenAddress, ERC20_ABI, wallet);
+      const receipt  = await (await contract.approve(grant.spender, 0n)).wait();
+      console.log(`[Approvals] Revoked ${grant.token || grant.tokenAddress} allowance for ${grant.bridge || grant.spender}: ${receipt.hash}`);
+      results.push({ ...grant, txHash: receipt.hash });
+    } catch (err) {
+      results.push({ ...grant, error: err.shortMessage || err.message });
+    }
+  }
+  return results;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  HELPERS
+// ─────────────────────────────────────────────────────────────────
+
+// EIP-2612 permit for exactly `amountUnits`, or null to fall back to approve()
+async function permit(wallet, chain, tokenAddress, spender, amountUnits) {
+  try {
+    const domain = await permitDomain(chain, tokenAddress, wallet.provider);
+    if (!domain) return null;
+
+    const token    = new ethers.Contract(tokenAddress, PERMIT_ABI, wallet.provider);
+    const deadline = Math.floor(Date.now() / 1000) + config.APPROVALS.PERMIT_DEADLINE_MINUTES * 60;
+    const value    = { owner: wallet.address, spender, value: amountUnits, nonce: await token.nonces(wallet.address), deadline };
+    const { v, r, s } = ethers.Signature.from(await wallet.signTypedData(domain, PERMIT_TYPES, value));
+
+    const tx = await token.connect(getAgentSigner(chain)).permit(wallet.address, spender, amountUnits, deadline, v, r, s);
+    const receipt = await tx.wait();
+    return { method: "permit", txHash: receipt.hash };
+  } catch (err) {
+    console.warn(`[Approvals] Permit for ${tokenAddress} failed, approving instead:`, err.shortMessage || err.message);
+    return null;
+  }
+}
+
+// The token's EIP-712 domain, accepted only if it reproduces DOMAIN_SEPARATOR()
+async function permitDomain(chain, tokenAddress, provider) {
+  const key = `${chain}:${tokenAddress.toLowerCase()}`;
+  if (permitDomains.has(key)) return permitDomains.get(key);
+
+  let domain = null;
+  try {
+    const token = new ethers.Contract(tokenAddress, PERMIT_ABI, provider);
+    const [name, separator, { chainId }] = await Promise.all([token.name(), token.DOMAIN_SEPARATOR(), provider.getNetwork()]);
+    await token.nonces(ethers.ZeroAddress);
+    const versions = await token.version().then(v => [v], () => ["1", "2"]);
+    domain = versions
+      .map(version => ({ name, version, chainId, verifyingContract: tokenAddress }))
+      .find(candidate => ethers.TypedDataEncoder.hashDomain(candidate) === separator) || null;
+  } catch {
+    domain = null; // no permit()
+  }
+  permitDomains.set(key, domain);
+  return domain;
+}
+
+async function approveExact(contract, spender, amountUnits, current) {
+  let tx;
+  try {
+    tx = await contract.approve(spender, amountUnits);
+  } catch (err) {
+    if (current === 0n || err.code !== "CALL_EXCEPTION") throw err;
+    // Some tokens (USDT) refuse to change a nonzero allowance except to 0
+    await (await contract.approve(spender, 0n)).wait();
+    tx = await contract.approve(spender, amountUnits);
+  }
+  const receipt = await tx.wait(); // a gas-bumped replacement has its own hash
+  return { method: "approve", txHash: receipt.hash };
+}
+
+async function rememberSpender(owner, grant) {
+  const key = owner.toLowerCase();
+  const same = (g) => g.chain === grant.chain && g.tokenAddress.toLowerCase() === grant.tokenAddress.toLowerCase()
+    && g.spender.toLowerCase() === grant.spender.toLowerCase();
+
+  await grants.update(key, (current) => {
+    const value = current || { owner, spenders: [] };
+    value.spenders = [...value.spenders.filter(g => !same(g)), { ...grant, lastApprovedAt: new Date().toISOString() }];
+    return value;
+  });
+}
+
+function getProvider(chain) {
+  // ── 🔑 RPC INJECTION POINT ──────────────────────────────────
+  return new ethers.JsonRpcProvider(config.RPC[chain.toUpperCase()]);
+}
+
+module.exports = {
+  ensureAllowance,
+  revokeLeftover,
+  auditApprovals,
+  revokeApprovals,
+};
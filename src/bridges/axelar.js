@@ -1,6 +1,8 @@
 const { AxelarQueryAPI, Environment, EvmChain } = require('@axelar-network/axelarjs-sdk');
 const { ethers } = require('ethers');
 const config = require('../../config/keys');
+const { ensureAllowance, revokeLeftover } = require('./approvals');
+const { bridgeSymbol } = require('../chains/tokenRegistry');
 // Axelar Gateway on Celo — verified on celoscan.io
 const AXELAR_GATEWAY_CELO   = '0xe432150cce91c13a887f7D836923d5597adD8E31';
 const AXELAR_GAS_SERVICE    = '0x2d5d7d31F671F86C782533cc367F14109a082712';
@@ -18,37 +20,65 @@ const GAS_SERVICE_ABI = [
   'function payNativeGasForContractCallWithToken(address sender, string destinationChain, string destinationAddress, bytes payload, string symbol, uint256 amount, address refundAddress) payable',
    ];
 
-async function executeAxelarTransfer({ wallet, intent, amountUnits, tokenAddress }) {
+/**
+ * Unsigned transactions for an Axelar transfer, sent after approving
+ * `spender`: pay for destination gas, then send the token through the
+ * gateway. Shared by execution and dry runs.
+ */
+async function buildAxelarTransfer({ fromAddress, intent, amountUnits }) {
   const destChainName = AXELAR_CHAIN_NAMES[intent.toChain];
   if (!destChainName) throw new Error(`Axelar: unsupported destination ${intent.toChain}`);
 
-  // Step 1 — Approve gateway to spend your token
-  const ERC20_ABI = ['function approve(address spender, uint256 amount) returns (bool)'];
-  const token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
-  const approveTx = await token.approve(AXELAR_GATEWAY_CELO, amountUnits);
-  await approveTx.wait();
-
-  // Step 2 — Estimate gas fee using Axelar SDK
+  // Estimate gas fee using Axelar SDK
   const axelarQuery = new AxelarQueryAPI({ environment: Environment.MAINNET });
   const gasFee = await axelarQuery.estimateGasFee(
     EvmChain.CELO, destChainName.toUpperCase(), 'USDC', 700000
   );
 
-  // Step 3 — Pay for gas on destination chain
-  const gasService = new ethers.Contract(AXELAR_GAS_SERVICE, GAS_SERVICE_ABI, wallet);
-  const gasPayTx = await gasService.payNativeGasForContractCallWithToken(
-    wallet.address, destChainName, intent.toAddress, '0x',
-    intent.token, amountUnits, wallet.address, { value: gasFee }
-  );
-  await gasPayTx.wait();
+  // The gateway knows tokens by Axelar's symbol (axlUSDC...)
+  const symbol     = bridgeSymbol(intent.fromChain || 'celo', intent.token, 'axelar');
+  const gasService = new ethers.Interface(GAS_SERVICE_ABI);
+  const gateway    = new ethers.Interface(GATEWAY_ABI);
+  return {
+    spender: AXELAR_GATEWAY_CELO,
+    abis:    [GATEWAY_ABI, GAS_SERVICE_ABI],
+    transactions: [
+      {
+        label: 'Pay Axelar destination gas',
+        to:    AXELAR_GAS_SERVICE,
+        data:  gasService.encodeFunctionData('payNativeGasForContractCallWithToken', [
+          fromAddress, destChainName, intent.toAddress, '0x', symbol, amountUnits, fromAddress,
+        ]),
+        value: BigInt(gasFee),
+      },
+      {
+        label: 'Send through the Axelar gateway',
+        to:    AXELAR_GATEWAY_CELO,
+        data:  gateway.encodeFunctionData('sendToken', [destChainName, intent.toAddress, symbol, amountUnits]),
+        value: 0n,
+      },
+    ],
+  };
+}
 
-  // Step 4 — Send the token via gateway
-  const gateway = new ethers.Contract(AXELAR_GATEWAY_CELO, GATEWAY_ABI, wallet);
-  const sendTx = await gateway.sendToken(
-    destChainName, intent.toAddress, intent.token, amountUnits
-  );
-const receipt = await sendTx.wait();
+async function executeAxelarTransfer({ wallet, intent, amountUnits, tokenAddress, onSubmitted, onApproved }) {
+  const { spender, transactions } = await buildAxelarTransfer({ fromAddress: wallet.address, intent, amountUnits });
+
+  // Step 1 — Let the gateway spend your token (skipped if it already may)
+  await ensureAllowance({
+    wallet, chain: intent.fromChain || 'celo', tokenAddress, spender, amountUnits,
+    token: intent.token, bridge: 'Axelar', onApproved,
+  });
+
+  // Step 2 — Pay for gas on destination chain, then send the token via gateway
+  let receipt;
+  for (const [i, tx] of transactions.entries()) {
+    const sent = await wallet.sendTransaction({ to: tx.to, data: tx.data, value: tx.value });
+    if (i === transactions.length - 1) await onSubmitted?.(sent.hash);
+    receipt = await sent.wait();
+  }
+  await revokeLeftover({ wallet, tokenAddress, spender });
   return receipt.hash;
 }
 
-module.exports = { executeAxelarTransfer };
+module.exports = { executeAxelarTransfer, buildAxelarTransfer };
@@ -4,6 +4,9 @@
  * Queries multiple cross-chain bridges, compares their quotes,
  * and selects the optimal route based on user preference.
  *
+ * Large transfers that no single bridge has the liquidity for are
+ * also planned as a split across several bridges (see getSplitRoute).
+ *
  * Bridges supported:
  *   - Wormhole
  *   - LayerZero (via Stargate)
@@ -15,6 +18,7 @@
  */
 
 const config = require("../../config/keys");
+const { getToken, getTokenAddress, toUnits, bridgeSymbol } = require("../chains/tokenRegistry");
 
 // ── CHAIN ID MAPPINGS ───────────────────────────────────────────────
 const CHAIN_IDS = {
@@ -38,7 +42,8 @@ const CHAIN_IDS = {
  * @param {string} params.token     - Token symbol (e.g. "USDC")
  * @param {number} params.amount    - Amount in token units
  * @param {string} params.priority  - "cheapest" | "fastest" | "safest"
- * @returns {Promise<{ best: Object, all: Object[], warnings: string[] }>}
+ * @returns {Promise<{ best: Object, all: Object[], split: Object|null, warnings: string[] }>}
+ *   Every quote carries quotedAt and expiresAt (epoch ms)
  */
 async function getBestBridgeRoute({ fromChain, toChain, token, amount, priority = "cheapest" }) {
   const quotes = await Promise.allSettled([
@@ -66,6 +71,7 @@ async function getBestBridgeRoute({ fromChain, toChain, token, amount, priority
     return {
       best: null,
       all: [],
+      split: null,
       warnings: [`No supported bridge route found for ${token} from ${fromChain} to ${toChain}.`],
     };
   }
@@ -76,9 +82,9 @@ async function getBestBridgeRoute({ fromChain, toChain, token, amount, priority
     warnings.push(`ℹ️ Bridges found (${notReady.map(q=>q.bridge).join(", ")}) but their SDKs are not yet installed. See DEPLOY.md.`);
   }
 
-  // Flag low liquidity
+  // Flag low liquidity (null: the bridge didn't say)
   useQuotes.forEach((q) => {
-    if (q.liquidityUSD < amount * 2) {
+    if (q.liquidityUSD !== null && q.liquidityUSD < amount * 2) {
       warnings.push(`⚠️ ${q.bridge}: Low liquidity ($${q.liquidityUSD.toFixed(0)} available). Transfer may fail.`);
     }
     if (q.feeUSD > amount * 0.05) {
@@ -89,13 +95,97 @@ async function getBestBridgeRoute({ fromChain, toChain, token, amount, priority
   // Score and rank
   const ranked = rankQuotes(useQuotes, priority);
 
+  // Split only large transfers the top route can't carry with 2× headroom
+  const { MIN_AMOUNT_USD, MAX_LIQUIDITY_SHARE } = config.SPLIT_ROUTING;
+  let split = null;
+  if (amount >= MIN_AMOUNT_USD && ranked[0].liquidityUSD !== null && ranked[0].liquidityUSD * MAX_LIQUIDITY_SHARE < amount && validQuotes.length > 1) {
+    split = await getSplitRoute({ fromChain, toChain, token, amount, priority, quotes: validQuotes });
+    if (!split) {
+      warnings.push(`⚠️ Not enough combined bridge liquidity to split ${amount} ${token} safely — consider sending it in smaller parts.`);
+    }
+  }
+
+  // Quotes are only good for QUOTES.TTL_SECONDS — confirming later re-quotes
+  const quotedAt  = Date.now();
+  const expiresAt = quotedAt + config.QUOTES.TTL_SECONDS * 1000;
+  for (const quote of [...ranked, ...(split ? [split] : [])]) {
+    quote.quotedAt  = quotedAt;
+    quote.expiresAt = expiresAt;
+  }
+
   return {
     best: ranked[0],
     all: ranked,
+    split,
     warnings,
   };
 }
 
+/**
+ * Plan one logical transfer as legs over several bridges. Bridges are
+ * filled in priority order (fee order for "cheapest"), each up to its
+ * share of liquidity, then every leg is re-quoted at its own amount.
+ *
+ * @param {Object}   params
+ * @param {Object[]} params.quotes - Execution-ready quotes for the full amount
+ * @returns {Promise<Object|null>} A composite quote with `splits`, or null
+ *   when the bridges can't carry the amount together (or one alone can)
+ */
+async function getSplitRoute({ fromChain, toChain, token, amount, priority = "cheapest", quotes }) {
+  const { MAX_LEGS, MAX_LIQUIDITY_SHARE } = config.SPLIT_ROUTING;
+
+  const legs = [];
+  let remaining = amount;
+  for (const quote of rankQuotes(quotes, priority)) {
+    if (remaining <= 0 || legs.length >= MAX_LEGS) break;
+    if (quote.liquidityUSD === null) continue; // can't size a leg without it
+    const capacity = Math.floor(quote.liquidityUSD * MAX_LIQUIDITY_SHARE);
+    if (capacity <= 0) continue;
+
+    const legAmount = Math.min(remaining, capacity);
+    legs.push({ quote, amount: legAmount });
+    remaining = roundUnits(remaining - legAmount);
+  }
+
+  if (remaining > 0 || legs.length < 2) return null;
+
+  const splits = await Promise.all(legs.map(async ({ quote, amount: legAmount }) => {
+    const fetchQuote = QUOTE_FETCHERS[quote.executionMethod];
+    const legQuote   = fetchQuote ? await fetchQuote({ fromChain, toChain, token, amount: legAmount }) : null;
+    const priced     = legQuote || { ...quote, feeUSD: quote.feeUSD * legAmount / amount };
+
+    return {
+      bridge:           priced.bridge,
+      executionMethod:  priced.executionMethod,
+      amount:           legAmount,
+      share:            Math.round((legAmount / amount) * 100),
+      feeUSD:           priced.feeUSD,
+      estimatedMinutes: priced.estimatedMinutes,
+      successRate:      priced.successRate,
+      liquidityUSD:     priced.liquidityUSD,
+      rawQuote:         priced.rawQuote || null,
+    };
+  }));
+
+  return {
+    bridge:           splits.map(s => `${s.bridge} ${s.share}%`).join(" + "),
+    executionMethod:  "split",
+    feeUSD:           splits.reduce((sum, s) => sum + s.feeUSD, 0),
+    estimatedMinutes: Math.max(...splits.map(s => s.estimatedMinutes)),
+    successRate:      Math.min(...splits.map(s => s.successRate)),
+    liquidityUSD:     splits.reduce((sum, s) => sum + s.liquidityUSD, 0),
+    rawQuote:         null,
+    executionReady:   true,
+    splits,
+    note:             `No single bridge has the liquidity for ${amount} ${token} — split across ${splits.length} bridges, sent in parallel.`,
+  };
+}
+
+// Token amounts are kept to 6 decimals (USDC/USDT precision)
+function roundUnits(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
 /**
  * Rank bridge quotes based on priority.
  */
@@ -129,16 +219,15 @@ async function getAcrossQuote({ fromChain, toChain, token, amount }) {
 
     if (!fromChainId || !toChainId) return null; // Across doesn't support Solana
 
-    const tokenAddresses = config.TOKENS;
-    const inputToken  = tokenAddresses[fromChain.toUpperCase()]?.[token];
-    const outputToken = tokenAddresses[toChain.toUpperCase()]?.[token];
+    const inputToken  = getToken(fromChain, token);
+    const outputToken = getTokenAddress(toChain, token);
 
     if (!inputToken || !outputToken) return null;
 
-    const amountWei = BigInt(Math.floor(amount * 1e6)).toString(); // USDC/USDT = 6 decimals
+    const amountWei = toUnits(amount, fromChain, token).toString();
 
     // ── 🔑 API CALL — No key needed ──────────────────────────────
-    const url = `${config.BRIDGES.ACROSS_API}/suggested-fees?inputToken=${inputToken}&outputToken=${outputToken}&originChainId=${fromChainId}&destinationChainId=${toChainId}&amount=${amountWei}`;
+    const url = `${config.BRIDGES.ACROSS_API}/suggested-fees?inputToken=${inputToken.address}&outputToken=${outputToken}&originChainId=${fromChainId}&destinationChainId=${toChainId}&amount=${amountWei}`;
 
     const response = await fetch(url);
     if (!response.ok) return null;
@@ -153,7 +242,7 @@ async function getAcrossQuote({ fromChain, toChain, token, amount }) {
       feeUSD:            totalFeeUSD,
       estimatedMinutes:  2,
       successRate:       0.98,
-      liquidityUSD:      parseFloat(data.totalRelayFee?.total || "999999") / 1e6,
+      liquidityUSD:      parseFloat(data.totalRelayFee?.total || "999999") / 10 ** inputToken.decimals,
       rawQuote:          data,
       executionMethod:   "across_relay",
       executionReady:    false, // Across does not support Celo source chain
@@ -226,7 +315,7 @@ async function getAxelarQuote({ fromChain, toChain, token, amount }) {
     if (!fromName || !toName) return null;
 
     // ── 🔑 API CALL — No key needed ──────────────────────────────
-    const url = `${config.BRIDGES.AXELAR_RPC}/v1/gmp/gasfee?sourceChain=${fromName}&destinationChain=${toName}&symbol=${token}&amount=${amount}`;
+    const url = `${config.BRIDGES.AXELAR_RPC}/v1/gmp/gasfee?sourceChain=${fromName}&destinationChain=${toName}&symbol=${bridgeSymbol(fromChain, token, "axelar")}&amount=${amount}`;
 
     const response = await fetch(url);
     if (!response.ok) return null;
@@ -259,14 +348,13 @@ async function getCelerQuote({ fromChain, toChain, token, amount }) {
     const toId   = CHAIN_IDS[toChain]?.evmId;
     if (!fromId || !toId) return null;
 
-    const tokenAddresses = config.TOKENS;
-    const tokenAddr = tokenAddresses[fromChain.toUpperCase()]?.[token];
-    if (!tokenAddr) return null;
+    const tokenInfo = getToken(fromChain, token);
+    if (!tokenInfo) return null;
 
-    const amountStr = Math.floor(amount * 1e6).toString();
+    const amountStr = toUnits(amount, fromChain, token).toString();
 
     // ── 🔑 API CALL — No key needed ──────────────────────────────
-    const url = `${config.BRIDGES.CELER_API}/v2/estimateAmt?src_chain_id=${fromId}&dst_chain_id=${toId}&token_symbol=${token}&amt=${amountStr}&usr_addr=${config.AGENT_WALLET_ADDRESS}&slippage_tolerance=3000`;
+    const url = `${config.BRIDGES.CELER_API}/v2/estimateAmt?src_chain_id=${fromId}&dst_chain_id=${toId}&token_symbol=${bridgeSymbol(fromChain, token, "celer")}&amt=${amountStr}&usr_addr=${config.AGENT_WALLET_ADDRESS}&slippage_tolerance=3000`;
 
     const response = await fetch(url);
     if (!response.ok) return null;
@@ -279,7 +367,7 @@ async function getCelerQuote({ fromChain, toChain, token, amount }) {
       feeUSD:           parseFloat(data.fee || amount * 0.003),
       estimatedMinutes: 5,
       successRate:      0.95,
-      liquidityUSD:     parseFloat(data.liq_amt || 1000000) / 1e6,
+      liquidityUSD:     data.liq_amt ? parseFloat(data.liq_amt) / 10 ** tokenInfo.decimals : null, // unknown — skips the liquidity checks
       rawQuote:         data,
       executionMethod:  "celer_cbridge",
       executionReady:   true, // No SDK needed, direct contract calls
@@ -330,8 +418,18 @@ async function getLayerZeroQuote({ fromChain, toChain, token, amount }) {
   }
 }
 
+// executionMethod → quote function, for re-quoting a single bridge
+const QUOTE_FETCHERS = {
+  across_relay:       getAcrossQuote,
+  wormhole_ntt:       getWormholeQuote,
+  axelar_gmp:         getAxelarQuote,
+  celer_cbridge:      getCelerQuote,
+  layerzero_stargate: getLayerZeroQuote,
+};
+
 module.exports = {
   getBestBridgeRoute,
+  getSplitRoute,
   rankQuotes,
   CHAIN_IDS,
 };
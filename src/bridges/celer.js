@@ -1,5 +1,7 @@
 const { ethers } = require('ethers');
 const config = require('../../config/keys');
+const { ensureAllowance, revokeLeftover } = require('./approvals');
+const { slippageFor, toCelerSlippage } = require('../utils/slippage');
 
 const CBRIDGE_ABI = [
   'function send(address receiver, address token, uint256 amount, uint64 dstChainId, uint64 nonce, uint32 maxSlippage)',
@@ -10,7 +12,11 @@ const CHAIN_IDS = {
   arbitrum: 42161, optimism: 10, bnb: 56
 };
 
-async function executeCelerTransfer({ wallet, intent, amountUnits, tokenAddress }) {
+/**
+ * Unsigned cBridge send, made after approving `spender`.
+ * Shared by execution and dry runs.
+ */
+async function buildCelerTransfer({ intent, amountUnits, tokenAddress }) {
   const destChainId = CHAIN_IDS[intent.toChain];
   if (!destChainId) throw new Error(`Celer: unsupported destination ${intent.toChain}`);
 // Fetch live contract address from Celer API
@@ -23,22 +29,38 @@ async function executeCelerTransfer({ wallet, intent, amountUnits, tokenAddress
   const bridgeAddress = celoConfig?.contract_addr;
   if (!bridgeAddress) throw new Error('Celer: could not find Celo bridge contract address');
 
-  // Approve cBridge to spend token
-  const ERC20_ABI = ['function approve(address spender, uint256 amount) returns (bool)'];
-  const token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
-  const approveTx = await token.approve(bridgeAddress, amountUnits);
-  await approveTx.wait();
+  const nonce = Date.now();
+  const maxSlippage = toCelerSlippage(slippageFor(intent)); // millionths: 0.3% → 3000
+  const bridge = new ethers.Interface(CBRIDGE_ABI);
+  return {
+    spender: bridgeAddress,
+    abis:    [CBRIDGE_ABI],
+    transactions: [{
+      label: 'Send through cBridge',
+      to:    bridgeAddress,
+      data:  bridge.encodeFunctionData('send', [
+        intent.toAddress, tokenAddress, amountUnits, destChainId, nonce, maxSlippage,
+      ]),
+      value: 0n,
+    }],
+  };
+}
+
+async function executeCelerTransfer({ wallet, intent, amountUnits, tokenAddress, onSubmitted, onApproved }) {
+  const { spender, transactions: [send] } = await buildCelerTransfer({ intent, amountUnits, tokenAddress });
+
+  // Let cBridge spend the token (skipped if it already may)
+  await ensureAllowance({
+    wallet, chain: intent.fromChain || 'celo', tokenAddress, spender, amountUnits,
+    token: intent.token, bridge: 'Celer cBridge', onApproved,
+  });
 
   // Send via cBridge
-  const nonce = Date.now();
-  const maxSlippage = 3000; // 0.3% — adjust if needed
-  const bridge = new ethers.Contract(bridgeAddress, CBRIDGE_ABI, wallet);
-  const tx = await bridge.send(
-    intent.toAddress, tokenAddress, amountUnits,
-    destChainId, nonce, maxSlippage
-  );
+  const tx = await wallet.sendTransaction({ to: send.to, data: send.data, value: send.value });
+  await onSubmitted?.(tx.hash);
   const receipt = await tx.wait();
+  await revokeLeftover({ wallet, tokenAddress, spender });
   return receipt.hash;
 }
 
-module.exports = { executeCelerTransfer };
+module.exports = { executeCelerTransfer, buildCelerTransfer };
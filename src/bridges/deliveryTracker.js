@@ -0,0 +1,424 @@
+/**
+ * deliveryTracker.js
+ * ─────────────────────────────────────────────────────────────────
+ * Follows every source-confirmed transfer until the funds actually
+ * land on the destination chain.
+ *
+ * For each executionMethod it asks the bridge's own status API:
+ *   - wormhole_ntt        → WormholeScan operations
+ *   - axelar_gmp          → Axelarscan token transfers
+ *   - celer_cbridge       → cBridge getTransferStatus
+ *   - layerzero_stargate  → LayerZero Scan messages
+ *   - across_relay        → Across deposit status
+ * If the API has nothing (or is down), it falls back to watching the
+ * destination token for a matching ERC-20 Transfer to the recipient,
+ * from the block the source transaction confirmed in.
+ *
+ * A transfer split across several bridges is delivered once every
+ * bridge leg that went out on the source chain has arrived; each leg
+ * is checked on its own and keeps its progress on the leg.
+ *
+ * All endpoints come from config.BRIDGES / config.RPC, so the tracker
+ * can be pointed at local HTTP stand-ins and a local EVM node.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { ethers }   = require("ethers");
+const config       = require("../../config/keys");
+const { CHAIN_IDS } = require("./bridgeRouter");
+const { getVariants, toUnits } = require("../chains/tokenRegistry");
+const { listTransfers, recordStep, recordLeg, recordDeliveryProgress } = require("../store/transferLedger");
+const { amountForUSD } = require("../utils/spendingPolicy");
+
+const POLL_INTERVAL_MS = 30_000;
+
+// Max blocks per eth_getLogs call — public RPCs reject larger ranges
+const MAX_LOG_RANGE = 5000;
+
+// Accept a destination Transfer within this fraction of (amount − fee),
+// and never one for more than was sent
+const DELIVERY_MATCH_TOLERANCE = 0.05;
+
+// Flag a transfer as delayed once it takes this many times its ETA
+const DELAY_FACTOR = 4;
+
+const TRANSFER_EVENT_ABI = ["event Transfer(address indexed from, address indexed to, uint256 value)"];
+const CELER_SEND_EVENT_ABI = [
+  "event Send(bytes32 transferId, address sender, address receiver, address token, uint256 amount, uint64 dstChainId, uint64 nonce, uint32 maxSlippage)",
+];
+
+// cBridge TransferHistoryStatus codes
+const CELER_STATUS = { FAILED: 2, COMPLETED: 5, TO_BE_REFUNDED: 6, REFUNDED: 10 };
+
+/**
+ * Check where a transfer currently is on the destination side.
+ *
+ * @param {Object} transfer - Ledger entry (status "source_confirmed")
+ * @returns {Promise<{ state: "pending"|"in_flight"|"delivered"|"failed", destTxHash?: string, detail?: string, source: string }>}
+ */
+async function checkDeliveryStatus(transfer) {
+  if (transfer.bridgeQuote.executionMethod === "split") return checkSplitDelivery(transfer);
+
+  const checker = STATUS_CHECKERS[transfer.bridgeQuote.executionMethod];
+
+  if (checker) {
+    try {
+      const status = await checker(transfer);
+      if (status) return { ...status, source: "bridge_api" };
+    } catch (err) {
+      console.warn(`[DeliveryTracker] ${transfer.bridgeQuote.bridge} status API failed:`, err.message);
+    }
+  }
+
+  return { ...(await watchDestinationTransfer(transfer)), source: "destination_chain" };
+}
+
+/**
+ * Check every sent leg of a split transfer and roll them up: delivered
+ * when all have arrived, failed once all have settled and any failed.
+ */
+async function checkSplitDelivery(transfer) {
+  const legs    = transfer.legs.filter(l => l.type === "bridge" && l.status === "completed");
+  const claimed = legs.map(l => l.delivery?.destTxHash).filter(Boolean);
+
+  for (const leg of legs) {
+    if (["delivered", "failed"].includes(leg.delivery?.state)) continue;
+
+    const progress = await checkDeliveryStatus(legView(transfer, leg, claimed));
+    const updated  = await recordLeg(transfer.id, leg.id, { delivery: { ...progress, checkedAt: new Date().toISOString() } });
+    leg.delivery   = updated.legs.find(l => l.id === leg.id).delivery;
+    if (progress.destTxHash) claimed.push(progress.destTxHash);
+  }
+
+  const delivered = legs.filter(l => l.delivery?.state === "delivered");
+  const failed    = legs.filter(l => l.delivery?.state === "failed");
+
+  if (delivered.length === legs.length) {
+    return { state: "delivered", destTxHash: delivered[0].delivery.destTxHash || null, detail: `All ${legs.length} bridge legs delivered`, source: "bridge_legs" };
+  }
+  if (delivered.length + failed.length === legs.length) {
+    return {
+      state:  "failed",
+      detail: `${failed.map(l => `${l.amount} via ${l.bridge}`).join(", ")} did not arrive (${delivered.length} of ${legs.length} bridge legs delivered)`,
+      source: "bridge_legs",
+    };
+  }
+  return { state: "in_flight", detail: `${delivered.length} of ${legs.length} bridge legs delivered`, source: "bridge_legs" };
+}
+
+/**
+ * One leg of a split transfer, shaped like a single-bridge entry so the
+ * status checkers and the destination watcher can handle it unchanged.
+ */
+function legView(transfer, leg, claimedTxHashes) {
+  return {
+    ...transfer,
+    legId:        leg.id,
+    sourceTxHash: leg.txHash,
+    bridgeQuote:  { bridge: leg.bridge, executionMethod: leg.executionMethod, feeUSD: leg.feeUSD, estimatedMinutes: leg.estimatedMinutes },
+    delivery:     leg.delivery || null,
+    legs:         [{ id: "bridge", amount: leg.amount, toAddress: leg.toAddress }],
+    claimedTxHashes,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  BRIDGE STATUS APIS
+//  Each returns a status object, or null when the API has no record
+// ─────────────────────────────────────────────────────────────────
+
+const STATUS_CHECKERS = {
+  wormhole_ntt:       checkWormholeStatus,
+  axelar_gmp:         checkAxelarStatus,
+  celer_cbridge:      checkCelerStatus,
+  layerzero_stargate: checkLayerZeroStatus,
+  across_relay:       checkAcrossStatus,
+};
+
+async function checkWormholeStatus(transfer) {
+  const data = await getJson(`${config.BRIDGES.WORMHOLE_RPC}/api/v1/operations?txHash=${transfer.sourceTxHash}`);
+  const op   = data?.operations?.[0];
+  if (!op) return null;
+
+  const target = op.targetChain;
+  if (target?.status === "completed" || target?.transaction?.txHash) {
+    return { state: "delivered", destTxHash: target.transaction?.txHash || null };
+  }
+  if (op.vaa) return { state: "in_flight", detail: "Guardians signed the transfer (VAA issued)" };
+  return { state: "pending", detail: "Waiting for Wormhole guardians" };
+}
+
+async function checkAxelarStatus(transfer) {
+  const data   = await postJson(`${config.BRIDGES.AXELARSCAN_API}/token/searchTransfers`, { txHash: transfer.sourceTxHash });
+  const record = data?.data?.[0];
+  if (!record) return null;
+
+  const status = (record.status || "").toLowerCase();
+  if (status === "executed") {
+    return { state: "delivered", destTxHash: record.command?.transactionHash || null };
+  }
+  if (status === "failed" || status === "error") return { state: "failed", detail: "Axelar reported the transfer as failed" };
+  return { state: "in_flight", detail: `Axelar status: ${status || "processing"}` };
+}
+
+async function checkCelerStatus(transfer) {
+  const transferId = await getCelerTransferId(transfer);
+  if (!transferId) return null;
+
+  const data = await postJson(`${config.BRIDGES.CELER_API}/v2/getTransferStatus`, { transfer_id: transferId });
+  if (!data || data.err) return null;
+
+  const status = Number(data.status);
+  if (status === CELER_STATUS.COMPLETED) {
+    return { state: "delivered", destTxHash: data.dst_block_tx_link?.split("/").pop() || null };
+  }
+  if (status === CELER_STATUS.FAILED || (status >= CELER_STATUS.TO_BE_REFUNDED && status <= CELER_STATUS.REFUNDED)) {
+    return { state: "failed", detail: status === CELER_STATUS.REFUNDED ? "cBridge refunded the transfer" : "cBridge could not complete the transfer" };
+  }
+  return { state: "in_flight", detail: `cBridge status code ${status}` };
+}
+
+async function checkLayerZeroStatus(transfer) {
+  const data    = await getJson(`${config.BRIDGES.LAYERZERO_SCAN_API}/messages/tx/${transfer.sourceTxHash}`);
+  const message = data?.data?.[0];
+  if (!message) return null;
+
+  const status = message.status?.name;
+  if (status === "DELIVERED") return { state: "delivered", destTxHash: message.destination?.tx?.txHash || null };
+  if (status === "FAILED" || status === "BLOCKED") return { state: "failed", detail: `LayerZero message ${status.toLowerCase()}` };
+  return { state: "in_flight", detail: `LayerZero status: ${status || "INFLIGHT"}` };
+}
+
+async function checkAcrossStatus(transfer) {
+  const originChainId = CHAIN_IDS[transfer.intent.fromChain]?.evmId;
+  const data = await getJson(`${config.BRIDGES.ACROSS_API}/deposit/status?originChainId=${originChainId}&depositTxHash=${transfer.sourceTxHash}`);
+  if (!data?.status) return null;
+
+  if (data.status === "filled")  return { state: "delivered", destTxHash: data.fillTx || null };
+  if (data.status === "expired") return { state: "failed", detail: "Across deposit expired before a relayer filled it" };
+  return { state: "in_flight", detail: `Across status: ${data.status}` };
+}
+
+/**
+ * cBridge statuses are keyed by transferId, which is emitted in the
+ * Send event of the source transaction.
+ */
+async function getCelerTransferId(transfer) {
+  if (transfer.delivery?.celerTransferId) return transfer.delivery.celerTransferId;
+
+  const provider = getProvider(transfer.intent.fromChain);
+  const receipt  = await provider.getTransactionReceipt(transfer.sourceTxHash);
+  if (!receipt) return null;
+
+  const iface = new ethers.Interface(CELER_SEND_EVENT_ABI);
+  for (const log of receipt.logs) {
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed?.name === "Send") {
+        await saveProgress(transfer, { celerTransferId: parsed.args.transferId });
+        return parsed.args.transferId;
+      }
+    } catch { /* not a cBridge log */ }
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  DESTINATION CHAIN FALLBACK
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Look for an ERC-20 Transfer of the bridged token — or one of its
+ * bridged copies, e.g. USDC.e — to the recipient on the destination
+ * chain. Only works for EVM destinations.
+ */
+async function watchDestinationTransfer(transfer) {
+  const { toChain, token } = transfer.intent;
+  // Multi-leg transfers bridge what the swap delivered, and may bridge
+  // to the agent's own wallet for a destination-side conversion
+  const bridgeLeg    = transfer.legs?.find(l => l.id === "bridge");
+  const amount       = bridgeLeg?.amount ?? transfer.intent.amount;
+  const toAddress    = bridgeLeg?.toAddress ?? transfer.intent.toAddress;
+  const variants     = getVariants(toChain, token);
+
+  if (!CHAIN_IDS[toChain]?.evmId || variants.length === 0 || !config.RPC[toChain.toUpperCase()]) {
+    return { state: "pending", detail: `Cannot watch ${toChain} directly — waiting on the bridge API` };
+  }
+
+  const provider  = getProvider(toChain);
+  const latest    = await provider.getBlockNumber();
+  const fromBlock = transfer.delivery?.destScannedBlock !== undefined
+    ? transfer.delivery.destScannedBlock + 1
+    : await firstBlockAtOrAfter(provider, await sourceConfirmedAt(transfer), latest);
+  const toBlock   = Math.min(latest, fromBlock + MAX_LOG_RANGE - 1);
+
+  if (fromBlock > toBlock) {
+    // Nothing mined since the source confirmed — don't search for it again
+    if (transfer.delivery?.destScannedBlock === undefined) await saveProgress(transfer, { destScannedBlock: toBlock });
+    return { state: transfer.delivery?.state || "in_flight" };
+  }
+
+  // The fee is quoted in USD; one we can't price only bounds from above
+  const feeTokens     = await amountForUSD(token, transfer.bridgeQuote.feeUSD || 0);
+  const expectedUnits = feeTokens === null
+    ? 1n
+    : toUnits(Math.max(0, amount - feeTokens) * (1 - DELIVERY_MATCH_TOLERANCE), toChain, token);
+
+  // Nothing can arrive for more than was sent, and a split leg can't
+  // take a sibling leg's delivery
+  const maxUnits = toUnits(amount, toChain, token);
+  const claimed  = transfer.claimedTxHashes || [];
+
+  const events = (await Promise.all(variants.map(({ address }) => {
+    const tokenContract = new ethers.Contract(address, TRANSFER_EVENT_ABI, provider);
+    return tokenContract.queryFilter(tokenContract.filters.Transfer(null, toAddress), fromBlock, toBlock);
+  }))).flat();
+  const match  = events.find(e =>
+    e.args.value >= expectedUnits &&
+    e.args.value <= maxUnits &&
+    !claimed.includes(e.transactionHash));
+
+  await saveProgress(transfer, { destScannedBlock: toBlock });
+
+  if (match) return { state: "delivered", destTxHash: match.transactionHash, amountUnits: match.args.value.toString() };
+  return { state: "in_flight", detail: `Watching ${toChain} for the incoming ${token}` };
+}
+
+/**
+ * When the source transaction confirmed, in unix seconds: its block's
+ * timestamp, or the ledger's "submitted" time if the source chain
+ * can't be read.
+ */
+async function sourceConfirmedAt(transfer) {
+  const fromChain = transfer.intent.fromChain || "celo";
+  if (transfer.sourceTxHash && config.RPC[fromChain.toUpperCase()]) {
+    try {
+      const provider = getProvider(fromChain);
+      const receipt  = await provider.getTransactionReceipt(transfer.sourceTxHash);
+      const block    = receipt && await provider.getBlock(receipt.blockNumber);
+      if (block) return block.timestamp;
+    } catch (err) {
+      console.warn(`[DeliveryTracker] Could not read ${transfer.id}'s source block:`, err.message);
+    }
+  }
+  const submitted = (transfer.steps || []).find(s => s.status === "submitted");
+  return Math.floor(new Date(submitted?.at || transfer.createdAt).getTime() / 1000);
+}
+
+/**
+ * The first block on `provider`'s chain mined at or after `timestamp`
+ * (binary search; `latest` + 1 if none has been yet).
+ */
+async function firstBlockAtOrAfter(provider, timestamp, latest) {
+  let low  = 0;
+  let high = latest + 1;
+  while (low < high) {
+    const mid   = Math.floor((low + high) / 2);
+    const block = await provider.getBlock(mid);
+    if (block.timestamp < timestamp) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  POLLING LOOP
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Check one transfer and record any change in the ledger.
+ *
+ * @param {Object}   transfer
+ * @param {Function} [onProgress] - (transfer, progress) => void, called on every state change
+ * @returns {Promise<Object>} The latest progress
+ */
+async function trackDelivery(transfer, onProgress) {
+  const progress = await checkDeliveryStatus(transfer);
+  const previous = transfer.delivery?.state;
+
+  let updated;
+  if (progress.state === "delivered") {
+    await recordDeliveryProgress(transfer.id, progress);
+    updated = await recordStep(transfer.id, "delivered", { txHash: progress.destTxHash, note: progress.detail });
+  } else if (progress.state === "failed") {
+    await recordDeliveryProgress(transfer.id, progress);
+    updated = await recordStep(transfer.id, "failed", { error: progress.detail || "The bridge did not deliver the funds" });
+  } else {
+    const elapsedMin = (Date.now() - new Date(transfer.createdAt).getTime()) / 60_000;
+    const delayed    = elapsedMin > (transfer.bridgeQuote.estimatedMinutes || 15) * DELAY_FACTOR;
+    updated = await recordDeliveryProgress(transfer.id, { ...progress, delayed });
+    if (delayed && !transfer.delivery?.delayed) progress.delayed = true;
+  }
+
+  if (onProgress && (progress.state !== previous || progress.delayed)) {
+    await onProgress(updated, progress);
+  }
+  return progress;
+}
+
+/**
+ * Start the delivery polling loop.
+ * Checks every source-confirmed transfer every 30 seconds.
+ *
+ * @param {Function} onProgress - (transfer, progress) => void
+ */
+function startDeliveryTracking(onProgress) {
+  console.log("[DeliveryTracker] Starting delivery tracking (every 30s)...");
+
+  setInterval(async () => {
+    let inFlight;
+    try {
+      inFlight = await listTransfers({ status: "source_confirmed" });
+    } catch (err) {
+      console.error("[DeliveryTracker] Could not read ledger:", err.message);
+      return;
+    }
+
+    for (const transfer of inFlight) {
+      try {
+        await trackDelivery(transfer, onProgress);
+      } catch (err) {
+        console.warn(`[DeliveryTracker] ${transfer.id} check failed:`, err.message);
+      }
+    }
+  }, POLL_INTERVAL_MS);
+}
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+// Split legs keep their own progress; everything else keeps it on the entry
+function saveProgress(transfer, delivery) {
+  return transfer.legId
+    ? recordLeg(transfer.id, transfer.legId, { delivery })
+    : recordDeliveryProgress(transfer.id, delivery);
+}
+
+function getProvider(chain) {
+  // ── 🔑 RPC INJECTION POINT ──────────────────────────────────
+  return new ethers.JsonRpcProvider(config.RPC[chain.toUpperCase()]);
+}
+
+async function getJson(url) {
+  const res = await fetch(url);
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+  return res.json();
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method:  "POST",
+    headers: { "Content-Type": "application/json" },
+    body:    JSON.stringify(body),
+  });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+  return res.json();
+}
+
+module.exports = {
+  checkDeliveryStatus,
+  trackDelivery,
+  startDeliveryTracking,
+  watchDestinationTransfer,
+};
@@ -13,6 +13,9 @@
 
 const { ethers } = require("ethers");
 const config     = require("../../config/keys");
+const { ensureAllowance, revokeLeftover } = require("./approvals");
+const { toUnits } = require("../chains/tokenRegistry");
+const { slippageFor, minBridgeUnits } = require("../utils/slippage");
 
 // ── Stargate pool IDs for tokens ──────────────────────────────────
 // Each token has a pool ID on each chain
@@ -66,17 +69,19 @@ const STARGATE_ABI = [
 ];
 
 /**
- * Execute a cross-chain transfer via LayerZero Stargate.
+ * Unsigned Stargate swap for a transfer, sent after approving `spender`
+ * (the router). Quotes the LayerZero fee on-chain. Shared by execution
+ * and dry runs.
  *
- * @param {Object} params
- * @param {ethers.Wallet} params.wallet
- * @param {Object}        params.intent
- * @param {Object}        params.bridgeQuote
- * @param {BigInt}        params.amountUnits
- * @param {string}        params.tokenAddress
- * @returns {Promise<string>} Transaction hash
+ * @param {Object}            params
+ * @param {string}            params.fromAddress - Sender (also the LayerZero fee refund address)
+ * @param {ethers.Provider}   params.provider    - Source chain provider, for the fee quote
+ * @param {Object}            params.intent      - slippagePercent sets the minimum delivered
+ * @param {Object}            params.bridgeQuote - Its feeUSD comes off the minimum too
+ * @param {BigInt}            params.amountUnits
+ * @returns {Promise<{ spender: string, abis: string[][], transactions: Object[] }>}
  */
-async function executeLayerZeroTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress }) {
+async function buildLayerZeroTransfer({ fromAddress, provider, intent, bridgeQuote, amountUnits }) {
   const { toChain, fromChain = "celo", toAddress } = intent;
 
   const dstLzChainId = LZ_CHAIN_IDS[toChain];
@@ -88,18 +93,8 @@ async function executeLayerZeroTransfer({ wallet, intent, bridgeQuote, amountUni
   if (!srcPoolId)    throw new Error(`LayerZero: unsupported token "${intent.token}"`);
   if (!routerAddr)   throw new Error(`LayerZero: no Stargate router for "${fromChain}"`);
 
-  console.log(`[LayerZero] Initiating ${intent.amount} ${intent.token}: ${fromChain} → ${toChain}`);
-
-  // ── Step 1: Approve Stargate router to spend token ────────────
-  const ERC20_ABI = ["function approve(address spender, uint256 amount) returns (bool)"];
-  const token     = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
-  console.log("[LayerZero] Approving token spend...");
-  const approveTx = await token.approve(routerAddr, amountUnits);
-  await approveTx.wait();
-  console.log(`[LayerZero] Approved: ${approveTx.hash}`);
-
-  // ── Step 2: Get LayerZero fee quote ───────────────────────────
-  const router      = new ethers.Contract(routerAddr, STARGATE_ABI, wallet);
+  // ── Get LayerZero fee quote ───────────────────────────────────
+  const router         = new ethers.Contract(routerAddr, STARGATE_ABI, provider);
   const toAddressBytes = ethers.AbiCoder.defaultAbiCoder().encode(["address"], [toAddress]);
 
   const lzTxParams = {
@@ -125,27 +120,69 @@ async function executeLayerZeroTransfer({ wallet, intent, bridgeQuote, amountUni
     console.warn("[LayerZero] Fee quote failed, using estimate:", ethers.formatEther(lzFee), "CELO");
   }
 
-  // ── Step 3: Execute Stargate swap ─────────────────────────────
-  // Apply 1% slippage tolerance
-  const minAmount = (BigInt(amountUnits) * 99n) / 100n;
+  // The least Stargate may deliver: amount less fee, less the user's slippage
+  const feeUnits  = toUnits(bridgeQuote?.feeUSD || 0, fromChain, intent.token);
+  const minAmount = minBridgeUnits(amountUnits, feeUnits, { executionMethod: "layerzero_stargate" }, slippageFor(intent));
+
+  return {
+    spender: routerAddr,
+    abis:    [STARGATE_ABI],
+    transactions: [{
+      label: "Stargate swap",
+      to:    routerAddr,
+      data:  router.interface.encodeFunctionData("swap", [
+        dstLzChainId,
+        srcPoolId,
+        dstPoolId,
+        fromAddress,       // refund address for excess LayerZero fees
+        amountUnits,
+        minAmount,
+        lzTxParams,
+        toAddressBytes,
+        "0x",              // no payload for simple transfers
+      ]),
+      value: lzFee,        // pay LayerZero fee in native CELO
+    }],
+  };
+}
+
+/**
+ * Execute a cross-chain transfer via LayerZero Stargate.
+ *
+ * @param {Object} params
+ * @param {ethers.Wallet} params.wallet
+ * @param {Object}        params.intent
+ * @param {Object}        params.bridgeQuote
+ * @param {BigInt}        params.amountUnits
+ * @param {string}        params.tokenAddress
+ * @param {Function}      [params.onSubmitted] - Called with the tx hash once broadcast
+ * @param {Function}      [params.onApproved]  - Called once the router's allowance is in place
+ * @returns {Promise<string>} Transaction hash
+ */
+async function executeLayerZeroTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress, onSubmitted, onApproved }) {
+  const { toChain, fromChain = "celo" } = intent;
+  console.log(`[LayerZero] Initiating ${intent.amount} ${intent.token}: ${fromChain} → ${toChain}`);
+
+  const { spender, transactions: [swap] } = await buildLayerZeroTransfer({
+    fromAddress: wallet.address, provider: wallet.provider, intent, bridgeQuote, amountUnits,
+  });
+
+  // ── Step 1: Let the Stargate router spend the token ───────────
+  console.log("[LayerZero] Checking token allowance...");
+  await ensureAllowance({
+    wallet, chain: fromChain, tokenAddress, spender, amountUnits,
+    token: intent.token, bridge: "Stargate", onApproved,
+  });
 
+  // ── Step 2: Execute Stargate swap ─────────────────────────────
   console.log("[LayerZero] Submitting Stargate swap...");
-  const tx = await router.swap(
-    dstLzChainId,
-    srcPoolId,
-    dstPoolId,
-    wallet.address,    // refund address for excess LayerZero fees
-    amountUnits,
-    minAmount,
-    lzTxParams,
-    toAddressBytes,
-    "0x",              // no payload for simple transfers
-    { value: lzFee }   // pay LayerZero fee in native CELO
-  );
+  const tx = await wallet.sendTransaction({ to: swap.to, data: swap.data, value: swap.value });
+  await onSubmitted?.(tx.hash);
 
   const receipt = await tx.wait();
   console.log(`[LayerZero] ✅ Transfer submitted: ${receipt.hash}`);
+  await revokeLeftover({ wallet, tokenAddress, spender });
   return receipt.hash;
 }
 
-module.exports = { executeLayerZeroTransfer };
+module.exports = { executeLayerZeroTransfer, buildLayerZeroTransfer };
@@ -0,0 +1,332 @@
+/**
+ * simulator.js
+ * ─────────────────────────────────────────────────────────────────
+ * Dry runs: builds the real approve + bridge transactions for a
+ * quote's executionMethod (see txBuilder.js) and simulates them
+ * against the source chain. Nothing is signed or broadcast.
+ *
+ * eth_simulateV1 is tried first — it runs the approval and the bridge
+ * calls in sequence, so the bridge call sees the new allowance, and it
+ * reports every token movement. Nodes without it fall back to
+ * estimateGas per transaction; a bridge call that needs an allowance
+ * not yet in place is then reported as not simulated.
+ *
+ * Used by the "simulate" chat command, POST /api/message with
+ * { dryRun: true }, and as the pre-flight check in executeTransfer().
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { ethers } = require("ethers");
+const config     = require("../../config/keys");
+const { simulateTransaction, priceGas, decodeRevertReason } = require("../utils/validator");
+const { buildLegTransactions, getProvider, ERC20_ABI } = require("./txBuilder");
+const { getToken, getTokenAddress, toUnits, formatTokenUnits } = require("../chains/tokenRegistry");
+const { amountForUSD } = require("../utils/spendingPolicy");
+
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+
+// eth_simulateV1 (traceTransfers) reports native transfers as logs from this address
+const NATIVE_TRANSFER_ADDRESS = "0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee";
+
+/**
+ * Simulate a transfer end to end without broadcasting.
+ *
+ * @param {Object} params
+ * @param {Object} params.intent      - { token, amount, fromChain, toChain, toAddress }
+ * @param {Object} params.bridgeQuote - A single quote, or a split quote with `splits`
+ * @param {string} params.fromAddress - Wallet that would sign the transactions
+ * @returns {Promise<Object>} { ok, chain, fromAddress, legs[], gas, movements[], balances, errors[], notes[] }
+ */
+async function simulateTransfer({ intent, bridgeQuote, fromAddress }) {
+  const fromChain    = intent.fromChain || "celo";
+  const tokenAddress = getTokenAddress(fromChain, intent.token);
+  const report = {
+    ok: true, chain: fromChain, fromAddress, token: intent.token,
+    legs: [], gas: null, movements: [], balances: null, errors: [], notes: [],
+  };
+
+  if (!tokenAddress) {
+    report.ok = false;
+    report.errors.push(`Token ${intent.token} address not configured for ${fromChain}`);
+    return report;
+  }
+
+  const provider = getProvider(fromChain);
+  const legs = bridgeQuote.splits || [{ ...bridgeQuote, amount: intent.amount }];
+
+  for (const leg of legs) {
+    report.legs.push(await simulateLeg({ provider, intent: { ...intent, amount: leg.amount }, leg, fromAddress, tokenAddress }));
+  }
+
+  // ── Roll up gas, movements and failures ──────────────────────
+  let gasUnits = 0n;
+  let valueWei = 0n;
+  for (const leg of report.legs) {
+    if (leg.error) report.errors.push(`${leg.bridge}: ${leg.error}`);
+    if (leg.unsupported) report.notes.push(leg.unsupported);
+    for (const step of leg.steps) {
+      if (step.gasUsed) gasUnits += step.gasUsed;
+      valueWei += step.value || 0n;
+      if (step.status === "reverted" || step.status === "error") report.errors.push(`${step.label}: ${step.error}`);
+      if (step.status === "skipped") report.notes.push(`${step.label} was not simulated — ${step.error}`);
+    }
+    report.movements.push(...leg.movements);
+  }
+
+  // The fee is quoted in USD; if the token can't be priced, say so instead
+  const feeTokens = await amountForUSD(intent.token, bridgeQuote.feeUSD || 0);
+  report.movements.push({
+    amount: feeTokens === null ? intent.amount : Math.max(0, intent.amount - feeTokens),
+    feeUSD: feeTokens === null ? bridgeQuote.feeUSD : null,
+    token: intent.token, to: intent.toAddress, chain: intent.toChain, incoming: true,
+  });
+
+  try {
+    report.gas = { units: gasUnits, ...(await priceGas(provider, gasUnits, fromChain)) };
+
+    // ── Can the wallet cover it? ─────────────────────────────────
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const [tokenBalance, nativeBalance] = await Promise.all([token.balanceOf(fromAddress), provider.getBalance(fromAddress)]);
+    const tokenNeeded  = toUnits(intent.amount, fromChain, intent.token);
+    const nativeNeeded = ethers.parseEther(report.gas.gasCostNative) + valueWei;
+    report.balances = {
+      token:  { have: formatTokenUnits(tokenBalance, fromChain, intent.token), need: formatTokenUnits(tokenNeeded, fromChain, intent.token) },
+      native: { have: ethers.formatEther(nativeBalance), need: ethers.formatEther(nativeNeeded), symbol: report.gas.nativeSymbol },
+    };
+    if (tokenBalance < tokenNeeded) {
+      report.errors.push(`The wallet holds ${report.balances.token.have} ${intent.token} but the transfer needs ${report.balances.token.need}.`);
+    }
+    if (nativeBalance < nativeNeeded) {
+      report.errors.push(`The wallet holds ${report.balances.native.have} ${report.gas.nativeSymbol} but gas and bridge fees need about ${report.balances.native.need}.`);
+    }
+  } catch (err) {
+    report.errors.push(`Could not read gas prices or balances on ${fromChain}: ${err.shortMessage || err.message}`);
+  }
+
+  report.ok = report.errors.length === 0;
+  return serialize(report);
+}
+
+// BigInts → strings, so the report can be returned as JSON
+function serialize(report) {
+  for (const leg of report.legs) {
+    for (const step of leg.steps) {
+      step.gasUsed = step.gasUsed === null ? null : step.gasUsed.toString();
+      step.value   = step.value.toString();
+    }
+  }
+  for (const m of report.movements) {
+    if (m.units !== undefined) m.units = m.units.toString();
+  }
+  if (report.gas) report.gas.units = report.gas.units.toString();
+  return report;
+}
+
+/**
+ * Build and simulate one bridge leg: token approval, then the bridge's
+ * own transactions in order.
+ */
+async function simulateLeg({ provider, intent, leg, fromAddress, tokenAddress }) {
+  const result = { bridge: leg.bridge, executionMethod: leg.executionMethod, amount: intent.amount, method: null, steps: [], movements: [], error: null, unsupported: null };
+
+  let built;
+  try {
+    built = await buildLegTransactions({ provider, intent, leg, fromAddress, tokenAddress });
+  } catch (err) {
+    // Not a failure: the transfer can still go ahead, it just isn't covered
+    if (err.code === "UNSUPPORTED_BRIDGE") result.unsupported = `Dry runs are not supported for ${leg.bridge} yet`;
+    else result.error = `Could not build the transaction: ${err.message}`;
+    return result;
+  }
+  const txs = built.transactions;
+
+  const sequenced = await simulateSequence(provider, txs, built.abis);
+  if (sequenced) {
+    result.method    = "eth_simulateV1";
+    result.steps     = sequenced.steps;
+    result.movements = sequenced.movements.filter(m => sameAddress(m.from, fromAddress));
+    for (const m of result.movements) m.token = describeToken(m.address, tokenAddress, intent.token);
+    return result;
+  }
+
+  result.method    = "estimateGas";
+  result.steps     = await simulateEach(provider, txs, { built, fromAddress, tokenAddress, chain: intent.fromChain || "celo" });
+  result.movements = expectedMovements(txs, { built, amount: intent.amount, token: intent.token });
+  return result;
+}
+
+/**
+ * All transactions in one simulated block, in order.
+ * Returns null when the node doesn't support eth_simulateV1.
+ */
+async function simulateSequence(provider, txs, abis = []) {
+  let blocks;
+  try {
+    blocks = await provider.send("eth_simulateV1", [{
+      blockStateCalls: [{
+        calls: txs.map(tx => ({ from: tx.from, to: tx.to, data: tx.data, value: ethers.toQuantity(tx.value) })),
+      }],
+      traceTransfers: true,
+      validation:     false,
+    }, "latest"]);
+  } catch (err) {
+    console.warn("[Simulator] eth_simulateV1 unavailable, falling back to estimateGas:", err.shortMessage || err.message);
+    return null;
+  }
+
+  const calls = blocks?.[0]?.calls || [];
+  const steps = txs.map((tx, i) => {
+    const call = calls[i] || {};
+    const ok   = Number(call.status) === 1;
+    return {
+      label:   tx.label,
+      to:      tx.to,
+      data:    tx.data,
+      value:   tx.value,
+      status:  ok ? "ok" : "reverted",
+      gasUsed: call.gasUsed ? BigInt(call.gasUsed) : null,
+      error:   ok ? null : callError(call, abis),
+    };
+  });
+
+  const movements = calls.flatMap(call => (call.logs || [])
+    .filter(log => log.topics?.[0] === TRANSFER_TOPIC && log.topics.length === 3)
+    .map(log => ({
+      address: log.address,
+      from:    ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+      to:      ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+      units:   BigInt(log.data),
+    })));
+
+  return { steps, movements };
+}
+
+/**
+ * estimateGas per transaction. A bridge call needs the approval to be
+ * mined first, so it is only simulated when the allowance already covers it.
+ */
+async function simulateEach(provider, txs, { built, fromAddress, tokenAddress, chain }) {
+  let allowanceReady = true;
+  if (built.spender) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    allowanceReady = await token.allowance(fromAddress, built.spender).then(a => a >= built.amountUnits).catch(() => false);
+  }
+
+  const steps = [];
+  for (const tx of txs) {
+    const step = { label: tx.label, to: tx.to, data: tx.data, value: tx.value, gasUsed: null };
+    if (!tx.approval && !allowanceReady) {
+      steps.push({ ...step, status: "skipped", error: "it needs the approval mined first, and this node can't simulate the two in sequence" });
+      continue;
+    }
+    const sim = await simulateTransaction({ from: tx.from, to: tx.to, data: tx.data, value: tx.value }, chain, { abis: built.abis });
+    if (sim.success) {
+      steps.push({ ...step, status: "ok", gasUsed: BigInt(sim.gasEstimate) });
+    } else {
+      // An unreachable node is not a revert — report it as such
+      const unreachable = /network|timeout|ECONNREFUSED|fetch failed/i.test(sim.error);
+      steps.push({ ...step, status: unreachable ? "error" : "reverted", error: sim.error });
+    }
+  }
+  return steps;
+}
+
+/**
+ * Movements implied by the calldata when the node can't trace them:
+ * the bridge pulls the approved amount, and any msg.value is paid out.
+ */
+function expectedMovements(txs, { built, amount, token }) {
+  const movements = [];
+  if (built.spender) movements.push({ amount, token, to: built.spender });
+  for (const tx of txs) {
+    if (tx.value > 0n) movements.push({ amount: ethers.formatEther(tx.value), token: "native", to: tx.to });
+  }
+  return movements;
+}
+
+/**
+ * Chat-friendly summary of a simulation report.
+ */
+function formatDryRunReport(report) {
+  const lines   = [`🧪 **Dry run — nothing was broadcast**`, `From ${shortAddress(report.fromAddress)} on ${report.chain}`];
+  const native  = report.gas?.nativeSymbol || "native";
+  const icons   = { ok: "✅", reverted: "❌", error: "⚠️", skipped: "⏭️" };
+  const multi   = report.legs.length > 1;
+
+  for (const leg of report.legs) {
+    lines.push("");
+    if (multi || leg.error || leg.unsupported) lines.push(`**${leg.bridge}** — ${leg.amount} ${report.token}${leg.method ? ` (${leg.method})` : ""}`);
+    if (leg.error) lines.push(`❌ ${leg.error}`);
+    leg.steps.forEach((step, i) => {
+      const detail = step.status === "ok"
+        ? `${Number(step.gasUsed).toLocaleString()} gas`
+        : step.status === "skipped" ? "not simulated" : step.error;
+      lines.push(`${i + 1}. ${icons[step.status]} ${step.label} — ${detail}`);
+    });
+  }
+
+  if (report.gas) {
+    const usd = report.gas.gasCostUSD !== null ? ` (~$${report.gas.gasCostUSD.toFixed(4)})` : "";
+    lines.push("", `⛽ Gas: ~${Number(report.gas.gasCostNative).toFixed(6)} ${native}${usd} for ${Number(report.gas.units).toLocaleString()} gas`);
+  }
+
+  if (report.movements.length > 0) {
+    lines.push("💸 Token movements:");
+    for (const m of report.movements) {
+      if (m.incoming) {
+        const fee = m.feeUSD ? ` less the $${m.feeUSD.toFixed(2)} bridge fee` : "";
+        lines.push(`  • +~${round(m.amount)} ${m.token}${fee} to ${shortAddress(m.to)} on ${m.chain} once the bridge delivers`);
+      } else {
+        const amount = m.units !== undefined ? formatUnits(BigInt(m.units), m.token, native, report.chain) : `${m.amount} ${m.token === "native" ? native : m.token}`;
+        lines.push(`  • −${amount} → ${shortAddress(m.to)}`);
+      }
+    }
+  }
+
+  if (report.notes.length > 0) lines.push("", ...report.notes.map(n => `ℹ️ ${n}`));
+  lines.push("", report.ok
+    ? "✅ Every step simulated cleanly."
+    : `❌ This transfer would fail:\n${report.errors.map(e => `  • ${e}`).join("\n")}`);
+
+  return lines.join("\n");
+}
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+function callError(call, abis) {
+  if (call.error?.data) return decodeRevertReason(call.error.data, abis);
+  return call.error?.message || decodeRevertReason(call.returnData || "0x", abis);
+}
+
+function describeToken(address, tokenAddress, symbol) {
+  if (sameAddress(address, tokenAddress)) return symbol;
+  if (sameAddress(address, NATIVE_TRANSFER_ADDRESS)) return "native";
+  return address;
+}
+
+function formatUnits(units, token, nativeSymbol, chain) {
+  if (token === "native") return `${trimZero(ethers.formatEther(units))} ${nativeSymbol}`;
+  if (!getToken(chain, token)) return `${units} units of ${shortAddress(token)}`;
+  return `${trimZero(formatTokenUnits(units, chain, token))} ${token}`;
+}
+
+function trimZero(formatted) {
+  return formatted.replace(/\.0$/, "");
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function shortAddress(address) {
+  return address ? `${address.slice(0, 6)}…${address.slice(-4)}` : "?";
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+module.exports = {
+  simulateTransfer,
+  formatDryRunReport,
+};
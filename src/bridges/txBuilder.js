@@ -0,0 +1,130 @@
+/**
+ * txBuilder.js
+ * ─────────────────────────────────────────────────────────────────
+ * Unsigned transactions for a bridge quote: the token approval, then
+ * the bridge's own calls (gas payment, send...) in the order they have
+ * to be mined. Each bridge module provides a build function; nothing
+ * here signs anything.
+ *
+ * Used by dry runs (simulator.js) and by non-custodial transfers,
+ * where the user's connected wallet signs the transactions.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { ethers } = require("ethers");
+const config     = require("../../config/keys");
+const { getTokenAddress, toUnits } = require("../chains/tokenRegistry");
+
+const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function balanceOf(address owner) view returns (uint256)",
+];
+
+// executionMethod → unsigned transaction builder (bridge SDKs load lazily)
+const BUILDERS = {
+  axelar_gmp:         (params) => require("./axelar").buildAxelarTransfer(params),
+  celer_cbridge:      (params) => require("./celer").buildCelerTransfer(params),
+  layerzero_stargate: (params) => require("./layerzero").buildLayerZeroTransfer(params),
+  wormhole_ntt:       (params) => require("./wormhole").buildWormholeTransfer(params),
+};
+
+/**
+ * Approval + bridge transactions for one bridge leg.
+ * Throws with code "UNSUPPORTED_BRIDGE" when the bridge has no builder.
+ *
+ * @param {Object} params
+ * @param {Object} params.provider     - Source chain provider
+ * @param {Object} params.intent       - { token, amount, fromChain, toChain, toAddress } for this leg
+ * @param {Object} params.leg          - Quote for this leg ({ bridge, executionMethod, rawQuote... })
+ * @param {string} params.fromAddress  - Wallet that will sign
+ * @param {string} params.tokenAddress - Token being bridged, on the source chain
+ * @returns {Promise<{ spender: string|null, abis: string[], amountUnits: bigint, transactions: Object[] }>}
+ */
+async function buildLegTransactions({ provider, intent, leg, fromAddress, tokenAddress }) {
+  const build = BUILDERS[leg.executionMethod];
+  if (!build) {
+    const err = new Error(`${leg.bridge} can't prepare unsigned transactions yet`);
+    err.code  = "UNSUPPORTED_BRIDGE";
+    throw err;
+  }
+
+  const amountUnits = toUnits(intent.amount, intent.fromChain || "celo", intent.token);
+  const built = await build({ fromAddress, provider, intent, bridgeQuote: leg, amountUnits, tokenAddress });
+
+  const erc20 = new ethers.Interface(ERC20_ABI);
+  const transactions = [
+    ...(built.spender ? [{
+      label:    `Approve ${intent.amount} ${intent.token} for ${leg.bridge}`,
+      to:       tokenAddress,
+      data:     erc20.encodeFunctionData("approve", [built.spender, amountUnits]),
+      value:    0n,
+      approval: true,
+    }] : []),
+    ...built.transactions,
+  ].map(tx => ({ ...tx, from: fromAddress, value: BigInt(tx.value || 0) }));
+
+  return { spender: built.spender || null, abis: built.abis || [], amountUnits, transactions };
+}
+
+/**
+ * Every transaction a transfer needs, ready for a wallet's
+ * eth_sendTransaction — one leg after another for split transfers.
+ * `kind` is "approve", "prepare" (e.g. a gas payment) or "bridge";
+ * the "bridge" transaction of a leg is the one delivery is tracked by.
+ * A leg whose bridge already has enough allowance gets no approval.
+ *
+ * @param {Object} params
+ * @param {Object} params.intent
+ * @param {Object} params.bridgeQuote - A single quote, or a split quote with `splits`
+ * @param {string} params.fromAddress
+ * @returns {Promise<Object[]>} [{ index, legId, kind, label, chainId, from, to, data, value }]
+ */
+async function buildTransferTransactions({ intent, bridgeQuote, fromAddress }) {
+  const fromChain    = intent.fromChain || "celo";
+  const tokenAddress = getTokenAddress(fromChain, intent.token);
+  if (!tokenAddress) throw new Error(`Token ${intent.token} address not configured for ${fromChain}`);
+
+  const provider    = getProvider(fromChain);
+  const { chainId } = await provider.getNetwork();
+  const legs = bridgeQuote.splits
+    ? bridgeQuote.splits.map((split, i) => ({ ...split, id: `bridge_${i + 1}` }))
+    : [{ ...bridgeQuote, id: "bridge", amount: intent.amount }];
+
+  const transactions = [];
+  for (const leg of legs) {
+    const built = await buildLegTransactions({ provider, intent: { ...intent, amount: leg.amount }, leg, fromAddress, tokenAddress });
+    if (built.spender && await hasAllowance(provider, tokenAddress, fromAddress, built.spender, built.amountUnits)) {
+      built.transactions = built.transactions.filter(tx => !tx.approval);
+    }
+    built.transactions.forEach((tx, i) => transactions.push({
+      index:   transactions.length,
+      legId:   leg.id,
+      kind:    tx.approval ? "approve" : i === built.transactions.length - 1 ? "bridge" : "prepare",
+      label:   tx.label,
+      chainId: Number(chainId),
+      from:    fromAddress,
+      to:      tx.to,
+      data:    tx.data,
+      value:   ethers.toQuantity(tx.value),
+    }));
+  }
+  return transactions;
+}
+
+async function hasAllowance(provider, tokenAddress, owner, spender, amountUnits) {
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  return token.allowance(owner, spender).then(allowance => allowance >= amountUnits, () => false);
+}
+
+function getProvider(chain) {
+  // ── 🔑 RPC INJECTION POINT ──────────────────────────────────
+  return new ethers.JsonRpcProvider(config.RPC[chain.toUpperCase()]);
+}
+
+module.exports = {
+  buildLegTransactions,
+  buildTransferTransactions,
+  getProvider,
+  ERC20_ABI,
+};
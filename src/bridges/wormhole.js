@@ -15,6 +15,7 @@
 
 const { ethers } = require("ethers");
 const config     = require("../../config/keys");
+const { ensureAllowance, revokeLeftover } = require("./approvals");
 
 // ── Wormhole chain name mapping ───────────────────────────────────
 const WORMHOLE_CHAIN_NAMES = {
@@ -36,46 +37,19 @@ const WORMHOLE_CHAIN_NAMES = {
  * @param {Object}        params.bridgeQuote  - Quote from bridgeRouter
  * @param {BigInt|string} params.amountUnits  - Amount in token base units
  * @param {string}        params.tokenAddress - ERC-20 token address on Celo
+ * @param {Function}      [params.onSubmitted] - Called with each tx hash once broadcast
+ * @param {Function}      [params.onApproved]  - Called once the Token Bridge's allowance is in place
  * @returns {Promise<string>} Source chain transaction hash
  */
-async function executeWormholeTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress }) {
-  const srcChainName  = WORMHOLE_CHAIN_NAMES[intent.fromChain || "celo"];
-  const destChainName = WORMHOLE_CHAIN_NAMES[intent.toChain];
-
-  if (!srcChainName)  throw new Error(`Wormhole: unsupported source chain "${intent.fromChain}"`);
-  if (!destChainName) throw new Error(`Wormhole: unsupported destination "${intent.toChain}"`);
+async function executeWormholeTransfer({ wallet, intent, bridgeQuote, amountUnits, tokenAddress, onSubmitted, onApproved }) {
+  const { network, srcChain, srcChainName, destChainName, tb } = await loadTokenBridge(intent);
 
   console.log(`[Wormhole] ${intent.amount} ${intent.token}: ${srcChainName} → ${destChainName}`);
   console.log(`[Wormhole] Recipient: ${intent.toAddress}`);
 
-  // ── Load SDK packages ─────────────────────────────────────────
-  let wormhole, EvmPlatform, SolanaPlatform;
-  try {
-    ({ wormhole }    = require("@wormhole-foundation/sdk"));
-    ({ EvmPlatform } = require("@wormhole-foundation/sdk-evm"));
-    if (intent.toChain === "solana") {
-      ({ SolanaPlatform } = require("@wormhole-foundation/sdk-solana"));
-    }
-  } catch (err) {
-    throw new Error(
-      "Wormhole SDK not found. Run: pnpm add @wormhole-foundation/sdk @wormhole-foundation/sdk-evm @wormhole-foundation/sdk-solana"
-    );
-  }
-
-  // ── Init Wormhole with correct network ───────────────────────
-  const network   = config.NETWORK === "mainnet" ? "Mainnet" : "Testnet";
-  const platforms = SolanaPlatform ? [EvmPlatform, SolanaPlatform] : [EvmPlatform];
-  const wh        = await wormhole(network, platforms);
-
-  // ── Get chain contexts ────────────────────────────────────────
-  const srcChain = wh.getChain(srcChainName);
-
   // ── Build correct SignAndSendSigner for Wormhole SDK ─────────
   // Must implement: chain(), address(), signAndSend()
-  const signer = buildSignAndSendSigner(wallet, srcChainName);
-
-  // ── Get Token Bridge protocol client ─────────────────────────
-  const tb = await srcChain.getTokenBridge();
+  const signer = buildSignAndSendSigner(wallet, srcChainName, onSubmitted);
 
   // ── Build TokenId — identifies the token on the source chain ─
   const tokenId = {
@@ -89,15 +63,15 @@ async function executeWormholeTransfer({ wallet, intent, bridgeQuote, amountUnit
     address: intent.toAddress,
   };
 
-  // ── Step 1: Approve Token Bridge to spend the token ──────────
-  console.log("[Wormhole] Approving token spend for Token Bridge...");
+  // ── Step 1: Let the Token Bridge spend the token ─────────────
+  // (without a known address the SDK adds its own approval below)
+  console.log("[Wormhole] Checking token allowance for Token Bridge...");
   const tokenBridgeAddr = await getTokenBridgeAddress(srcChain);
   if (tokenBridgeAddr) {
-    const ERC20_ABI = ["function approve(address spender, uint256 amount) returns (bool)"];
-    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
-    const approveTx = await tokenContract.approve(tokenBridgeAddr, amountUnits);
-    await approveTx.wait();
-    console.log(`[Wormhole] Approved: ${approveTx.hash}`);
+    await ensureAllowance({
+      wallet, chain: intent.fromChain || "celo", tokenAddress, spender: tokenBridgeAddr, amountUnits: BigInt(amountUnits),
+      token: intent.token, bridge: "Wormhole Token Bridge", onApproved,
+    });
   }
 
   // ── Step 2: Create and iterate transfer transactions ──────────
@@ -125,11 +99,79 @@ async function executeWormholeTransfer({ wallet, intent, bridgeQuote, amountUnit
 
   const finalHash = txHashes[txHashes.length - 1];
   console.log(`[Wormhole] ✅ Transfer submitted: ${finalHash}`);
+  if (tokenBridgeAddr) await revokeLeftover({ wallet, tokenAddress, spender: tokenBridgeAddr });
   console.log(`[Wormhole] Track at: https://wormholescan.io/#/tx/${finalHash}?network=${network.toUpperCase()}`);
 
   return finalHash;
 }
 
+/**
+ * Unsigned Token Bridge transactions for a transfer, sent after
+ * approving `spender`. Drains the SDK's transfer generator without
+ * signing anything — used by dry runs.
+ */
+async function buildWormholeTransfer({ fromAddress, intent, amountUnits, tokenAddress }) {
+  const { srcChain, srcChainName, destChainName, tb } = await loadTokenBridge(intent);
+
+  const transactions = [];
+  const transfer = tb.transfer(
+    fromAddress,
+    { chain: destChainName, address: intent.toAddress },
+    { chain: srcChainName, address: tokenAddress },
+    BigInt(amountUnits),
+    undefined
+  );
+  for await (const tx of transfer) {
+    const txRequest = tx.transaction || tx;
+    transactions.push({
+      label: tx.description || "Wormhole Token Bridge transfer",
+      to:    txRequest.to,
+      data:  txRequest.data,
+      value: BigInt(txRequest.value || 0),
+    });
+  }
+
+  return { spender: await getTokenBridgeAddress(srcChain), abis: [], transactions };
+}
+
+/**
+ * Load the Wormhole SDK and the Token Bridge client for the source chain.
+ */
+async function loadTokenBridge(intent) {
+  const srcChainName  = WORMHOLE_CHAIN_NAMES[intent.fromChain || "celo"];
+  const destChainName = WORMHOLE_CHAIN_NAMES[intent.toChain];
+
+  if (!srcChainName)  throw new Error(`Wormhole: unsupported source chain "${intent.fromChain}"`);
+  if (!destChainName) throw new Error(`Wormhole: unsupported destination "${intent.toChain}"`);
+
+  // ── Load SDK packages ─────────────────────────────────────────
+  let wormhole, EvmPlatform, SolanaPlatform;
+  try {
+    ({ wormhole }    = require("@wormhole-foundation/sdk"));
+    ({ EvmPlatform } = require("@wormhole-foundation/sdk-evm"));
+    if (intent.toChain === "solana") {
+      ({ SolanaPlatform } = require("@wormhole-foundation/sdk-solana"));
+    }
+  } catch (err) {
+    throw new Error(
+      "Wormhole SDK not found. Run: pnpm add @wormhole-foundation/sdk @wormhole-foundation/sdk-evm @wormhole-foundation/sdk-solana"
+    );
+  }
+
+  // ── Init Wormhole with correct network ───────────────────────
+  const network   = config.NETWORK === "mainnet" ? "Mainnet" : "Testnet";
+  const platforms = SolanaPlatform ? [EvmPlatform, SolanaPlatform] : [EvmPlatform];
+  const wh        = await wormhole(network, platforms);
+
+  // ── Get chain contexts ────────────────────────────────────────
+  const srcChain = wh.getChain(srcChainName);
+
+  // ── Get Token Bridge protocol client ─────────────────────────
+  const tb = await srcChain.getTokenBridge();
+
+  return { network, srcChain, srcChainName, destChainName, tb };
+}
+
 /**
  * Build a Wormhole SignAndSendSigner from an ethers.js wallet.
  * Implements the exact interface the SDK requires:
@@ -137,7 +179,7 @@ async function executeWormholeTransfer({ wallet, intent, bridgeQuote, amountUnit
  *   address(): string
  *   signAndSend(txs): Promise<TxHash[]>
  */
-function buildSignAndSendSigner(wallet, chainName) {
+function buildSignAndSendSigner(wallet, chainName, onSubmitted) {
   return {
     // Returns the Wormhole chain name (not chain ID)
     chain() {
@@ -161,6 +203,7 @@ function buildSignAndSendSigner(wallet, chainName) {
           value:    txRequest.value    || 0n,
           gasLimit: txRequest.gasLimit || txRequest.gas || undefined,
         });
+        await onSubmitted?.(sent.hash);
         const receipt = await sent.wait();
         hashes.push(receipt.hash);
       }
@@ -182,4 +225,4 @@ async function getTokenBridgeAddress(srcChain) {
   }
 }
 
-module.exports = { executeWormholeTransfer };
+module.exports = { executeWormholeTransfer, buildWormholeTransfer };
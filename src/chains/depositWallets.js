@@ -0,0 +1,239 @@
+/**
+ * depositWallets.js
+ * ─────────────────────────────────────────────────────────────────
+ * One wallet per user, derived from DEPOSIT_WALLETS.MNEMONIC. Each
+ * user funds their own deposit address and their transfers only ever
+ * spend from it, so one user's funds can't pay for another's transfer.
+ *
+ *   - Derivation: users get an index in order of first use and the
+ *     wallet at DERIVATION_PATH/<index> — the same address on every
+ *     EVM chain. Accounts live in the "depositWallets" store and the
+ *     next free index in "depositWalletIndex".
+ *   - Identity: accounts are keyed by the session id, which the server
+ *     has authenticated — the Telegram chat (tg_<chat id>) or WhatsApp
+ *     number (wa_<number>) a bot webhook came from, or a web session
+ *     the server issued (web_<uuid>, checked against its signed token
+ *     by apiAuth). The HTTP API never accepts a bot session id.
+ *   - Persistence: losing either store would hand an already-funded
+ *     wallet to the next new user, so deposit wallets refuse to run on
+ *     the memory storage backend.
+ *   - Gas top-up: the agent wallet acts as gas station. topUpGas()
+ *     sends a deposit wallet native token before it transacts, and
+ *     the amount is recorded against that user.
+ *   - Sweeping: top-ups a user didn't spend go back to the agent
+ *     wallet once they have had nothing in flight for SWEEP_IDLE_HOURS.
+ *     Only gas is swept — never more than was advanced.
+ *
+ * Deposit wallets and the gas station sign through signerService, so
+ * their nonces never collide.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { ethers }      = require("ethers");
+const config          = require("../../config/keys");
+const { createStore } = require("../store/kvStore");
+const { getSigner, getAgentSigner } = require("./signerService");
+const { listTransfers, UNFINISHED_STATUSES } = require("../store/transferLedger");
+
+const accounts = createStore("depositWallets");
+const counters = createStore("depositWalletIndex");
+
+// A source-confirmed transfer can still need gas on the destination chain (a conversion on arrival)
+const IN_FLIGHT_STATUSES = [...UNFINISHED_STATUSES, "source_confirmed"];
+
+const TRANSFER_GAS = 21000n;
+// Sweeps worth less than this much gas aren't worth a transaction
+const MIN_SWEEP_GAS_UNITS = 100000n;
+
+let rootNode = null;
+
+/**
+ * The user's deposit account, created on first use.
+ *
+ * @param {string} userId - Session id
+ * @returns {Promise<Object>} { userId, index, address, gas: { [chain]: { advancedWei, sweptWei, lastTopUpAt } }, createdAt }
+ */
+async function getDepositAccount(userId) {
+  getRootNode(); // fail before handing out an address we can't keep track of
+  const existing = await accounts.get(userId);
+  if (existing) return existing.value;
+
+  const index   = await allocateIndex();
+  const account = { userId, index, address: deriveWallet(index).address, gas: {}, createdAt: new Date().toISOString() };
+  try {
+    await accounts.set(userId, account, { expectedVersion: 0 });
+  } catch (err) {
+    if (err.code !== "VERSION_CONFLICT") throw err;
+    return (await accounts.get(userId)).value; // created concurrently — the index we took goes unused
+  }
+  console.log(`[DepositWallets] ${userId} → #${index} ${account.address}`);
+  return account;
+}
+
+/**
+ * 🔑 The user's deposit wallet, connected to `chain`.
+ */
+async function getDepositWallet(userId, chain) {
+  const { index } = await getDepositAccount(userId);
+  return getSigner(chain, deriveWallet(index).connect(getProvider(chain)), { sessionId: userId });
+}
+
+/**
+ * Make sure the user's deposit wallet can pay for gas on `chain`: if it
+ * holds less than GAS_RESERVE_UNITS worth of native token (plus
+ * `extraWei`, e.g. a bridge fee paid in native token), the agent wallet
+ * tops it up to twice that.
+ *
+ * @param {string} userId
+ * @param {string} chain
+ * @param {Object} [options]
+ * @param {bigint} [options.extraWei] - Native token needed on top of gas
+ * @returns {Promise<{ txHash: string, amountWei: string }|null>} null when no top-up was needed
+ */
+async function topUpGas(userId, chain, { extraWei = 0n } = {}) {
+  const wallet   = await getDepositWallet(userId, chain);
+  const provider = wallet.provider;
+  const feeData  = await provider.getFeeData();
+  const reserve  = (feeData.maxFeePerGas || feeData.gasPrice || 0n) * BigInt(config.DEPOSIT_WALLETS.GAS_RESERVE_UNITS) + BigInt(extraWei);
+  const balance  = await provider.getBalance(wallet.address);
+  if (balance >= reserve) return null;
+
+  const amountWei = reserve * 2n - balance;
+  let tx;
+  try {
+    tx = await getAgentSigner(chain).sendTransaction({ to: wallet.address, value: amountWei });
+  } catch (err) {
+    throw new Error(`Could not top up gas for your deposit wallet on ${chain}: ${err.shortMessage || err.message}`);
+  }
+  await tx.wait();
+
+  await updateAccount(userId, (account) => {
+    const gas = gasOn(account, chain);
+    gas.advancedWei = (BigInt(gas.advancedWei) + amountWei).toString();
+    gas.lastTopUpAt = new Date().toISOString();
+  });
+  console.log(`[DepositWallets] Topped up ${userId} on ${chain}: ${ethers.formatEther(amountWei)} (${tx.hash})`);
+  return { txHash: tx.hash, amountWei: amountWei.toString() };
+}
+
+/**
+ * Sweep unspent gas top-ups back to the agent wallet, for every user
+ * with no transfer in flight and no top-up in SWEEP_IDLE_HOURS.
+ *
+ * @returns {Promise<Object[]>} [{ userId, chain, amountWei, txHash }]
+ */
+async function sweepIdleGas() {
+  const idleMs   = config.DEPOSIT_WALLETS.SWEEP_IDLE_HOURS * 3600 * 1000;
+  const inFlight = new Set((await listTransfers({ status: IN_FLIGHT_STATUSES })).map(t => t.sessionId));
+  const swept    = [];
+
+  for (const { value: account } of await accounts.list()) {
+    if (inFlight.has(account.userId)) continue;
+    for (const [chain, gas] of Object.entries(account.gas)) {
+      const owedWei = BigInt(gas.advancedWei) - BigInt(gas.sweptWei);
+      if (owedWei <= 0n || Date.now() - new Date(gas.lastTopUpAt).getTime() < idleMs) continue;
+      try {
+        const result = await sweepGas(account, chain, owedWei);
+        if (result) swept.push(result);
+      } catch (err) {
+        console.error(`[DepositWallets] Sweep of ${account.userId} on ${chain} failed:`, err.message);
+      }
+    }
+  }
+  return swept;
+}
+
+async function sweepGas(account, chain, owedWei) {
+  const wallet   = getSigner(chain, deriveWallet(account.index).connect(getProvider(chain)), { sessionId: account.userId });
+  const { gasPrice } = await wallet.provider.getFeeData();
+  const balance  = await wallet.provider.getBalance(wallet.address);
+  const spare    = balance - gasPrice * TRANSFER_GAS;
+  const amountWei = spare < owedWei ? spare : owedWei;
+  if (amountWei < gasPrice * MIN_SWEEP_GAS_UNITS) return null;
+
+  // Legacy gas price so the sweep's own cost is exactly what we left for it
+  const tx = await wallet.sendTransaction({ to: getAgentSigner(chain).address, value: amountWei, gasLimit: TRANSFER_GAS, gasPrice });
+  await tx.wait();
+
+  await updateAccount(account.userId, (current) => {
+    const gas = gasOn(current, chain);
+    gas.sweptWei = (BigInt(gas.sweptWei) + amountWei).toString();
+  });
+  console.log(`[DepositWallets] Swept ${ethers.formatEther(amountWei)} back from ${account.userId} on ${chain} (${tx.hash})`);
+  return { userId: account.userId, chain, amountWei: amountWei.toString(), txHash: tx.hash };
+}
+
+/**
+ * Start the periodic gas sweep.
+ */
+function startGasSweeper() {
+  if (accounts.backend === "memory") {
+    console.warn("[DepositWallets] Disabled: STORAGE_BACKEND is memory — set it to file or redis to use deposit wallets");
+    return;
+  }
+  const intervalMs = (config.DEPOSIT_WALLETS?.SWEEP_POLL_MINUTES || 60) * 60 * 1000;
+  console.log(`[DepositWallets] Starting gas sweeper (every ${intervalMs / 60000} min)...`);
+
+  setInterval(async () => {
+    try {
+      const swept = await sweepIdleGas();
+      if (swept.length) console.log(`[DepositWallets] Swept gas from ${swept.length} deposit wallet(s)`);
+    } catch (err) {
+      console.error("[DepositWallets] Gas sweep failed:", err.message);
+    }
+  }, intervalMs);
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  HELPERS
+// ─────────────────────────────────────────────────────────────────
+
+function deriveWallet(index) {
+  return getRootNode().deriveChild(index);
+}
+
+function getRootNode() {
+  if (rootNode) return rootNode;
+  const { MNEMONIC, DERIVATION_PATH } = config.DEPOSIT_WALLETS;
+  if (!MNEMONIC || MNEMONIC.includes("YOUR_MNEMONIC")) {
+    throw new Error("Deposit wallets are not configured — set DEPOSIT_MNEMONIC");
+  }
+  if (accounts.backend === "memory") {
+    throw new Error("Deposit wallets need persistent storage — set STORAGE_BACKEND to file or redis");
+  }
+  rootNode = ethers.HDNodeWallet.fromPhrase(MNEMONIC, undefined, DERIVATION_PATH);
+  return rootNode;
+}
+
+// Next free derivation index, claimed with a compare-and-set. Never
+// below an index an account already has, even if the counter was lost.
+async function allocateIndex() {
+  const taken = (await accounts.list()).map(e => e.value.index);
+  const floor = taken.length > 0 ? Math.max(...taken) + 1 : 0;
+  const next  = await counters.update("next", (index) => Math.max(index || 0, floor) + 1);
+  return next - 1;
+}
+
+async function updateAccount(userId, mutate) {
+  return await accounts.update(userId, (account) => {
+    if (!account) throw new Error(`Deposit account for ${userId} not found`);
+    mutate(account);
+  });
+}
+
+function gasOn(account, chain) {
+  return account.gas[chain] ||= { advancedWei: "0", sweptWei: "0", lastTopUpAt: null };
+}
+
+function getProvider(chain) {
+  // ── 🔑 RPC INJECTION POINT ──────────────────────────────────
+  return new ethers.JsonRpcProvider(config.RPC[chain.toUpperCase()]);
+}
+
+module.exports = {
+  getDepositAccount,
+  getDepositWallet,
+  topUpGas,
+  sweepIdleGas,
+  startGasSweeper,
+};
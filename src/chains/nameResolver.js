@@ -0,0 +1,248 @@
+/**
+ * nameResolver.js
+ * ─────────────────────────────────────────────────────────────────
+ * Turns human identifiers into wallet addresses before a transfer is
+ * parsed: ENS names (alice.eth), .celo names (alice.celo) and phone
+ * numbers (+2348031234567, Celo SocialConnect style).
+ *
+ * Backends (choose per kind with NAME_RESOLUTION in config/keys.js):
+ *   - ens           → ENS on Ethereum (RPC.ETHEREUM)
+ *   - celo-names    → an ENS-compatible registry on Celo
+ *                     (NAME_RESOLUTION.CELO_NAMES_REGISTRY)
+ *   - socialconnect → a SocialConnect issuer's lookup endpoint
+ *                     (NAME_RESOLUTION.PHONE_LOOKUP_URL)
+ *   - local         → a fixed name → address table, for local
+ *                     stand-ins and tests (NAME_RESOLUTION.LOCAL_NAMES)
+ *   - off           → that kind of name is not resolved
+ *
+ * registerResolver() swaps in any object with resolve(name) → address.
+ * Results are cached for NAME_RESOLUTION.CACHE_SECONDS.
+ * scripts/check-resolvers.js runs every kind against local stand-ins.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { ethers } = require("ethers");
+const config     = require("../../config/keys");
+
+const NAME_PATTERNS = {
+  ens:   /^(?:[a-z0-9-]+\.)+eth$/i,
+  celo:  /^(?:[a-z0-9-]+\.)+celo$/i,
+  phone: /^\+[1-9]\d{7,14}$/,
+};
+
+// Names and phone numbers inside a message; phone numbers may use spaces or dashes
+const NAME_IN_TEXT_RE = /(?<![\w.+])(?:(?:[a-z0-9-]+\.)+(?:eth|celo)|\+[1-9](?:[ -]?\d){7,14})(?![\w.])/gi;
+
+// kind → backend, built from config on first use unless registered
+const resolvers = new Map();
+
+// normalised name → { result, expiresAt }
+const cache = new Map();
+
+/**
+ * Which kind of name `text` is, or null for anything else.
+ *
+ * @returns {"ens"|"celo"|"phone"|null}
+ */
+function nameKind(text) {
+  const name = normalizeName(text);
+  return Object.keys(NAME_PATTERNS).find(kind => NAME_PATTERNS[kind].test(name)) || null;
+}
+
+/**
+ * Look a name up with its kind's backend.
+ * Throws with code "NOT_A_NAME", "NAME_NOT_FOUND" or "RESOLVER_UNAVAILABLE".
+ *
+ * @param {string} text - e.g. "alice.eth" or "+44 7700 900123"
+ * @returns {Promise<{ name: string, kind: string, address: string, backend: string }>}
+ */
+async function resolveName(text) {
+  const name = normalizeName(text);
+  const kind = nameKind(name);
+  if (!kind) throw resolverError(`${text} isn't an ENS name, .celo name or phone number`, "NOT_A_NAME");
+
+  const cached = cache.get(name);
+  if (cached && cached.expiresAt > Date.now()) return cached.result;
+
+  const backend = getResolver(kind);
+  const address = await backend.resolve(name);
+  if (!address || !ethers.isAddress(address) || address === ethers.ZeroAddress) {
+    throw resolverError(`No wallet address is registered for ${name}`, "NAME_NOT_FOUND");
+  }
+
+  const result = { name, kind, address: ethers.getAddress(address), backend: backend.name };
+  cache.set(name, { result, expiresAt: Date.now() + (config.NAME_RESOLUTION?.CACHE_SECONDS ?? 300) * 1000 });
+  console.log(`[NameResolver] ${name} → ${result.address} (${backend.name})`);
+  return result;
+}
+
+/**
+ * Resolve every name and phone number in a message and put the
+ * address in its place.
+ *
+ * @param {string}   message
+ * @param {Object}   [options]
+ * @param {string[]} [options.exclude] - Words to leave alone (e.g. saved contact names)
+ * @returns {Promise<{ message: string, resolved: Object[], failed: Object[] }>}
+ *   failed is [{ name, error, code }]
+ */
+async function resolveNamesInMessage(message, { exclude = [] } = {}) {
+  const skip     = new Set(exclude.map(normalizeName));
+  const found    = [...new Set(message.match(NAME_IN_TEXT_RE) || [])].filter(text => nameKind(text) && !skip.has(normalizeName(text)));
+  const resolved = [];
+  const failed   = [];
+  let text       = message;
+
+  for (const raw of found) {
+    try {
+      const result = await resolveName(raw);
+      resolved.push(result);
+      text = text.split(raw).join(result.address);
+    } catch (err) {
+      failed.push({ name: normalizeName(raw), error: err.message, code: err.code });
+    }
+  }
+  return { message: text, resolved, failed };
+}
+
+/**
+ * Use `backend` for one kind of name instead of the configured one.
+ *
+ * @param {"ens"|"celo"|"phone"} kind
+ * @param {{ name: string, resolve: Function }} backend - resolve(name) → address or null
+ */
+function registerResolver(kind, backend) {
+  if (!NAME_PATTERNS[kind]) throw new Error(`Unknown name kind "${kind}". Use ens, celo or phone.`);
+  resolvers.set(kind, backend);
+  cache.clear();
+}
+
+/**
+ * A backend answering from a fixed table — the stand-in for local
+ * development and tests.
+ *
+ * @param {Object} entries - { "alice.eth": "0x...", "+15551234567": "0x..." }
+ */
+function createLocalResolver(entries = {}) {
+  const table = new Map(Object.entries(entries).map(([name, address]) => [normalizeName(name), address]));
+  return {
+    name:    "local",
+    resolve: async (name) => table.get(normalizeName(name)) || null,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  BACKENDS
+// ─────────────────────────────────────────────────────────────────
+
+function getResolver(kind) {
+  if (!resolvers.has(kind)) {
+    const settings = config.NAME_RESOLUTION || {};
+    const backend  = { ens: settings.ENS_BACKEND, celo: settings.CELO_BACKEND, phone: settings.PHONE_BACKEND }[kind] || "off";
+    resolvers.set(kind, createResolver(kind, backend));
+  }
+  return resolvers.get(kind);
+}
+
+function createResolver(kind, backend) {
+  const settings = config.NAME_RESOLUTION || {};
+
+  switch (backend) {
+    case "ens":
+      // ── 🔑 RPC INJECTION POINT ──────────────────────────────────
+      return createEnsResolver("ens", new ethers.JsonRpcProvider(config.RPC.ETHEREUM));
+    case "celo-names":
+      return createCeloNamesResolver(settings.CELO_NAMES_REGISTRY);
+    case "socialconnect":
+      return createSocialConnectResolver(settings.PHONE_LOOKUP_URL, settings.PHONE_LOOKUP_API_KEY);
+    case "local":
+      return createLocalResolver(parseLocalNames(settings.LOCAL_NAMES));
+    case "off":
+      return unavailable(backend, `Looking up ${kind === "phone" ? "phone numbers" : `${kind} names`} is turned off on this server`);
+    default:
+      throw new Error(`Unknown ${kind} resolver backend "${backend}". Use ens, celo-names, socialconnect, local or off.`);
+  }
+}
+
+function createEnsResolver(name, provider) {
+  return {
+    name,
+    resolve: (ensName) => provider.resolveName(ensName),
+  };
+}
+
+// .celo names live in an ENS-style registry deployed on Celo itself
+function createCeloNamesResolver(registry) {
+  if (!registry) return unavailable("celo-names", "No .celo name registry is configured (NAME_RESOLUTION.CELO_NAMES_REGISTRY)");
+
+  // ── 🔑 RPC INJECTION POINT ──────────────────────────────────
+  const chainId = config.RPC.CELO?.includes("alfajores") ? 44787 : 42220;
+  const network = new ethers.Network("celo", chainId);
+  network.attachPlugin(new ethers.EnsPlugin(registry, chainId));
+  return createEnsResolver("celo-names", new ethers.JsonRpcProvider(config.RPC.CELO, network, { staticNetwork: network }));
+}
+
+/**
+ * Phone numbers are looked up through a SocialConnect issuer. The
+ * issuer holds the ODIS quota needed to obfuscate the number and
+ * queries FederatedAttestations; it answers { address } (or
+ * { accounts: [...] }) for GET <url>?phoneNumber=+...
+ */
+function createSocialConnectResolver(url, apiKey) {
+  if (!url) return unavailable("socialconnect", "No phone number lookup service is configured (NAME_RESOLUTION.PHONE_LOOKUP_URL)");
+
+  return {
+    name: "socialconnect",
+    resolve: async (phoneNumber) => {
+      // ── 🔑 API KEY INJECTION POINT ──────────────────────────────
+      const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+      const res = await fetch(`${url}?phoneNumber=${encodeURIComponent(phoneNumber)}`, { headers });
+      if (res.status === 404) return null;
+      if (!res.ok) throw resolverError(`Phone number lookup failed (HTTP ${res.status})`, "RESOLVER_UNAVAILABLE");
+      const data = await res.json();
+      return data.address || data.accounts?.[0] || null;
+    },
+  };
+}
+
+function unavailable(name, reason) {
+  return {
+    name,
+    resolve: async () => { throw resolverError(reason, "RESOLVER_UNAVAILABLE"); },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  HELPERS
+// ─────────────────────────────────────────────────────────────────
+
+// Lowercase names; phone numbers without spaces or dashes
+function normalizeName(text) {
+  const trimmed = String(text || "").trim();
+  return trimmed.startsWith("+") ? trimmed.replace(/[\s-]/g, "") : trimmed.toLowerCase();
+}
+
+// LOCAL_NAMES is a JSON object, e.g. {"alice.eth":"0x...","+15551234567":"0x..."}
+function parseLocalNames(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    console.warn("[NameResolver] NAME_RESOLUTION.LOCAL_NAMES is not valid JSON:", err.message);
+    return {};
+  }
+}
+
+function resolverError(message, code) {
+  const err = new Error(message);
+  err.code  = code;
+  return err;
+}
+
+module.exports = {
+  nameKind,
+  resolveName,
+  resolveNamesInMessage,
+  registerResolver,
+  createLocalResolver,
+};
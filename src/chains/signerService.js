@@ -0,0 +1,259 @@
+/**
+ * signerService.js
+ * ─────────────────────────────────────────────────────────────────
+ * Every transaction the server signs goes through here. Each wallet on
+ * each chain gets one queue ("lane"): transactions are sent one at a
+ * time, with nonces handed out from a local counter instead of asking
+ * the RPC for each send. Two users — or two legs of a split transfer,
+ * or a gas top-up and a fee collection — can no longer pick the same
+ * nonce.
+ *
+ *   - The counter starts from the chain's pending transaction count
+ *   - A send that fails before broadcast (revert on estimate, no
+ *     funds) gives its nonce to the next transaction
+ *   - Any other failure re-reads the count from the chain; a stale
+ *     nonce is re-read and retried once
+ *   - Only broadcasting is serialized: confirmations are awaited by
+ *     the caller, outside the queue
+ *   - Sent transactions stay tracked until mined, so the stuck
+ *     transaction watcher can re-send them with a higher fee on the
+ *     same nonce. wait() on the original resolves with the receipt of
+ *     whichever version was mined.
+ *
+ * listQueues() reports queue depth per lane (GET /api/signers, operator only).
+ * scripts/check-nonces.js fires concurrent transfers at a local
+ * Anvil/Hardhat node and checks they were mined on consecutive nonces.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { ethers } = require("ethers");
+const config     = require("../../config/keys");
+
+// "chain:address" → { chain, address, nextNonce, depth, tail, sent, failed, inFlight: Map<nonce, entry> }
+const lanes = new Map();
+
+// Send failures that happen before the transaction reaches the mempool
+const NOT_BROADCAST = ["CALL_EXCEPTION", "INSUFFICIENT_FUNDS", "UNPREDICTABLE_GAS_LIMIT", "INVALID_ARGUMENT", "ACTION_REJECTED"];
+
+/**
+ * An ethers signer for `wallet` whose transactions go through the
+ * wallet's queue on `chain`. Drop-in for the wallet itself: it has the
+ * same `address` and works with contracts and the bridge SDKs.
+ * `context.sessionId` says whose transactions these are, for
+ * notifications about them.
+ */
+class QueuedSigner extends ethers.AbstractSigner {
+  constructor(chain, wallet, context = {}) {
+    super(wallet.provider);
+    this.chain   = chain;
+    this.wallet  = wallet;
+    this.context = context;
+    this.address = wallet.address;
+  }
+
+  async getAddress() {
+    return this.wallet.address;
+  }
+
+  connect(provider) {
+    return new QueuedSigner(this.chain, this.wallet.connect(provider), this.context);
+  }
+
+  async getNonce(blockTag) {
+    return this.wallet.getNonce(blockTag);
+  }
+
+  async signTransaction(tx) {
+    return this.wallet.signTransaction(tx);
+  }
+
+  async signMessage(message) {
+    return this.wallet.signMessage(message);
+  }
+
+  async signTypedData(domain, types, value) {
+    return this.wallet.signTypedData(domain, types, value);
+  }
+
+  async sendTransaction(tx) {
+    const lane = getLane(this.chain, this.wallet.address);
+    return enqueue(lane, () => sendWithNonce(lane, this.wallet, tx, this.context));
+  }
+}
+
+/**
+ * Queued signer for a wallet on a chain.
+ *
+ * @param {string} chain  - e.g. "celo"
+ * @param {Object} wallet - ethers Wallet / HDNodeWallet connected to that chain
+ * @param {Object} [context] - { sessionId } of the user the wallet belongs to
+ * @returns {QueuedSigner}
+ */
+function getSigner(chain, wallet, context = {}) {
+  return wallet instanceof QueuedSigner ? wallet : new QueuedSigner(chain, wallet, context);
+}
+
+/**
+ * 🔑 The agent wallet on a chain — uses AGENT_PRIVATE_KEY + config.RPC[chain]
+ */
+function getAgentSigner(chain) {
+  return getSigner(chain, new ethers.Wallet(config.AGENT_PRIVATE_KEY, getProvider(chain)));
+}
+
+/**
+ * Transactions waiting to be broadcast on a chain, across all wallets.
+ */
+function getQueueDepth(chain) {
+  let depth = 0;
+  for (const lane of lanes.values()) if (lane.chain === chain) depth += lane.depth;
+  return depth;
+}
+
+/**
+ * Every lane the server has used since it started.
+ *
+ * @returns {Object[]} [{ chain, address, depth, nextNonce, sent, failed, pending }]
+ */
+function listQueues() {
+  return [...lanes.values()].map(({ chain, address, depth, nextNonce, sent, failed, inFlight }) =>
+    ({ chain, address, depth, nextNonce, sent, failed, pending: inFlight.size }));
+}
+
+/**
+ * Sent transactions not yet seen mined, oldest first.
+ *
+ * @returns {Object[]} [{ chain, address, nonce, hash, hashes, request, sentAt, lastSentAt, bumps, sessionId, wallet }]
+ */
+function listInFlight() {
+  return [...lanes.values()]
+    .flatMap(lane => [...lane.inFlight.values()])
+    .sort((a, b) => a.sentAt - b.sentAt);
+}
+
+/**
+ * Re-send an in-flight transaction on its own nonce with new fees
+ * (through its lane's queue). Returns the replacement response.
+ *
+ * @param {Object} entry - From listInFlight()
+ * @param {Object} fees  - { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+ */
+async function replaceTransaction(entry, fees) {
+  const lane = getLane(entry.chain, entry.address);
+  return enqueue(lane, async () => {
+    const response = await entry.wallet.sendTransaction({ ...entry.request, ...fees, nonce: entry.nonce });
+    entry.hash       = response.hash;
+    entry.request    = requestOf(response);
+    entry.lastSentAt = Date.now();
+    entry.bumps++;
+    entry.hashes.push(response.hash);
+    console.log(`[Signer] ${lane.chain} ${shortAddress(lane.address)} nonce ${entry.nonce} re-sent → ${response.hash}`);
+    return response;
+  });
+}
+
+/**
+ * Stop tracking a transaction (it, or a replacement, was mined).
+ */
+function settleTransaction(entry) {
+  getLane(entry.chain, entry.address).inFlight.delete(entry.nonce);
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  HELPERS
+// ─────────────────────────────────────────────────────────────────
+
+function getLane(chain, address) {
+  const key = `${chain}:${address.toLowerCase()}`;
+  if (!lanes.has(key)) {
+    lanes.set(key, { chain, address, nextNonce: null, depth: 0, tail: Promise.resolve(), sent: 0, failed: 0, inFlight: new Map() });
+  }
+  return lanes.get(key);
+}
+
+// Runs `task` after everything already queued on the lane, failed or not
+function enqueue(lane, task) {
+  lane.depth++;
+  const run = lane.tail.then(() => task(lane));
+  lane.tail = run.catch(() => {}).finally(() => { lane.depth--; });
+  return run;
+}
+
+async function sendWithNonce(lane, wallet, tx, context, retried = false) {
+  if (lane.nextNonce === null) {
+    lane.nextNonce = await wallet.provider.getTransactionCount(wallet.address, "pending");
+  }
+  const nonce = lane.nextNonce;
+
+  try {
+    const response = await wallet.sendTransaction({ ...tx, nonce });
+    lane.nextNonce = nonce + 1;
+    lane.sent++;
+    console.log(`[Signer] ${lane.chain} ${shortAddress(lane.address)} nonce ${nonce} → ${response.hash}`);
+    return track(lane, wallet, response, context);
+  } catch (err) {
+    if (NOT_BROADCAST.includes(err.code)) {
+      lane.failed++;
+      throw err;
+    }
+    // The chain may know better — something else sent from this wallet,
+    // or a broadcast timed out after all. Re-read the count.
+    lane.nextNonce = null;
+    if (err.code === "NONCE_EXPIRED" && !retried) {
+      console.warn(`[Signer] ${lane.chain} ${shortAddress(lane.address)} nonce ${nonce} already used — resyncing`);
+      return sendWithNonce(lane, wallet, tx, context, true);
+    }
+    lane.failed++;
+    throw err;
+  }
+}
+
+// Keep the transaction for the stuck watcher, and make wait() follow its replacements
+function track(lane, wallet, response, context) {
+  const now   = Date.now();
+  const entry = {
+    chain: lane.chain, address: lane.address, nonce: response.nonce, hash: response.hash, hashes: [response.hash],
+    request: requestOf(response), sentAt: now, lastSentAt: now, bumps: 0, sessionId: context.sessionId || null, wallet,
+  };
+  lane.inFlight.set(response.nonce, entry);
+
+  const wait = response.wait.bind(response);
+  response.wait = async (confirms, timeout) => {
+    try {
+      return await wait(confirms, timeout);
+    } catch (err) {
+      // Re-priced by the watcher: same call, higher fee — that receipt is ours
+      if (err.code === "TRANSACTION_REPLACED" && err.reason === "repriced") return err.receipt;
+      throw err;
+    } finally {
+      if (lane.inFlight.get(entry.nonce) === entry) lane.inFlight.delete(entry.nonce);
+    }
+  };
+  return response;
+}
+
+// The fields needed to sign the same call again
+function requestOf(response) {
+  const { type, to, data, value, gasLimit, chainId, gasPrice, maxFeePerGas, maxPriorityFeePerGas } = response;
+  return type === 2
+    ? { type, to, data, value, gasLimit, chainId, maxFeePerGas, maxPriorityFeePerGas }
+    : { type, to, data, value, gasLimit, chainId, gasPrice };
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function getProvider(chain) {
+  // ── 🔑 RPC INJECTION POINT ──────────────────────────────────
+  return new ethers.JsonRpcProvider(config.RPC[chain.toUpperCase()]);
+}
+
+module.exports = {
+  getSigner,
+  getAgentSigner,
+  getQueueDepth,
+  listQueues,
+  listInFlight,
+  replaceTransaction,
+  settleTransaction,
+};
@@ -0,0 +1,131 @@
+/**
+ * stuckTxWatcher.js
+ * ─────────────────────────────────────────────────────────────────
+ * Re-sends transactions that sit in the mempool during gas spikes.
+ *
+ * Every transaction sent through signerService is tracked until it is
+ * mined. One still pending STUCK_TRANSACTIONS.PENDING_SECONDS after it
+ * was (re-)sent is replaced on the same nonce:
+ *
+ *   - EIP-1559: max fee and priority fee both go up BUMP_PERCENT, or
+ *     to the network's current suggestion if that is higher
+ *   - Legacy (gasPrice) transactions are bumped the same way
+ *   - The fee is capped so gas limit × max fee never exceeds
+ *     MAX_GAS_COST for the chain; once a bump would need more, the
+ *     transaction is left alone and the user is told it is stuck
+ *
+ * Whoever awaits the original's wait() gets the receipt of the version
+ * that was mined (see signerService), so transfers carry on as normal.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { ethers } = require("ethers");
+const config     = require("../../config/keys");
+const { listInFlight, replaceTransaction, settleTransaction } = require("./signerService");
+
+// Nodes reject replacements that pay less than 10% more
+const MIN_BUMP_PERCENT = 10n;
+
+/**
+ * Check every in-flight transaction once and replace the stuck ones.
+ *
+ * @param {Function} onEvent - ({ type: "replaced"|"capped", chain, sessionId, nonce, oldHash, newHash?, maxFeeGwei, bumps }) => void
+ */
+async function checkStuckTransactions(onEvent) {
+  for (const entry of listInFlight()) {
+    if (Date.now() - entry.lastSentAt < thresholdFor(entry.chain) * 1000 || entry.capped) continue;
+    try {
+      await bumpIfStuck(entry, onEvent);
+    } catch (err) {
+      console.warn(`[StuckTx] ${entry.chain} nonce ${entry.nonce} (${entry.hash}) check failed:`, err.shortMessage || err.message);
+    }
+  }
+}
+
+async function bumpIfStuck(entry, onEvent) {
+  const provider = entry.wallet.provider;
+  // Mined — this version or an earlier one — once the account's nonce moved past it
+  if (await provider.getTransactionCount(entry.address, "latest") > entry.nonce) {
+    settleTransaction(entry);
+    return;
+  }
+
+  const oldHash = entry.hash;
+  const fees    = bumpedFees(entry.request, await provider.getFeeData(), entry.chain);
+  if (!fees) {
+    entry.capped = true;
+    console.warn(`[StuckTx] ${entry.chain} nonce ${entry.nonce} (${oldHash}) is stuck at the gas cap`);
+    await onEvent({ type: "capped", chain: entry.chain, sessionId: entry.sessionId, nonce: entry.nonce,
+      oldHash, maxFeeGwei: gwei(feeOf(entry.request)), bumps: entry.bumps });
+    return;
+  }
+
+  const replacement = await replaceTransaction(entry, fees);
+  await onEvent({ type: "replaced", chain: entry.chain, sessionId: entry.sessionId, nonce: entry.nonce,
+    oldHash, newHash: replacement.hash, maxFeeGwei: gwei(feeOf(fees)), bumps: entry.bumps });
+}
+
+/**
+ * New fees for a stuck transaction, or null when any bump big enough
+ * for the node to accept would break the chain's gas cap.
+ */
+function bumpedFees(request, feeData, chain) {
+  const bump    = BigInt(config.STUCK_TRANSACTIONS.BUMP_PERCENT);
+  const raise   = (fee, suggested) => max(fee * (100n + bump) / 100n, suggested || 0n);
+  const minimum = (fee) => fee * (100n + MIN_BUMP_PERCENT) / 100n;
+  const cap     = ethers.parseEther(String(capFor(chain))) / BigInt(request.gasLimit);
+
+  if (request.type === 2) {
+    const maxPriorityFeePerGas = raise(request.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas);
+    const maxFeePerGas = min(max(raise(request.maxFeePerGas, feeData.maxFeePerGas), maxPriorityFeePerGas), cap);
+    const priorityFee  = min(maxPriorityFeePerGas, maxFeePerGas);
+    if (maxFeePerGas < minimum(request.maxFeePerGas) || priorityFee < minimum(request.maxPriorityFeePerGas)) return null;
+    return { maxFeePerGas, maxPriorityFeePerGas: priorityFee };
+  }
+
+  const gasPrice = min(raise(request.gasPrice, feeData.gasPrice), cap);
+  return gasPrice < minimum(request.gasPrice) ? null : { gasPrice };
+}
+
+/**
+ * Start the stuck transaction polling loop.
+ *
+ * @param {Function} onEvent - See checkStuckTransactions()
+ */
+function startStuckTxWatcher(onEvent) {
+  const intervalMs = (config.STUCK_TRANSACTIONS?.POLL_SECONDS || 15) * 1000;
+  console.log(`[StuckTx] Starting stuck transaction watcher (every ${intervalMs / 1000}s)...`);
+
+  setInterval(() => {
+    checkStuckTransactions(onEvent).catch(err => console.error("[StuckTx] Check failed:", err.message));
+  }, intervalMs);
+}
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+function thresholdFor(chain) {
+  const { PENDING_SECONDS } = config.STUCK_TRANSACTIONS;
+  return PENDING_SECONDS[chain.toUpperCase()] ?? PENDING_SECONDS.DEFAULT;
+}
+
+function capFor(chain) {
+  const { MAX_GAS_COST } = config.STUCK_TRANSACTIONS;
+  return MAX_GAS_COST[chain.toUpperCase()] ?? MAX_GAS_COST.DEFAULT;
+}
+
+function feeOf(fees) {
+  return fees.maxFeePerGas ?? fees.gasPrice;
+}
+
+function gwei(wei) {
+  return Number(ethers.formatUnits(wei, "gwei"));
+}
+
+function max(a, b) { return a > b ? a : b; }
+function min(a, b) { return a < b ? a : b; }
+
+module.exports = {
+  checkStuckTransactions,
+  bumpedFees,
+  startStuckTxWatcher,
+};
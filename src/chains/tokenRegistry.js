@@ -0,0 +1,197 @@
+/**
+ * tokenRegistry.js
+ * ─────────────────────────────────────────────────────────────────
+ * Token metadata per chain — address, decimals, what each bridge
+ * calls the token, and which bridged copies stand in for it. Built
+ * from config.TOKENS; every module looks tokens up and converts
+ * amounts through here instead of assuming 6 decimals.
+ *
+ *   - Lookups ignore case and accept a token's otherNames ("cUSD")
+ *   - toUnits() / fromUnits() convert between display amounts and
+ *     base units with the token's own decimals (USDm and CELO: 18)
+ *   - getVariants() lists a token and its bridged copies (USDC and
+ *     USDC.e), so a delivery in either is recognised
+ *   - verifyTokenDecimals() reads decimals() from each EVM chain at
+ *     startup; a mismatch is logged and the on-chain value used
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { ethers } = require("ethers");
+const config     = require("../../config/keys");
+
+const ERC20_ABI = ["function decimals() view returns (uint8)"];
+
+// "chain:symbol" → decimals read on-chain that disagreed with config
+const verifiedDecimals = new Map();
+
+/**
+ * Metadata for a token on a chain, or null when it isn't registered.
+ *
+ * @param {string} chain  - e.g. "celo"
+ * @param {string} symbol - e.g. "USDC", "usdm" or "cUSD"
+ * @returns {Object|null} { chain, symbol, address, decimals, bridgeSymbols, otherNames, canonical }
+ */
+function getToken(chain, symbol) {
+  if (!chain || !symbol) return null;
+  const tokens = config.TOKENS[chain.toUpperCase()] || {};
+  const wanted = String(symbol).toLowerCase();
+  const key = Object.keys(tokens).find(s => s.toLowerCase() === wanted)
+    || Object.keys(tokens).find(s => (tokens[s].otherNames || []).some(n => n.toLowerCase() === wanted));
+  return key ? describe(chain, key, tokens[key]) : null;
+}
+
+/**
+ * The token's contract (or mint) address on a chain, or null.
+ */
+function getTokenAddress(chain, symbol) {
+  return getToken(chain, symbol)?.address || null;
+}
+
+/**
+ * Display amount → base units. Digits past the token's decimals are
+ * dropped. Throws with code "UNKNOWN_TOKEN" for unregistered tokens.
+ *
+ * @param {number|string} amount - e.g. 12.5
+ * @returns {bigint}
+ */
+function toUnits(amount, chain, symbol) {
+  const { decimals } = requireToken(chain, symbol);
+  return ethers.parseUnits(decimalString(amount, decimals), decimals);
+}
+
+/**
+ * Base units → display amount (a number, for messages and quotes).
+ */
+function fromUnits(units, chain, symbol) {
+  return parseFloat(formatTokenUnits(units, chain, symbol));
+}
+
+/**
+ * Base units → exact decimal string, e.g. "12.5".
+ */
+function formatTokenUnits(units, chain, symbol) {
+  const { decimals } = requireToken(chain, symbol);
+  return ethers.formatUnits(BigInt(units), decimals);
+}
+
+/**
+ * What `bridge` ("axelar", "celer", ...) calls the token — its own
+ * symbol unless config lists a bridgeSymbols alias.
+ */
+function bridgeSymbol(chain, symbol, bridge) {
+  const token = getToken(chain, symbol);
+  return token?.bridgeSymbols[bridge] || token?.symbol || symbol;
+}
+
+/**
+ * The token and every bridged copy that stands in for it on a chain,
+ * canonical first.
+ *
+ * @returns {Object[]} Token metadata, as from getToken()
+ */
+function getVariants(chain, symbol) {
+  const token = getToken(chain, symbol);
+  if (!token) return [];
+  const canonical = token.canonical ? getToken(chain, token.canonical) || token : token;
+  const bridged   = listTokens(chain).filter(t => t.canonical === canonical.symbol);
+  return [canonical, ...bridged];
+}
+
+/**
+ * The registered token at `address` on a chain, or null.
+ */
+function findTokenByAddress(chain, address) {
+  if (!address) return null;
+  return listTokens(chain).find(t => t.address.toLowerCase() === address.toLowerCase()) || null;
+}
+
+/**
+ * Every token registered on a chain.
+ */
+function listTokens(chain) {
+  const tokens = config.TOKENS[chain.toUpperCase()] || {};
+  return Object.entries(tokens).map(([symbol, entry]) => describe(chain, symbol, entry));
+}
+
+/**
+ * Check configured decimals against decimals() on every EVM chain with
+ * an RPC. Run once at startup; unreachable chains are skipped.
+ *
+ * @returns {Promise<Object[]>} Mismatches: [{ chain, symbol, configured, onChain }]
+ */
+async function verifyTokenDecimals() {
+  const chains = Object.keys(config.TOKENS).filter(chain => config.RPC[chain]);
+  const results = await Promise.all(chains.map(chain => verifyChain(chain.toLowerCase())));
+  const mismatches = results.flat();
+  console.log(`[TokenRegistry] Decimals checked on ${chains.length} chain(s) — ${mismatches.length} mismatch(es)`);
+  return mismatches;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  HELPERS
+// ─────────────────────────────────────────────────────────────────
+
+async function verifyChain(chain) {
+  const provider   = new ethers.JsonRpcProvider(config.RPC[chain.toUpperCase()]);
+  const mismatches = [];
+  try {
+    for (const token of listTokens(chain)) {
+      if (!ethers.isAddress(token.address)) continue; // e.g. Solana mints
+      try {
+        const onChain = Number(await new ethers.Contract(token.address, ERC20_ABI, provider).decimals());
+        if (onChain === config.TOKENS[chain.toUpperCase()][token.symbol].decimals) continue;
+        console.error(`[TokenRegistry] ${token.symbol} on ${chain} has ${onChain} decimals, config says ${token.decimals} — using ${onChain}`);
+        verifiedDecimals.set(`${chain}:${token.symbol}`, onChain);
+        mismatches.push({ chain, symbol: token.symbol, configured: token.decimals, onChain });
+      } catch (err) {
+        console.warn(`[TokenRegistry] Could not verify ${token.symbol} decimals on ${chain}:`, err.shortMessage || err.message);
+      }
+    }
+  } finally {
+    provider.destroy();
+  }
+  return mismatches;
+}
+
+function describe(chain, symbol, entry) {
+  return {
+    chain:         chain.toLowerCase(),
+    symbol,
+    address:       entry.address,
+    decimals:      verifiedDecimals.get(`${chain.toLowerCase()}:${symbol}`) ?? entry.decimals,
+    bridgeSymbols: entry.bridgeSymbols || {},
+    otherNames:    entry.otherNames || [],
+    canonical:     entry.canonical || null,
+  };
+}
+
+function requireToken(chain, symbol) {
+  const token = getToken(chain, symbol);
+  if (!token) {
+    const err = new Error(`Token ${symbol} is not registered on ${chain}`);
+    err.code  = "UNKNOWN_TOKEN";
+    throw err;
+  }
+  return token;
+}
+
+// parseUnits() rejects exponent notation and more digits than the token has
+function decimalString(amount, decimals) {
+  let text = String(amount);
+  if (/e/i.test(text)) text = Number(amount).toFixed(Math.min(decimals, 20));
+  const [whole, fraction = ""] = text.split(".");
+  return fraction && decimals > 0 ? `${whole}.${fraction.slice(0, decimals)}` : whole;
+}
+
+module.exports = {
+  getToken,
+  getTokenAddress,
+  toUnits,
+  fromUnits,
+  formatTokenUnits,
+  bridgeSymbol,
+  getVariants,
+  findTokenByAddress,
+  listTokens,
+  verifyTokenDecimals,
+};
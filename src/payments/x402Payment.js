@@ -9,6 +9,8 @@
  *   2. User receives a payment request (ERC-20 transfer to fee wallet)
  *   3. Once payment is confirmed on-chain, transfer proceeds
  *   4. Each payment has a unique nonce — prevents replay attacks
+ *   5. The payer is screened against the denylists on request and
+ *      again on verification (utils/screening.js)
  *
  * Docs: https://thirdweb.com/x402
  * ─────────────────────────────────────────────────────────────────
@@ -16,6 +18,9 @@
 
 const { ethers } = require("ethers");
 const config     = require("../../config/keys");
+const { getAgentSigner } = require("../chains/signerService");
+const { getTokenAddress, toUnits } = require("../chains/tokenRegistry");
+const { screenParties } = require("../utils/screening");
 
 // ── ERC-20 minimal ABI ───────────────────────────────────────────
 const ERC20_ABI = [
@@ -53,10 +58,10 @@ function createPaymentRequest(sessionId, userAddress, token = "USDC") {
     userAddress,
     token,
     amount:         feeAmount,
-    amountUnits:    ethers.parseUnits(feeAmount.toString(), 6).toString(), // 6 decimals
+    amountUnits:    toUnits(feeAmount, "celo", token).toString(),
     payTo:          feeWallet,
     chain:          "celo", // Fee collected on Celo
-    tokenAddress:   config.TOKENS.CELO[token],
+    tokenAddress:   getTokenAddress("celo", token),
     expiresAt,
     paid:           false,
     verifiedTxHash: null,
@@ -91,6 +96,14 @@ async function verifyPayment(nonce, txHash) {
     return { verified: true, alreadyVerified: true };
   }
 
+  // Lists may have been refreshed since the request was made
+  const screening = await screenParties({
+    sessionId: record.sessionId, fromAddress: record.userAddress, context: "x402", details: { token: record.token, txHash },
+  });
+  if (screening.blocked) {
+    return { verified: false, reason: screening.reasons.join(" ") };
+  }
+
   try {
     // ── 🔑 RPC INJECTION POINT ──────────────────────────────────
     const provider = new ethers.JsonRpcProvider(config.RPC.CELO);
@@ -147,12 +160,11 @@ async function verifyPayment(nonce, txHash) {
 async function autoCollectFee(userAddress, token = "USDC") {
   try {
     // ── 🔑 AGENT WALLET ──────────────────────────────────────────
-    const provider = new ethers.JsonRpcProvider(config.RPC.CELO);
-    const agentWallet = new ethers.Wallet(config.AGENT_PRIVATE_KEY, provider);
+    const agentWallet = getAgentSigner("celo");
 
-    const tokenAddress  = config.TOKENS.CELO[token];
+    const tokenAddress  = getTokenAddress("celo", token);
     const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, agentWallet);
-    const feeAmount     = ethers.parseUnits(config.X402.SERVICE_FEE_AMOUNT.toString(), 6);
+    const feeAmount     = toUnits(config.X402.SERVICE_FEE_AMOUNT, "celo", token);
 
     // Check allowance first
     const allowance = await tokenContract.allowance(userAddress, agentWallet.address);
@@ -0,0 +1,201 @@
+/**
+ * addressBook.js
+ * ─────────────────────────────────────────────────────────────────
+ * Per-user named contacts ("save 0xA1B2... on Base as Mum", then
+ * "send 20 USDC to Mum").
+ *
+ *   - Each contact remembers its chain, so a saved EVM address is
+ *     sent to that chain instead of defaulting to Ethereum
+ *   - Names are unique per session, ignoring case; saving an existing
+ *     name replaces its address
+ *   - Persisted in the "contacts" store, one record per contact
+ *   - intentParser swaps contact names for their addresses before the
+ *     destination chain is detected
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { createStore } = require("./kvStore");
+const { detectChainFromAddress, validateAddressForChain, CHAIN_PATTERNS } = require("../chains/chainDetector");
+
+const store = createStore("contacts");
+
+const NAME_RE         = /^[\p{L}\p{N}][\p{L}\p{N} .'_-]{0,31}$/u;
+// Words the parser already reads as a token or chain
+const RESERVED_NAMES  = ["usdc", "usdt", "usdm", "cusd", "celo", "eth", "base", "ethereum", "polygon", "matic",
+                         "arbitrum", "arb", "solana", "sol", "optimism", "op", "me", "my wallet", "all"];
+
+/**
+ * Save a contact, or replace the address of one with the same name.
+ * Throws with code "INVALID_CONTACT" for a bad name, address or chain.
+ *
+ * @param {string} sessionId
+ * @param {Object} contact
+ * @param {string} contact.name    - e.g. "Mum"
+ * @param {string} contact.address
+ * @param {string} [contact.chain] - Required for EVM addresses
+ * @returns {Promise<{ contact: Object, replaced: boolean }>}
+ */
+async function saveContact(sessionId, { name, address, chain }) {
+  const fields   = checkContact({ name, address, chain });
+  const existing = await findByName(sessionId, fields.name);
+  if (existing) {
+    return { contact: await updateContact(existing.id, sessionId, fields), replaced: true };
+  }
+
+  const now = new Date().toISOString();
+  const contact = {
+    id:        `contact_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    sessionId,
+    ...fields,
+    addressSince: now,
+    createdAt:    now,
+    updatedAt:    now,
+  };
+
+  await store.set(contact.id, contact, { expectedVersion: 0 });
+  console.log(`[AddressBook] Saved ${contact.name} for ${sessionId}: ${contact.address} on ${contact.chain}`);
+  return { contact, replaced: false };
+}
+
+/**
+ * A session's contacts, sorted by name (the order users see them numbered in).
+ */
+async function listContacts(sessionId) {
+  const entries = await store.list();
+  return entries
+    .map(e => e.value)
+    .filter(c => c.sessionId === sessionId)
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+}
+
+/**
+ * Find one of a session's contacts by list number ("2"), id, name or address.
+ *
+ * @returns {Promise<Object|null>}
+ */
+async function findContact(sessionId, ref) {
+  const contacts = await listContacts(sessionId);
+  const key      = String(ref ?? "").trim().replace(/^#/, "");
+  if (/^\d+$/.test(key)) return contacts[parseInt(key) - 1] || null;
+  return contacts.find(c => c.id === key) || matchContact(contacts, key);
+}
+
+/**
+ * The contact in `contacts` whose name or address is `ref`, ignoring case.
+ */
+function matchContact(contacts, ref) {
+  const key = String(ref ?? "").trim().toLowerCase();
+  if (!key) return null;
+  return contacts.find(c => c.name.toLowerCase() === key)
+    || contacts.find(c => c.address.toLowerCase() === key)
+    || null;
+}
+
+/**
+ * Rename a contact or change its address / chain. Only its owner
+ * session may change it.
+ *
+ * @param {string} contactId
+ * @param {string} sessionId
+ * @param {Object} changes - { name?, address?, chain? }
+ * @returns {Promise<Object>} The updated contact
+ */
+async function updateContact(contactId, sessionId, changes) {
+  const contact = await getOwnedContact(contactId, sessionId);
+  const entry   = await store.get(contact.id);
+
+  // A new address keeps the contact's chain if it fits it, else is detected again
+  const address = changes.address || contact.address;
+  const chain   = changes.chain || (validateAddressForChain(address, contact.chain).valid ? contact.chain : undefined);
+  const fields  = checkContact({ name: changes.name || contact.name, address, chain });
+
+  const clash = fields.name.toLowerCase() !== contact.name.toLowerCase() && await findByName(sessionId, fields.name);
+  if (clash) throw contactError(`You already have a contact called ${clash.name}`, "INVALID_CONTACT");
+
+  // A new address is a new recipient for the spending policy's cooling period
+  const now = new Date().toISOString();
+  if (fields.address !== contact.address) entry.value.addressSince = now;
+  Object.assign(entry.value, fields, { updatedAt: now });
+  await store.set(contact.id, entry.value, { expectedVersion: entry.version });
+  console.log(`[AddressBook] Updated ${contact.id}: ${fields.name} → ${fields.address} on ${fields.chain}`);
+  return entry.value;
+}
+
+/**
+ * Delete a contact.
+ */
+async function deleteContact(contactId, sessionId) {
+  const contact = await getOwnedContact(contactId, sessionId);
+  await store.delete(contact.id);
+  console.log(`[AddressBook] Deleted ${contact.id} (${contact.name})`);
+  return contact;
+}
+
+/**
+ * One-line summary for chat channels, e.g. "1. Mum — 0xA1B2c3...9f3E on base"
+ */
+function formatContactLine(contact, index) {
+  const { name, address, chain } = contact;
+  return `${index + 1}. ${name} — ${address.slice(0, 8)}...${address.slice(-4)} on ${chain}`;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  HELPERS
+// ─────────────────────────────────────────────────────────────────
+
+// Normalised { name, address, chain }, or throws INVALID_CONTACT
+function checkContact({ name, address, chain }) {
+  const cleanName = String(name || "").trim().replace(/\s+/g, " ");
+  if (!NAME_RE.test(cleanName) || /^\d+$/.test(cleanName)) {
+    throw contactError(`"${cleanName}" can't be a contact name — use up to 32 letters, numbers or spaces`, "INVALID_CONTACT");
+  }
+  if (RESERVED_NAMES.includes(cleanName.toLowerCase()) || detectChainFromAddress(cleanName).chain !== "unknown") {
+    throw contactError(`"${cleanName}" can't be a contact name — it reads as a token, chain or address`, "INVALID_CONTACT");
+  }
+
+  const cleanAddress = String(address || "").trim();
+  const detected     = detectChainFromAddress(cleanAddress);
+  if (detected.chain === "unknown" || detected.unsupported) {
+    throw contactError(`I don't recognise ${cleanAddress || "that"} as a wallet address I can send to`, "INVALID_CONTACT");
+  }
+
+  const evm        = CHAIN_PATTERNS.EVM.test(cleanAddress);
+  const cleanChain = chain ? String(chain).trim().toLowerCase() : evm ? null : detected.chain;
+  if (!cleanChain) {
+    throw contactError(`Which chain is ${cleanAddress.slice(0, 8)}... on? Add it, e.g. "save ${cleanAddress.slice(0, 8)}... on Base as ${cleanName}"`, "INVALID_CONTACT");
+  }
+
+  const check = validateAddressForChain(cleanAddress, cleanChain);
+  if (!check.valid) throw contactError(check.reason, "INVALID_CONTACT");
+
+  return { name: cleanName, address: cleanAddress, chain: cleanChain };
+}
+
+async function findByName(sessionId, name) {
+  const contacts = await listContacts(sessionId);
+  return contacts.find(c => c.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+async function getOwnedContact(contactId, sessionId) {
+  const entry = await store.get(contactId);
+  if (!entry || (sessionId && entry.value.sessionId !== sessionId)) {
+    throw contactError(`Contact ${contactId} not found`, "CONTACT_NOT_FOUND");
+  }
+  return entry.value;
+}
+
+function contactError(message, code) {
+  const err = new Error(message);
+  err.code  = code;
+  return err;
+}
+
+module.exports = {
+  saveContact,
+  listContacts,
+  findContact,
+  matchContact,
+  updateContact,
+  deleteContact,
+  formatContactLine,
+};
@@ -0,0 +1,297 @@
+/**
+ * kvStore.js
+ * ─────────────────────────────────────────────────────────────────
+ * Pluggable key/value persistence shared by every stateful module
+ * (sessions, transfer ledger, schedules, ...).
+ *
+ * Backends (choose with STORAGE.BACKEND in config/keys.js):
+ *   - memory  → plain Map, lost on restart (local dev default)
+ *   - file    → one JSON file per namespace under STORAGE.DATA_DIR
+ *   - redis   → any Redis-compatible server (Redis, Valkey, Upstash)
+ *
+ * Every record carries a version number. Passing `expectedVersion`
+ * to set() turns the write into a compare-and-set, which is how
+ * callers get optimistic locking without holding a lock. update()
+ * wraps that in the usual read-modify-write-retry loop.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const fs     = require("fs");
+const path   = require("path");
+const config = require("../../config/keys");
+
+/**
+ * Create a store for one namespace (e.g. "sessions").
+ *
+ * @param {string} namespace
+ * @param {Object} [options]
+ * @param {string} [options.backend]  - "memory" | "file" | "redis"
+ * @param {string} [options.dataDir]  - Directory for the file backend
+ * @param {string} [options.redisUrl] - Connection URL for the redis backend
+ * @returns {{ get: Function, set: Function, update: Function, delete: Function, list: Function }}
+ */
+function createStore(namespace, options = {}) {
+  const backend = options.backend || config.STORAGE?.BACKEND || "memory";
+
+  switch (backend) {
+    case "memory":
+      return withUpdate(createMemoryStore(namespace));
+    case "file":
+      return withUpdate(createFileStore(namespace, options.dataDir || config.STORAGE?.DATA_DIR || "./data"));
+    case "redis":
+      return withUpdate(createRedisStore(namespace, options.redisUrl || config.STORAGE?.REDIS_URL));
+    default:
+      throw new Error(`Unknown storage backend "${backend}". Use memory, file or redis.`);
+  }
+}
+
+// A lost compare-and-set in update() is retried this many times in all
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Give a store update(key, mutate): read the value, let `mutate` change
+ * it and write it back with a compare-and-set, starting over when
+ * another writer saved the key in between.
+ *
+ * `mutate` gets the current value (null if there is none) and returns
+ * the value to write — or changes it in place and returns nothing. It
+ * may run more than once, so it should have no side effects; throwing
+ * from it aborts the update. Resolves to the value written.
+ */
+function withUpdate(store) {
+  store.update = async (key, mutate) => {
+    for (let attempt = 1; ; attempt++) {
+      const entry   = await store.get(key);
+      const current = entry ? entry.value : null;
+      const result  = mutate(current);
+      const value   = result === undefined ? current : result;
+      try {
+        await store.set(key, value, { expectedVersion: entry ? entry.version : 0 });
+        return value;
+      } catch (err) {
+        if (err.code !== "VERSION_CONFLICT" || attempt >= MAX_UPDATE_ATTEMPTS) throw err;
+      }
+    }
+  };
+  return store;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  RECORD HELPERS
+//  A record is { value, version, expiresAt } — expiresAt is ms or null
+// ─────────────────────────────────────────────────────────────────
+
+function isExpired(record, now = Date.now()) {
+  return record.expiresAt !== null && record.expiresAt !== undefined && record.expiresAt <= now;
+}
+
+function buildRecord(current, value, { ttlMs, expectedVersion } = {}, namespace, key) {
+  const currentVersion = current ? current.version : 0;
+
+  if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+    throw versionConflict(namespace, key, expectedVersion, currentVersion);
+  }
+
+  return {
+    value:     JSON.parse(JSON.stringify(value)), // detach from the caller's object
+    version:   currentVersion + 1,
+    expiresAt: ttlMs ? Date.now() + ttlMs : null,
+  };
+}
+
+function versionConflict(namespace, key, expected, actual) {
+  const err = new Error(`${namespace}/${key} was modified concurrently (expected v${expected}, found v${actual})`);
+  err.code  = "VERSION_CONFLICT";
+  return err;
+}
+
+function toEntry(key, record) {
+  return { key, value: JSON.parse(JSON.stringify(record.value)), version: record.version };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  MEMORY BACKEND
+// ─────────────────────────────────────────────────────────────────
+
+function createMemoryStore(namespace) {
+  const records = new Map();
+  return createSyncStore(namespace, "memory", {
+    read:  () => records,
+    write: () => {}, // nothing to flush
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  FILE BACKEND
+//  The whole namespace lives in one JSON file, rewritten atomically
+//  (tmp file + rename) after every change. Reads and writes are
+//  synchronous, so compare-and-set is atomic within one process.
+// ─────────────────────────────────────────────────────────────────
+
+function createFileStore(namespace, dataDir) {
+  const dir      = path.resolve(__dirname, "../..", dataDir);
+  const filePath = path.join(dir, `${namespace}.json`);
+  let records    = null;
+
+  function read() {
+    if (records) return records;
+    records = new Map();
+    try {
+      const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      for (const [key, record] of Object.entries(raw)) records.set(key, record);
+    } catch (err) {
+      if (err.code !== "ENOENT") console.warn(`[KVStore] Could not read ${filePath}:`, err.message);
+    }
+    return records;
+  }
+
+  function write() {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(records), null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return createSyncStore(namespace, "file", { read, write });
+}
+
+/**
+ * Shared implementation for backends that hold every record in a Map.
+ */
+function createSyncStore(namespace, backend, { read, write }) {
+  function getRecord(key) {
+    const records = read();
+    const record  = records.get(key);
+    if (!record) return null;
+    if (isExpired(record)) {
+      records.delete(key);
+      write();
+      return null;
+    }
+    return record;
+  }
+
+  return {
+    backend,
+
+    async get(key) {
+      const record = getRecord(key);
+      return record ? toEntry(key, record) : null;
+    },
+
+    async set(key, value, options = {}) {
+      const record = buildRecord(getRecord(key), value, options, namespace, key);
+      read().set(key, record);
+      write();
+      return record.version;
+    },
+
+    async delete(key) {
+      const existed = read().delete(key);
+      if (existed) write();
+      return existed;
+    },
+
+    async list() {
+      const now     = Date.now();
+      const records = read();
+      const entries = [];
+      let pruned    = false;
+      for (const [key, record] of records) {
+        if (isExpired(record, now)) { records.delete(key); pruned = true; continue; }
+        entries.push(toEntry(key, record));
+      }
+      if (pruned) write();
+      return entries;
+    },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  REDIS BACKEND
+//  🔑 SDK: pnpm add redis  (listed in optionalDependencies)
+//  Compare-and-set runs as a Lua script so it stays atomic across
+//  several server instances.
+// ─────────────────────────────────────────────────────────────────
+
+const REDIS_CAS_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local version = 0
+if current then version = cjson.decode(current).version end
+if ARGV[1] ~= '' and tonumber(ARGV[1]) ~= version then return -1 - version end
+local nextVersion = version + 1
+local record = '{"version":' .. nextVersion .. ',"expiresAt":' .. ARGV[3] .. ',"value":' .. ARGV[2] .. '}'
+if tonumber(ARGV[4]) > 0 then
+  redis.call('SET', KEYS[1], record, 'PX', ARGV[4])
+else
+  redis.call('SET', KEYS[1], record)
+end
+return nextVersion
+`;
+
+function createRedisStore(namespace, redisUrl) {
+  const prefix = `crossflow:${namespace}:`;
+  let clientPromise = null;
+
+  function getClient() {
+    if (!clientPromise) {
+      let createClient;
+      try {
+        ({ createClient } = require("redis"));
+      } catch {
+        throw new Error("Redis client not found. Run: pnpm add redis");
+      }
+      const client = createClient({ url: redisUrl });
+      client.on("error", (err) => console.error("[KVStore] Redis error:", err.message));
+      clientPromise = client.connect().then(() => client);
+    }
+    return clientPromise;
+  }
+
+  return {
+    backend: "redis",
+
+    async get(key) {
+      const client = await getClient();
+      const raw    = await client.get(prefix + key);
+      return raw ? toEntry(key, JSON.parse(raw)) : null;
+    },
+
+    async set(key, value, { ttlMs, expectedVersion } = {}) {
+      const client  = await getClient();
+      const result  = await client.eval(REDIS_CAS_SCRIPT, {
+        keys:      [prefix + key],
+        arguments: [
+          expectedVersion === undefined ? "" : String(expectedVersion),
+          JSON.stringify(value),
+          ttlMs ? String(Date.now() + ttlMs) : "null",
+          String(ttlMs || 0),
+        ],
+      });
+      if (result < 0) throw versionConflict(namespace, key, expectedVersion, -1 - result);
+      return result;
+    },
+
+    async delete(key) {
+      const client = await getClient();
+      return (await client.del(prefix + key)) > 0;
+    },
+
+    async list() {
+      const client  = await getClient();
+      const entries = [];
+      for await (const found of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+        // node-redis v4 yields keys one by one, v5 yields batches
+        for (const fullKey of [].concat(found)) {
+          const raw = await client.get(fullKey);
+          if (raw) entries.push(toEntry(fullKey.slice(prefix.length), JSON.parse(raw)));
+        }
+      }
+      return entries;
+    },
+  };
+}
+
+module.exports = {
+  createStore,
+};
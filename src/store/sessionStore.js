@@ -0,0 +1,168 @@
+/**
+ * sessionStore.js
+ * ─────────────────────────────────────────────────────────────────
+ * Durable home for conversation sessions (state machine, history,
+ * pending transactions). Replaces the orchestrator's old in-memory
+ * activeSessions Map so a restart or redeploy no longer drops a
+ * flow halfway through.
+ *
+ *   - TTL: every save pushes the expiry forward
+ *     (STORAGE.SESSION_TTL_MINUTES in config/keys.js)
+ *   - Optimistic locking: saveSession() only succeeds if nobody else
+ *     saved the same session since it was loaded
+ *   - Migrations: stored sessions are upgraded to the current shape
+ *     on load, see SESSION_MIGRATIONS
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const config          = require("../../config/keys");
+const { createStore } = require("./kvStore");
+
+const store = createStore("sessions");
+
+// Version of the shape built by createSession(). Bump it and add a
+// migration below whenever a field is added, renamed or reshaped.
+const SESSION_SCHEMA_VERSION = 3;
+
+// Each entry upgrades a session FROM that version to the next one.
+const SESSION_MIGRATIONS = {
+  // v1 → v2: sessions from before the store existed had no schema
+  // marker and no updatedAt timestamp.
+  1: (session) => ({
+    ...session,
+    alerts:        session.alerts  || [],
+    history:       session.history || [],
+    updatedAt:     session.createdAt || new Date().toISOString(),
+    schemaVersion: 2,
+  }),
+  // v2 → v3: draftIntent holds a transfer still waiting for details
+  // from a clarification question.
+  2: (session) => ({
+    ...session,
+    draftIntent:   null,
+    schemaVersion: 3,
+  }),
+};
+
+// Store version each session object was loaded at — used as the
+// expected version on the next save.
+const loadedVersions = new WeakMap();
+
+function getTtlMs() {
+  return (config.STORAGE?.SESSION_TTL_MINUTES || 1440) * 60 * 1000;
+}
+
+/**
+ * Build a fresh session.
+ *
+ * @param {string} sessionId
+ * @param {Object} [walletInfo] - Connected wallet info from frontend
+ * @returns {Object}
+ */
+function createSession(sessionId, walletInfo = {}) {
+  const now = new Date().toISOString();
+  return {
+    sessionId,
+    schemaVersion:      SESSION_SCHEMA_VERSION,
+    state:              "idle",
+    walletAddress:      walletInfo.address || null,
+    connectedChain:     walletInfo.chainId || 42220, // Default to Celo
+    history:            [],
+    pendingTransaction: null,
+    draftIntent:        null,
+    alerts:             [],
+    createdAt:          now,
+    updatedAt:          now,
+  };
+}
+
+/**
+ * Upgrade a stored session to SESSION_SCHEMA_VERSION.
+ *
+ * @param {Object} session
+ * @returns {Object}
+ */
+function migrateSession(session) {
+  let migrated = session;
+  let version  = migrated.schemaVersion || 1;
+
+  while (version < SESSION_SCHEMA_VERSION) {
+    const migrate = SESSION_MIGRATIONS[version];
+    if (!migrate) throw new Error(`No session migration from schema v${version}`);
+    migrated = migrate(migrated);
+    version  = migrated.schemaVersion;
+  }
+  return migrated;
+}
+
+/**
+ * Load a session, creating (but not yet saving) one if none exists.
+ *
+ * @param {string} sessionId
+ * @param {Object} [walletInfo]
+ * @returns {Promise<Object>}
+ */
+async function loadSession(sessionId, walletInfo = {}) {
+  const entry = await store.get(sessionId);
+
+  const session = entry ? migrateSession(entry.value) : createSession(sessionId, walletInfo);
+  if (walletInfo.address && !session.walletAddress) session.walletAddress = walletInfo.address;
+
+  loadedVersions.set(session, entry ? entry.version : 0);
+  return session;
+}
+
+/**
+ * Persist a session loaded with loadSession().
+ * Throws an error with code "SESSION_CONFLICT" if another request
+ * saved the same session in the meantime.
+ *
+ * @param {Object} session
+ * @returns {Promise<Object>} The same session, now at the new version
+ */
+async function saveSession(session) {
+  session.updatedAt = new Date().toISOString();
+
+  try {
+    const version = await store.set(session.sessionId, session, {
+      ttlMs:           getTtlMs(),
+      expectedVersion: loadedVersions.get(session),
+    });
+    loadedVersions.set(session, version);
+    return session;
+  } catch (err) {
+    if (err.code === "VERSION_CONFLICT") {
+      const conflict = new Error(`Session ${session.sessionId} was updated by another request`);
+      conflict.code  = "SESSION_CONFLICT";
+      throw conflict;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Remove a session entirely.
+ */
+async function deleteSession(sessionId) {
+  return store.delete(sessionId);
+}
+
+/**
+ * List every live (non-expired) session.
+ *
+ * @returns {Promise<Object[]>}
+ */
+async function listSessions() {
+  const entries = await store.list();
+  return entries.map(e => migrateSession(e.value));
+}
+
+module.exports = {
+  createSession,
+  migrateSession,
+  loadSession,
+  saveSession,
+  deleteSession,
+  listSessions,
+  SESSION_SCHEMA_VERSION,
+};
@@ -0,0 +1,280 @@
+/**
+ * transferLedger.js
+ * ─────────────────────────────────────────────────────────────────
+ * Durable record of every transfer the agent executes, step by step.
+ * If the process dies halfway (e.g. between the approval and the
+ * bridge call), the ledger is what tells us where it stopped.
+ *
+ * Lifecycle:
+ *   quoted → approved → submitted → source_confirmed → delivered
+ *      └──────────┴───────────┴──────────────┴──────→ failed
+ *
+ * Multi-leg transfers (e.g. swap then bridge) also keep a `legs`
+ * list, each leg with its own status — see LEG_STATUSES. The overall
+ * status above always describes the bridge leg — or, for a transfer
+ * split across several bridges ("bridge_1", "bridge_2"...), all of
+ * them together.
+ *
+ * Non-custodial transfers are signed in the user's own wallet: the
+ * entry keeps the `signer` address and the unsigned `transactions`
+ * handed to it, and each one's hash once the wallet reports it.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { createStore } = require("./kvStore");
+
+const store = createStore("transfers");
+
+const TRANSFER_STATUSES = ["quoted", "approved", "submitted", "source_confirmed", "delivered", "failed"];
+
+// Statuses that still need work (or a reconciliation after a crash)
+const UNFINISHED_STATUSES = ["quoted", "approved", "submitted"];
+
+const LEG_STATUSES = ["pending", "executing", "completed", "failed", "rolled_back"];
+
+/**
+ * Open a ledger entry for a transfer the user has just confirmed.
+ *
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {Object} params.intent      - Transfer intent (token, amount, chains, address)
+ * @param {Object} params.bridgeQuote - Quote being executed
+ * @param {Object[]} [params.legs]    - Execution plan, one entry per leg
+ * @param {string} [params.batchId]   - Set when the transfer is one row of a batch
+ * @param {string} [params.signer]    - User wallet that signs (non-custodial); null = agent wallet
+ * @param {Object[]} [params.transactions] - Unsigned transactions handed to that wallet
+ * @returns {Promise<Object>} The new entry
+ */
+async function createTransfer({ sessionId, intent, bridgeQuote, legs = [], batchId = null, signer = null, transactions = [] }) {
+  const now = new Date().toISOString();
+  const transfer = {
+    id:        `xfer_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    sessionId,
+    batchId,
+    status:    "quoted",
+    intent: {
+      token:     intent.token,
+      amount:    intent.amount,
+      fromChain: intent.fromChain || "celo",
+      toChain:   intent.toChain,
+      toAddress: intent.toAddress,
+      receiveToken: intent.receiveToken || null,
+    },
+    bridgeQuote: {
+      bridge:           bridgeQuote.bridge,
+      executionMethod:  bridgeQuote.executionMethod,
+      feeUSD:           bridgeQuote.feeUSD,
+      estimatedMinutes: bridgeQuote.estimatedMinutes,
+      rawQuote:         bridgeQuote.rawQuote || null,
+    },
+    legs:          legs.map(leg => ({ ...leg, status: leg.status || "pending" })),
+    signer,
+    transactions:  transactions.map(tx => ({ ...tx, txHash: null })),
+    approveTxHash: null,
+    sourceTxHash:  null,
+    destTxHash:    null,
+    delivery:      null,
+    error:         null,
+    steps:         [{ status: "quoted", txHash: null, at: now }],
+    createdAt:     now,
+    updatedAt:     now,
+  };
+
+  await store.set(transfer.id, transfer, { expectedVersion: 0 });
+  console.log(`[Ledger] ${transfer.id} quoted | ${intent.amount} ${intent.token} → ${intent.toChain} via ${bridgeQuote.bridge}`);
+  return transfer;
+}
+
+/**
+ * Move a transfer to a new status and append the step to its history.
+ *
+ * @param {string} transferId
+ * @param {string} status          - One of TRANSFER_STATUSES
+ * @param {Object} [details]
+ * @param {string} [details.txHash] - Transaction hash for this step
+ * @param {string} [details.error]  - Failure reason (status "failed")
+ * @param {string} [details.note]   - Free-form context for the step
+ * @returns {Promise<Object>} The updated entry
+ */
+async function recordStep(transferId, status, { txHash = null, error = null, note = null } = {}) {
+  if (!TRANSFER_STATUSES.includes(status)) throw new Error(`Unknown transfer status "${status}"`);
+
+  const transfer = await updateTransfer(transferId, (transfer) => {
+    const now = new Date().toISOString();
+    transfer.status    = status;
+    transfer.updatedAt = now;
+    transfer.steps.push({ status, txHash, at: now, ...(note && { note }), ...(error && { error }) });
+
+    if (status === "approved"  && txHash) transfer.approveTxHash = txHash;
+    if (status === "submitted" && txHash) transfer.sourceTxHash  = txHash;
+    if (status === "source_confirmed" && txHash) transfer.sourceTxHash = txHash;
+    if (status === "delivered" && txHash) transfer.destTxHash = txHash;
+    if (status === "failed") transfer.error = error || note || "Unknown error";
+  });
+
+  console.log(`[Ledger] ${transferId} ${status}${txHash ? ` | ${txHash}` : ""}${error ? ` | ${error}` : ""}`);
+  return transfer;
+}
+
+/**
+ * Update one leg of a multi-leg transfer (status, tx hash, amounts...).
+ * A `delivery` object in the patch is merged into the leg's existing one.
+ *
+ * @param {string} transferId
+ * @param {string} legId   - e.g. "swap", "bridge" or "bridge_2"
+ * @param {Object} patch   - Fields to merge; `status` must be one of LEG_STATUSES
+ * @returns {Promise<Object>} The updated entry
+ */
+async function recordLeg(transferId, legId, patch) {
+  if (patch.status && !LEG_STATUSES.includes(patch.status)) throw new Error(`Unknown leg status "${patch.status}"`);
+
+  let leg;
+  const transfer = await updateTransfer(transferId, (transfer) => {
+    leg = (transfer.legs || []).find(l => l.id === legId);
+    if (!leg) throw new Error(`Transfer ${transferId} has no "${legId}" leg`);
+
+    const delivery = patch.delivery ? { delivery: { ...leg.delivery, ...patch.delivery } } : {};
+    Object.assign(leg, patch, delivery, { updatedAt: new Date().toISOString() });
+    transfer.updatedAt = leg.updatedAt;
+  });
+
+  if (patch.status || patch.txHash) {
+    console.log(`[Ledger] ${transferId} ${legId} leg ${leg.status}${patch.txHash ? ` | ${patch.txHash}` : ""}`);
+  }
+  return transfer;
+}
+
+/**
+ * Record the hash the user's wallet returned for one of the unsigned
+ * transactions of a non-custodial transfer.
+ *
+ * @param {string} transferId
+ * @param {number} index  - Position in `transactions`
+ * @param {string} txHash
+ * @returns {Promise<Object>} The updated entry
+ */
+async function recordSignedTransaction(transferId, index, txHash) {
+  const transfer = await updateTransfer(transferId, (transfer) => {
+    const tx = transfer.transactions?.[index];
+    if (!tx) throw new Error(`Transfer ${transferId} has no transaction #${index}`);
+
+    tx.txHash          = txHash;
+    tx.signedAt        = new Date().toISOString();
+    transfer.updatedAt = tx.signedAt;
+  });
+
+  console.log(`[Ledger] ${transferId} signed #${index} (${transfer.transactions[index].kind}) | ${txHash}`);
+  return transfer;
+}
+
+/**
+ * Swap a transaction hash for the one that replaced it (a stuck
+ * transaction re-sent with a higher fee), wherever an unfinished
+ * transfer refers to it.
+ *
+ * @param {string} oldHash
+ * @param {string} newHash
+ * @returns {Promise<Object|null>} The updated entry, or null if no transfer uses `oldHash`
+ */
+async function recordReplacement(oldHash, newHash) {
+  const transfer = (await listUnfinishedTransfers()).find(t =>
+    t.approveTxHash === oldHash || t.sourceTxHash === oldHash ||
+    t.legs?.some(l => l.txHash === oldHash || l.approveTxHash === oldHash));
+  if (!transfer) return null;
+
+  const updated = await updateTransfer(transfer.id, (transfer) => {
+    const swap = (obj, field) => { if (obj[field] === oldHash) obj[field] = newHash; };
+    swap(transfer, "approveTxHash");
+    swap(transfer, "sourceTxHash");
+    (transfer.legs || []).forEach(leg => { swap(leg, "txHash"); swap(leg, "approveTxHash"); });
+    transfer.replacements = [...(transfer.replacements || []), { oldHash, newHash, at: new Date().toISOString() }];
+    transfer.updatedAt    = transfer.replacements.at(-1).at;
+  });
+
+  console.log(`[Ledger] ${transfer.id} replaced ${oldHash} → ${newHash}`);
+  return updated;
+}
+
+/**
+ * Store the latest destination-side progress for a transfer without
+ * changing its status (used by the delivery tracker while in flight).
+ *
+ * @param {string} transferId
+ * @param {Object} delivery - { state, destTxHash?, detail?, ... }
+ * @returns {Promise<Object>} The updated entry
+ */
+async function recordDeliveryProgress(transferId, delivery) {
+  return updateTransfer(transferId, (transfer) => {
+    const now = new Date().toISOString();
+    transfer.delivery  = { ...transfer.delivery, ...delivery, checkedAt: now };
+    transfer.updatedAt = now;
+  });
+}
+
+/**
+ * Read-modify-write one entry, retrying when another writer (e.g. a
+ * parallel bridge leg) saved it in between.
+ */
+async function updateTransfer(transferId, mutate) {
+  return await store.update(transferId, (transfer) => {
+    if (!transfer) throw new Error(`Transfer ${transferId} not found in ledger`);
+    mutate(transfer);
+  });
+}
+
+/**
+ * Fetch a single ledger entry.
+ *
+ * @param {string} transferId
+ * @returns {Promise<Object|null>}
+ */
+async function getTransfer(transferId) {
+  const entry = await store.get(transferId);
+  return entry ? entry.value : null;
+}
+
+/**
+ * Query the ledger, newest first.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.sessionId]
+ * @param {string} [filters.batchId]
+ * @param {string|string[]} [filters.status]
+ * @param {number} [filters.limit]
+ * @returns {Promise<Object[]>}
+ */
+async function listTransfers({ sessionId, batchId, status, limit } = {}) {
+  const statuses = status ? [].concat(status) : null;
+  const entries  = await store.list();
+
+  const transfers = entries
+    .map(e => e.value)
+    .filter(t => !sessionId || t.sessionId === sessionId)
+    .filter(t => !batchId || t.batchId === batchId)
+    .filter(t => !statuses || statuses.includes(t.status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return limit ? transfers.slice(0, limit) : transfers;
+}
+
+/**
+ * Transfers that were interrupted before reaching the source chain.
+ */
+async function listUnfinishedTransfers() {
+  return listTransfers({ status: UNFINISHED_STATUSES });
+}
+
+module.exports = {
+  createTransfer,
+  recordStep,
+  recordLeg,
+  recordSignedTransaction,
+  recordReplacement,
+  recordDeliveryProgress,
+  getTransfer,
+  listTransfers,
+  listUnfinishedTransfers,
+  TRANSFER_STATUSES,
+  UNFINISHED_STATUSES,
+  LEG_STATUSES,
+};
@@ -0,0 +1,51 @@
+/**
+ * userSettings.js
+ * ─────────────────────────────────────────────────────────────────
+ * Per-user preferences that outlive a chat session ("set my slippage
+ * to 0.3%", "set my daily limit to $500").
+ *
+ *   - Persisted in the "settings" store, one record per session id
+ *   - A setting that was never set (or was reset) reads as null, and
+ *     the caller falls back to the config default
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const { createStore } = require("./kvStore");
+
+const store = createStore("settings");
+
+const DEFAULT_SETTINGS = {
+  slippagePercent: null,
+  policy:          null,   // Spending limits — see utils/spendingPolicy.js
+};
+
+/**
+ * A user's settings, with every unset field null.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<Object>}
+ */
+async function getUserSettings(sessionId) {
+  const entry = await store.get(sessionId);
+  return { ...DEFAULT_SETTINGS, ...(entry?.value || {}) };
+}
+
+/**
+ * Change some of a user's settings; null resets one to the default.
+ *
+ * @param {string} sessionId
+ * @param {Object} changes - e.g. { slippagePercent: 0.3 }
+ * @returns {Promise<Object>} The updated settings
+ */
+async function updateUserSettings(sessionId, changes) {
+  const settings = await store.update(sessionId, (current) => (
+    { ...DEFAULT_SETTINGS, ...(current || {}), ...changes, updatedAt: new Date().toISOString() }
+  ));
+  console.log(`[UserSettings] ${sessionId}:`, JSON.stringify(changes));
+  return settings;
+}
+
+module.exports = {
+  getUserSettings,
+  updateUserSettings,
+};
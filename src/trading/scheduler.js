@@ -0,0 +1,377 @@
+/**
+ * scheduler.js
+ * ─────────────────────────────────────────────────────────────────
+ * Recurring transfers ("every Friday send 50 USDC to my Base wallet").
+ *
+ *   - Schedules are standard 5-field cron expressions, evaluated in
+ *     UTC. intentParser turns plain English into one.
+ *   - Persisted in the "schedules" store (survives restarts when
+ *     STORAGE.BACKEND is file or redis).
+ *   - The polling loop claims each due run with a compare-and-set on
+ *     the schedule record, so two server instances never both fire it.
+ *   - The route is re-quoted at every run; the run is skipped if the
+ *     best fee is above the schedule's cap (see runScheduledTransfer
+ *     in the orchestrator).
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const config          = require("../../config/keys");
+const { createStore } = require("../store/kvStore");
+
+const store = createStore("schedules");
+
+const SCHEDULE_STATUSES = ["active", "paused"];
+
+// Run history kept per schedule
+const MAX_RUN_HISTORY = 20;
+
+// ─────────────────────────────────────────────────────────────────
+//  CRON
+//  minute hour day-of-month month day-of-week   (UTC)
+//  Supports *, lists (1,15), ranges (1-5) and steps (*/15, 0-30/10).
+// ─────────────────────────────────────────────────────────────────
+
+const CRON_FIELDS = [
+  { name: "minute",       min: 0, max: 59 },
+  { name: "hour",         min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month",        min: 1, max: 12 },
+  { name: "day of week",  min: 0, max: 7  }, // 0 and 7 are both Sunday
+];
+
+/**
+ * Parse and validate a cron expression.
+ * Throws an error with code "INVALID_SCHEDULE" if it is malformed.
+ *
+ * @param {string} expression - e.g. "0 9 * * 5"
+ * @returns {Object} Sets of allowed values per field
+ */
+function parseCron(expression) {
+  const parts = String(expression || "").trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw scheduleError(`"${expression}" is not a cron expression (expected: minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === "*", anyWeekday: parts[4] === "*" };
+}
+
+function parseCronField(field, { name, min, max }) {
+  const values = new Set();
+  for (const part of field.split(",")) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) throw scheduleError(`Invalid ${name} "${part}" in cron expression`);
+
+    const [, base, rangeEnd, stepStr] = match;
+    const start = base === "*" ? min : parseInt(base);
+    const end   = base === "*" ? max : rangeEnd !== undefined ? parseInt(rangeEnd) : stepStr ? max : start;
+    const step  = stepStr ? parseInt(stepStr) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw scheduleError(`${name} "${part}" is out of range (${min}-${max})`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Next time (strictly after `after`) a cron expression fires, in UTC.
+ *
+ * @param {string} expression
+ * @param {Date}   [after]
+ * @returns {Date}
+ */
+function nextRunTime(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const t    = new Date(after.getTime());
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+
+  // Five years covers every valid expression, including Feb 29
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (t.getTime() <= limit) {
+    if (!cron.months.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0);
+    } else if (!dayMatches(cron, t)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0);
+    } else if (!cron.hours.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1);
+    } else {
+      return t;
+    }
+  }
+  throw scheduleError(`Cron expression "${expression}" never fires`);
+}
+
+// Standard cron rule: if both day fields are restricted, either may match
+function dayMatches(cron, t) {
+  const dom = cron.days.has(t.getUTCDate());
+  const dow = cron.weekdays.has(t.getUTCDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay)     return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  SCHEDULE STORE
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Create an active schedule.
+ *
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {Object} params.transfer    - { token, amount, fromChain, toChain, toAddress, priority, slippagePercent }
+ * @param {string} params.cron        - 5-field cron expression (UTC)
+ * @param {string} [params.description] - Human-readable form, e.g. "every Friday at 09:00 UTC"
+ * @param {number} [params.maxFeeUSD] - Skip a run if the best fee is above this
+ * @returns {Promise<Object>} The new schedule
+ */
+async function createSchedule({ sessionId, transfer, cron, description, maxFeeUSD }) {
+  const now = new Date();
+  const schedule = {
+    id:          `sched_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    sessionId,
+    status:      "active",
+    transfer: {
+      token:     transfer.token,
+      amount:    transfer.amount,
+      fromChain: transfer.fromChain || "celo",
+      toChain:   transfer.toChain,
+      toAddress: transfer.toAddress,
+      priority:  transfer.priority || "cheapest",
+      // null → each run uses the user's slippage setting at the time
+      slippagePercent: transfer.slippagePercent ?? null,
+    },
+    cron,
+    description: description || `cron "${cron}" (UTC)`,
+    maxFeeUSD:   maxFeeUSD || config.SCHEDULER?.DEFAULT_MAX_FEE_USD || 2,
+    nextRunAt:   nextRunTime(cron, now).toISOString(),
+    lastRunAt:   null,
+    runs:        [],
+    createdAt:   now.toISOString(),
+    updatedAt:   now.toISOString(),
+  };
+
+  await store.set(schedule.id, schedule, { expectedVersion: 0 });
+  console.log(`[Scheduler] Created ${schedule.id} for ${sessionId}: ${schedule.description} | next ${schedule.nextRunAt}`);
+  return schedule;
+}
+
+/**
+ * Fetch one schedule.
+ */
+async function getSchedule(scheduleId) {
+  const entry = await store.get(scheduleId);
+  return entry ? entry.value : null;
+}
+
+/**
+ * List schedules, oldest first (the order users see them numbered in).
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.sessionId]
+ * @param {string} [filters.status]
+ * @returns {Promise<Object[]>}
+ */
+async function listSchedules({ sessionId, status } = {}) {
+  const entries = await store.list();
+  return entries
+    .map(e => e.value)
+    .filter(s => !sessionId || s.sessionId === sessionId)
+    .filter(s => !status || s.status === status)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Pause a schedule. Only its owner session may change it.
+ */
+async function pauseSchedule(scheduleId, sessionId) {
+  return updateSchedule(scheduleId, sessionId, (s) => { s.status = "paused"; });
+}
+
+/**
+ * Resume a paused schedule. Runs missed while paused are not made up;
+ * the next run is the next occurrence from now.
+ */
+async function resumeSchedule(scheduleId, sessionId) {
+  return updateSchedule(scheduleId, sessionId, (s) => {
+    s.status    = "active";
+    s.nextRunAt = nextRunTime(s.cron).toISOString();
+  });
+}
+
+/**
+ * Delete a schedule.
+ */
+async function cancelSchedule(scheduleId, sessionId) {
+  const schedule = await getOwnedSchedule(scheduleId, sessionId);
+  await store.delete(schedule.id);
+  console.log(`[Scheduler] Cancelled ${schedule.id}`);
+  return schedule;
+}
+
+/**
+ * Append a run result to a schedule's history.
+ *
+ * @param {string} scheduleId
+ * @param {Object} run - { status: "executed"|"skipped"|"failed", transferId?, feeUSD?, reason? }
+ */
+async function recordRun(scheduleId, run) {
+  const at = new Date().toISOString();
+  try {
+    // Retried if the user pauses or edits the schedule meanwhile
+    return await store.update(scheduleId, (schedule) => {
+      if (!schedule) throw notFoundError(scheduleId);
+      schedule.runs = [...schedule.runs, { ...run, at }].slice(-MAX_RUN_HISTORY);
+      schedule.updatedAt = at;
+    });
+  } catch (err) {
+    if (err.code === "SCHEDULE_NOT_FOUND") return null; // cancelled while running
+    throw err;
+  }
+}
+
+/**
+ * Find one of a session's schedules by its list number ("2") or id.
+ *
+ * @param {string} sessionId
+ * @param {string|number} ref
+ * @returns {Promise<Object|null>}
+ */
+async function findSchedule(sessionId, ref) {
+  const schedules = await listSchedules({ sessionId });
+  const key       = String(ref ?? "").trim().replace(/^#/, "");
+  if (/^\d+$/.test(key)) return schedules[parseInt(key) - 1] || null;
+  return schedules.find(s => s.id === key) || null;
+}
+
+/**
+ * One-line summary for chat channels, e.g.
+ *   "1. ▶️ 50 USDC → base (0x1234ab...) every Friday at 09:00 UTC · next Fri, 23 Oct 09:00 UTC"
+ */
+function formatScheduleLine(schedule, index) {
+  const { transfer: t, status, description, nextRunAt } = schedule;
+  const when = status === "active" ? `next ${formatRunTime(nextRunAt)}` : "paused";
+  return `${index + 1}. ${status === "active" ? "▶️" : "⏸️"} ${t.amount} ${t.token} → ${t.toChain} (${t.toAddress.slice(0, 8)}...) ${description} · ${when}`;
+}
+
+function formatRunTime(iso) {
+  const d = new Date(iso);
+  return `${d.toUTCString().slice(0, 11)} ${d.toISOString().slice(11, 16)} UTC`;
+}
+
+async function updateSchedule(scheduleId, sessionId, mutate) {
+  const schedule = await getOwnedSchedule(scheduleId, sessionId);
+  const entry    = await store.get(schedule.id);
+
+  mutate(entry.value);
+  entry.value.updatedAt = new Date().toISOString();
+
+  await store.set(schedule.id, entry.value, { expectedVersion: entry.version });
+  console.log(`[Scheduler] ${schedule.id} → ${entry.value.status}`);
+  return entry.value;
+}
+
+async function getOwnedSchedule(scheduleId, sessionId) {
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule || (sessionId && schedule.sessionId !== sessionId)) throw notFoundError(scheduleId);
+  return schedule;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  POLLING LOOP
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Claim a due run by moving nextRunAt forward. Returns false if
+ * another instance (or a pause) got there first.
+ */
+async function claimRun(schedule) {
+  const entry = await store.get(schedule.id);
+  if (!entry || entry.value.status !== "active" || entry.value.nextRunAt !== schedule.nextRunAt) return false;
+
+  const now = new Date();
+  entry.value.lastRunAt = now.toISOString();
+  entry.value.nextRunAt = nextRunTime(entry.value.cron, now).toISOString();
+
+  try {
+    await store.set(schedule.id, entry.value, { expectedVersion: entry.version });
+    return true;
+  } catch (err) {
+    if (err.code === "VERSION_CONFLICT") return false;
+    throw err;
+  }
+}
+
+/**
+ * Start the scheduler loop.
+ * Every SCHEDULER.POLL_SECONDS, runs each active schedule that is due.
+ *
+ * @param {Function} onDue - async (schedule) => run result, see recordRun()
+ */
+function startScheduler(onDue) {
+  const intervalMs = (config.SCHEDULER?.POLL_SECONDS || 60) * 1000;
+  console.log(`[Scheduler] Starting scheduler (every ${intervalMs / 1000}s)...`);
+
+  setInterval(async () => {
+    let due;
+    try {
+      const now = new Date().toISOString();
+      due = (await listSchedules({ status: "active" })).filter(s => s.nextRunAt <= now);
+    } catch (err) {
+      console.error("[Scheduler] Could not read schedules:", err.message);
+      return;
+    }
+
+    for (const schedule of due) {
+      try {
+        if (!(await claimRun(schedule))) continue;
+        console.log(`[Scheduler] Running ${schedule.id} (${schedule.description})`);
+        const run = await onDue(schedule);
+        await recordRun(schedule.id, run);
+      } catch (err) {
+        console.error(`[Scheduler] ${schedule.id} run failed:`, err.message);
+        await recordRun(schedule.id, { status: "failed", reason: err.message }).catch(() => {});
+      }
+    }
+  }, intervalMs);
+}
+
+function scheduleError(message) {
+  const err = new Error(message);
+  err.code  = "INVALID_SCHEDULE";
+  return err;
+}
+
+function notFoundError(scheduleId) {
+  const err = new Error(`Schedule ${scheduleId} not found`);
+  err.code  = "SCHEDULE_NOT_FOUND";
+  return err;
+}
+
+module.exports = {
+  parseCron,
+  nextRunTime,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  cancelSchedule,
+  recordRun,
+  findSchedule,
+  formatScheduleLine,
+  formatRunTime,
+  startScheduler,
+  SCHEDULE_STATUSES,
+};
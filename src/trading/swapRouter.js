@@ -6,11 +6,17 @@
  *   1. Mento (for Celo native tokens like USDm)
  *   2. 1inch (aggregator — covers Uniswap, Curve, etc.)
  *   3. Direct Uniswap V3
+ * Routers are approved through approvals.js like the bridges: only
+ * what the swap needs, revoked again afterwards.
  * ─────────────────────────────────────────────────────────────────
  */
 
 const { ethers } = require("ethers");
 const config     = require("../../config/keys");
+const { getAgentSigner } = require("../chains/signerService");
+const { getTokenAddress, toUnits, fromUnits } = require("../chains/tokenRegistry");
+const { applySlippage } = require("../utils/slippage");
+const { ensureAllowance, revokeLeftover } = require("../bridges/approvals");
 
 /**
  * Get the best swap route for a token pair on a given chain.
@@ -20,17 +26,19 @@ const config     = require("../../config/keys");
  * @param {string} params.toToken    - e.g., "USDC"
  * @param {number} params.amount     - Amount in token units
  * @param {string} params.chain      - e.g., "celo"
- * @returns {Promise<Object|null>} Swap route or null if not found
+ * @param {number} [params.slippagePercent] - Defaults to SLIPPAGE.DEFAULT_PERCENT
+ * @returns {Promise<Object|null>} Swap route or null if not found; minOutputAmount
+ *   is the least the swap may return
  */
-async function getSwapRoute({ fromToken, toToken, amount, chain = "celo" }) {
+async function getSwapRoute({ fromToken, toToken, amount, chain = "celo", slippagePercent }) {
   // Try Mento first (best for Celo stablecoins)
   if (chain === "celo" && (fromToken === "USDm" || fromToken === "cUSD")) {
-    const mentoRoute = await getMentoSwapQuote({ fromToken, toToken, amount });
+    const mentoRoute = await getMentoSwapQuote({ fromToken, toToken, amount, slippagePercent });
     if (mentoRoute) return mentoRoute;
   }
 
   // Fall back to 1inch aggregator (covers most DEXs)
-  const oneinchRoute = await get1inchSwapQuote({ fromToken, toToken, amount, chain });
+  const oneinchRoute = await get1inchSwapQuote({ fromToken, toToken, amount, chain, slippagePercent });
   if (oneinchRoute) return oneinchRoute;
 
   return null;
@@ -43,13 +51,13 @@ async function getSwapRoute({ fromToken, toToken, amount, chain = "celo" }) {
  * Docs: https://docs.mento.org/mento/developers
  * 🔑 No API key needed — uses on-chain contracts
  */
-async function getMentoSwapQuote({ fromToken, toToken, amount }) {
+async function getMentoSwapQuote({ fromToken, toToken, amount, slippagePercent = config.SLIPPAGE.DEFAULT_PERCENT }) {
   try {
     // ── 🔑 RPC INJECTION POINT ──────────────────────────────────
     const provider = new ethers.JsonRpcProvider(config.RPC.CELO);
 
-    const fromTokenAddr = config.TOKENS.CELO[fromToken];
-    const toTokenAddr   = config.TOKENS.CELO[toToken];
+    const fromTokenAddr = getTokenAddress("celo", fromToken);
+    const toTokenAddr   = getTokenAddress("celo", toToken);
 
     if (!fromTokenAddr || !toTokenAddr) return null;
 
@@ -61,7 +69,7 @@ async function getMentoSwapQuote({ fromToken, toToken, amount }) {
 
     const broker = new ethers.Contract(config.DEX.MENTO_BROKER_ADDRESS, MENTO_BROKER_ABI, provider);
 
-    const amountIn = ethers.parseUnits(amount.toString(), 18); // Mento uses 18 decimals
+    const amountIn = toUnits(amount, "celo", fromToken);
 
     // Get Mento exchange providers
     // Exchange IDs can be found at https://docs.mento.org/mento/developers/mento-core/broker
@@ -77,8 +85,9 @@ async function getMentoSwapQuote({ fromToken, toToken, amount }) {
       amountIn
     );
 
-    const outputAmount   = parseFloat(ethers.formatUnits(amountOut, 18));
+    const outputAmount   = fromUnits(amountOut, "celo", toToken);
     const priceImpact    = (amount - outputAmount) / amount;
+    const amountOutMin   = applySlippage(amountOut, slippagePercent);
 
     return {
       dex:          "Mento",
@@ -86,13 +95,15 @@ async function getMentoSwapQuote({ fromToken, toToken, amount }) {
       toToken,
       inputAmount:  amount,
       outputAmount,
+      minOutputAmount: fromUnits(amountOutMin, "celo", toToken),
+      slippagePercent,
       priceImpact,
       feeUSD:       amount * 0.001, // Mento ~0.1% fee
       executionData: {
         exchangeProvider: MENTO_EXCHANGE_PROVIDER,
         exchangeId:       MENTO_EXCHANGE_ID_USDm_USDC,
         amountIn:         amountIn.toString(),
-        amountOutMin:     (amountOut * BigInt(99) / BigInt(100)).toString(), // 1% slippage
+        amountOutMin:     amountOutMin.toString(),
       },
     };
   } catch (err) {
@@ -108,17 +119,17 @@ async function getMentoSwapQuote({ fromToken, toToken, amount }) {
  * Docs: https://portal.1inch.dev
  * 🔑 ONEINCH_API_KEY required — fill in config/keys.js
  */
-async function get1inchSwapQuote({ fromToken, toToken, amount, chain }) {
+async function get1inchSwapQuote({ fromToken, toToken, amount, chain, slippagePercent = config.SLIPPAGE.DEFAULT_PERCENT }) {
   try {
     const CHAIN_IDS = { celo: 42220, base: 8453, ethereum: 1, polygon: 137, arbitrum: 42161 };
     const chainId   = CHAIN_IDS[chain];
     if (!chainId) return null;
 
-    const fromAddr = config.TOKENS[chain.toUpperCase()]?.[fromToken];
-    const toAddr   = config.TOKENS[chain.toUpperCase()]?.[toToken];
+    const fromAddr = getTokenAddress(chain, fromToken);
+    const toAddr   = getTokenAddress(chain, toToken);
     if (!fromAddr || !toAddr) return null;
 
-    const amountWei = (BigInt(Math.floor(amount * 1e6))).toString(); // 6 decimals for stables
+    const amountWei = toUnits(amount, chain, fromToken).toString();
 
     // ── 🔑 API KEY INJECTION POINT ──────────────────────────────
     // Uses ONEINCH_API_KEY from config/keys.js
@@ -139,7 +150,7 @@ async function get1inchSwapQuote({ fromToken, toToken, amount, chain }) {
     if (!res.ok) return null;
     const data = await res.json();
 
-    const outputAmount = parseFloat(data.dstAmount) / 1e6;
+    const outputAmount = fromUnits(data.dstAmount, chain, toToken);
     const priceImpact  = parseFloat(data.priceImpact || 0) / 100;
 
     return {
@@ -148,6 +159,8 @@ async function get1inchSwapQuote({ fromToken, toToken, amount, chain }) {
       toToken,
       inputAmount:  amount,
       outputAmount,
+      minOutputAmount: fromUnits(applySlippage(BigInt(data.dstAmount), slippagePercent), chain, toToken),
+      slippagePercent,
       priceImpact,
       feeUSD:       amount * priceImpact,
       protocols:    data.protocols, // Which DEXs 1inch is routing through
@@ -159,7 +172,7 @@ async function get1inchSwapQuote({ fromToken, toToken, amount, chain }) {
         src:       fromAddr,
         dst:       toAddr,
         amount:    amountWei,
-        slippage:  1, // 1% slippage tolerance
+        slippage:  slippagePercent, // percent, e.g. 0.5
       },
     };
   } catch (err) {
@@ -169,28 +182,41 @@ async function get1inchSwapQuote({ fromToken, toToken, amount, chain }) {
 }
 
 /**
- * Execute a swap using the agent wallet.
+ * Execute a swap from the user's deposit wallet (or the agent wallet).
  * Called only after the user has confirmed.
  *
- * 🔑 Uses AGENT_PRIVATE_KEY from config/keys.js
+ * The amount actually received is read back from the receipt's
+ * ERC-20 Transfer logs, so the next leg can use exactly that much.
+ *
+ * 🔑 Uses AGENT_PRIVATE_KEY from config/keys.js unless `options.wallet` is given
  *
  * @param {Object} swapRoute - Route returned by getSwapRoute()
  * @param {string} chain - Chain to execute on
- * @returns {Promise<string>} Transaction hash
+ * @param {Object} [options]
+ * @param {string} [options.recipient] - Send the output here instead of the swapping wallet (1inch only)
+ * @param {Object} [options.wallet]    - Signer connected to `chain` to swap from
+ * @returns {Promise<{ txHash: string, amountOut: number, amountOutUnits: bigint }>}
  */
-async function executeSwap(swapRoute, chain = "celo") {
-  const provider = new ethers.JsonRpcProvider(config.RPC[chain.toUpperCase()]);
-  const wallet   = new ethers.Wallet(config.AGENT_PRIVATE_KEY, provider);
+async function executeSwap(swapRoute, chain = "celo", { recipient, wallet: signer } = {}) {
+  const wallet = signer || getAgentSigner(chain);
 
+  let receipt;
   if (swapRoute.dex === "Mento") {
-    return await executeMentoSwap(swapRoute, wallet);
+    if (recipient) throw new Error("Mento swaps can only pay out to the swapping wallet");
+    receipt = await executeMentoSwap(swapRoute, wallet);
+  } else if (swapRoute.dex === "1inch") {
+    receipt = await execute1inchSwap(swapRoute, wallet, chain, recipient);
+  } else {
+    throw new Error(`Unknown DEX: ${swapRoute.dex}`);
   }
 
-  if (swapRoute.dex === "1inch") {
-    return await execute1inchSwap(swapRoute, wallet, chain);
-  }
+  const toTokenAddr = getTokenAddress(chain, swapRoute.toToken);
+  const amountUnits = getReceivedAmount(receipt, toTokenAddr, recipient || wallet.address);
+  if (amountUnits === 0n) throw new Error(`Swap ${receipt.hash} did not deliver any ${swapRoute.toToken}`);
 
-  throw new Error(`Unknown DEX: ${swapRoute.dex}`);
+  const amountOut = fromUnits(amountUnits, chain, swapRoute.toToken);
+  console.log(`[SwapRouter] Swap confirmed: ${receipt.hash} | received ${amountOut} ${swapRoute.toToken}`);
+  return { txHash: receipt.hash, amountOut, amountOutUnits: amountUnits };
 }
 
 async function executeMentoSwap(swapRoute, wallet) {
@@ -199,23 +225,37 @@ async function executeMentoSwap(swapRoute, wallet) {
   ];
   const broker = new ethers.Contract(config.DEX.MENTO_BROKER_ADDRESS, MENTO_BROKER_ABI, wallet);
   const { exchangeProvider, exchangeId, amountIn, amountOutMin } = swapRoute.executionData;
-  const fromAddr = config.TOKENS.CELO[swapRoute.fromToken];
-  const toAddr   = config.TOKENS.CELO[swapRoute.toToken];
+  const fromAddr = getTokenAddress("celo", swapRoute.fromToken);
+  const toAddr   = getTokenAddress("celo", swapRoute.toToken);
+
+  await ensureAllowance({
+    wallet, chain: "celo", tokenAddress: fromAddr, spender: config.DEX.MENTO_BROKER_ADDRESS, amountUnits: BigInt(amountIn),
+    token: swapRoute.fromToken, bridge: "Mento",
+  });
 
-  const tx = await broker.swapIn(exchangeProvider, exchangeId, fromAddr, toAddr, amountIn, amountOutMin);
+  const tx      = await broker.swapIn(exchangeProvider, exchangeId, fromAddr, toAddr, amountIn, amountOutMin);
   const receipt = await tx.wait();
-  return receipt.hash;
+  await revokeLeftover({ wallet, tokenAddress: fromAddr, spender: config.DEX.MENTO_BROKER_ADDRESS });
+  return receipt;
 }
 
-async function execute1inchSwap(swapRoute, wallet, chain) {
+async function execute1inchSwap(swapRoute, wallet, chain, recipient) {
   // Fetch the actual swap transaction from 1inch
   const { apiUrl, chainId, src, dst, amount, slippage } = swapRoute.executionData;
+  const headers = { Authorization: `Bearer ${config.DEX.ONEINCH_API_KEY}` };
+
+  // The 1inch router must be allowed to pull the input token first
+  const spenderRes = await fetch(`${apiUrl}/${chainId}/approve/spender`, { headers });
+  if (!spenderRes.ok) throw new Error("1inch spender lookup failed");
+  const { address: spender } = await spenderRes.json();
+  await ensureAllowance({
+    wallet, chain, tokenAddress: src, spender, amountUnits: BigInt(amount), token: swapRoute.fromToken, bridge: "1inch",
+  });
 
-  const url = `${apiUrl}/${chainId}/swap?src=${src}&dst=${dst}&amount=${amount}&from=${wallet.address}&slippage=${slippage}&disableEstimate=false`;
+  const receiverParam = recipient ? `&receiver=${recipient}` : "";
+  const url = `${apiUrl}/${chainId}/swap?src=${src}&dst=${dst}&amount=${amount}&from=${wallet.address}&slippage=${slippage}&disableEstimate=false${receiverParam}`;
 
-  const res = await fetch(url, {
-    headers: { Authorization: `Bearer ${config.DEX.ONEINCH_API_KEY}` },
-  });
+  const res = await fetch(url, { headers });
 
   if (!res.ok) throw new Error("1inch swap quote failed");
   const data = await res.json();
@@ -228,9 +268,36 @@ async function execute1inchSwap(swapRoute, wallet, chain) {
   });
 
   const receipt = await tx.wait();
-  return receipt.hash;
+  await revokeLeftover({ wallet, tokenAddress: src, spender });
+  return receipt;
 }
 
+/**
+ * Sum the ERC-20 Transfer logs of `tokenAddress` into `recipient`
+ * within a swap receipt.
+ */
+function getReceivedAmount(receipt, tokenAddress, recipient) {
+  const token = new ethers.Interface(ERC20_ABI);
+  let amountUnits = 0n;
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== tokenAddress.toLowerCase()) continue;
+    try {
+      const parsed = token.parseLog(log);
+      if (parsed?.name === "Transfer" && parsed.args.to.toLowerCase() === recipient.toLowerCase()) {
+        amountUnits += parsed.args.value;
+      }
+    } catch { /* not a Transfer log */ }
+  }
+
+  return amountUnits;
+}
+
+// Minimal ERC-20 ABI for reading swap output
+const ERC20_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+];
+
 module.exports = {
   getSwapRoute,
   executeSwap,
@@ -0,0 +1,133 @@
+/**
+ * addressRisk.js
+ * ─────────────────────────────────────────────────────────────────
+ * Catches address poisoning: a scammer sends the user dust from an
+ * address made to start and end like one they really pay, hoping it
+ * gets copied from their history next time.
+ *
+ *   - Look-alikes — a recipient sharing the first and last characters
+ *     of a past recipient or saved contact, but not the middle
+ *   - First-time recipients — never paid and not a contact
+ *   - A first-time transfer worth ADDRESS_RISK.TYPED_CONFIRM_USD or
+ *     more is confirmed by typing the address's last 4 characters,
+ *     not YES (see confirmCode / matchesConfirmCodes) — in a batch,
+ *     one code per such row
+ *
+ * Both are warnings, not errors: checkRecipientRisk() runs inside
+ * validateTransfer() and the orchestrator asks for the typed code.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const config                    = require("../../config/keys");
+const { listContacts }          = require("../store/addressBook");
+const { listTransfers }         = require("../store/transferLedger");
+const { usdValue, sameAddress } = require("./spendingPolicy");
+
+/**
+ * How risky `toAddress` is as a recipient for this user.
+ *
+ * @param {Object} intent    - Needs toAddress, token and amount
+ * @param {string} sessionId - Whose history and contacts to compare with
+ * @returns {Promise<{ firstTime: boolean, lookAlikes: Object[], typedConfirmation: boolean, warnings: string[] }>}
+ */
+async function checkRecipientRisk({ toAddress, token, amount }, sessionId) {
+  const known      = await knownRecipients(sessionId);
+  const firstTime  = !known.some(k => sameAddress(k.address, toAddress));
+  const lookAlikes = firstTime ? findLookAlikes(toAddress, known) : [];
+
+  const warnings = lookAlikes.map(k =>
+    `🚨 ${toAddress} looks like ${k.name ? `your contact ${k.name}'s address` : "an address you've paid before"}, ${k.address} — same start and end, different middle. ` +
+    "Scammers send small amounts from look-alike addresses so they get copied from your history; check every character."
+  );
+  if (firstTime && lookAlikes.length === 0) {
+    warnings.push("🆕 First transfer to this address — it isn't a contact and you haven't paid it before. Check it against where you got it, not your transaction history.");
+  }
+
+  // An amount we can't price is treated as large
+  const threshold = config.ADDRESS_RISK?.TYPED_CONFIRM_USD ?? 1000;
+  let typedConfirmation = false;
+  if (firstTime && threshold > 0) {
+    const valueUSD = await usdValue(token, amount);
+    typedConfirmation = valueUSD === null || valueUSD >= threshold;
+  }
+
+  return { firstTime, lookAlikes, typedConfirmation, warnings };
+}
+
+/**
+ * Known addresses `address` could be mistaken for: same format, the
+ * same first LOOKALIKE_START and last LOOKALIKE_END characters (after
+ * any 0x), but a different address.
+ *
+ * @param {string} address
+ * @param {{ address: string, name: string|null }[]} known
+ * @returns {{ address: string, name: string|null }[]}
+ */
+function findLookAlikes(address, known) {
+  const start = config.ADDRESS_RISK?.LOOKALIKE_START || 3;
+  const end   = config.ADDRESS_RISK?.LOOKALIKE_END   || 4;
+  const body  = addressBody(address);
+
+  const seen = new Set();
+  return known.filter(k => {
+    const other = addressBody(k.address);
+    if (other.length !== body.length || other === body || seen.has(other)) return false;
+    if (k.address.startsWith("0x") !== address.startsWith("0x")) return false;
+    if (other.slice(0, start) !== body.slice(0, start) || other.slice(-end) !== body.slice(-end)) return false;
+    seen.add(other);
+    return true;
+  });
+}
+
+/**
+ * What the user types to confirm a transfer to `address`: its last
+ * 4 characters.
+ */
+function confirmCode(address) {
+  return String(address).slice(-4);
+}
+
+/**
+ * Whether the user's reply is the expected codes and nothing else — in
+ * any order, separated by spaces or commas ("...3f9a" and quotes are
+ * fine). Case doesn't matter for hex, i.e. 0x addresses.
+ *
+ * @param {string}   message
+ * @param {string[]} codes
+ * @returns {boolean}
+ */
+function matchesConfirmCodes(message, codes) {
+  const fold  = (code) => /^[0-9a-f]{4}$/i.test(code) ? code.toLowerCase() : code;
+  const typed = new Set(String(message).split(/[\s,;]+/)
+    .map(word => word.replace(/^["'`.…]+|["'`.!]+$/g, ""))
+    .filter(Boolean)
+    .map(fold));
+  const want  = new Set(codes.map(fold));
+  return want.size > 0 && typed.size === want.size && [...want].every(code => typed.has(code));
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  HELPERS
+// ─────────────────────────────────────────────────────────────────
+
+// Saved contacts, then everyone the user has sent to (failed transfers aside)
+async function knownRecipients(sessionId) {
+  const [contacts, transfers] = await Promise.all([listContacts(sessionId), listTransfers({ sessionId })]);
+  return [
+    ...contacts.map(c => ({ address: c.address, name: c.name })),
+    ...transfers.filter(t => t.status !== "failed" && t.intent.toAddress).map(t => ({ address: t.intent.toAddress, name: null })),
+  ];
+}
+
+// The part of an address people compare by eye — lowercased for 0x addresses
+function addressBody(address) {
+  const text = String(address || "");
+  return text.startsWith("0x") ? text.slice(2).toLowerCase() : text;
+}
+
+module.exports = {
+  checkRecipientRisk,
+  findLookAlikes,
+  confirmCode,
+  matchesConfirmCodes,
+};
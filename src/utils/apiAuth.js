@@ -0,0 +1,101 @@
+/**
+ * apiAuth.js
+ * ─────────────────────────────────────────────────────────────────
+ * Who is calling the HTTP API and socket. The session id owns the
+ * user's history, transfers and deposit wallet, so it is never taken
+ * from the request as-is:
+ *
+ *   - Web sessions are issued by the server (POST /api/session) as
+ *     "web_<uuid>" with a token: the id and an HMAC of it under
+ *     SERVER.SESSION_SECRET. Routes read the session from the token.
+ *   - Bot sessions (tg_..., wa_...) belong to the bot webhooks and are
+ *     refused here even with a valid signature.
+ *   - Operator routes (audit records and the like) take
+ *     SERVER.OPERATOR_TOKEN instead, and are closed while it is unset.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const crypto = require("crypto");
+const config = require("../../config/keys");
+
+const WEB_PREFIX = "web_";
+
+// Unset = a fresh secret per process: tokens (and with them web users'
+// access to their deposit wallets) don't survive a restart
+const sessionSecret = config.SERVER?.SESSION_SECRET || (() => {
+  console.warn("[Auth] SESSION_SECRET not set — web sessions will not survive a restart.");
+  return crypto.randomBytes(32).toString("hex");
+})();
+
+/**
+ * A new web session.
+ *
+ * @returns {{ sessionId: string, sessionToken: string }}
+ */
+function issueWebSession() {
+  const sessionId = `${WEB_PREFIX}${crypto.randomUUID()}`;
+  return { sessionId, sessionToken: `${sessionId}.${sign(sessionId)}` };
+}
+
+/**
+ * The session a token was issued for, or null if it wasn't issued by
+ * this server (or names a bot session).
+ *
+ * @param {string} token - "<sessionId>.<signature>"
+ * @returns {string|null}
+ */
+function sessionFromToken(token) {
+  if (typeof token !== "string") return null;
+  const dot = token.lastIndexOf(".");
+  if (dot < 0) return null;
+
+  const sessionId = token.slice(0, dot);
+  if (!sessionId.startsWith(WEB_PREFIX)) return null;
+
+  const expected = Buffer.from(sign(sessionId));
+  const given    = Buffer.from(token.slice(dot + 1));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? sessionId : null;
+}
+
+/**
+ * Express middleware: sets req.sessionId from "Authorization: Bearer
+ * <sessionToken>", or answers 401.
+ */
+function requireSession(req, res, next) {
+  const sessionId = sessionFromToken(bearerToken(req));
+  if (!sessionId) return res.status(401).json({ error: "A valid session token is required — get one from POST /api/session" });
+  req.sessionId = sessionId;
+  next();
+}
+
+/**
+ * Express middleware: lets the request through only with "Authorization:
+ * Bearer <OPERATOR_TOKEN>". Answers 403 for everyone while it is unset.
+ */
+function requireOperator(req, res, next) {
+  const operatorToken = config.SERVER?.OPERATOR_TOKEN;
+  if (!operatorToken) return res.status(403).json({ error: "Operator routes are disabled — set OPERATOR_TOKEN" });
+
+  const given = Buffer.from(bearerToken(req) || "");
+  const valid = given.length === Buffer.byteLength(operatorToken) && crypto.timingSafeEqual(given, Buffer.from(operatorToken));
+  if (!valid) return res.status(401).json({ error: "Operator token required" });
+  next();
+}
+
+// ── Helpers ───────────────────────────────────────────────────────
+
+function sign(sessionId) {
+  return crypto.createHmac("sha256", sessionSecret).update(sessionId).digest("base64url");
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  issueWebSession,
+  sessionFromToken,
+  requireSession,
+  requireOperator,
+};
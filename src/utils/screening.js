@@ -0,0 +1,219 @@
+/**
+ * screening.js
+ * ─────────────────────────────────────────────────────────────────
+ * Checks addresses against operator-managed denylists (e.g. an OFAC
+ * SDN crypto-address extract) before any funds move.
+ *
+ *   - Recipients are screened by validateTransfer() for the preview
+ *     and again by executeTransfer() right before sending
+ *   - Sources are screened where funds come from outside the agent:
+ *     a user's own wallet signing a transfer, and x402 fee payers
+ *   - Lists are local files (SCREENING.LIST_FILES), re-read every
+ *     SCREENING.REFRESH_MINUTES by startScreeningRefresh()
+ *   - Every hit blocks the transfer and is written to the "screening"
+ *     store as an audit record
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const fs                = require("fs");
+const path              = require("path");
+const config            = require("../../config/keys");
+const { createStore }   = require("../store/kvStore");
+
+const auditStore = createStore("screening");
+
+// address (normalized) → { list, label }; replaced whole on every load
+let denylist = new Map();
+
+// Per file: entries from its last good read, and any error since
+const lists = new Map();
+
+let loadedAt = null;
+
+/**
+ * Re-read every configured list. A file that can't be read keeps the
+ * entries from its last good read.
+ *
+ * @returns {{ addresses: number, lists: Object[] }}
+ */
+function loadDenylists() {
+  const files = splitPaths(config.SCREENING?.LIST_FILES);
+  for (const file of files) {
+    const name = path.basename(file, path.extname(file));
+    try {
+      const entries = parseList(fs.readFileSync(file, "utf8"), file);
+      lists.set(file, { name, entries, error: null, loadedAt: new Date().toISOString() });
+    } catch (err) {
+      const previous = lists.get(file);
+      lists.set(file, { name, entries: previous?.entries || [], error: err.message, loadedAt: previous?.loadedAt || null });
+      console.error(`[Screening] Could not read ${file}:`, err.message);
+    }
+  }
+  for (const file of lists.keys()) {
+    if (!files.includes(file)) lists.delete(file);
+  }
+
+  const next = new Map();
+  for (const { name, entries } of lists.values()) {
+    for (const { address, label } of entries) next.set(normalizeAddress(address), { list: name, label });
+  }
+  denylist = next;
+  loadedAt = Date.now();
+
+  const status = getScreeningStatus();
+  console.log(`[Screening] ${status.addresses} address(es) from ${status.lists.length} list(s)`);
+  return status;
+}
+
+/**
+ * The list entry for `address`, or null if it isn't on any list.
+ *
+ * @param {string} address
+ * @returns {{ list: string, label: string|null }|null}
+ */
+function screenAddress(address) {
+  if (!address) return null;
+  if (loadedAt === null) loadDenylists();
+  return denylist.get(normalizeAddress(address)) || null;
+}
+
+/**
+ * Screen the addresses on a transfer (or a fee payment) and write an
+ * audit record for every hit.
+ *
+ * @param {Object} params
+ * @param {string} [params.sessionId]
+ * @param {string} [params.toAddress]   - Recipient
+ * @param {string} [params.fromAddress] - Source, when funds come from outside the agent
+ * @param {string} params.context       - Where the check ran, e.g. "validate", "execute", "x402"
+ * @param {Object} [params.details]     - Kept on the audit record (token, amount, chain...)
+ * @returns {Promise<{ blocked: boolean, reasons: string[], hits: Object[] }>}
+ */
+async function screenParties({ sessionId = null, toAddress, fromAddress, context, details = {} }) {
+  const hits = [];
+  for (const [role, address] of [["recipient", toAddress], ["source", fromAddress]]) {
+    const hit = screenAddress(address);
+    if (hit) hits.push({ role, address, ...hit });
+  }
+
+  for (const hit of hits) await recordHit({ sessionId, context, details, ...hit });
+
+  const reasons = hits.map(h => `The ${h.role} address ${h.address.slice(0, 10)}... is on the ${h.list} denylist, so this can't go ahead.`);
+  if (hits.length === 0 && failClosed()) {
+    reasons.push("Address screening is unavailable right now, so transfers are paused. Please try again later.");
+  }
+  return { blocked: reasons.length > 0, reasons, hits };
+}
+
+/**
+ * Audit records of screening hits, newest first.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.sessionId]
+ * @param {number} [filters.limit]
+ * @returns {Promise<Object[]>}
+ */
+async function listScreeningHits({ sessionId, limit } = {}) {
+  const hits = (await auditStore.list())
+    .map(e => e.value)
+    .filter(h => !sessionId || h.sessionId === sessionId)
+    .sort((a, b) => b.at.localeCompare(a.at));
+  return limit ? hits.slice(0, limit) : hits;
+}
+
+/**
+ * What's loaded: address count, and per list its size and any read error.
+ */
+function getScreeningStatus() {
+  return {
+    addresses: denylist.size,
+    loadedAt:  loadedAt && new Date(loadedAt).toISOString(),
+    lists:     [...lists.entries()].map(([file, l]) => ({ file, addresses: l.entries.length, loadedAt: l.loadedAt, error: l.error })),
+  };
+}
+
+/**
+ * Load the lists now, then re-read them every SCREENING.REFRESH_MINUTES.
+ */
+function startScreeningRefresh() {
+  const intervalMs = (config.SCREENING?.REFRESH_MINUTES || 60) * 60 * 1000;
+  console.log(`[Screening] Starting denylist refresh (every ${intervalMs / 60000} min)...`);
+  loadDenylists();
+
+  setInterval(() => {
+    try {
+      loadDenylists();
+    } catch (err) {
+      console.error("[Screening] Refresh failed:", err.message);
+    }
+  }, intervalMs);
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  HELPERS
+// ─────────────────────────────────────────────────────────────────
+
+async function recordHit({ sessionId, role, address, list, label, context, details }) {
+  const at     = new Date().toISOString();
+  const record = {
+    id: `screen_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    sessionId,
+    role,
+    address,
+    list,
+    label,
+    context,
+    details,
+    at,
+  };
+  await auditStore.set(record.id, record, { expectedVersion: 0 });
+  console.warn(`[Screening] BLOCKED ${role} ${address} (${list}${label ? `: ${label}` : ""}) | ${context} | session ${sessionId || "-"}`);
+  return record;
+}
+
+/**
+ * Entries of one list file: JSON (array of addresses or { address,
+ * label }) or lines of "address[,label]" with # comments.
+ */
+function parseList(text, file) {
+  if (file.toLowerCase().endsWith(".json")) {
+    const items = JSON.parse(text);
+    if (!Array.isArray(items)) throw new Error("expected a JSON array");
+    return items
+      .map(item => typeof item === "string" ? { address: item, label: null } : { address: item.address, label: item.label || null })
+      .filter(e => e.address);
+  }
+
+  return text.split(/\r?\n/)
+    .map(line => line.replace(/#.*/, "").trim())
+    .filter(Boolean)
+    .map(line => {
+      const [address, ...label] = line.split(/[,\t]/).map(s => s.trim());
+      return { address, label: label.join(" ").trim() || null };
+    })
+    .filter(e => e.address && !/^address$/i.test(e.address));
+}
+
+// EVM addresses are case-insensitive; other formats (base58, bech32) are kept as-is
+function normalizeAddress(address) {
+  const trimmed = String(address).trim();
+  return /^0x[0-9a-f]{40}$/i.test(trimmed) ? trimmed.toLowerCase() : trimmed;
+}
+
+// A list that loaded once keeps screening with its last good copy
+function failClosed() {
+  return Boolean(config.SCREENING?.FAIL_CLOSED) && [...lists.values()].some(l => l.error && !l.loadedAt);
+}
+
+function splitPaths(text) {
+  return String(text || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+module.exports = {
+  loadDenylists,
+  screenAddress,
+  screenParties,
+  listScreeningHits,
+  getScreeningStatus,
+  startScreeningRefresh,
+};
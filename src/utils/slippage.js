@@ -0,0 +1,160 @@
+/**
+ * slippage.js
+ * ─────────────────────────────────────────────────────────────────
+ * One slippage setting for every leg of a transfer, and the minimum
+ * the recipient is guaranteed to receive with it.
+ *
+ * The percentage comes from the request ("max 0.3% slippage"), else
+ * the user's own setting ("set my slippage to 0.5%"), else
+ * SLIPPAGE.DEFAULT_PERCENT. Where it is enforced:
+ *   - LayerZero/Stargate → minAmountLD
+ *   - Celer cBridge      → maxSlippage (millionths)
+ *   - Mento              → amountOutMin
+ *   - 1inch              → slippage
+ * Across, Axelar and Wormhole deliver the amount less a fixed fee, so
+ * only the fee comes off for them.
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const config           = require("../../config/keys");
+const { amountForUSD } = require("./spendingPolicy");
+
+// Bridges whose delivered amount floats with pool prices
+const SLIPPAGE_BRIDGES = ["layerzero_stargate", "celer_cbridge"];
+
+// "max 0.3% slippage", "slippage 0.5%", "with 1% slippage" — group 1 or 2 is the percentage
+const SLIPPAGE_RE = /\b(?:(?:with\s+)?(?:a\s+)?(?:max(?:imum)?\s+)?(\d+(?:\.\d+)?)\s*%\s*(?:max(?:imum)?\s+)?slippage|(?:max(?:imum)?\s+)?slippage\s+(?:of\s+|at\s+|to\s+)?(?:max\s+)?(\d+(?:\.\d+)?)\s*%)/i;
+
+// Percentages are kept as millionths so bigint maths stays exact
+const PPM = 1_000_000n;
+
+/**
+ * The slippage percentage written in `text`, or null if none is.
+ */
+function parseSlippage(text) {
+  const match = String(text || "").match(SLIPPAGE_RE);
+  return match ? parseFloat(match[1] ?? match[2]) : null;
+}
+
+/**
+ * `text` with its slippage phrase taken out, so the percentage isn't
+ * read as an amount.
+ */
+function stripSlippage(text) {
+  return String(text || "").replace(SLIPPAGE_RE, " ");
+}
+
+/**
+ * Why `percent` can't be used, or null if it can (or isn't set).
+ */
+function slippageProblem(percent) {
+  if (percent === null || percent === undefined) return null;
+  const { MAX_PERCENT } = config.SLIPPAGE;
+  if (!(percent > 0)) return "Slippage has to be more than 0%.";
+  if (percent > MAX_PERCENT) return `Slippage can be at most ${MAX_PERCENT}% — anything higher risks losing too much to price moves.`;
+  return null;
+}
+
+/**
+ * The slippage percentage for an intent, falling back to the default.
+ */
+function slippageFor(intent) {
+  return intent?.slippagePercent ?? config.SLIPPAGE.DEFAULT_PERCENT;
+}
+
+/**
+ * `units` less `percent` slippage, rounded down.
+ *
+ * @param {bigint} units
+ * @param {number} percent
+ * @returns {bigint}
+ */
+function applySlippage(units, percent) {
+  return (BigInt(units) * (PPM - toPpm(percent))) / PPM;
+}
+
+/**
+ * Celer's maxSlippage is in millionths: 0.3% → 3000.
+ */
+function toCelerSlippage(percent) {
+  return Number(toPpm(percent));
+}
+
+/**
+ * The least a bridge leg may deliver: the amount less the quoted fee,
+ * less slippage on bridges that have it. Fees are quoted in USD, which
+ * the bridgeable stablecoins match one to one.
+ *
+ * @param {bigint} amountUnits - Sent, in token units
+ * @param {bigint} feeUnits    - Quoted fee, in token units
+ * @param {Object} quote       - The leg's quote ({ executionMethod })
+ * @param {number} percent
+ * @returns {bigint}
+ */
+function minBridgeUnits(amountUnits, feeUnits, quote, percent) {
+  const afterFee = BigInt(amountUnits) - BigInt(feeUnits);
+  if (afterFee <= 0n) return 0n;
+  return SLIPPAGE_BRIDGES.includes(quote.executionMethod) ? applySlippage(afterFee, percent) : afterFee;
+}
+
+/**
+ * The minimum the recipient receives for a previewed transfer, in the
+ * token they receive. Covers swaps before and after the bridge and
+ * split routes. Bridge fees are quoted in USD and converted to the
+ * bridged token at its price. percent is null when no leg has slippage
+ * (only the fee comes off).
+ *
+ * If the bridged token can't be priced, amount is before the fee and
+ * feeUSD is what still comes off it — and with a conversion after the
+ * bridge there is no minimum to give (amount is null).
+ *
+ * @param {Object} [prices] - Symbol → USD price cache, as for usdValue()
+ * @returns {Promise<{ amount: number|null, token: string, percent: number|null, feeUSD: number|null }>}
+ */
+async function minReceived(intent, bridgeQuote, prices = {}) {
+  const percent = slippageFor(intent);
+  const { swapFirst, swapAfter } = intent;
+
+  // A swap first bridges whatever it returns — at worst its minimum
+  const sent    = swapFirst ? (swapFirst.minOutputAmount ?? intent.amount * (1 - percent / 100)) : intent.amount;
+  const legs    = bridgeQuote.splits || [{ ...bridgeQuote, amount: intent.amount }];
+  const perUSD  = await amountForUSD(intent.token, 1, prices);
+  const bridged = legs.reduce((sum, leg) => {
+    const afterFee = Math.max(0, sent * (leg.amount / intent.amount) - (perUSD === null ? 0 : leg.feeUSD * perUSD));
+    return sum + (SLIPPAGE_BRIDGES.includes(leg.executionMethod) ? afterFee * (1 - percent / 100) : afterFee);
+  }, 0);
+  const feeUSD  = perUSD === null ? legs.reduce((sum, leg) => sum + leg.feeUSD, 0) : null;
+
+  if (swapAfter) {
+    if (feeUSD !== null) return { amount: null, token: swapAfter.toToken, percent, feeUSD };
+    // The conversion was quoted on what the bridge is expected to deliver;
+    // it only gets the bridge's minimum, so its minimum shrinks with it
+    const swapMin = swapAfter.minOutputAmount ?? swapAfter.outputAmount * (1 - percent / 100);
+    const share   = swapAfter.inputAmount > 0 ? Math.min(1, bridged / swapAfter.inputAmount) : 0;
+    return { amount: roundDown(swapMin * share), token: swapAfter.toToken, percent, feeUSD: null };
+  }
+
+  const floating = Boolean(swapFirst) || legs.some(leg => SLIPPAGE_BRIDGES.includes(leg.executionMethod));
+  return { amount: roundDown(bridged), token: intent.token, percent: floating ? percent : null, feeUSD };
+}
+
+// Token amounts are kept to 6 decimals, never rounded up past the guarantee
+function roundDown(amount) {
+  return Math.floor(amount * 1e6) / 1e6;
+}
+
+function toPpm(percent) {
+  return BigInt(Math.round(percent * 10_000));
+}
+
+module.exports = {
+  SLIPPAGE_BRIDGES,
+  parseSlippage,
+  stripSlippage,
+  slippageProblem,
+  slippageFor,
+  applySlippage,
+  toCelerSlippage,
+  minBridgeUnits,
+  minReceived,
+};
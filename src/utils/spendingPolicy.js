@@ -0,0 +1,347 @@
+/**
+ * spendingPolicy.js
+ * ─────────────────────────────────────────────────────────────────
+ * Hard limits on what a user's transfers may do. Checked by
+ * validateTransfer() at preview time and again right before sending,
+ * so a violation always blocks the transfer.
+ *
+ * Rules (each optional):
+ *   - dailyLimitUSD / weeklyLimitUSD / monthlyLimitUSD — rolling 24h,
+ *     7d and 30d totals, counted from the transfer ledger
+ *   - maxTxUSD                  — cap per transfer
+ *   - allowedChains / allowedTokens — destination allowlists
+ *   - newRecipientCoolingHours  — an address first saved as a contact or
+ *     paid less than this long ago can only get newRecipientMaxUSD
+ *
+ * Where the rules come from:
+ *   1. config.POLICY            — the operator's global limits
+ *   2. config.POLICY.USERS[id]  — the operator's limits for one user,
+ *                                 replacing the global ones it names
+ *   3. userSettings.policy      — what the user set in chat, which can
+ *                                 only make the operator's rules stricter
+ * ─────────────────────────────────────────────────────────────────
+ */
+
+const config                   = require("../../config/keys");
+const { listTransfers }        = require("../store/transferLedger");
+const { listContacts }         = require("../store/addressBook");
+const { getUserSettings, updateUserSettings } = require("../store/userSettings");
+
+const LIMIT_FIELDS  = ["dailyLimitUSD", "weeklyLimitUSD", "monthlyLimitUSD", "maxTxUSD"];
+const LIST_FIELDS   = ["allowedChains", "allowedTokens"];
+const POLICY_FIELDS = [...LIMIT_FIELDS, ...LIST_FIELDS, "newRecipientCoolingHours", "newRecipientMaxUSD"];
+
+const WINDOWS = [
+  { field: "dailyLimitUSD",   key: "day",   label: "daily",   hours: 24 },
+  { field: "weeklyLimitUSD",  key: "week",  label: "weekly",  hours: 24 * 7 },
+  { field: "monthlyLimitUSD", key: "month", label: "monthly", hours: 24 * 30 },
+];
+
+// Priced one to one; anything else is valued at its current price
+const STABLECOINS = ["USDC", "USDT", "USDM", "CUSD"];
+
+/**
+ * The policy that applies to a user, with where each rule came from.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<{ policy: Object, sources: Object }>} sources maps a field to "operator" or "user"
+ */
+async function getEffectivePolicy(sessionId) {
+  const settings = await getUserSettings(sessionId);
+  const operator = { ...globalPolicy(), ...operatorUserPolicy(sessionId) };
+  return strictest(operator, settings.policy || {}, "operator", "user");
+}
+
+/**
+ * The rules `intent` breaks, as sentences for the user. An empty list
+ * means it may go ahead.
+ *
+ * @param {Object} intent               - Transfer intent (token, amount, toChain, toAddress)
+ * @param {Object} options
+ * @param {string} options.sessionId
+ * @param {number} [options.pendingUSD] - Already committed but not yet in the ledger (earlier batch rows)
+ * @returns {Promise<{ violations: string[], policy: Object }>}
+ */
+async function checkSpendingPolicy(intent, { sessionId, pendingUSD = 0 }) {
+  const { policy, sources } = await getEffectivePolicy(sessionId);
+  const violations = [];
+  const whose      = (field) => sources[field] === "operator" ? "the operator's" : "your";
+  const { token, amount, toChain, toAddress } = intent;
+
+  if (policy.allowedChains && toChain && !policy.allowedChains.includes(toChain.toLowerCase())) {
+    violations.push(`Sending to ${toChain} isn't allowed by ${whose("allowedChains")} spending policy (allowed: ${policy.allowedChains.join(", ")}).`);
+  }
+  if (policy.allowedTokens && token && !policy.allowedTokens.includes(token.toUpperCase())) {
+    violations.push(`Sending ${token} isn't allowed by ${whose("allowedTokens")} spending policy (allowed: ${policy.allowedTokens.join(", ")}).`);
+  }
+
+  const needsValue = LIMIT_FIELDS.some(f => policy[f] !== null) || policy.newRecipientCoolingHours > 0;
+  if (!needsValue) return { violations, policy };
+
+  const prices   = {};
+  const valueUSD = await usdValue(token, amount, prices);
+  if (valueUSD === null) {
+    violations.push(`I couldn't price ${token} to check it against your spending limits — try again in a minute.`);
+    return { violations, policy };
+  }
+
+  if (policy.maxTxUSD !== null && valueUSD > policy.maxTxUSD) {
+    violations.push(`${formatUSD(valueUSD)} is over ${whose("maxTxUSD")} ${formatUSD(policy.maxTxUSD)} limit per transfer.`);
+  }
+
+  if (WINDOWS.some(w => policy[w.field] !== null)) {
+    const spent = await getSpending(sessionId, prices);
+    for (const w of WINDOWS) {
+      const limit = policy[w.field];
+      if (limit === null) continue;
+      const total = spent[w.key] + pendingUSD + valueUSD;
+      if (total > limit) {
+        const left = Math.max(0, limit - spent[w.key] - pendingUSD);
+        violations.push(`This would bring you to ${formatUSD(total)} sent in the last ${windowText(w.hours)}, over ${whose(w.field)} ${w.label} limit of ${formatUSD(limit)} (${formatUSD(left)} left).`);
+      }
+    }
+  }
+
+  if (policy.newRecipientCoolingHours > 0 && toAddress) {
+    const since    = await recipientSince(sessionId, toAddress);
+    const coolsAt  = since ? new Date(since.getTime() + policy.newRecipientCoolingHours * 3600_000) : null;
+    const cooling  = !coolsAt || coolsAt > new Date();
+    const maxUSD   = policy.newRecipientMaxUSD;
+    if (cooling && valueUSD > maxUSD) {
+      const until = coolsAt
+        ? `until ${coolsAt.toISOString().slice(0, 16).replace("T", " ")} UTC`
+        : `until ${policy.newRecipientCoolingHours}h after you first save or pay it`;
+      const cap   = maxUSD > 0 ? `limited to ${formatUSD(maxUSD)} per transfer` : "blocked";
+      violations.push(`${toAddress.slice(0, 8)}... is a new recipient — ${whose("newRecipientCoolingHours")} spending policy keeps transfers to it ${cap} ${until}.` +
+        (coolsAt ? "" : " Save it as a contact to start the clock."));
+    }
+  }
+
+  return { violations, policy };
+}
+
+/**
+ * USD a user has sent in the last day, week and month. Failed
+ * transfers don't count; everything else the ledger has does.
+ *
+ * @param {string} sessionId
+ * @param {Object} [prices] - Price cache shared across calls
+ * @returns {Promise<{ day: number, week: number, month: number }>}
+ */
+async function getSpending(sessionId, prices = {}) {
+  const now       = Date.now();
+  const transfers = await listTransfers({ sessionId });
+  const spent     = { day: 0, week: 0, month: 0 };
+
+  for (const t of transfers) {
+    if (t.status === "failed") continue;
+    const age = now - new Date(t.createdAt).getTime();
+    if (age > WINDOWS[2].hours * 3600_000) continue;
+    const value = (await usdValue(t.intent.token, t.intent.amount, prices)) ?? t.intent.amount;
+    for (const w of WINDOWS) {
+      if (age <= w.hours * 3600_000) spent[w.key] += value;
+    }
+  }
+  return spent;
+}
+
+/**
+ * Change the user's own policy; null removes a rule.
+ *
+ * @param {string} sessionId
+ * @param {Object} changes - e.g. { dailyLimitUSD: 500, allowedChains: ["base"] }
+ * @returns {Promise<Object>} The user's policy after the change
+ */
+async function updateUserPolicy(sessionId, changes) {
+  const { policy = {} } = await getUserSettings(sessionId);
+  const updated = normalizePolicy({ ...policy, ...changes });
+  await updateUserSettings(sessionId, { policy: updated });
+  return updated;
+}
+
+/**
+ * Why `changes` can't be saved as a policy, or null if they can.
+ */
+function policyProblem(changes) {
+  for (const [field, value] of Object.entries(changes)) {
+    if (!POLICY_FIELDS.includes(field)) return `"${field}" isn't a spending policy setting.`;
+    if (value === null) continue;
+    if (LIST_FIELDS.includes(field)) {
+      if (!Array.isArray(value) || value.length === 0) return `${field} must be a list.`;
+      const known   = field === "allowedChains" ? knownChains() : knownTokens().map(t => t.toUpperCase());
+      const unknown = value.find(v => !known.includes(field === "allowedChains" ? String(v).toLowerCase() : String(v).toUpperCase()));
+      if (unknown) return `I don't know ${field === "allowedChains" ? "the chain" : "the token"} "${unknown}".`;
+    } else if (!(typeof value === "number" && value >= 0) || (field !== "newRecipientMaxUSD" && value === 0)) {
+      return `${field} must be a positive number.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The policy as lines for chat, with the spending it has used up.
+ */
+function formatPolicy(policy, sources, spent) {
+  const whose = (field) => sources[field] === "operator" ? " (set by the operator)" : "";
+  const lines = [];
+  for (const w of WINDOWS) {
+    if (policy[w.field] !== null) {
+      lines.push(`• ${w.label[0].toUpperCase()}${w.label.slice(1)}: ${formatUSD(policy[w.field])} — ${formatUSD(spent[w.key])} used${whose(w.field)}`);
+    }
+  }
+  if (policy.maxTxUSD !== null) lines.push(`• Per transfer: ${formatUSD(policy.maxTxUSD)}${whose("maxTxUSD")}`);
+  if (policy.allowedChains) lines.push(`• Chains: ${policy.allowedChains.join(", ")}${whose("allowedChains")}`);
+  if (policy.allowedTokens) lines.push(`• Tokens: ${policy.allowedTokens.join(", ")}${whose("allowedTokens")}`);
+  if (policy.newRecipientCoolingHours > 0) {
+    const cap = policy.newRecipientMaxUSD > 0 ? `up to ${formatUSD(policy.newRecipientMaxUSD)}` : "nothing";
+    lines.push(`• New recipients: ${cap} for the first ${policy.newRecipientCoolingHours}h${whose("newRecipientCoolingHours")}`);
+  }
+  return lines;
+}
+
+// ─────────────────────────────────────────────────────────────────
+//  HELPERS
+// ─────────────────────────────────────────────────────────────────
+
+function globalPolicy() {
+  const p = config.POLICY || {};
+  return {
+    dailyLimitUSD:            p.DAILY_LIMIT_USD,
+    weeklyLimitUSD:           p.WEEKLY_LIMIT_USD,
+    monthlyLimitUSD:          p.MONTHLY_LIMIT_USD,
+    maxTxUSD:                 p.MAX_TX_USD,
+    allowedChains:            splitList(p.ALLOWED_CHAINS),
+    allowedTokens:            splitList(p.ALLOWED_TOKENS),
+    newRecipientCoolingHours: p.NEW_RECIPIENT_COOLING_HOURS,
+    newRecipientMaxUSD:       p.NEW_RECIPIENT_MAX_USD,
+  };
+}
+
+// POLICY.USERS is a JSON object keyed by session id
+function operatorUserPolicy(sessionId) {
+  if (!config.POLICY?.USERS) return {};
+  try {
+    return JSON.parse(config.POLICY.USERS)[sessionId] || {};
+  } catch (err) {
+    console.warn("[SpendingPolicy] POLICY.USERS is not valid JSON:", err.message);
+    return {};
+  }
+}
+
+/**
+ * Combine two policies so each rule is the stricter of the two: the
+ * lower limit, the overlap of allowlists, and for new recipients the
+ * longer cooling period with the lower cap of the layers that have one.
+ */
+function strictest(a, b, sourceA, sourceB) {
+  const x = normalizePolicy(a), y = normalizePolicy(b);
+  const policy = {}, sources = {};
+  const pick = (field, useB) => {
+    policy[field]  = useB ? y[field] : x[field];
+    sources[field] = useB ? sourceB : sourceA;
+  };
+
+  for (const field of LIMIT_FIELDS) pick(field, y[field] !== null && (x[field] === null || y[field] < x[field]));
+  for (const field of LIST_FIELDS) {
+    if (x[field] && y[field]) {
+      policy[field]  = x[field].filter(v => y[field].includes(v));
+      sources[field] = sourceB;
+    } else {
+      pick(field, Boolean(y[field]));
+    }
+  }
+  pick("newRecipientCoolingHours", y.newRecipientCoolingHours > x.newRecipientCoolingHours);
+  const caps = [x, y].filter(p => p.newRecipientCoolingHours > 0).map(p => p.newRecipientMaxUSD);
+  policy.newRecipientMaxUSD  = caps.length > 0 ? Math.min(...caps) : 0;
+  sources.newRecipientMaxUSD = sources.newRecipientCoolingHours;
+  return { policy, sources };
+}
+
+// Every field present; chains lowercase and tokens uppercase for comparing
+function normalizePolicy(p = {}) {
+  const policy = {};
+  for (const field of LIMIT_FIELDS) policy[field] = typeof p[field] === "number" && p[field] >= 0 ? p[field] : null;
+  policy.allowedChains = p.allowedChains?.length ? p.allowedChains.map(c => String(c).toLowerCase()) : null;
+  policy.allowedTokens = p.allowedTokens?.length ? p.allowedTokens.map(t => String(t).toUpperCase()) : null;
+  policy.newRecipientCoolingHours = p.newRecipientCoolingHours > 0 ? p.newRecipientCoolingHours : 0;
+  policy.newRecipientMaxUSD       = p.newRecipientMaxUSD > 0 ? p.newRecipientMaxUSD : 0;
+  return policy;
+}
+
+/**
+ * When the user first had `address` as a recipient: the earliest of
+ * saving it as a contact and a transfer to it. Null if never.
+ */
+async function recipientSince(sessionId, address) {
+  const [contacts, transfers] = await Promise.all([listContacts(sessionId), listTransfers({ sessionId })]);
+  const times = [
+    ...contacts.filter(c => sameAddress(c.address, address)).map(c => c.addressSince || c.createdAt),
+    ...transfers.filter(t => t.status !== "failed" && sameAddress(t.intent.toAddress, address)).map(t => t.createdAt),
+  ];
+  if (times.length === 0) return null;
+  return new Date(times.sort()[0]);
+}
+
+// EVM addresses compare case-insensitively; Solana's base58 doesn't
+function sameAddress(a, b) {
+  if (!a || !b) return false;
+  return a.startsWith("0x") ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+/**
+ * `amount` of `token` in USD, or null if it can't be priced.
+ */
+async function usdValue(token, amount, prices = {}) {
+  const symbol = String(token || "").toUpperCase();
+  if (STABLECOINS.includes(symbol)) return amount;
+  if (!(symbol in prices)) {
+    const { getTokenPrice } = require("../trading/alertEngine");
+    prices[symbol] = await getTokenPrice(symbol).catch(() => null);
+  }
+  return prices[symbol] === null ? null : amount * prices[symbol];
+}
+
+/**
+ * How much `token` is worth `usd` — e.g. a USD-quoted bridge fee in the
+ * token it comes out of — or null if it can't be priced.
+ */
+async function amountForUSD(token, usd, prices = {}) {
+  const unitPrice = await usdValue(token, 1, prices);
+  return unitPrice ? usd / unitPrice : null;
+}
+
+function splitList(text) {
+  const items = String(text || "").split(",").map(s => s.trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+function windowText(hours) {
+  return hours === 24 ? "24 hours" : `${hours / 24} days`;
+}
+
+function formatUSD(n) {
+  return `$${n.toLocaleString("en-US", { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+}
+
+// The chains and tokens validateTransfer knows about (required here,
+// not at the top: validator requires this module)
+function knownChains() {
+  return Object.keys(require("./validator").TOKEN_SUPPORT_MATRIX);
+}
+
+function knownTokens() {
+  return Object.keys(require("./validator").TOKEN_SUPPORT_MATRIX.celo);
+}
+
+module.exports = {
+  getEffectivePolicy,
+  checkSpendingPolicy,
+  getSpending,
+  updateUserPolicy,
+  policyProblem,
+  formatPolicy,
+  usdValue,
+  amountForUSD,
+  sameAddress,
+  POLICY_FIELDS,
+};
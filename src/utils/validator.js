@@ -9,6 +9,9 @@
 const { ethers }        = require("ethers");
 const config            = require("../../config/keys");
 const { detectChainFromAddress, validateAddressForChain } = require("../chains/chainDetector");
+const { checkSpendingPolicy } = require("./spendingPolicy");
+const { screenParties }       = require("./screening");
+const { checkRecipientRisk }  = require("./addressRisk");
 
 // Minimum token support matrix
 // true = token is native/well-supported on this chain
@@ -29,17 +32,24 @@ const THRESHOLDS = {
   HIGH_FEE_PERCENT:    5,   // Warn if fee > 5% of transfer
   LOW_LIQUIDITY_RATIO: 2,   // Warn if liquidity < 2x transfer amount
   MIN_TRANSFER_USD:    1,   // Minimum transfer to prevent dust transactions
-  MAX_SINGLE_TX_USD:   50000, // Soft cap — warn above this amount
+  MAX_SINGLE_TX_USD:   50000, // Soft cap — warn above this amount (hard caps are POLICY.MAX_TX_USD)
 };
 
 /**
  * Full pre-flight validation. Run this before ANY transaction.
+ * Given the user's sessionId it also enforces their spending policy.
+ * Recipients (and intent.fromAddress, if set) are screened against the
+ * denylists on every call, and compared with the user's past recipients
+ * and contacts for look-alikes (address poisoning).
  *
  * @param {Object} intent    - Parsed transfer intent
  * @param {Object} bridgeQuote - Best bridge quote
- * @returns {{ valid: boolean, errors: string[], warnings: string[], suggestions: string[] }}
+ * @param {Object} [options]
+ * @param {string} [options.sessionId]  - Whose spending policy applies
+ * @param {number} [options.pendingUSD] - Spend not in the ledger yet (earlier rows of a batch)
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], suggestions: string[], policyViolations: string[], screeningBlocks: string[], recipientRisk: Object|null }}
  */
-async function validateTransfer(intent, bridgeQuote) {
+async function validateTransfer(intent, bridgeQuote, { sessionId = null, pendingUSD = 0 } = {}) {
   const errors      = [];
   const warnings    = [];
   const suggestions = [];
@@ -47,7 +57,7 @@ async function validateTransfer(intent, bridgeQuote) {
   const { toAddress, token, amount, fromChain = "celo", toChain } = intent;
 
   // ── 1. Address Format Validation ──────────────────────────────
-  const detectedChain = detectChainFromAddress(toAddress, intent.rawMessage || "");
+  const detectedChain = detectChainFromAddress(toAddress, toChain || intent.rawMessage || "");
 
   if (detectedChain.chain === "unknown") {
     errors.push(`Cannot identify destination chain for address: ${toAddress.slice(0, 10)}...`);
@@ -103,10 +113,14 @@ async function validateTransfer(intent, bridgeQuote) {
       suggestions.push("Consider waiting for lower network congestion, or try a different bridge.");
     }
 
-    // Liquidity check
-    if (bridgeQuote.liquidityUSD < amount * THRESHOLDS.LOW_LIQUIDITY_RATIO) {
-      warnings.push(`Low liquidity on ${bridgeQuote.bridge}: only $${bridgeQuote.liquidityUSD.toFixed(0)} available. Transfer of $${amount} may fail or be delayed.`);
-      suggestions.push("Try a different bridge or split the transfer into smaller amounts.");
+    // Liquidity check — per leg when the transfer is split across bridges,
+    // skipped for a bridge that didn't report its liquidity (null)
+    const legs = bridgeQuote.splits || [{ ...bridgeQuote, amount }];
+    for (const leg of legs) {
+      if (leg.liquidityUSD !== null && leg.liquidityUSD < leg.amount * THRESHOLDS.LOW_LIQUIDITY_RATIO) {
+        warnings.push(`Low liquidity on ${leg.bridge}: only $${leg.liquidityUSD.toFixed(0)} available. Transfer of $${leg.amount} may fail or be delayed.`);
+        suggestions.push("Try a different bridge or split the transfer into smaller amounts.");
+      }
     }
 
     // Success rate check
@@ -129,9 +143,36 @@ async function validateTransfer(intent, bridgeQuote) {
     suggestions.push("If you're testing, this transfer will cost gas fees but return to the same wallet.");
   }
 
+  // ── 7. Denylist Screening ───────────────────────────────────
+  const screening = await screenParties({
+    sessionId,
+    toAddress,
+    fromAddress: intent.fromAddress,
+    context:     "validate",
+    details:     { token, amount, fromChain, toChain: chain },
+  });
+  errors.push(...screening.reasons);
+
+  // ── 8. Spending Policy ───────────────────────────────────────
+  let policyViolations = [];
+  if (sessionId) {
+    ({ violations: policyViolations } = await checkSpendingPolicy({ ...intent, toChain: chain }, { sessionId, pendingUSD }));
+    errors.push(...policyViolations);
+  }
+
+  // ── 9. Recipient Risk (look-alikes, first-time recipients) ───
+  let recipientRisk = null;
+  if (sessionId && toAddress) {
+    recipientRisk = await checkRecipientRisk({ toAddress, token, amount }, sessionId);
+    warnings.unshift(...recipientRisk.warnings);
+  }
+
   return {
     valid:        errors.length === 0,
     detectedChain: detectedChain,
+    policyViolations,
+    screeningBlocks: screening.reasons,
+    recipientRisk,
     errors,
     warnings,
     suggestions,
@@ -143,11 +184,13 @@ async function validateTransfer(intent, bridgeQuote) {
  * Simulates a transaction to estimate gas and check for reverts.
  * Uses the provider to call estimateGas without actually submitting.
  *
- * @param {Object} txParams - Transaction parameters
- * @param {string} chain - Chain to simulate on
- * @returns {Promise<{ success: boolean, gasEstimate?: string, error?: string }>}
+ * @param {Object}   txParams - Transaction parameters ({ from, to, data, value })
+ * @param {string}   chain - Chain to simulate on
+ * @param {Object}   [options]
+ * @param {string[]} [options.abis] - ABI fragments used to decode custom revert errors
+ * @returns {Promise<{ success: boolean, gasEstimate?: string, gasCostNative?: string, nativeSymbol?: string, gasCostUSD?: number|null, error?: string }>}
  */
-async function simulateTransaction(txParams, chain) {
+async function simulateTransaction(txParams, chain, { abis = [] } = {}) {
   try {
     // ── 🔑 RPC INJECTION POINT ──────────────────────────────────
     // This uses your RPC endpoint from config/keys.js
@@ -160,29 +203,77 @@ async function simulateTransaction(txParams, chain) {
 
     // Estimate gas (this simulates without broadcasting)
     const gasEstimate = await provider.estimateGas(txParams);
-    const feeData     = await provider.getFeeData();
-    const gasCostWei  = gasEstimate * (feeData.gasPrice || feeData.maxFeePerGas);
-    const gasCostETH  = ethers.formatEther(gasCostWei);
 
     return {
-      success:      true,
-      gasEstimate:  gasEstimate.toString(),
-      gasCostETH,
-      gasCostUSD:   parseFloat(gasCostETH) * 3000, // Approximate — use oracle for production
+      success:     true,
+      gasEstimate: gasEstimate.toString(),
+      ...(await priceGas(provider, gasEstimate, chain)),
     };
   } catch (error) {
-    // Parse revert reason if available
-    const revertReason = error.message.includes("execution reverted")
-      ? error.message.match(/reason: "(.*?)"/)?.[1] || "Transaction would revert"
-      : error.message;
-
     return {
       success: false,
-      error:   revertReason,
+      error:   decodeRevertReason(error, abis),
     };
   }
 }
 
+// Gas is paid in the chain's native token
+const NATIVE_TOKENS = { celo: "CELO", ethereum: "ETH", base: "ETH", arbitrum: "ETH", optimism: "ETH", polygon: "MATIC", bnb: "BNB" };
+
+/**
+ * Cost of `gasUnits` at the current gas price, in the native token and USD.
+ *
+ * @returns {Promise<{ gasCostNative: string, nativeSymbol: string, gasCostUSD: number|null }>}
+ */
+async function priceGas(provider, gasUnits, chain) {
+  const { getTokenPrice } = require("../trading/alertEngine");
+  const feeData       = await provider.getFeeData();
+  const gasCostWei    = BigInt(gasUnits) * (feeData.gasPrice || feeData.maxFeePerGas || 0n);
+  const gasCostNative = ethers.formatEther(gasCostWei);
+  const nativeSymbol  = NATIVE_TOKENS[chain] || "ETH";
+  const price         = await getTokenPrice(nativeSymbol).catch(() => null);
+
+  return {
+    gasCostNative,
+    nativeSymbol,
+    gasCostUSD: price ? parseFloat(gasCostNative) * price : null,
+  };
+}
+
+/**
+ * Turn a failed call into a readable reason: Error(string), Panic codes
+ * and — given the contract's ABI — custom errors.
+ *
+ * @param {Error|string} errorOrData - An ethers error, or raw revert data
+ * @param {string[]} [abis]
+ * @returns {string}
+ */
+function decodeRevertReason(errorOrData, abis = []) {
+  const data = typeof errorOrData === "string" ? errorOrData : errorOrData?.data;
+
+  if (typeof errorOrData === "object") {
+    if (errorOrData.reason) return errorOrData.reason;
+    if (errorOrData.revert) return `${errorOrData.revert.name}(${errorOrData.revert.args.join(", ")})`;
+  }
+
+  if (typeof data === "string" && data.length >= 10) {
+    try {
+      const iface  = new ethers.Interface(["error Error(string)", "error Panic(uint256)", ...abis.flat().filter(f => f.startsWith("error "))]);
+      const parsed = iface.parseError(data);
+      if (parsed?.name === "Error") return parsed.args[0];
+      if (parsed?.name === "Panic") return `Panic(0x${parsed.args[0].toString(16)})`;
+      if (parsed) return `${parsed.name}(${parsed.args.join(", ")})`;
+    } catch { /* unknown selector */ }
+    return `Transaction would revert (data ${data.slice(0, 10)})`;
+  }
+
+  if (typeof errorOrData === "string") return "Transaction would revert";
+  const message = errorOrData?.shortMessage || errorOrData?.message || "Transaction would revert";
+  return message.includes("execution reverted")
+    ? message.match(/reason: "(.*?)"/)?.[1] || "Transaction would revert"
+    : message;
+}
+
 function buildValidationSummary(errors, warnings, suggestions) {
   if (errors.length === 0 && warnings.length === 0) {
     return "✅ All checks passed. Ready to execute.";
@@ -203,5 +294,7 @@ function buildValidationSummary(errors, warnings, suggestions) {
 module.exports = {
   validateTransfer,
   simulateTransaction,
+  priceGas,
+  decodeRevertReason,
   TOKEN_SUPPORT_MATRIX,
 };